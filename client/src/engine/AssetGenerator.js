@@ -4,7 +4,7 @@
 // Cozy low-poly aesthetic: warm colors, geometric shapes, subtle variation.
 
 import * as THREE from 'three';
-import { FRUIT_DATA } from '@shared/constants.js';
+import { FRUIT_DATA, BUILDING_FOOTPRINTS } from '@shared/constants.js';
 
 const CROP_CATEGORIES = {
   parsnip: 'root', potato: 'root', carrot: 'root', garlic: 'root', beet: 'root', yam: 'root',
@@ -232,7 +232,10 @@ export class AssetGenerator {
     const group = new THREE.Group();
     const baseColor = oreType === 'copper' ? 0xb87333
       : oreType === 'iron' ? 0x888899
-      : oreType === 'gold' ? 0xffd700 : 0x8a8a8a;
+      : oreType === 'gold' ? 0xffd700
+      : oreType === 'iridium' ? 0x9966cc
+      : oreType === 'coal' ? 0x333333
+      : oreType === 'geode' ? 0xa08c78 : 0x8a8a8a;
 
     const count = 2 + Math.floor(this._seededRand(seed, 7) * 2);
     for (let i = 0; i < count; i++) {
@@ -1076,6 +1079,8 @@ export class AssetGenerator {
   // ═══════════════════════════════════════════════
 
   createBuilding(type) {
+    if (type === 'silo') return this._createSilo();
+
     const group = new THREE.Group();
     const configs = {
       house: { w: 2, h: 1.5, d: 2, color: 0xc4956a, roofColor: 0x8b4513 },
@@ -1083,6 +1088,8 @@ export class AssetGenerator {
       coop:  { w: 1.5, h: 1, d: 1.5, color: 0xdeb887, roofColor: 0x8b6914 },
       mill:  { w: 1.5, h: 2.5, d: 1.5, color: 0xf5f5dc, roofColor: 0x666666 },
       shop:  { w: 2, h: 1.5, d: 2, color: 0x6495ed, roofColor: 0x4169e1 },
+      kitchen: { w: 1.8, h: 1.3, d: 1.8, color: 0xf0e0c0, roofColor: 0xa0522d },
+      loom:  { w: 1.8, h: 1.3, d: 1.6, color: 0xb8a4c9, roofColor: 0x5d4a6e },
     };
     const cfg = configs[type] || configs.house;
 
@@ -1174,6 +1181,16 @@ export class AssetGenerator {
       group.add(sideSill);
     }
 
+    // ── Kitchen extras: bread oven chimney ──
+    if (type === 'kitchen') {
+      const chimney = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.12, 0.15, 0.6, 8), this.getMaterial(0x999088)
+      );
+      chimney.position.set(-cfg.w * 0.25, cfg.h + cfg.h * 0.3, -cfg.d * 0.2);
+      chimney.castShadow = true;
+      group.add(chimney);
+    }
+
     // ── House extras: chimney + porch ──
     if (type === 'house') {
       const chimney = new THREE.Mesh(
@@ -1215,6 +1232,86 @@ export class AssetGenerator {
     return group;
   }
 
+  /** Tall grain silo: ribbed cylinder with a domed cap */
+  _createSilo() {
+    const group = new THREE.Group();
+    const bodyMat = this.getMaterial(0xb0b8bc);
+
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.6, 0.65, 2.6, 12), bodyMat);
+    body.position.y = 1.3;
+    body.castShadow = true;
+    body.receiveShadow = true;
+    group.add(body);
+
+    for (let i = 1; i <= 3; i++) {
+      const rib = new THREE.Mesh(new THREE.TorusGeometry(0.63, 0.025, 4, 16), this.getMaterial(0x7d8589));
+      rib.rotation.x = Math.PI / 2;
+      rib.position.y = i * 0.65;
+      group.add(rib);
+    }
+
+    const cap = new THREE.Mesh(
+      new THREE.SphereGeometry(0.62, 12, 6, 0, Math.PI * 2, 0, Math.PI / 2), this.getMaterial(0x8b2e2e)
+    );
+    cap.position.y = 2.6;
+    cap.castShadow = true;
+    group.add(cap);
+
+    const hatch = new THREE.Mesh(new THREE.PlaneGeometry(0.3, 0.45), this.getMaterial(0x4a2a0e));
+    hatch.position.set(0, 0.25, 0.66);
+    group.add(hatch);
+
+    return group;
+  }
+
+  /** Scaffolding over a levelled dirt pad, sized to the building's footprint */
+  createConstructionSite(type) {
+    const group = new THREE.Group();
+    const { w, d } = BUILDING_FOOTPRINTS[type] || { w: 2, d: 2 };
+    const sw = w - 0.3;
+    const sd = d - 0.3;
+    const h = 1.4;
+    const woodMat = this.getMaterial(0xa0784a);
+
+    const pad = new THREE.Mesh(new THREE.BoxGeometry(sw, 0.04, sd), this.getMaterial(0x8b6b47));
+    pad.position.y = 0.02;
+    pad.receiveShadow = true;
+    group.add(pad);
+
+    // Corner posts joined by beams along the top
+    for (const [px, pz] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+      const post = new THREE.Mesh(new THREE.BoxGeometry(0.08, h, 0.08), woodMat);
+      post.position.set(px * sw / 2, h / 2, pz * sd / 2);
+      post.castShadow = true;
+      group.add(post);
+    }
+    for (const pz of [-1, 1]) {
+      const beam = new THREE.Mesh(new THREE.BoxGeometry(sw, 0.06, 0.06), woodMat);
+      beam.position.set(0, h, pz * sd / 2);
+      group.add(beam);
+    }
+    for (const px of [-1, 1]) {
+      const beam = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.06, sd), woodMat);
+      beam.position.set(px * sw / 2, h, 0);
+      group.add(beam);
+    }
+
+    // Half-built wall and a stack of planks
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(sw * 0.8, h * 0.4, 0.06), this.getMaterial(0xc8a070));
+    wall.position.set(0, h * 0.2, -sd / 2 + 0.1);
+    wall.castShadow = true;
+    group.add(wall);
+
+    for (let i = 0; i < 4; i++) {
+      const plank = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.04, 0.12), woodMat);
+      plank.position.set(sw / 4, 0.06 + i * 0.045, sd / 4 + (i % 2) * 0.03);
+      plank.rotation.y = i * 0.08;
+      group.add(plank);
+    }
+
+    return group;
+  }
+
   // ═══════════════════════════════════════════════
   //  ANIMALS
   // ═══════════════════════════════════════════════
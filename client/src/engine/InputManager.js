@@ -1,17 +1,37 @@
 // client/src/engine/InputManager.js
 // Handles mouse and touch input, converts screen coords to tile coords.
+// Also the direct-control movement mode: the movement keys and a gamepad's
+// left stick or d-pad, read every frame as a world-space direction.
+// Keys, camera speeds and the hold-to-expand time come from Settings.
 
 import { worldToTile } from '@shared/TileMap.js';
 
+// Screen directions on the ground, for the fixed isometric camera
+const SCREEN_UP = { x: -Math.SQRT1_2, z: -Math.SQRT1_2 };
+const SCREEN_RIGHT = { x: Math.SQRT1_2, z: -Math.SQRT1_2 };
+
+const MOVE_ACTIONS = { moveUp: 'up', moveDown: 'down', moveLeft: 'left', moveRight: 'right' };
+
+const STICK_DEADZONE = 0.25;
+const PAD_USE_BUTTON = 0; // A / cross
+const PAD_DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
 export class InputManager {
-  constructor(sceneManager) {
+  /**
+   * @param {import('./SceneManager.js').SceneManager} sceneManager
+   * @param {import('./Settings.js').Settings} settings
+   */
+  constructor(sceneManager, settings) {
     this.scene = sceneManager;
     this.canvas = sceneManager.canvas;
+    this.settings = settings;
 
     // State
     this.hoveredTile = null;
     this.isDragging = false;
     this.dragStart = { x: 0, y: 0 };
+    this._heldMoveKeys = new Set(); // 'up' | 'down' | 'left' | 'right'
+    this._padUseHeld = false;
 
     // Event handlers
     this._handlers = {
@@ -21,6 +41,7 @@ export class InputManager {
       tileMove: [],
       tileHover: [],
       keyDown: [],
+      useFacing: [], // use the held item on the tile in front of the player
     };
 
     // Bind events
@@ -28,12 +49,16 @@ export class InputManager {
     this._onPointerMove = this._onPointerMove.bind(this);
     this._onPointerUp = this._onPointerUp.bind(this);
     this._onKeyDown = this._onKeyDown.bind(this);
+    this._onKeyUp = this._onKeyUp.bind(this);
+    this._onBlur = this._onBlur.bind(this);
     this._onWheel = this._onWheel.bind(this);
 
     this.canvas.addEventListener('pointerdown', this._onPointerDown);
     this.canvas.addEventListener('pointermove', this._onPointerMove);
     this.canvas.addEventListener('pointerup', this._onPointerUp);
     window.addEventListener('keydown', this._onKeyDown);
+    window.addEventListener('keyup', this._onKeyUp);
+    window.addEventListener('blur', this._onBlur);
     this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
 
     // Prevent context menu on right-click
@@ -75,7 +100,7 @@ export class InputManager {
       if (Math.abs(dx) > 5 || Math.abs(dy) > 5) {
         this.isDragging = true;
         // Pan camera based on drag delta
-        const panSpeed = 0.05;
+        const panSpeed = this.settings.get('panSpeed');
         this.scene.cameraTarget.x -= dx * panSpeed;
         this.scene.cameraTarget.z -= dy * panSpeed;
         this.scene.panTo(this.scene.cameraTarget.x, this.scene.cameraTarget.z);
@@ -113,7 +138,7 @@ export class InputManager {
       } else {
         // Check for hold-to-expand
         const holdDuration = Date.now() - (this._pointerDownTime || 0);
-        if (holdDuration > 300) {
+        if (holdDuration > this.settings.get('holdToExpandMs')) {
           this._emit('tileActionExpanded', data);
         } else {
           this._emit('tileAction', data);
@@ -125,13 +150,93 @@ export class InputManager {
   }
 
   _onKeyDown(e) {
-    this._emit('keyDown', { key: e.key, code: e.code, shift: e.shiftKey, ctrl: e.ctrlKey });
+    // Typing in a text field (chat, name entry) is not a game key
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+    const action = this.settings.actionForKey(e.code);
+    if (MOVE_ACTIONS[action]) {
+      this._heldMoveKeys.add(MOVE_ACTIONS[action]);
+      e.preventDefault();
+    }
+    if (action === 'use') {
+      e.preventDefault();
+      if (!e.repeat) this._emit('useFacing', {});
+    }
+    this._emit('keyDown', { key: e.key, code: e.code, action, shift: e.shiftKey, ctrl: e.ctrlKey });
+  }
+
+  _onKeyUp(e) {
+    const action = this.settings.actionForKey(e.code);
+    if (MOVE_ACTIONS[action]) this._heldMoveKeys.delete(MOVE_ACTIONS[action]);
+  }
+
+  /** Drop held movement keys, e.g. after a rebind or when a panel takes the keyboard */
+  releaseKeys() {
+    this._heldMoveKeys.clear();
+  }
+
+  /** Keys released while the window is in the background never send keyup */
+  _onBlur() {
+    this.releaseKeys();
+  }
+
+  /** Per-frame gamepad poll; the use button fires useFacing on press */
+  update() {
+    const pad = this._getGamepad();
+    const useHeld = !!pad?.buttons[PAD_USE_BUTTON]?.pressed;
+    if (useHeld && !this._padUseHeld) this._emit('useFacing', {});
+    this._padUseHeld = useHeld;
+  }
+
+  /**
+   * Direct-control movement direction on the ground as { x, z } of length up
+   * to 1 (a half-tilted stick walks slower), or null when nothing is held.
+   */
+  getMoveVector() {
+    let right = 0;
+    let down = 0;
+    const held = this._heldMoveKeys;
+    if (held.has('right')) right += 1;
+    if (held.has('left')) right -= 1;
+    if (held.has('down')) down += 1;
+    if (held.has('up')) down -= 1;
+
+    const pad = this._getGamepad();
+    if (pad) {
+      const [sx = 0, sy = 0] = pad.axes;
+      if (Math.hypot(sx, sy) > STICK_DEADZONE) {
+        right += sx;
+        down += sy;
+      }
+      if (pad.buttons[PAD_DPAD.right]?.pressed) right += 1;
+      if (pad.buttons[PAD_DPAD.left]?.pressed) right -= 1;
+      if (pad.buttons[PAD_DPAD.down]?.pressed) down += 1;
+      if (pad.buttons[PAD_DPAD.up]?.pressed) down -= 1;
+    }
+
+    const len = Math.hypot(right, down);
+    if (len === 0) return null;
+    const scale = len > 1 ? 1 / len : 1;
+    right *= scale;
+    down *= scale;
+    return {
+      x: SCREEN_RIGHT.x * right - SCREEN_UP.x * down,
+      z: SCREEN_RIGHT.z * right - SCREEN_UP.z * down,
+    };
+  }
+
+  _getGamepad() {
+    if (!navigator.getGamepads) return null;
+    for (const pad of navigator.getGamepads()) {
+      if (pad?.connected) return pad;
+    }
+    return null;
   }
 
   _onWheel(e) {
     e.preventDefault();
     // Zoom camera
-    const zoomSpeed = 0.1;
+    const zoomSpeed = this.settings.get('zoomSpeed');
     this.scene.camera.zoom = Math.max(0.5, Math.min(4, this.scene.camera.zoom - e.deltaY * zoomSpeed * 0.01));
     this.scene.camera.updateProjectionMatrix();
   }
@@ -141,6 +246,8 @@ export class InputManager {
     this.canvas.removeEventListener('pointermove', this._onPointerMove);
     this.canvas.removeEventListener('pointerup', this._onPointerUp);
     window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('keyup', this._onKeyUp);
+    window.removeEventListener('blur', this._onBlur);
     this.canvas.removeEventListener('wheel', this._onWheel);
   }
 }
@@ -4,6 +4,13 @@
 import * as THREE from 'three';
 import { WORLD_SIZE } from '@shared/constants.js';
 
+// Graphics quality presets, picked in the settings panel
+const GRAPHICS_PRESETS = {
+  low:    { maxPixelRatio: 1,   shadows: false, shadowMapSize: 512 },
+  medium: { maxPixelRatio: 1.5, shadows: true,  shadowMapSize: 512 },
+  high:   { maxPixelRatio: 2,   shadows: true,  shadowMapSize: 1024 },
+};
+
 export class SceneManager {
   constructor(canvas) {
     this.canvas = canvas;
@@ -263,6 +270,20 @@ export class SceneManager {
     animate();
   }
 
+  /** Trade looks for speed: resolution and sun shadows */
+  setGraphicsQuality(quality) {
+    const preset = GRAPHICS_PRESETS[quality] || GRAPHICS_PRESETS.high;
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.maxPixelRatio));
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.sunLight.castShadow = preset.shadows;
+    if (this.sunLight.shadow.mapSize.x !== preset.shadowMapSize) {
+      this.sunLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+      // The shadow map is recreated at the new size on the next render
+      this.sunLight.shadow.map?.dispose();
+      this.sunLight.shadow.map = null;
+    }
+  }
+
   _onResize() {
     const aspect = window.innerWidth / window.innerHeight;
     const frustum = 16;
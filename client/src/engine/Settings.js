@@ -0,0 +1,157 @@
+// client/src/engine/Settings.js
+// Player settings: key bindings, camera speeds, graphics quality and audio
+// volumes. Kept in localStorage, and with "sync" on also saved with the
+// farmer on the server so they follow the player to another browser.
+
+const STORAGE_KEY = 'ourfarm_settings';
+
+/** Rebindable actions, in the order the settings panel lists them */
+export const KEY_ACTIONS = {
+  moveUp: 'Move up',
+  moveDown: 'Move down',
+  moveLeft: 'Move left',
+  moveRight: 'Move right',
+  use: 'Use item in front',
+  rest: 'Rest at house',
+  inventory: 'Backpack',
+  quests: 'Quest log',
+  crafting: 'Crafting',
+  settings: 'Settings',
+  debug: 'Debug window',
+};
+
+// Number keys pick action bar slots and Escape cancels, so neither can be rebound
+const RESERVED_KEYS = new Set(['Escape', ...Array.from({ length: 10 }, (_, i) => `Digit${i}`)]);
+
+export const GRAPHICS_QUALITIES = ['low', 'medium', 'high'];
+
+export const DEFAULT_SETTINGS = {
+  keybindings: {
+    moveUp: 'KeyW',
+    moveDown: 'KeyS',
+    moveLeft: 'KeyA',
+    moveRight: 'KeyD',
+    use: 'Space',
+    rest: 'KeyR',
+    inventory: 'KeyI',
+    quests: 'KeyQ',
+    crafting: 'KeyC',
+    settings: 'KeyO',
+    debug: 'F3',
+  },
+  panSpeed: 0.05,      // world units per dragged pixel
+  zoomSpeed: 0.1,
+  holdToExpandMs: 300, // how long a left-click is held to work a row of three tiles
+  graphicsQuality: 'high',
+  masterVolume: 1,
+  musicVolume: 0.7,
+  sfxVolume: 0.8,
+  syncToServer: true,
+};
+
+/** A short label for a KeyboardEvent.code: 'KeyW' → 'W', 'ArrowUp' → '↑' */
+export function keyLabel(code) {
+  if (!code) return '—';
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  return arrows[code] || code;
+}
+
+export class Settings {
+  constructor() {
+    this.values = this._sanitize(this._loadLocal());
+    this._listeners = [];
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    this.values = this._sanitize({ ...this.values, [key]: value });
+    this._changed(key);
+  }
+
+  /** The action bound to a key code, or null */
+  actionForKey(code) {
+    for (const [action, bound] of Object.entries(this.values.keybindings)) {
+      if (bound === code) return action;
+    }
+    return null;
+  }
+
+  keyFor(action) {
+    return this.values.keybindings[action];
+  }
+
+  /**
+   * Bind a key to an action. An action that already had the key takes over
+   * this action's old one, so nothing is left unbound. Returns false for
+   * keys that can't be bound.
+   */
+  bindKey(action, code) {
+    if (!(action in KEY_ACTIONS) || RESERVED_KEYS.has(code)) return false;
+    const keybindings = { ...this.values.keybindings };
+    const other = this.actionForKey(code);
+    if (other && other !== action) keybindings[other] = keybindings[action];
+    keybindings[action] = code;
+    this.values = this._sanitize({ ...this.values, keybindings });
+    this._changed('keybindings');
+    return true;
+  }
+
+  reset() {
+    this.values = this._sanitize({ syncToServer: this.values.syncToServer });
+    this._changed(null);
+  }
+
+  /** Adopt the copy saved with the farmer, if it was saved with sync on */
+  applyServerCopy(saved) {
+    if (!saved || saved.syncToServer === false) return;
+    this.values = this._sanitize(saved);
+    this._save();
+    for (const cb of this._listeners) cb(null, this.values, { fromServer: true });
+  }
+
+  /** cb(key, values, { fromServer }) after every change; key is null when everything changed */
+  onChange(cb) {
+    this._listeners.push(cb);
+  }
+
+  _changed(key) {
+    this._save();
+    for (const cb of this._listeners) cb(key, this.values, { fromServer: false });
+  }
+
+  _loadLocal() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+  }
+
+  /** Defaults overlaid with whatever in `saved` has the right type */
+  _sanitize(saved) {
+    const values = { ...DEFAULT_SETTINGS, keybindings: { ...DEFAULT_SETTINGS.keybindings } };
+    for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+      if (key === 'keybindings' || typeof saved[key] !== typeof fallback) continue;
+      if (typeof fallback === 'number' && !Number.isFinite(saved[key])) continue;
+      values[key] = saved[key];
+    }
+    for (const action of Object.keys(KEY_ACTIONS)) {
+      const code = saved.keybindings?.[action];
+      if (typeof code === 'string' && !RESERVED_KEYS.has(code)) values.keybindings[action] = code;
+    }
+    if (!GRAPHICS_QUALITIES.includes(values.graphicsQuality)) values.graphicsQuality = DEFAULT_SETTINGS.graphicsQuality;
+    for (const key of ['masterVolume', 'musicVolume', 'sfxVolume']) {
+      values[key] = Math.max(0, Math.min(1, values[key]));
+    }
+    return values;
+  }
+}
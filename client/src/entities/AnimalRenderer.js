@@ -31,6 +31,12 @@ function _createShadow(radius) {
   return shadow;
 }
 
+// Walking speed in tiles per second when an animal heads somewhere new
+const WALK_SPEED = 1.2;
+
+// Young animals are drawn smaller until they grow up
+const BABY_SCALE = 0.6;
+
 const IDLE_MAP = {
   chicken: ['peck', 'scratch', 'headBob'],
   cow: ['graze', 'tailFlick', 'earTwitch', 'chew'],
@@ -66,6 +72,8 @@ export class AnimalRenderer {
     for (const animal of animals) {
       const mesh = this.assetGen.createAnimal(animal.type);
       mesh.position.set(animal.x, 0, animal.z);
+      mesh.visible = animal.outside !== false; // indoors in its barn or coop
+      mesh.scale.setScalar(animal.baby ? BABY_SCALE : 1);
 
       // Preserve existing userData (e.g. userData.parts from animal models)
       mesh.userData.animalType = animal.type;
@@ -115,6 +123,7 @@ export class AnimalRenderer {
       this.animalMeshes.set(animal.id, {
         mesh,
         data: animal,
+        target: null,
         time: 0,
         idleTimer: Math.random() * 5,
         currentIdle: null,
@@ -124,6 +133,23 @@ export class AnimalRenderer {
     }
   }
 
+  /** Apply a server update: walk to the new spot, or appear/disappear through the animal door */
+  updateAnimal(animal) {
+    const entry = this.animalMeshes.get(animal.id);
+    if (!entry) return;
+    const wasOutside = entry.mesh.visible;
+    entry.data = animal;
+    entry.mesh.visible = animal.outside !== false;
+    entry.mesh.scale.setScalar(animal.baby ? BABY_SCALE : 1);
+
+    if (!wasOutside || !entry.mesh.visible) {
+      entry.mesh.position.set(animal.x, 0, animal.z);
+      entry.target = null;
+    } else if (entry.mesh.position.x !== animal.x || entry.mesh.position.z !== animal.z) {
+      entry.target = { x: animal.x, z: animal.z };
+    }
+  }
+
   update(delta) {
     for (const entry of this.animalMeshes.values()) {
       entry.time += delta;
@@ -131,6 +157,21 @@ export class AnimalRenderer {
       const parts = mesh.userData.parts;
       const type = mesh.userData.animalType;
 
+      if (entry.target) {
+        const dx = entry.target.x - mesh.position.x;
+        const dz = entry.target.z - mesh.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        const step = WALK_SPEED * delta;
+        if (dist <= step) {
+          mesh.position.set(entry.target.x, 0, entry.target.z);
+          entry.target = null;
+        } else {
+          mesh.position.x += (dx / dist) * step;
+          mesh.position.z += (dz / dist) * step;
+          mesh.rotation.y = Math.atan2(dx, dz);
+        }
+      }
+
       // --- Universal animations (always running) ---
 
       // Breathing
@@ -364,6 +405,7 @@ export class AnimalRenderer {
   getAnimalAtPosition(worldX, worldZ) {
     const threshold = 0.8;
     for (const [id, entry] of this.animalMeshes) {
+      if (!entry.mesh.visible) continue;
       const dx = entry.mesh.position.x - worldX;
       const dz = entry.mesh.position.z - worldZ;
       if (Math.sqrt(dx * dx + dz * dz) < threshold) return id;
@@ -371,6 +413,13 @@ export class AnimalRenderer {
     return null;
   }
 
+  removeAnimal(id) {
+    const entry = this.animalMeshes.get(id);
+    if (!entry) return;
+    this.scene.remove(entry.mesh);
+    this.animalMeshes.delete(id);
+  }
+
   dispose() {
     for (const { mesh } of this.animalMeshes.values()) this.scene.remove(mesh);
     this.animalMeshes.clear();
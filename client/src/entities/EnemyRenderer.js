@@ -0,0 +1,144 @@
+// client/src/entities/EnemyRenderer.js
+// Renders hostile creatures as simple Three.js meshes. Positions come from
+// throttled server updates and are interpolated between them.
+
+import * as THREE from 'three';
+
+const ENEMY_STYLE = {
+  slime:    { color: 0x55cc55, build: 'blob' },
+  bat:      { color: 0x443355, build: 'bat' },
+  skeleton: { color: 0xe8e4d8, build: 'skeleton' },
+};
+
+export class EnemyRenderer {
+  constructor(scene) {
+    this.scene = scene;
+    this._entries = new Map(); // enemyId -> { mesh, data, targetX, targetZ, flashTime }
+    this._elapsed = 0;
+  }
+
+  build(enemies) {
+    for (const enemy of enemies) this.addEnemy(enemy);
+  }
+
+  addEnemy(enemy) {
+    const mesh = this._createMesh(enemy.type);
+    mesh.position.set(enemy.x, 0, enemy.z);
+    mesh.userData.enemyId = enemy.id;
+    this.scene.add(mesh);
+    this._entries.set(enemy.id, { mesh, data: enemy, targetX: enemy.x, targetZ: enemy.z, flashTime: 0 });
+  }
+
+  /** Reconcile with the server's enemy list: add new, move existing, drop missing */
+  sync(enemies) {
+    const seen = new Set();
+    for (const enemy of enemies) {
+      seen.add(enemy.id);
+      const entry = this._entries.get(enemy.id);
+      if (!entry) {
+        this.addEnemy(enemy);
+      } else {
+        entry.data = enemy;
+        entry.targetX = enemy.x;
+        entry.targetZ = enemy.z;
+      }
+    }
+    for (const id of Array.from(this._entries.keys())) {
+      if (!seen.has(id)) this.removeEnemy(id);
+    }
+  }
+
+  /** Server says an enemy took a hit */
+  onEnemyHit(enemyId, hp) {
+    const entry = this._entries.get(enemyId);
+    if (!entry) return;
+    entry.data.hp = hp;
+    entry.flashTime = 0.2;
+  }
+
+  removeEnemy(enemyId) {
+    const entry = this._entries.get(enemyId);
+    if (!entry) return;
+    this._disposeMesh(entry.mesh);
+    this._entries.delete(enemyId);
+  }
+
+  update(delta) {
+    this._elapsed += delta;
+    const t = Math.min(1, delta * 8);
+    for (const entry of this._entries.values()) {
+      const { mesh } = entry;
+      const dx = entry.targetX - mesh.position.x;
+      const dz = entry.targetZ - mesh.position.z;
+      mesh.position.x += dx * t;
+      mesh.position.z += dz * t;
+      if (Math.abs(dx) + Math.abs(dz) > 0.01) mesh.rotation.y = Math.atan2(dx, dz);
+
+      if (entry.data.type === 'bat') {
+        mesh.position.y = 0.6 + Math.sin(this._elapsed * 6 + mesh.position.x) * 0.1;
+      } else if (entry.data.type === 'slime') {
+        mesh.scale.y = 1 + Math.sin(this._elapsed * 5 + mesh.position.x) * 0.12;
+      }
+
+      if (entry.flashTime > 0) entry.flashTime -= delta;
+      const flashing = entry.flashTime > 0;
+      mesh.traverse(c => {
+        if (c.material?.emissive) c.material.emissive.setHex(flashing ? 0xff2222 : 0x000000);
+      });
+    }
+  }
+
+  /** Nearest enemy to a world position within range, or null */
+  getEnemyAtPosition(worldX, worldZ, range = 1.5) {
+    let best = null;
+    let bestDist = range;
+    for (const [id, entry] of this._entries) {
+      const dist = Math.hypot(entry.mesh.position.x - worldX, entry.mesh.position.z - worldZ);
+      if (dist <= bestDist) { bestDist = dist; best = id; }
+    }
+    return best;
+  }
+
+  dispose() {
+    for (const entry of this._entries.values()) this._disposeMesh(entry.mesh);
+    this._entries.clear();
+  }
+
+  _createMesh(type) {
+    const style = ENEMY_STYLE[type] || ENEMY_STYLE.slime;
+    const mat = new THREE.MeshPhongMaterial({ color: style.color });
+    const group = new THREE.Group();
+
+    if (style.build === 'blob') {
+      const body = new THREE.Mesh(new THREE.SphereGeometry(0.3, 10, 8), mat);
+      body.scale.y = 0.7;
+      body.position.y = 0.2;
+      group.add(body);
+    } else if (style.build === 'bat') {
+      const body = new THREE.Mesh(new THREE.SphereGeometry(0.14, 8, 6), mat);
+      group.add(body);
+      for (const side of [-1, 1]) {
+        const wing = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.02, 0.18), mat.clone());
+        wing.position.x = side * 0.24;
+        group.add(wing);
+      }
+    } else {
+      const body = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.5, 0.18), mat);
+      body.position.y = 0.55;
+      const head = new THREE.Mesh(new THREE.SphereGeometry(0.14, 8, 6), mat.clone());
+      head.position.y = 0.95;
+      group.add(body, head);
+    }
+
+    group.traverse(c => { if (c.isMesh) c.castShadow = true; });
+    return group;
+  }
+
+  _disposeMesh(mesh) {
+    this.scene.remove(mesh);
+    mesh.traverse(c => {
+      if (c.geometry) c.geometry.dispose();
+      if (c.material) c.material.dispose();
+    });
+  }
+}
@@ -59,6 +59,7 @@ export class NPCRenderer {
       mesh.userData.npcId = npc.id;
       mesh.userData.name = npc.name;
       mesh.userData.role = npc.role;
+      mesh.userData.shopId = npc.shopId || null;
 
       // Blob shadow — child of group so it follows XZ automatically
       const shadow = _createShadow(0.25);
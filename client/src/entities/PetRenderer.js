@@ -1,4 +1,10 @@
 // client/src/entities/PetRenderer.js
+// Pets move on the server; positions arrive a few times a second and the
+// meshes glide after them.
+
+// How quickly a pet closes the gap to its last known position (per second)
+const FOLLOW_RATE = 8;
+
 export class PetRenderer {
   constructor(scene, assetGen) {
     this.scene = scene;
@@ -21,12 +27,41 @@ export class PetRenderer {
     mesh.userData.petId = pet.id;
     mesh.userData.name = pet.name;
     this.scene.add(mesh);
-    this.petMeshes.set(pet.id, { mesh, data: pet });
+    this.petMeshes.set(pet.id, { mesh, data: pet, target: { x: pet.x, z: pet.z } });
+  }
+
+  /** Replace a pet's full state, e.g. after training or grooming */
+  updatePet(pet) {
+    const entry = this.petMeshes.get(pet.id);
+    if (!entry) return;
+    entry.data = pet;
+    entry.target = { x: pet.x, z: pet.z };
+  }
+
+  /** A position update from the server: { id, x, z, state } */
+  moveTo({ id, x, z, state }) {
+    const entry = this.petMeshes.get(id);
+    if (!entry) return;
+    entry.target = { x, z };
+    entry.data = { ...entry.data, x, z, state };
   }
 
   update(delta) {
-    // Pets idle — slight bobbing
-    for (const { mesh } of this.petMeshes.values()) {
+    const t = Math.min(1, delta * FOLLOW_RATE);
+    for (const { mesh, data, target } of this.petMeshes.values()) {
+      const dx = target.x - mesh.position.x;
+      const dz = target.z - mesh.position.z;
+      if (Math.abs(dx) + Math.abs(dz) > 0.01) {
+        mesh.position.x += dx * t;
+        mesh.position.z += dz * t;
+        mesh.rotation.y = Math.atan2(dx, dz);
+      }
+
+      // Asleep: lie still. Awake: slight bobbing
+      if (data.state === 'sleep') {
+        mesh.position.y = 0;
+        continue;
+      }
       mesh.position.y = Math.sin(Date.now() * 0.003 + mesh.position.x) * 0.02;
       const parts = mesh.userData.parts;
       if (parts?.tail) {
@@ -1,6 +1,7 @@
 // client/src/entities/PlayerRenderer.js
 import * as THREE from 'three';
 import { tileToWorld } from '@shared/TileMap.js';
+import { PLAYER_SPEED } from '@shared/constants.js';
 
 // ─── Shared blob shadow geometry / material (reused across all players) ───
 let _shadowGeo = null;
@@ -26,9 +27,9 @@ function _createShadow(radius) {
 
 // Animation durations (seconds)
 const ACTION_DURATION = 0.5;
-const PLAYER_WALK_SPEED = 3.0; // tiles per second
 const LIMB_SWING_SPEED = 8; // limb swing frequency
 const ARRIVE_THRESHOLD = 0.05; // distance to consider "arrived"
+const BODY_RADIUS = 0.25; // how close a steered player gets to an obstacle
 
 export class PlayerRenderer {
   constructor(scene, assetGen) {
@@ -54,6 +55,8 @@ export class PlayerRenderer {
     this.playerMeshes.set(playerState.id, {
       mesh,
       target: { x: playerState.x, z: playerState.z },
+      path: [],             // waypoints after the target, from the server's pathfinding
+      steering: false,      // under direct keyboard/gamepad control
       // Animation state
       state: 'idle',        // 'idle' | 'walking' | 'action'
       walkPhase: 0,         // accumulates for sin-based limb swing
@@ -68,9 +71,67 @@ export class PlayerRenderer {
     const entry = this.playerMeshes.get(playerId);
     if (entry) {
       entry.target = { x, z };
+      entry.path = [];
     }
   }
 
+  /** Put a player down at a spot at once, e.g. on a new map or a server correction */
+  teleport(playerId, x, z) {
+    const entry = this.playerMeshes.get(playerId);
+    if (!entry) return;
+    entry.mesh.position.x = x;
+    entry.mesh.position.z = z;
+    entry.target = { x, z };
+    entry.path = [];
+  }
+
+  /**
+   * Direct control (client-side prediction): move along a ground direction of
+   * length up to 1 for one frame, sliding along anything canStand(x, z) rejects.
+   * Returns the new position.
+   */
+  steer(playerId, dir, delta, canStand) {
+    const entry = this.playerMeshes.get(playerId);
+    if (!entry) return null;
+    const pos = entry.mesh.position;
+    const step = PLAYER_SPEED * delta;
+
+    const nx = pos.x + dir.x * step;
+    if (canStand(nx + Math.sign(dir.x) * BODY_RADIUS, pos.z)) pos.x = nx;
+    const nz = pos.z + dir.z * step;
+    if (canStand(pos.x, nz + Math.sign(dir.z) * BODY_RADIUS)) pos.z = nz;
+
+    entry.mesh.rotation.y = Math.atan2(dir.x, dir.z);
+    entry.target = { x: pos.x, z: pos.z };
+    entry.path = [];
+    entry.steering = true;
+    return { x: pos.x, z: pos.z };
+  }
+
+  stopSteering(playerId) {
+    const entry = this.playerMeshes.get(playerId);
+    if (entry) entry.steering = false;
+  }
+
+  /** The point `reach` tiles ahead of where the player is facing */
+  getFacingPoint(playerId, reach = 1) {
+    const entry = this.playerMeshes.get(playerId);
+    if (!entry) return null;
+    const { position, rotation } = entry.mesh;
+    return {
+      x: position.x + Math.sin(rotation.y) * reach,
+      z: position.z + Math.cos(rotation.y) * reach,
+    };
+  }
+
+  /** Walk the waypoints the server planned, in order */
+  followPath(playerId, path) {
+    const entry = this.playerMeshes.get(playerId);
+    if (!entry || path.length === 0) return;
+    entry.path = path.slice(1);
+    entry.target = path[0];
+  }
+
   /** Queue a tool action — will play after the player reaches target */
   queueAction(playerId, toolName) {
     const entry = this.playerMeshes.get(playerId);
@@ -89,6 +150,7 @@ export class PlayerRenderer {
 
   update(delta) {
     for (const entry of this.playerMeshes.values()) {
+      this._advanceWaypoint(entry);
       const { mesh, target } = entry;
       const parts = mesh.userData.parts;
       if (!parts) { // fallback for meshes without parts (shouldn't happen)
@@ -96,7 +158,7 @@ export class PlayerRenderer {
         const fdz = target.z - mesh.position.z;
         const fdist = Math.sqrt(fdx * fdx + fdz * fdz);
         if (fdist > ARRIVE_THRESHOLD) {
-          const fstep = Math.min(PLAYER_WALK_SPEED * delta, fdist);
+          const fstep = Math.min(PLAYER_SPEED * delta, fdist);
           mesh.position.x += (fdx / fdist) * fstep;
           mesh.position.z += (fdz / fdist) * fstep;
         }
@@ -119,6 +181,8 @@ export class PlayerRenderer {
         entry.state = 'walking';
         // Face movement direction
         mesh.rotation.y = Math.atan2(dx, dz);
+      } else if (entry.steering) {
+        entry.state = 'walking'; // steer() already moved and turned it
       } else if (entry.state === 'walking') {
         // Just arrived
         entry.state = 'idle';
@@ -136,7 +200,7 @@ export class PlayerRenderer {
 
       // --- Position interpolation (constant speed, unless mid-action) ---
       if (entry.state !== 'action' && dist > ARRIVE_THRESHOLD) {
-        const step = Math.min(PLAYER_WALK_SPEED * delta, dist);
+        const step = Math.min(PLAYER_SPEED * delta, dist);
         mesh.position.x += (dx / dist) * step;
         mesh.position.z += (dz / dist) * step;
       }
@@ -156,6 +220,17 @@ export class PlayerRenderer {
     }
   }
 
+  /** Move on to the next waypoint once the current one is reached */
+  _advanceWaypoint(entry) {
+    const { mesh } = entry;
+    while (entry.path.length > 0) {
+      const dx = entry.target.x - mesh.position.x;
+      const dz = entry.target.z - mesh.position.z;
+      if (Math.sqrt(dx * dx + dz * dz) > ARRIVE_THRESHOLD) return;
+      entry.target = entry.path.shift();
+    }
+  }
+
   // ─── Walk Animation ───
 
   _animateWalk(entry, parts, delta) {
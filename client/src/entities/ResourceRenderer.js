@@ -1,5 +1,5 @@
 // client/src/entities/ResourceRenderer.js
-// Renders farm trees and rocks as individual Three.js meshes (not batched),
+// Renders farm trees, rocks and mine ore nodes as individual Three.js meshes (not batched),
 // enabling per-resource interaction: shake on hit, removal, stump conversion.
 
 import * as THREE from 'three';
@@ -31,6 +31,9 @@ export class ResourceRenderer {
       }
     } else if (res.type === 'rock') {
       mesh = this.assetGen.createRock(null, res.tileX * 1000 + res.tileZ);
+    } else if (res.type.endsWith('_node')) {
+      // Mine nodes: copper_node -> copper-tinted rock, etc.
+      mesh = this.assetGen.createRock(res.type.replace('_node', ''), res.tileX * 1000 + res.tileZ);
     }
     if (!mesh) return;
 
@@ -4,6 +4,7 @@
 
 import { SceneManager } from './engine/SceneManager.js';
 import { InputManager } from './engine/InputManager.js';
+import { Settings } from './engine/Settings.js';
 import { AssetGenerator } from './engine/AssetGenerator.js';
 import { NetworkClient } from './network/NetworkClient.js';
 import { TerrainRenderer } from './world/TerrainRenderer.js';
@@ -11,6 +12,9 @@ import { WaterRenderer } from './world/WaterRenderer.js';
 import { CropRenderer } from './world/CropRenderer.js';
 import { SprinklerRenderer } from './world/SprinklerRenderer.js';
 import { MachineRenderer } from './world/MachineRenderer.js';
+import { CrabPotRenderer } from './world/CrabPotRenderer.js';
+import { ChestRenderer } from './world/ChestRenderer.js';
+import { BuildingPlacer } from './world/BuildingPlacer.js';
 import { ForageRenderer } from './world/ForageRenderer.js';
 import { WeatherRenderer } from './world/WeatherRenderer.js';
 import { SeasonalEffects } from './world/SeasonalEffects.js';
@@ -23,18 +27,25 @@ import { NPCRenderer } from './entities/NPCRenderer.js';
 import { PetRenderer } from './entities/PetRenderer.js';
 import { AnimalRenderer } from './entities/AnimalRenderer.js';
 import { ResourceRenderer } from './entities/ResourceRenderer.js';
+import { EnemyRenderer } from './entities/EnemyRenderer.js';
 import { HUD } from './ui/HUD.js';
 import { InventoryUI } from './ui/Inventory.js';
+import { ChestUI } from './ui/ChestUI.js';
 import { DialogueUI } from './ui/DialogueUI.js';
 import { CraftingUI } from './ui/CraftingUI.js';
+import { ShopUI } from './ui/ShopUI.js';
+import { BuildUI } from './ui/BuildUI.js';
 import { MachineUI } from './ui/MachineUI.js';
 import { ProfessionUI } from './ui/ProfessionUI.js';
 import { DebugWindow } from './ui/DebugWindow.js';
 import { SplashScreen } from './ui/SplashScreen.js';
+import { ChatUI } from './ui/ChatUI.js';
+import { QuestLogUI } from './ui/QuestLogUI.js';
 import { SelectionManager } from './ui/SelectionManager.js';
-import { getToolAction, isSeed } from './ui/ItemIcons.js';
-import { tileToWorld } from '@shared/TileMap.js';
-import { TILE_TYPES } from '@shared/constants.js';
+import { SettingsUI } from './ui/SettingsUI.js';
+import { getToolAction, isSeed, getItemIcon } from './ui/ItemIcons.js';
+import { tileToWorld, worldToTile, buildWalkGrid, isWalkable } from '@shared/TileMap.js';
+import { TILE_TYPES, RESOURCE_DATA, BAIT_DATA, TACKLE_DATA, FISHING_MINIGAME } from '@shared/constants.js';
 import { debugClient } from './utils/DebugClient.js';
 import { FishingEffects } from './effects/FishingEffects.js';
 import { ActionEffects } from './world/ActionEffects.js';
@@ -46,7 +57,9 @@ async function main() {
   // --- Engine Setup ---
   const canvas = document.getElementById('game-canvas');
   const sceneManager = new SceneManager(canvas);
-  const input = new InputManager(sceneManager);
+  const settings = new Settings();
+  sceneManager.setGraphicsQuality(settings.get('graphicsQuality'));
+  const input = new InputManager(sceneManager, settings);
   const assets = new AssetGenerator();
 
   // --- Renderers ---
@@ -63,8 +76,11 @@ async function main() {
   const npcs = new NPCRenderer(sceneManager.scene, assets);
   const pets = new PetRenderer(sceneManager.scene, assets);
   const animals = new AnimalRenderer(sceneManager.scene, assets);
+  const enemies = new EnemyRenderer(sceneManager.scene);
   const sprinklers = new SprinklerRenderer(sceneManager.scene);
   const machines = new MachineRenderer(sceneManager.scene);
+  const crabPots = new CrabPotRenderer(sceneManager.scene);
+  const chests = new ChestRenderer(sceneManager.scene);
   let forage = new ForageRenderer(sceneManager.scene);
 
   // --- Action particle effects ---
@@ -75,6 +91,13 @@ async function main() {
   const fishingUI = new FishingUI();
   let fishingState = null; // null = not fishing
 
+  // --- Direct control (keyboard / gamepad steering) ---
+  const STEER_SEND_INTERVAL = 0.1; // seconds between streamed positions
+  const FISHING_REACH = 2;         // tiles ahead a steered cast lands
+  let steering = false;
+  let steerSendTimer = 0;
+  let walkGrid = null; // rebuilt on demand after any world change
+
   // --- Grooming ---
   const groomingUI = new GroomingUI();
 
@@ -82,22 +105,23 @@ async function main() {
   const hud = new HUD(document.getElementById('hud'));
   const inventoryUI = new InventoryUI(document.getElementById('inventory-panel'));
   const dialogueUI = new DialogueUI(document.getElementById('dialogue-panel'));
+  const questLogUI = new QuestLogUI(document.getElementById('quest-panel'));
   const debugWindow = new DebugWindow();
   debugWindow.setRenderer(sceneManager.renderer);
   const craftingUI = new CraftingUI();
+  const shopUI = new ShopUI();
+  const buildUI = new BuildUI();
   const machineUI = new MachineUI();
+  const chestUI = new ChestUI();
   const professionUI = new ProfessionUI();
-
-  // Wire backpack right-click → action bar quick-add
-  inventoryUI.onQuickAdd = (itemId) => {
-    hud.addToFirstEmptySlot(itemId);
-  };
+  const settingsUI = new SettingsUI(settings);
 
   // Wire backpack icon → toggle inventory
   hud.onBackpackClick = () => inventoryUI.toggle();
 
   // Loot toast system
   const lootToast = new LootToast();
+  const chatUI = new ChatUI();
   lootToast.setBackpackCallbacks(
     () => hud.getBackpackRect(),
     () => hud.pulseBackpack(),
@@ -117,16 +141,45 @@ async function main() {
     network.sendToolUpgrade(tool);
   };
 
+  // Wire quest accept / turn-in flow
+  dialogueUI.onQuestAccept = (questId) => network.sendQuestAccept(questId);
+  dialogueUI.onQuestTurnIn = (questId) => network.sendQuestTurnIn(questId);
+
   // --- Network ---
   const network = new NetworkClient();
 
+  // Clicking bait or tackle in the backpack puts it on the rod (or takes it off)
+  inventoryUI.onItemSelect = (item) => {
+    if (BAIT_DATA[item.itemId] || TACKLE_DATA[item.itemId]) network.sendFishEquip(item.itemId);
+  };
+
+  // Backpack and action bar slots live on the server; rearranging them is a request
+  inventoryUI.onMoveItem = hud.onMoveItem = (from, to, quantity) => network.sendInventoryMove(from, to, quantity);
+  inventoryUI.onTrashItem = (slot, quantity) => network.sendInventoryTrash(slot, quantity);
+  inventoryUI.onUpgrade = () => network.sendInventoryUpgrade();
+
+  // Storage chests: every change is made by the server and comes back as a chestUpdate
+  chestUI.onDeposit = (chestId, slot, quantity) => network.sendChestDeposit(chestId, slot, quantity);
+  chestUI.onWithdraw = (chestId, slot, quantity) => network.sendChestWithdraw(chestId, slot, quantity);
+  chestUI.onColor = (chestId, color) => network.sendChestColor(chestId, color);
+  chestUI.onPickup = (chestId) => network.sendChestPickup(chestId);
+
   // Character customization splash screen
-  const splash = new SplashScreen();
-  const { name: playerName, appearance: playerAppearance } = await splash.show();
+  const splash = new SplashScreen(NetworkClient.getSavedProfile());
+  const { name: playerName, appearance: playerAppearance, newFarmer } = await splash.show();
+  if (newFarmer) NetworkClient.clearIdentity();
 
   try {
     const state = await network.connect(playerName, playerAppearance);
 
+    // Settings: apply changes as they're made, and keep the farmer's copy up to date
+    settings.onChange((key, values, { fromServer }) => {
+      sceneManager.setGraphicsQuality(values.graphicsQuality);
+      if (key === 'keybindings' || key === null) input.releaseKeys();
+      if (!fromServer && (values.syncToServer || key === 'syncToServer')) network.sendSettings(values);
+    });
+    settings.applyServerCopy(state.settings);
+
     // Store static crop definitions for tooltips
     const cropsData = state.cropsData || {};
 
@@ -193,24 +246,25 @@ async function main() {
       fishingState = 'minigame';
 
       // Small delay for bite visual, then show mini-game
-      await new Promise(r => setTimeout(r, 400));
+      await new Promise(r => setTimeout(r, FISHING_MINIGAME.biteDelayMs));
 
       if (!fishingState) return; // cancelled during bite
 
       // Start mini-game
-      const caught = await fishingUI.start({
+      const { caught, treasure } = await fishingUI.start({
         fishName: biteData.fishName,
         rarity: biteData.rarity,
         behavior: biteData.behavior,
         rodTier: biteData.rodTier,
         fishingLevel: biteData.fishingLevel,
         baitNetBonus: biteData.baitNetBonus || 0,
+        treasure: biteData.treasure,
       });
 
       fishingState = null;
 
       // Send result to server
-      network.sendFishReel(caught);
+      network.sendFishReel(caught, treasure);
 
       // Play outcome effects
       if (caught) {
@@ -229,12 +283,15 @@ async function main() {
     npcs.build(state.npcs);
     pets.build(state.pets);
     animals.build(state.animals);
+    enemies.build(state.enemies || []);
     buildings.build(state.buildings);
     decorations.build(state.decorations || []);
     grass.build(state.tiles);
     if (state.resources) resources.build(state.resources);
     sprinklers.build(state.sprinklers || []);
     machines.build(state.machines || []);
+    crabPots.build(state.crabPots || []);
+    chests.build(state.chests || []);
     forage.build(state.forageItems || []);
 
     // Ambient creatures (client-side only)
@@ -243,6 +300,7 @@ async function main() {
     // Store recipes, buildings, and machine data for crafting UI
     const recipes = state.recipes || {};
     const machinesDataRef = state.machinesData || {};
+    const blueprints = state.blueprints || {};
     const buildingsMap = {};
     for (const b of state.buildings || []) {
       buildingsMap[b.id] = b;
@@ -251,6 +309,16 @@ async function main() {
     // Wire crafting callbacks
     craftingUI.onCraftStart = (buildingId, recipeId) => network.sendCraftStart(buildingId, recipeId);
     craftingUI.onCraftCollect = (buildingId) => network.sendCraftCollect(buildingId);
+    shopUI.onBuy = (shopId, itemId, quantity, options) => network.sendShopBuy(shopId, itemId, quantity, options);
+    fishingUI.onProgress = (progress) => network.sendFishProgress(progress);
+
+    // Construction: pick a blueprint at the farmhouse, then a spot on the farm
+    const placer = new BuildingPlacer(sceneManager.scene, assets, { terrain, buildings, resources });
+    buildUI.onSelect = (type) => {
+      placer.start(type);
+      if (input.hoveredTile) placer.setTile(input.hoveredTile);
+      showToast(`Choose where to build the ${blueprints[type]?.name || type}. Right-click to cancel.`, '', '\u{1F3D7}\uFE0F');
+    };
 
     // Wire profession choice callback
     professionUI.onChoice = (skill, professionId) => {
@@ -266,9 +334,12 @@ async function main() {
     let localPlayer = state.players.find(p => p.id === state.playerId);
     if (localPlayer) {
       hud.updateStats(localPlayer);
-      hud.initActionBar(localPlayer.inventory);
-      inventoryUI.update(localPlayer.inventory);
+      hud.setInventory(localPlayer.inventory, localPlayer.backpackSize);
+      chestUI.updateInventory(localPlayer.inventory, localPlayer.backpackSize);
+      inventoryUI.update(localPlayer.inventory, localPlayer.professions,
+        { bait: localPlayer.bait, tackle: localPlayer.tackle, tackleWear: localPlayer.tackleWear }, localPlayer.backpackSize);
     }
+    questLogUI.update(state.quests);
     hud.updateTime(state.time);
     if (state.time) sceneManager.setTimeOfDay(state.time.hour);
     if (state.time) buildings.setTimeOfDay(state.time.hour);
@@ -286,10 +357,11 @@ async function main() {
     // --- Selection / Hover / Context Menu ---
     const selectionManager = new SelectionManager(sceneManager.scene, {
       npcs, animals, pets, machines, crops, forage, resources, buildings,
-    }, network, { cropsData, getTime: () => hud._lastTime });
+    }, network, { cropsData, petBonuses: state.petBonuses || {}, getTime: () => hud._lastTime });
 
     input.on('tileHover', (hoverData) => {
       selectionManager.updateHover(hoverData);
+      if (placer.active) placer.setTile(hoverData.tile);
     });
 
     // --- Pet grooming callback ---
@@ -309,6 +381,12 @@ async function main() {
       craftingUI.show(b.id, b.type, recipes, localPlayer?.inventory || [], b.processing);
     };
 
+    selectionManager.onOpenShop = (shopId) => network.sendShopOpen(shopId);
+
+    selectionManager.onOpenBuild = () => {
+      buildUI.show(blueprints, localPlayer?.coins || 0, localPlayer?.inventory || []);
+    };
+
     selectionManager.onMachineInsert = (machineId, entity) => {
       const machineEntry = machines.machineMeshes.get(machineId);
       if (!machineEntry) return;
@@ -317,7 +395,8 @@ async function main() {
         machineId, machineType, machinesDataRef,
         localPlayer?.inventory || [],
         cropsData,
-        input.hoveredScreenPos || { x: 300, y: 300 }
+        input.hoveredScreenPos || { x: 300, y: 300 },
+        localPlayer?.professions
       );
     };
 
@@ -329,6 +408,12 @@ async function main() {
     input.on('tileMove', ({ tile, worldPos }) => {
       if (dialogueUI.visible) return;
 
+      // Right-click backs out of building placement
+      if (placer.active) {
+        placer.cancel();
+        return;
+      }
+
       // Cancel fishing on right-click
       if (fishingState) {
         fishingState = null;
@@ -338,6 +423,20 @@ async function main() {
         return;
       }
 
+      // Crab pots: empty the catch, or bait with the held item
+      const potId = crabPots.getCrabPotAtPosition(worldPos.x, worldPos.z);
+      if (potId) {
+        network.sendCrabPotInteract(potId, hud.getActiveItem()?.itemId);
+        return;
+      }
+
+      // Storage chests open beside the backpack
+      const chestId = chests.getChestAtPosition(worldPos.x, worldPos.z);
+      if (chestId) {
+        network.sendChestOpen(chestId);
+        return;
+      }
+
       // Check for machine interaction
       const machineId = machines.getMachineAtPosition(worldPos.x, worldPos.z);
       if (machineId) {
@@ -358,6 +457,7 @@ async function main() {
       const animalId = animals.getAnimalAtPosition(worldPos.x, worldPos.z);
       if (animalId) {
         network.sendAnimalCollect(animalId);
+        network.sendAnimalPet(animalId);
         network.sendAnimalFeed(animalId);
         return;
       }
@@ -387,6 +487,18 @@ async function main() {
         return;
       }
 
+      // Placing a new building: anywhere on the farm, no need to walk over
+      if (placer.active) {
+        placer.setTile(tile);
+        if (!placer.valid) {
+          showToast('Can\'t build there.', 'fail', '\u{1F6A7}');
+          return;
+        }
+        network.sendBuildingPlace(placer.type, tile.x, tile.z);
+        placer.cancel();
+        return;
+      }
+
       // Check for entity — show context menu instead of tool action
       const entity = selectionManager.getEntityAt(worldPos);
       if (entity) {
@@ -406,6 +518,11 @@ async function main() {
         }
       }
 
+      useHeldItem(tile, worldPos);
+    });
+
+    /** Use the held item on a tile — a left-click, or the tile in front when steering */
+    function useHeldItem(tile, worldPos) {
       const activeItem = hud.getActiveItem();
       if (!activeItem) return;
 
@@ -455,7 +572,7 @@ async function main() {
         }
         case 'pickaxe': {
           const res = resources.getResourceAtTile(tile.x, tile.z);
-          if (res && res.type === 'rock') {
+          if (res && RESOURCE_DATA[res.type]?.tool === 'pickaxe') {
             network.sendResourceHit(tile.x, tile.z);
             actionEffects.spawnToolHit(tile.x + 0.5, tile.z + 0.5);
           } else {
@@ -472,12 +589,76 @@ async function main() {
         case 'machine':
           network.sendPlaceMachine(activeItem.itemId, tile.x, tile.z);
           break;
+        case 'crab_pot':
+          network.sendPlaceCrabPot(tile.x, tile.z);
+          break;
+        case 'chest':
+          network.sendPlaceChest(tile.x, tile.z);
+          break;
+        case 'attack': {
+          const enemyId = enemies.getEnemyAtPosition(worldPos.x, worldPos.z);
+          if (enemyId) network.sendAttack(enemyId, activeItem.itemId);
+          actionEffects.spawnToolHit(worldPos.x, worldPos.z);
+          break;
+        }
       }
 
       // Queue the tool animation on the local player
       players.queueAction(network.playerId, action);
+    }
+
+    // --- Space / gamepad A: use the held item on the tile in front ---
+    input.on('useFacing', () => {
+      if (dialogueUI.visible || placer.active || fishingState) return;
+      selectionManager.hideContextMenu();
+      const activeItem = hud.getActiveItem();
+      const reach = activeItem && getToolAction(activeItem.itemId) === 'fishing_rod' ? FISHING_REACH : 1;
+      const point = players.getFacingPoint(network.playerId, reach);
+      if (!point) return;
+      const tile = worldToTile(point.x, point.z);
+      useHeldItem(tile, point);
     });
 
+    /** Collision for steering: water and anything standing on the ground, as the server sees it */
+    function canStandAt(x, z) {
+      if (!walkGrid) {
+        walkGrid = buildWalkGrid(terrain.tiles || [], {
+          buildings: Array.from(buildings.buildingMeshes.values(), e => e.data),
+          resources: Array.from(resources._entries.values(), e => e.data),
+          machines: Array.from(machines.machineMeshes.values(), e => e.data),
+          chests: Array.from(chests.chestMeshes.values(), e => e.data),
+        });
+      }
+      const tile = worldToTile(x, z);
+      const here = players.getLocalPlayerPosition(network.playerId);
+      if (here) {
+        const hereTile = worldToTile(here.x, here.z);
+        if (hereTile.x === tile.x && hereTile.z === tile.z) return true;
+      }
+      return isWalkable(walkGrid, tile.x, tile.z);
+    }
+
+    /** Move the local player from held keys or the gamepad and stream where they got to */
+    function updateSteering(delta) {
+      input.update();
+      const dir = dialogueUI.visible || fishingState ? null : input.getMoveVector();
+      if (dir) {
+        const pos = players.steer(network.playerId, dir, delta, canStandAt);
+        steering = true;
+        steerSendTimer -= delta;
+        if (pos && steerSendTimer <= 0) {
+          network.sendMove(pos.x, pos.z, true);
+          steerSendTimer = STEER_SEND_INTERVAL;
+        }
+      } else if (steering) {
+        steering = false;
+        steerSendTimer = 0;
+        players.stopSteering(network.playerId);
+        const pos = players.getLocalPlayerPosition(network.playerId);
+        if (pos) network.sendMove(pos.x, pos.z, true);
+      }
+    }
+
     // --- Hold-to-expand: 1x3 row action ---
     input.on('tileActionExpanded', ({ tile, worldPos }) => {
       if (dialogueUI.visible || selectionManager.hasContextMenu()) return;
@@ -524,7 +705,20 @@ async function main() {
     });
 
     // --- Keyboard shortcuts ---
-    input.on('keyDown', ({ key }) => {
+    input.on('keyDown', ({ key, action }) => {
+      if (key === 'Escape' && placer.active) {
+        placer.cancel();
+        return;
+      }
+      if (key === 'Escape' && settingsUI.visible) {
+        settingsUI.hide();
+        return;
+      }
+      if (key === 'Escape' && chestUI.visible) {
+        chestUI.hide();
+        return;
+      }
+
       // Cancel fishing on Escape
       if (key === 'Escape' && fishingState) {
         fishingState = null;
@@ -534,19 +728,19 @@ async function main() {
         return;
       }
 
-      if (key === 'r' || key === 'R') {
-        network.sendRestAtHouse();
-      }
-      if (key === 'i' || key === 'I') inventoryUI.toggle();
-      if (key === 'F3') debugWindow.toggle();
-      if (key === 'c' || key === 'C') {
+      if (action === 'rest') network.sendRestAtHouse();
+      if (action === 'inventory') inventoryUI.toggle();
+      if (action === 'quests') questLogUI.toggle();
+      if (action === 'settings') settingsUI.toggle();
+      if (action === 'debug') debugWindow.toggle();
+      if (action === 'crafting') {
         if (craftingUI.visible) {
           craftingUI.hide();
         } else {
           // Find nearest crafting building
           const craftBuildings = [];
           for (const [id, b] of Object.entries(buildingsMap)) {
-            if (b.type === 'mill' || b.type === 'forge') {
+            if (['mill', 'forge', 'kitchen', 'loom'].includes(b.type) && !b.construction) {
               craftBuildings.push(b);
             }
           }
@@ -563,9 +757,14 @@ async function main() {
 
     // --- Network event handlers ---
     network.on('worldUpdate', (data) => {
+      walkGrid = null;
       switch (data.type) {
         case 'playerMove':
-          players.updatePosition(data.playerId, data.x, data.z);
+          if (data.path) players.followPath(data.playerId, data.path);
+          else players.updatePosition(data.playerId, data.x, data.z);
+          break;
+        case 'playerCorrection':
+          players.teleport(network.playerId, data.x, data.z);
           break;
         case 'tileChange':
           terrain.updateTile(data.x, data.z, data.tileType);
@@ -602,17 +801,35 @@ async function main() {
           break;
         case 'npcDialogue':
           dialogueUI._npcId = data.npcId;
-          dialogueUI.show(data.npcName, data.text, [], data.upgradeOptions || null);
+          dialogueUI.show(data.npcName, data.text, [], data.upgradeOptions || null,
+            { offer: data.questOffer || null, turnIns: data.questTurnIns || [] });
+          break;
+        case 'questLog':
+          questLogUI.update(data.quests);
+          if (data.message) showToast(data.message, '', '\uD83D\uDCDC');
           break;
         case 'animalUpdate':
-          // Update the animal data stored in renderer
-          if (data.animal) {
-            const entry = animals.animalMeshes.get(data.animal.id);
-            if (entry) entry.data = data.animal;
+          if (data.animal) animals.updateAnimal(data.animal);
+          break;
+        case 'animalsTended':
+          if (data.count === 0) {
+            showToast(data.action === 'fed' ? 'Everyone inside has eaten today' : 'Nothing to collect yet', '', '\u{1F414}');
+          } else if (data.action === 'fed') {
+            showToast(`Fed ${data.count} animal${data.count === 1 ? '' : 's'}`, 'success', '\u{1F33E}');
           }
           break;
         case 'petUpdate':
-          console.log(data.message);
+          if (data.pet) pets.updatePet(data.pet);
+          if (data.pets) for (const p of data.pets) pets.moveTo(p);
+          if (data.message) console.log(data.message);
+          break;
+        case 'petFound': {
+          const itemName = getItemIcon(data.itemId).name;
+          showToast(data.dug ? `${data.petName} dug up a ${itemName}!` : `${data.petName} fetched a ${itemName}!`, 'success', '\u{1F43E}');
+          break;
+        }
+        case 'forageSpawned':
+          forage.addForageItem(data.spawn);
           break;
         case 'petGroomResult':
           if (data.success) {
@@ -671,6 +888,34 @@ async function main() {
         case 'machineUpdate':
           machines.updateMachine(data.machine);
           break;
+        case 'crabPotPlaced':
+          crabPots.addCrabPot(data.crabPot);
+          break;
+        case 'crabPotUpdate':
+          crabPots.updateCrabPot(data.crabPot);
+          break;
+        case 'chestPlaced':
+          chests.addChest(data.chest);
+          break;
+        case 'chestOpen':
+          inventoryUI.hide();
+          chestUI.show(data.chest);
+          break;
+        case 'chestUpdate':
+          chests.updateChest(data.chest);
+          chestUI.updateChest(data.chest);
+          break;
+        case 'chestRemoved':
+          chests.removeChest(data.chestId);
+          chestUI.removeChest(data.chestId);
+          break;
+        case 'chestError':
+          showToast(data.message, 'fail', '\u{1F4E6}');
+          break;
+        case 'treasureFound':
+          lootToast.show(data.drops);
+          showToast('Found a treasure chest!', 'success', '\u{1F4B0}');
+          break;
         case 'fullSync':
           crops.dispose();
           crops.build(data.crops);
@@ -678,6 +923,11 @@ async function main() {
           sprinklers.build(data.sprinklers || []);
           machines.dispose();
           machines.build(data.machines || []);
+          crabPots.dispose();
+          crabPots.build(data.crabPots || []);
+          chests.dispose();
+          chests.build(data.chests || []);
+          for (const chest of data.chests || []) chestUI.updateChest(chest);
           forage.dispose();
           forage.build(data.forageItems || []);
           resources.dispose();
@@ -698,12 +948,80 @@ async function main() {
         case 'craftError':
           console.log(data.message);
           break;
+        case 'buildingPlaced':
+          buildingsMap[data.building.id] = data.building;
+          buildings.addBuilding(data.building);
+          break;
+        case 'buildingUpdate':
+          buildingsMap[data.building.id] = data.building;
+          buildings.updateBuilding(data.building);
+          break;
+        case 'buildError':
+          showToast(data.message, 'fail', '\u{1F6A7}');
+          break;
+        case 'shopOpen':
+          shopUI.show(data.shop, localPlayer?.coins || 0);
+          break;
+        case 'shopPurchase':
+          showToast(`Bought ${data.name}${data.quantity > 1 ? ` x${data.quantity}` : ''} for ${data.cost}g`, 'success', '\u{1F6D2}');
+          break;
+        case 'tackleBroke':
+          showToast(`Your ${getItemIcon(data.itemId).name} broke!`, 'fail', '\u{1F3A3}');
+          break;
+        case 'shopError':
+          showToast(data.message, 'fail', '\u{1F6D2}');
+          break;
+        case 'inventoryFull':
+          showToast(data.lost
+            ? `Backpack full! Lost ${getItemIcon(data.lost.itemId).name}${data.lost.quantity > 1 ? ` x${data.lost.quantity}` : ''}`
+            : 'Backpack full!', 'fail', '\u{1F392}');
+          break;
+        case 'inventoryError':
+          showToast(data.message, 'fail', '\u{1F392}');
+          break;
+        case 'backpackUpgraded':
+          showToast(`Backpack upgraded to ${data.size} slots`, 'success', '\u{1F392}');
+          break;
+        case 'animalAdded':
+          animals.build([data.animal]);
+          break;
+        case 'animalRemoved':
+          animals.removeAnimal(data.animalId);
+          break;
+        case 'animalSold':
+          showToast(`Sold ${data.name} for ${data.price}g`, 'success', '\u{1FA99}');
+          break;
+        case 'petAdded':
+          pets.addPet(data.pet);
+          break;
+        case 'petCosmeticsUnlocked':
+          for (const pet of data.pets) {
+            const entry = pets.petMeshes.get(pet.id);
+            if (entry) entry.data = pet;
+          }
+          break;
         case 'toolUpgraded':
           console.log(`Tool upgraded: ${data.tool} to tier ${data.newTier}`);
           break;
         case 'playerCollapse':
           console.log(`You collapsed! Lost ${data.penalty} coins.`);
           break;
+        case 'enemyUpdate':
+          enemies.sync(data.enemies);
+          break;
+        case 'enemyHit':
+          enemies.onEnemyHit(data.enemyId, data.hp);
+          break;
+        case 'enemyKilled':
+          enemies.removeEnemy(data.enemyId);
+          break;
+        case 'playerDamaged':
+          hud.updateStats(data);
+          break;
+        case 'playerKnockedOut':
+          hud.updateStats(data);
+          showToast(`You were knocked out! Lost ${data.penalty} coins.`, 'fail', '\uD83D\uDCAB');
+          break;
         case 'professionChoice':
           professionUI.show(data.skill, data.level, data.options);
           break;
@@ -713,6 +1031,9 @@ async function main() {
         case 'mapTransition': {
           // Rebuild world from new map state
           const ms = data.mapState;
+          shopUI.hide();
+          buildUI.hide();
+          placer.cancel();
           terrain.dispose();
           terrain.build(ms.tiles, data.season || 0);
           water.dispose();
@@ -734,6 +1055,11 @@ async function main() {
           sprinklers.build(ms.sprinklers || []);
           machines.dispose();
           machines.build(ms.machines || []);
+          crabPots.dispose();
+          crabPots.build(ms.crabPots || []);
+          chests.dispose();
+          chests.build(ms.chests || []);
+          chestUI.hide();
           forage.dispose();
           forage.build(data.forageItems || []);
           npcs.dispose();
@@ -742,6 +1068,8 @@ async function main() {
           pets.build(ms.pets || []);
           animals.dispose();
           animals.build(ms.animals || []);
+          enemies.dispose();
+          enemies.build(ms.enemies || []);
 
           // Rebuild seasonal effects for new map
           seasonalEffects.dispose();
@@ -755,7 +1083,7 @@ async function main() {
 
           // Reposition player and snap camera
           if (data.spawnX !== undefined) {
-            players.updatePosition(network.playerId, data.spawnX, data.spawnZ);
+            players.teleport(network.playerId, data.spawnX, data.spawnZ);
             sceneManager.panTo(data.spawnX, data.spawnZ);
           }
           hud.updateMap(data.mapId);
@@ -764,6 +1092,10 @@ async function main() {
       }
     });
 
+    // --- Chat ---
+    chatUI.onSend = (text) => network.sendChat(text);
+    network.on('chatMessage', (msg) => chatUI.addMessage(msg));
+
     network.on('timeUpdate', (data) => {
       hud.updateTime(data);
       sceneManager.setTimeOfDay(data.hour);
@@ -776,9 +1108,17 @@ async function main() {
     });
     network.on('inventoryUpdate', (data) => {
       hud.updateStats(data);
-      hud.syncQuantities(data.inventory);
-      inventoryUI.update(data.inventory);
-      if (localPlayer) localPlayer.inventory = data.inventory;
+      hud.setInventory(data.inventory, data.backpackSize);
+      chestUI.updateInventory(data.inventory, data.backpackSize);
+      inventoryUI.update(data.inventory, data.professions,
+        { bait: data.bait, tackle: data.tackle, tackleWear: data.tackleWear }, data.backpackSize);
+      if (localPlayer) {
+        localPlayer.inventory = data.inventory;
+        localPlayer.professions = data.professions;
+        localPlayer.coins = data.coins;
+      }
+      shopUI.updateCoins(data.coins);
+      buildUI.update(data.coins, data.inventory);
     });
     network.on('playerJoin', (data) => {
       players.addPlayer(data.player, false);
@@ -790,6 +1130,7 @@ async function main() {
     // --- Render loop ---
     sceneManager.onUpdate((delta) => {
       water.update(delta);
+      crabPots.update(delta);
       crops.update(delta);
       decorations.update(delta);
       grass.update(delta);
@@ -797,6 +1138,7 @@ async function main() {
       creatures.update(delta, sceneManager.cameraTarget);
       weather.update(delta, sceneManager.cameraTarget);
       seasonalEffects.update(delta, sceneManager.cameraTarget);
+      updateSteering(delta);
       players.update(delta);
       fishingEffects.update(delta);
       actionEffects.update(delta);
@@ -807,6 +1149,7 @@ async function main() {
       npcs.update(delta);
       pets.update(delta);
       animals.update(delta);
+      enemies.update(delta);
       sprinklers.update(delta);
 
       // Smooth camera follow
@@ -831,7 +1174,12 @@ async function main() {
   } catch (err) {
     console.error('Failed to connect:', err);
     debugClient.log('FATAL', 'Connection failed', { error: err.message, stack: err.stack });
-    document.body.innerHTML = '<div style="color:white;padding:20px;font-family:sans-serif"><h2>Connection Failed</h2><p>Make sure the server is running on port 3000.</p><p>Run: <code>npm run dev:server</code></p></div>';
+    if (err.rejected) {
+      document.body.innerHTML = '<div style="color:white;padding:20px;font-family:sans-serif"><h2>Already Playing</h2><p id="join-rejected-reason"></p><p>Close the other window and reload.</p></div>';
+      document.getElementById('join-rejected-reason').textContent = err.message;
+    } else {
+      document.body.innerHTML = '<div style="color:white;padding:20px;font-family:sans-serif"><h2>Connection Failed</h2><p>Make sure the server is running on port 3000.</p><p>Run: <code>npm run dev:server</code></p></div>';
+    }
   }
 }
 
@@ -5,12 +5,33 @@
 import { io } from 'socket.io-client';
 import { ACTIONS } from '@shared/constants.js';
 
+const TOKEN_KEY = 'ourfarm.playerToken';
+const PROFILE_KEY = 'ourfarm.profile';
+
 export class NetworkClient {
   constructor() {
     this.socket = null;
     this.playerId = null;
     this.connected = false;
     this._handlers = {};
+    // Identifies this tab so the server can tell a reconnect from a second window
+    this.sessionId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+  }
+
+  /** Saved farmer (name + appearance) from a previous session, or null */
+  static getSavedProfile() {
+    if (!localStorage.getItem(TOKEN_KEY)) return null;
+    try {
+      return JSON.parse(localStorage.getItem(PROFILE_KEY)) || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** Forget the saved farmer so the next join creates a new one */
+  static clearIdentity() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(PROFILE_KEY);
   }
 
   /** Connect to the game server */
@@ -26,15 +47,34 @@ export class NetworkClient {
       this.socket.on('connect', () => {
         this.connected = true;
         console.log('Connected to server:', this.socket.id);
-        this.socket.emit(ACTIONS.PLAYER_JOIN, { name: playerName, appearance });
+        this.socket.emit(ACTIONS.PLAYER_JOIN, {
+          name: playerName,
+          appearance,
+          token: localStorage.getItem(TOKEN_KEY),
+          sessionId: this.sessionId,
+        });
       });
 
       this.socket.on(ACTIONS.WORLD_STATE, (state) => {
         this.playerId = state.playerId;
+        if (state.playerToken) {
+          localStorage.setItem(TOKEN_KEY, state.playerToken);
+          localStorage.setItem(PROFILE_KEY, JSON.stringify({ name: playerName, appearance }));
+        }
         this._emit('worldState', state);
         resolve(state);
       });
 
+      this.socket.on(ACTIONS.JOIN_REJECTED, (data) => {
+        console.warn('Join rejected:', data.reason);
+        this.socket.io.opts.reconnection = false;
+        this.socket.disconnect();
+        this._emit('joinRejected', data);
+        const err = new Error(data.reason);
+        err.rejected = true;
+        reject(err);
+      });
+
       this.socket.on('disconnect', () => {
         this.connected = false;
         console.log('Disconnected from server');
@@ -62,13 +102,17 @@ export class NetworkClient {
 
   // ─── Send actions to server ───
 
-  sendMove(x, z) { this.socket.emit(ACTIONS.PLAYER_MOVE, { x, z }); }
+  /** Walk to a spot, or with `direct` report where keyboard/gamepad steering has got to */
+  sendMove(x, z, direct = false) { this.socket.emit(ACTIONS.PLAYER_MOVE, direct ? { x, z, direct } : { x, z }); }
+  sendSettings(settings) { this.socket.emit(ACTIONS.PLAYER_SETTINGS, settings); }
   sendTill(tileX, tileZ) { this.socket.emit(ACTIONS.FARM_TILL, { x: tileX, z: tileZ }); }
   sendPlant(tileX, tileZ, cropType) { this.socket.emit(ACTIONS.FARM_PLANT, { x: tileX, z: tileZ, cropType }); }
   sendWater(tileX, tileZ) { this.socket.emit(ACTIONS.FARM_WATER, { x: tileX, z: tileZ }); }
   sendHarvest(tileX, tileZ) { this.socket.emit(ACTIONS.FARM_HARVEST, { x: tileX, z: tileZ }); }
   sendFishCast(x, z) { this.socket.emit(ACTIONS.FISH_CAST, { x, z }); }
-  sendFishReel(success) { this.socket.emit(ACTIONS.FISH_REEL, { success }); }
+  sendFishReel(success, treasure = false) { this.socket.emit(ACTIONS.FISH_REEL, { success, treasure }); }
+  sendFishProgress(progress) { this.socket.emit(ACTIONS.FISH_PROGRESS, { progress }); }
+  sendFishEquip(itemId) { this.socket.emit(ACTIONS.FISH_EQUIP, { itemId }); }
   sendFishCancel() { this.socket.emit(ACTIONS.FISH_REEL, { success: false }); }
   sendNPCTalk(npcId) { this.socket.emit(ACTIONS.NPC_TALK, { npcId }); }
   sendNPCGift(npcId, itemId) { this.socket.emit(ACTIONS.NPC_GIFT, { npcId, itemId }); }
@@ -76,26 +120,48 @@ export class NetworkClient {
   sendPetGroom(petId, stars, equipped) { this.socket.emit(ACTIONS.PET_GROOM, { petId, stars, equipped }); }
   sendCraftStart(buildingId, recipeId) { this.socket.emit(ACTIONS.CRAFT_START, { buildingId, recipeId }); }
   sendCraftCollect(buildingId) { this.socket.emit(ACTIONS.CRAFT_COLLECT, { buildingId }); }
-  sendBuy(itemId, quantity) { this.socket.emit(ACTIONS.SHOP_BUY, { itemId, quantity }); }
+  sendBuildingPlace(type, x, z) { this.socket.emit(ACTIONS.BUILDING_PLACE, { type, x, z }); }
+  sendShopOpen(shopId) { this.socket.emit(ACTIONS.SHOP_OPEN, { shopId }); }
+  sendShopBuy(shopId, itemId, quantity, options = {}) { this.socket.emit(ACTIONS.SHOP_BUY, { shopId, itemId, quantity, ...options }); }
   sendSell(itemId, quantity) { this.socket.emit(ACTIONS.SHOP_SELL, { itemId, quantity }); }
+  /** Move a stack (or `quantity` of it) between backpack slots */
+  sendInventoryMove(from, to, quantity) { this.socket.emit(ACTIONS.INVENTORY_MOVE, { from, to, quantity }); }
+  sendInventoryTrash(slot, quantity) { this.socket.emit(ACTIONS.INVENTORY_TRASH, { slot, quantity }); }
+  sendInventoryUpgrade() { this.socket.emit(ACTIONS.INVENTORY_UPGRADE); }
   sendAnimalFeed(animalId) { this.socket.emit(ACTIONS.ANIMAL_FEED, { animalId }); }
+  sendAnimalPet(animalId) { this.socket.emit(ACTIONS.ANIMAL_PET, { animalId }); }
+  sendAnimalSell(animalId) { this.socket.emit(ACTIONS.ANIMAL_SELL, { animalId }); }
   sendAnimalCollect(animalId) { this.socket.emit(ACTIONS.ANIMAL_COLLECT, { animalId }); }
+  sendHomeFeed(homeId) { this.socket.emit(ACTIONS.ANIMAL_FEED, { homeId }); }
+  sendHomeCollect(homeId) { this.socket.emit(ACTIONS.ANIMAL_COLLECT, { homeId }); }
+  sendAnimalDoor(buildingId) { this.socket.emit(ACTIONS.ANIMAL_DOOR, { buildingId }); }
   sendToolUpgrade(tool) { this.socket.emit(ACTIONS.TOOL_UPGRADE, { tool }); }
   sendPlaceSprinkler(sprinklerType, x, z) { this.socket.emit(ACTIONS.PLACE_SPRINKLER, { sprinklerType, x, z }); }
   sendApplyFertilizer(fertilizerType, x, z) { this.socket.emit(ACTIONS.APPLY_FERTILIZER, { fertilizerType, x, z }); }
   sendPlaceMachine(machineType, x, z) { this.socket.emit(ACTIONS.PLACE_MACHINE, { machineType, x, z }); }
   sendMachineInput(machineId, itemId) { this.socket.emit(ACTIONS.MACHINE_INPUT, { machineId, itemId }); }
   sendMachineCollect(machineId) { this.socket.emit(ACTIONS.MACHINE_COLLECT, { machineId }); }
+  sendPlaceCrabPot(x, z) { this.socket.emit(ACTIONS.PLACE_CRAB_POT, { x, z }); }
+  sendCrabPotInteract(potId, itemId) { this.socket.emit(ACTIONS.CRAB_POT_INTERACT, { potId, itemId }); }
+  sendPlaceChest(x, z) { this.socket.emit(ACTIONS.CHEST_PLACE, { x, z }); }
+  sendChestOpen(chestId) { this.socket.emit(ACTIONS.CHEST_OPEN, { chestId }); }
+  sendChestDeposit(chestId, slot, quantity) { this.socket.emit(ACTIONS.CHEST_DEPOSIT, { chestId, slot, quantity }); }
+  sendChestWithdraw(chestId, slot, quantity) { this.socket.emit(ACTIONS.CHEST_WITHDRAW, { chestId, slot, quantity }); }
+  sendChestColor(chestId, color) { this.socket.emit(ACTIONS.CHEST_COLOR, { chestId, color }); }
+  sendChestPickup(chestId) { this.socket.emit(ACTIONS.CHEST_PICKUP, { chestId }); }
   sendForageCollect(x, z) { this.socket.emit(ACTIONS.FORAGE_COLLECT, { x, z }); }
   sendShipItem(itemId, quantity = 1) { this.socket.emit(ACTIONS.SHIP_ITEM, { itemId, quantity }); }
   sendProfessionChoice(skill, professionId) { this.socket.emit(ACTIONS.PROFESSION_CHOICE, { skill, professionId }); }
   sendResourceHit(tileX, tileZ) { this.socket.emit(ACTIONS.RESOURCE_HIT, { x: tileX, z: tileZ }); }
   sendTreeShake(tileX, tileZ) { this.socket.emit(ACTIONS.TREE_SHAKE, { x: tileX, z: tileZ }); }
+  sendAttack(enemyId, weaponId) { this.socket.emit(ACTIONS.COMBAT_ATTACK, { enemyId, weaponId }); }
   sendMultiTill(tiles) { this.socket.emit(ACTIONS.MULTI_TILL, { tiles }); }
   sendMultiWater(tiles) { this.socket.emit(ACTIONS.MULTI_WATER, { tiles }); }
   sendMultiPlant(tiles, cropType) { this.socket.emit(ACTIONS.MULTI_PLANT, { tiles, cropType }); }
   sendRestAtHouse() { this.socket.emit(ACTIONS.REST_AT_HOUSE); }
   sendChat(message) { this.socket.emit(ACTIONS.CHAT_MESSAGE, { message }); }
+  sendQuestAccept(questId) { this.socket.emit(ACTIONS.QUEST_ACCEPT, { questId }); }
+  sendQuestTurnIn(questId) { this.socket.emit(ACTIONS.QUEST_TURN_IN, { questId }); }
 
   // ─── Event system ───
 
@@ -0,0 +1,111 @@
+// client/src/ui/BuildUI.js
+// Construction menu opened from the farmhouse — blueprints with their coin
+// and material costs. Choosing one hands off to placement on the farm;
+// the server checks the cost and the spot.
+
+import { getItemIcon } from './ItemIcons.js';
+
+export class BuildUI {
+  constructor() {
+    this.container = document.createElement('div');
+    this.container.id = 'build-panel';
+    this.container.className = 'panel hidden';
+    document.getElementById('ui-overlay').appendChild(this.container);
+    this.visible = false;
+    this.onSelect = null;
+    this._blueprints = {};
+    this._coins = 0;
+    this._inventory = [];
+  }
+
+  show(blueprints, coins = 0, inventory = []) {
+    this._blueprints = blueprints;
+    this._coins = coins;
+    this._inventory = inventory;
+    this.visible = true;
+    this.container.classList.remove('hidden');
+    this._render();
+  }
+
+  /** Re-check affordability after coins or inventory change */
+  update(coins, inventory) {
+    this._coins = coins;
+    this._inventory = inventory;
+    if (this.visible) this._render();
+  }
+
+  hide() {
+    this.visible = false;
+    this.container.classList.add('hidden');
+  }
+
+  _countItem(itemId) {
+    return this._inventory.filter(i => i.itemId === itemId).reduce((sum, i) => sum + i.quantity, 0);
+  }
+
+  _render() {
+    this.container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'craft-header';
+    const title = document.createElement('span');
+    title.className = 'craft-title';
+    title.textContent = 'Construction';
+    header.appendChild(title);
+    const closeBtn = document.createElement('span');
+    closeBtn.className = 'craft-close';
+    closeBtn.textContent = '\u2715';
+    closeBtn.onclick = () => this.hide();
+    header.appendChild(closeBtn);
+    this.container.appendChild(header);
+
+    const info = document.createElement('div');
+    info.className = 'shop-info';
+    info.innerHTML = `<span>Pick a building, then a spot on the farm</span><span>\u{1FA99} ${this._coins}g</span>`;
+    this.container.appendChild(info);
+
+    const list = document.createElement('div');
+    list.className = 'craft-items';
+    for (const [type, bp] of Object.entries(this._blueprints)) {
+      const item = document.createElement('div');
+      item.className = 'craft-item';
+
+      const details = document.createElement('div');
+      details.style.flex = '1';
+      const nameDiv = document.createElement('div');
+      nameDiv.textContent = `\u{1F3E0} ${bp.name}`;
+      details.appendChild(nameDiv);
+
+      const descDiv = document.createElement('div');
+      descDiv.className = 'build-desc';
+      descDiv.textContent = `${bp.description} ${bp.buildDays} day${bp.buildDays === 1 ? '' : 's'} to build.`;
+      details.appendChild(descDiv);
+
+      let affordable = this._coins >= bp.cost;
+      const costDiv = document.createElement('div');
+      costDiv.className = 'build-cost';
+      const parts = [`${bp.cost}g`];
+      for (const [itemId, qty] of Object.entries(bp.materials)) {
+        const have = this._countItem(itemId);
+        if (have < qty) affordable = false;
+        const icon = getItemIcon(itemId);
+        parts.push(`${icon.emoji} ${icon.name} ${have}/${qty}`);
+      }
+      costDiv.textContent = parts.join(', ');
+      details.appendChild(costDiv);
+      item.appendChild(details);
+
+      const buildBtn = document.createElement('button');
+      buildBtn.className = 'craft-btn';
+      buildBtn.textContent = 'Build';
+      buildBtn.disabled = !affordable;
+      buildBtn.onclick = () => {
+        this.hide();
+        if (this.onSelect) this.onSelect(type);
+      };
+      item.appendChild(buildBtn);
+      list.appendChild(item);
+    }
+    this.container.appendChild(list);
+  }
+}
@@ -0,0 +1,113 @@
+// client/src/ui/ChatUI.js
+// Chat log + input box. Enter opens the input (or "/" to start a command),
+// Enter sends, Escape closes. While the input has focus InputManager ignores keys.
+
+import { CHAT_MAX_LENGTH } from '@shared/constants.js';
+
+const MAX_HISTORY = 100;
+const FADE_DELAY_MS = 10000;
+
+export class ChatUI {
+  constructor() {
+    this.onSend = null;
+    this._fadeTimer = null;
+
+    this.el = document.createElement('div');
+    this.el.className = 'chat-panel chat-faded';
+    this.el.innerHTML = `
+      <div class="chat-log"></div>
+      <input type="text" class="chat-input hidden" maxlength="${CHAT_MAX_LENGTH + 40}"
+        placeholder="Say something... (/w name to whisper)" spellcheck="false" />
+    `;
+    document.getElementById('ui-overlay').appendChild(this.el);
+
+    this.logEl = this.el.querySelector('.chat-log');
+    this.inputEl = this.el.querySelector('.chat-input');
+
+    this.inputEl.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        const text = this.inputEl.value.trim();
+        if (text && this.onSend) this.onSend(text);
+        this.close();
+      } else if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+    this.inputEl.addEventListener('blur', () => this.close());
+
+    this._onGlobalKey = (e) => {
+      if (this.isOpen || isEditable(document.activeElement)) return;
+      if (e.key === 'Enter' || e.key === '/') {
+        e.preventDefault();
+        this.open(e.key === '/' ? '/' : '');
+      }
+    };
+    window.addEventListener('keydown', this._onGlobalKey);
+  }
+
+  get isOpen() {
+    return !this.inputEl.classList.contains('hidden');
+  }
+
+  open(prefill = '') {
+    this.inputEl.value = prefill;
+    this.inputEl.classList.remove('hidden');
+    this.inputEl.focus();
+    this._wake();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.inputEl.value = '';
+    this.inputEl.classList.add('hidden');
+    this.inputEl.blur();
+    this._wake();
+  }
+
+  /** Append a message from the server: { channel, from, to?, text } */
+  addMessage(msg) {
+    const line = document.createElement('div');
+    line.className = `chat-line chat-${msg.channel}`;
+
+    if (msg.channel === 'system') {
+      line.textContent = msg.text;
+    } else {
+      const name = document.createElement('span');
+      name.className = 'chat-name';
+      name.textContent = msg.channel === 'whisper'
+        ? `${msg.from} → ${msg.to}: `
+        : `${msg.from}: `;
+      line.appendChild(name);
+      line.appendChild(document.createTextNode(msg.text));
+    }
+
+    this.logEl.appendChild(line);
+    while (this.logEl.children.length > MAX_HISTORY) {
+      this.logEl.removeChild(this.logEl.firstChild);
+    }
+    this.logEl.scrollTop = this.logEl.scrollHeight;
+    this._wake();
+  }
+
+  /** Show the log at full opacity, fading again after a quiet period */
+  _wake() {
+    this.el.classList.remove('chat-faded');
+    clearTimeout(this._fadeTimer);
+    this._fadeTimer = setTimeout(() => {
+      if (!this.isOpen) this.el.classList.add('chat-faded');
+    }, FADE_DELAY_MS);
+  }
+
+  dispose() {
+    clearTimeout(this._fadeTimer);
+    window.removeEventListener('keydown', this._onGlobalKey);
+    this.el.remove();
+  }
+}
+
+/** True when keyboard input is going to a text field */
+function isEditable(el) {
+  if (!el) return false;
+  return el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable;
+}
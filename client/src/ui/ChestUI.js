@@ -0,0 +1,166 @@
+// client/src/ui/ChestUI.js
+// A storage chest beside the backpack. Clicking a stack moves it across to
+// the other side (Shift-click moves half); the server does the moving and
+// everyone on the farm sees the chest's new contents. Colour swatches relabel
+// the chest, and an empty one can be picked back up.
+
+import { getItemIcon } from './ItemIcons.js';
+import { CHEST_SLOTS, CHEST_COLORS, BACKPACK_BASE_SIZE } from '@shared/constants.js';
+
+const QUALITY_STARS = { 1: '\u2605', 2: '\u2605\u2605', 3: '\u2605\u2605\u2605' };
+const QUALITY_COLORS = { 1: '#c0c0c0', 2: '#ffd700', 3: '#b366ff' };
+
+export class ChestUI {
+  constructor() {
+    this.visible = false;
+    this.chest = null;
+    this.inventory = [];
+    this.backpackSize = BACKPACK_BASE_SIZE;
+    this.onDeposit = null;  // (chestId, backpackSlot, quantity)
+    this.onWithdraw = null; // (chestId, chestSlot, quantity)
+    this.onColor = null;    // (chestId, color)
+    this.onPickup = null;   // (chestId)
+    this._overlayEl = null;
+  }
+
+  show(chest) {
+    this.chest = chest;
+    this.visible = true;
+    this.render();
+  }
+
+  hide() {
+    this.visible = false;
+    this.chest = null;
+    this._removeOverlay();
+  }
+
+  /** New contents or colour for a chest; redrawn if it's the open one */
+  updateChest(chest) {
+    if (!this.visible || this.chest?.id !== chest.id) return;
+    this.chest = chest;
+    this.render();
+  }
+
+  /** Close if the open chest was picked up */
+  removeChest(chestId) {
+    if (this.chest?.id === chestId) this.hide();
+  }
+
+  updateInventory(inventory, backpackSize) {
+    this.inventory = inventory || [];
+    if (backpackSize) this.backpackSize = backpackSize;
+    if (this.visible) this.render();
+  }
+
+  render() {
+    this._removeOverlay();
+    if (!this.chest) return;
+    const chestId = this.chest.id;
+
+    this._overlayEl = document.createElement('div');
+    this._overlayEl.className = 'backpack-overlay';
+    this._overlayEl.addEventListener('click', (e) => {
+      if (e.target === this._overlayEl) this.hide();
+    });
+
+    const panel = document.createElement('div');
+    panel.className = 'backpack-panel chest-panel';
+
+    const header = document.createElement('div');
+    header.className = 'backpack-header';
+    header.innerHTML = '<h3>Chest</h3>';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'backpack-close';
+    closeBtn.textContent = 'X';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    const panes = document.createElement('div');
+    panes.className = 'chest-panes';
+    panes.appendChild(this._pane('In the chest', this.chest.items, CHEST_SLOTS, 'chest-grid',
+      (item, quantity) => { if (this.onWithdraw) this.onWithdraw(chestId, item.slot, quantity); }));
+    panes.appendChild(this._pane('Backpack', this.inventory, this.backpackSize, 'backpack-grid',
+      (item, quantity) => { if (this.onDeposit) this.onDeposit(chestId, item.slot, quantity); }));
+    panel.appendChild(panes);
+
+    panel.appendChild(this._renderFooter(chestId));
+    this._overlayEl.appendChild(panel);
+    document.getElementById('ui-overlay').appendChild(this._overlayEl);
+  }
+
+  /** One side: a titled grid of slots; clicking a stack hands it to `onMove` */
+  _pane(title, items, size, gridClass, onMove) {
+    const pane = document.createElement('div');
+    pane.className = 'chest-pane';
+    const heading = document.createElement('div');
+    heading.className = 'chest-pane-title';
+    heading.textContent = title;
+    pane.appendChild(heading);
+
+    const grid = document.createElement('div');
+    grid.className = gridClass;
+    const bySlot = new Map(items.map(item => [item.slot, item]));
+    const slots = Math.max(size, ...items.map(i => i.slot + 1));
+    for (let i = 0; i < slots; i++) {
+      const item = bySlot.get(i);
+      const slot = document.createElement('div');
+      slot.className = 'backpack-slot';
+      if (item) {
+        const icon = getItemIcon(item.itemId);
+        slot.innerHTML = `<span>${icon.emoji}</span>`;
+        if (item.quantity > 1) slot.innerHTML += `<span class="slot-qty">${item.quantity}</span>`;
+        if (item.quality > 0 && QUALITY_STARS[item.quality]) {
+          slot.innerHTML += `<span class="quality-star" style="color:${QUALITY_COLORS[item.quality]}">${QUALITY_STARS[item.quality]}</span>`;
+        }
+        slot.title = `${icon.name}${item.quantity > 1 ? ' x' + item.quantity : ''}` +
+          (item.quantity > 1 ? '\nShift-click to move half' : '');
+        slot.addEventListener('click', (e) => {
+          onMove(item, e.shiftKey && item.quantity > 1 ? Math.ceil(item.quantity / 2) : undefined);
+        });
+      }
+      grid.appendChild(slot);
+    }
+    pane.appendChild(grid);
+    return pane;
+  }
+
+  /** Colour label swatches and, for an empty chest, picking it up */
+  _renderFooter(chestId) {
+    const footer = document.createElement('div');
+    footer.className = 'backpack-footer';
+
+    const swatches = document.createElement('div');
+    swatches.className = 'chest-swatches';
+    for (const [name, hex] of Object.entries(CHEST_COLORS)) {
+      const swatch = document.createElement('button');
+      swatch.className = 'chest-swatch' + (this.chest.color === name ? ' selected' : '');
+      swatch.style.background = `#${hex.toString(16).padStart(6, '0')}`;
+      swatch.title = name[0].toUpperCase() + name.slice(1);
+      swatch.addEventListener('click', () => {
+        if (this.onColor) this.onColor(chestId, name);
+      });
+      swatches.appendChild(swatch);
+    }
+    footer.appendChild(swatches);
+
+    const pickup = document.createElement('button');
+    pickup.className = 'craft-btn';
+    pickup.textContent = 'Pick up chest';
+    pickup.disabled = this.chest.items.length > 0;
+    pickup.title = pickup.disabled ? 'Empty the chest first' : '';
+    pickup.addEventListener('click', () => {
+      if (this.onPickup) this.onPickup(chestId);
+    });
+    footer.appendChild(pickup);
+    return footer;
+  }
+
+  _removeOverlay() {
+    if (this._overlayEl) {
+      this._overlayEl.remove();
+      this._overlayEl = null;
+    }
+  }
+}
@@ -9,10 +9,13 @@ export class DialogueUI {
     this.onChoice = null;
     this.onGiftRequest = null;
     this.onToolUpgrade = null;
+    this.onQuestAccept = null;
+    this.onQuestTurnIn = null;
     this._npcId = null;
   }
 
-  show(npcName, text, choices = [], upgradeOptions = null) {
+  /** quests: { offer, turnIns } from the npcDialogue update, if any */
+  show(npcName, text, choices = [], upgradeOptions = null, quests = null) {
     this.visible = true;
     this.container.className = 'panel';
 
@@ -29,12 +32,28 @@ export class DialogueUI {
       upgradeHTML += '</div>';
     }
 
+    let questHTML = '';
+    if (quests?.turnIns?.length || quests?.offer) {
+      questHTML = '<div class="dialogue-choices dialogue-quests">';
+      for (const q of quests.turnIns || []) {
+        questHTML += `<div class="dialogue-choice dialogue-quest-btn" data-quest="${q.id}" data-action="turnIn">` +
+          `\u2705 Turn in: ${q.description}</div>`;
+      }
+      if (quests.offer) {
+        const o = quests.offer;
+        questHTML += `<div class="dialogue-choice dialogue-quest-btn" data-quest="${o.id}" data-action="accept">` +
+          `\uD83D\uDCDC ${o.description} <span class="dialogue-quest-meta">(${o.targetCount}x ${o.targetItem.replace(/_/g, ' ')} \u2192 ${o.rewardCoins}g)</span></div>`;
+      }
+      questHTML += '</div>';
+    }
+
     this.container.innerHTML = `
       <div class="dialogue-name">${npcName}</div>
       <div class="dialogue-text">${text}</div>
       ${choices.length ? '<div class="dialogue-choices">' + choices.map((c, i) =>
         `<div class="dialogue-choice" data-idx="${i}">${c}</div>`
       ).join('') + '</div>' : ''}
+      ${questHTML}
       ${upgradeHTML}
       <div class="dialogue-choices">
         <div class="dialogue-choice dialogue-gift-btn">\uD83C\uDF81 Give Gift</div>
@@ -43,7 +62,7 @@ export class DialogueUI {
     `;
 
     // Choice handlers
-    this.container.querySelectorAll('.dialogue-choice:not(.dialogue-gift-btn):not(.dialogue-upgrade-btn)').forEach(el => {
+    this.container.querySelectorAll('.dialogue-choice:not(.dialogue-gift-btn):not(.dialogue-upgrade-btn):not(.dialogue-quest-btn)').forEach(el => {
       el.addEventListener('click', () => {
         if (this.onChoice) this.onChoice(parseInt(el.dataset.idx));
         this.hide();
@@ -69,6 +88,16 @@ export class DialogueUI {
       });
     });
 
+    // Quest accept / turn-in handlers
+    this.container.querySelectorAll('.dialogue-quest-btn').forEach(el => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const handler = el.dataset.action === 'accept' ? this.onQuestAccept : this.onQuestTurnIn;
+        if (handler) handler(el.dataset.quest);
+        this.hide();
+      });
+    });
+
     // Click to close (on background, not on buttons)
     setTimeout(() => {
       const closeHandler = (e) => {
@@ -1,17 +1,29 @@
 // client/src/ui/FishingUI.js
 // Stardew-style vertical catch bar mini-game.
-// Runs its own animation loop. Returns a promise that resolves true/false.
+// Runs its own animation loop. Returns a promise that resolves
+// { caught, treasure } — treasure is true if a chest was offered and hauled in too.
+// Progress is reported to the server every interval; it checks the catch was
+// landed no faster than FISHING_MINIGAME allows.
+
+import { FISHING_MINIGAME } from '@shared/constants.js';
 
 const TRACK_HEIGHT = 400;
 const TRACK_WIDTH = 48;
-const FILL_RATE = 0.0027;
-const STARTING_PROGRESS = 0.25;
+const FILL_RATE = FISHING_MINIGAME.fillRate;
+const STARTING_PROGRESS = FISHING_MINIGAME.startingProgress;
+
+// Treasure chest: surfaces after a moment and must be held in the net to fill its meter.
+// Progress rates are per second.
+const TREASURE_DELAY = 1.5;
+const TREASURE_FILL_RATE = 0.36;
+const TREASURE_DRAIN_RATE = 0.18;
+const TREASURE_SIZE = 20;
 
 const RARITY_CONFIG = {
-  0: { netSize: 0.30, fishSpeed: 70,  drainRate: 0.010,  label: 'Common',    color: '#88cc88' },
-  1: { netSize: 0.24, fishSpeed: 110, drainRate: 0.014,  label: 'Uncommon',  color: '#44cc44' },
-  2: { netSize: 0.18, fishSpeed: 170, drainRate: 0.020,  label: 'Rare',      color: '#4488ff' },
-  3: { netSize: 0.12, fishSpeed: 240, drainRate: 0.028,  label: 'Legendary', color: '#ff8844' },
+  0: { netSize: 0.30, fishSpeed: 70,  drainRate: 0.60,  label: 'Common',    color: '#88cc88' },
+  1: { netSize: 0.24, fishSpeed: 110, drainRate: 0.84,  label: 'Uncommon',  color: '#44cc44' },
+  2: { netSize: 0.18, fishSpeed: 170, drainRate: 1.20,  label: 'Rare',      color: '#4488ff' },
+  3: { netSize: 0.12, fishSpeed: 240, drainRate: 1.68,  label: 'Legendary', color: '#ff8844' },
 };
 
 const LIFT_ACCEL = 800;
@@ -25,6 +37,7 @@ export class FishingUI {
     this._running = false;
     this._rafId = null;
     this._lastTime = 0;
+    this.onProgress = null;
   }
 
   start(fishData) {
@@ -50,6 +63,13 @@ export class FishingUI {
       this._holding = false;
       this._fishTimer = 0;
       this._behaviorState = {};
+      this._reportTimer = 0;
+      this._treasure = fishData.treasure ? {
+        pos: TRACK_HEIGHT * (0.1 + Math.random() * 0.75),
+        progress: 0,
+        visible: false,
+        caught: false,
+      } : null;
 
       this._buildUI(fishData, config, netHeight);
 
@@ -124,10 +144,14 @@ export class FishingUI {
             <div class="fishing-track" style="width:${TRACK_WIDTH}px;height:${TRACK_HEIGHT}px;">
               <div class="fishing-net" style="height:${netHeight}px;"></div>
               <div class="fishing-fish-icon"></div>
+              <div class="fishing-treasure-chest hidden">\u{1F4B0}</div>
             </div>
             <div class="fishing-progress-wrapper">
               <div class="fishing-progress-bar"></div>
             </div>
+            <div class="fishing-treasure-wrapper hidden">
+              <div class="fishing-treasure-bar"></div>
+            </div>
             <div class="fishing-hint">Hold SPACE or CLICK to reel</div>
           </div>
         </div>
@@ -143,6 +167,9 @@ export class FishingUI {
     this._hookedFish = this._container.querySelector('.fishing-hooked-fish');
     this._spectators = this._container.querySelectorAll('.fishing-spectator');
     this._resultText = this._container.querySelector('.fishing-result-text');
+    this._chestEl = this._container.querySelector('.fishing-treasure-chest');
+    this._chestMeter = this._container.querySelector('.fishing-treasure-wrapper');
+    this._chestBar = this._container.querySelector('.fishing-treasure-bar');
 
     requestAnimationFrame(() => {
       this._container.classList.add('fishing-overlay-visible');
@@ -158,8 +185,15 @@ export class FishingUI {
     this._updateNet(delta);
     this._updateFish(delta);
     this._updateProgress(delta);
+    this._updateTreasure(delta);
     this._render();
 
+    this._reportTimer += delta * 1000;
+    if (this._reportTimer >= FISHING_MINIGAME.reportIntervalMs) {
+      this._reportTimer = 0;
+      if (this.onProgress) this.onProgress(this._progress);
+    }
+
     if (this._progress >= 1) { this._endGame(true); return; }
     if (this._progress <= 0) { this._endGame(false); return; }
 
@@ -349,16 +383,41 @@ export class FishingUI {
     const inNet = fishCenter >= this._netPos && fishCenter <= this._netPos + this._netHeight;
 
     if (inNet) {
-      this._progress += FILL_RATE;
+      this._progress += FILL_RATE * delta;
     } else {
-      this._progress -= this._config.drainRate;
+      this._progress -= this._config.drainRate * delta;
     }
     this._progress = Math.max(0, Math.min(1, this._progress));
   }
 
+  _updateTreasure(delta) {
+    const chest = this._treasure;
+    if (!chest || chest.caught) return;
+    if (!chest.visible) {
+      chest.visible = this._fishTimer >= TREASURE_DELAY;
+      return;
+    }
+
+    const chestCenter = chest.pos + TREASURE_SIZE / 2;
+    const inNet = chestCenter >= this._netPos && chestCenter <= this._netPos + this._netHeight;
+    chest.progress += (inNet ? TREASURE_FILL_RATE : -TREASURE_DRAIN_RATE) * delta;
+    chest.progress = Math.max(0, Math.min(1, chest.progress));
+    if (chest.progress >= 1) chest.caught = true;
+  }
+
   _render() {
     if (!this._container) return;
 
+    if (this._treasure) {
+      const chest = this._treasure;
+      const showing = chest.visible && !chest.caught;
+      this._chestEl.classList.toggle('hidden', !showing);
+      this._chestEl.style.bottom = chest.pos + 'px';
+      this._chestMeter.classList.toggle('hidden', !chest.visible);
+      this._chestMeter.classList.toggle('treasure-caught', chest.caught);
+      this._chestBar.style.width = (chest.progress * 100) + '%';
+    }
+
     this._netEl.style.bottom = this._netPos + 'px';
     this._fishEl.style.bottom = this._fishPos + 'px';
     this._progressEl.style.width = (this._progress * 100) + '%';
@@ -405,7 +464,7 @@ export class FishingUI {
     window.removeEventListener('keyup', this._onKeyUp);
 
     if (this._resolve) {
-      this._resolve(success);
+      this._resolve({ caught: success, treasure: success && !!this._treasure?.caught });
       this._resolve = null;
     }
 
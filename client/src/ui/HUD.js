@@ -1,12 +1,13 @@
 // client/src/ui/HUD.js
-// Heads-up display: stats, time, weather, 10-slot action bar with emoji icons.
+// Heads-up display: stats, time, weather, and the action bar — the first
+// row of backpack slots, with emoji icons.
 
-import { SEASON_NAMES } from '@shared/constants.js';
-import { getItemIcon, isSeed } from './ItemIcons.js';
+import { SEASON_NAMES, mineFloorOf, ACTION_BAR_SLOTS, BACKPACK_BASE_SIZE } from '@shared/constants.js';
+import { getItemIcon } from './ItemIcons.js';
+import { startSlotDrag, readSlotDrag, quickMoveTarget } from './Inventory.js';
 
 const WEATHER_ICONS = { 0: 'Sunny', 1: 'Cloudy', 2: 'Rainy', 3: 'Stormy', 4: 'Snowy' };
-const DEFAULT_TOOLS = ['hoe', 'watering_can', 'pickaxe', 'axe', 'fishing_rod'];
-const SLOT_COUNT = 10;
+const SLOT_COUNT = ACTION_BAR_SLOTS;
 const KEYBIND_LABELS = ['1','2','3','4','5','6','7','8','9','0'];
 
 export class HUD {
@@ -15,15 +16,19 @@ export class HUD {
     this.activeSlot = 0;
     this.onSlotSelect = null;
     this.onBackpackClick = null;
+    this.onMoveItem = null; // (from, to, quantity) — drag between slots or right-click to the backpack
 
-    // Action bar data: array of { itemId, quantity? } or null
+    // The backpack stacks in slots 0-9, or null
     this.actionBarSlots = new Array(SLOT_COUNT).fill(null);
+    this._inventory = [];
+    this._backpackSize = BACKPACK_BASE_SIZE;
 
     this.container.innerHTML = `
       <div class="hud-group" id="hud-stats">
         <div class="hud-item" id="hud-coins">Coins: 500</div>
         <div class="hud-item" id="hud-level">Lv 1</div>
         <div class="hud-item" id="hud-energy">Energy: 100</div>
+        <div class="hud-item" id="hud-hp">HP: 100</div>
         <div class="hud-item" id="hud-skills"></div>
       </div>
       <div class="hud-group" id="hud-time">
@@ -45,14 +50,20 @@ export class HUD {
       slot.innerHTML = `<span class="keybind">${KEYBIND_LABELS[i]}</span>`;
       slot.addEventListener('click', () => this.selectSlot(i));
 
-      // Right-click clears slot
+      // Right-click puts the item away in the backpack
       slot.addEventListener('contextmenu', (e) => {
         e.preventDefault();
-        this.actionBarSlots[i] = null;
-        this._renderSlot(i);
+        if (!this.actionBarSlots[i]) return;
+        const to = quickMoveTarget(this._inventory, i, this._backpackSize);
+        if (to !== null && this.onMoveItem) this.onMoveItem(i, to);
       });
 
-      // Drag-and-drop: accept items from backpack
+      // Drag-and-drop between bar slots and to or from the backpack
+      slot.addEventListener('dragstart', (e) => {
+        const item = this.actionBarSlots[i];
+        if (item) startSlotDrag(e, item);
+        else e.preventDefault();
+      });
       slot.addEventListener('dragover', (e) => {
         e.preventDefault();
         slot.classList.add('drag-over');
@@ -63,19 +74,15 @@ export class HUD {
       slot.addEventListener('drop', (e) => {
         e.preventDefault();
         slot.classList.remove('drag-over');
-        const itemId = e.dataTransfer.getData('text/plain');
-        if (itemId) {
-          this.actionBarSlots[i] = { itemId };
-          this._renderSlot(i);
-        }
+        const drag = readSlotDrag(e);
+        if (drag && drag.slot !== i && this.onMoveItem) this.onMoveItem(drag.slot, i, drag.quantity);
       });
 
       // Hover tooltip
       slot.addEventListener('mouseenter', () => {
         const item = this.actionBarSlots[i];
         if (!item) return;
-        const name = (item.itemId || '').replace(/_/g, ' ');
-        this._showActionBarTooltip(slot, name);
+        this._showActionBarTooltip(slot, getItemIcon(item.itemId).name);
       });
       slot.addEventListener('mouseleave', () => {
         this._hideActionBarTooltip();
@@ -103,25 +110,13 @@ export class HUD {
     document.getElementById('ui-overlay').appendChild(this._backpackIcon);
   }
 
-  /** Pre-fill action bar: tools in slots 0-4, seeds starting slot 5 */
-  initActionBar(inventory) {
-    // Slots 0-4: default tools
-    for (let i = 0; i < DEFAULT_TOOLS.length; i++) {
-      this.actionBarSlots[i] = { itemId: DEFAULT_TOOLS[i] };
-    }
-
-    // Slots 5+: fill with seeds from inventory
-    let slotIdx = 5;
-    if (inventory) {
-      for (const item of inventory) {
-        if (slotIdx >= SLOT_COUNT) break;
-        if (isSeed(item.itemId)) {
-          this.actionBarSlots[slotIdx] = { itemId: item.itemId, quantity: item.quantity };
-          slotIdx++;
-        }
-      }
+  /** Show the backpack's first row; call with every inventory update */
+  setInventory(inventory, backpackSize) {
+    this._inventory = inventory || [];
+    if (backpackSize) this._backpackSize = backpackSize;
+    for (let i = 0; i < SLOT_COUNT; i++) {
+      this.actionBarSlots[i] = this._inventory.find(item => item.slot === i) || null;
     }
-
     this._renderAllSlots();
   }
 
@@ -138,41 +133,13 @@ export class HUD {
     if (this.onSlotSelect) this.onSlotSelect(index);
   }
 
-  /** Add item to the first empty slot (for right-click quick-add from backpack) */
-  addToFirstEmptySlot(itemId) {
-    for (let i = 0; i < SLOT_COUNT; i++) {
-      if (!this.actionBarSlots[i]) {
-        this.actionBarSlots[i] = { itemId };
-        this._renderSlot(i);
-        return true;
-      }
-    }
-    return false;
-  }
-
-  /** Sync seed quantities from server inventory */
-  syncQuantities(inventory) {
-    if (!inventory) return;
-    const qtyMap = new Map();
-    for (const item of inventory) {
-      const existing = qtyMap.get(item.itemId) || 0;
-      qtyMap.set(item.itemId, existing + item.quantity);
-    }
-    for (let i = 0; i < SLOT_COUNT; i++) {
-      const slot = this.actionBarSlots[i];
-      if (slot && isSeed(slot.itemId)) {
-        slot.quantity = qtyMap.get(slot.itemId) || 0;
-        this._renderSlot(i);
-      }
-    }
-  }
-
   /** Update map name indicator */
   updateMap(mapId) {
     const el = document.getElementById('hud-map');
     if (el) {
-      const names = { farm: 'Farm', town: 'Town Square' };
-      el.textContent = names[mapId] || mapId;
+      const names = { farm: 'Farm', town: 'Town Square', beach: 'Beach' };
+      const floor = mineFloorOf(mapId);
+      el.textContent = floor ? `Mine — Floor ${floor}` : (names[mapId] || mapId);
     }
   }
 
@@ -182,6 +149,7 @@ export class HUD {
     const data = this.actionBarSlots[index];
     const keybind = `<span class="keybind">${KEYBIND_LABELS[index]}</span>`;
 
+    slotEl.draggable = !!data;
     if (!data) {
       slotEl.innerHTML = keybind;
       return;
@@ -189,7 +157,7 @@ export class HUD {
 
     const icon = getItemIcon(data.itemId);
     let html = keybind + `<span>${icon.emoji}</span>`;
-    if (data.quantity !== undefined && data.quantity > 0) {
+    if (data.quantity > 1) {
       html += `<span class="slot-qty">${data.quantity}</span>`;
     }
     slotEl.innerHTML = html;
@@ -225,6 +193,10 @@ export class HUD {
       const max = data.maxEnergy || 100;
       document.getElementById('hud-energy').textContent = `Energy: ${Math.floor(data.energy)}/${max}`;
     }
+    if (data.hp !== undefined) {
+      const max = data.maxHP || 100;
+      document.getElementById('hud-hp').textContent = `HP: ${Math.ceil(data.hp)}/${max}`;
+    }
     if (data.skills) {
       const el = document.getElementById('hud-skills');
       if (el) {
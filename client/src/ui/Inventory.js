@@ -1,21 +1,61 @@
 // client/src/ui/Inventory.js
-// 30-slot backpack (6 columns x 5 rows) with drag-and-drop, quality stars.
+// Backpack grid, 10 slots to a row; the top row is the action bar. Slots
+// belong to the server: dragging, splitting (Shift-drag moves half a stack),
+// trashing and upgrading all go through callbacks and come back as an
+// inventory update.
 
 import { getItemIcon } from './ItemIcons.js';
+import { getSellPrice } from '@shared/Pricing.js';
+import { isTrashable } from '@shared/ItemRegistry.js';
+import { BAIT_DATA, TACKLE_DATA, BACKPACK_BASE_SIZE, BACKPACK_UPGRADES, ACTION_BAR_SLOTS } from '@shared/constants.js';
 
-const COLS = 6;
-const ROWS = 5;
-const TOTAL_SLOTS = COLS * ROWS;
+const COLS = ACTION_BAR_SLOTS;
 const QUALITY_STARS = { 1: '\u2605', 2: '\u2605\u2605', 3: '\u2605\u2605\u2605' };
 const QUALITY_COLORS = { 1: '#c0c0c0', 2: '#ffd700', 3: '#b366ff' };
 
+/** Put a slot on a drag; Shift carries half the stack */
+export function startSlotDrag(e, item) {
+  const quantity = e.shiftKey && item.quantity > 1 ? Math.ceil(item.quantity / 2) : undefined;
+  e.dataTransfer.setData('text/plain', JSON.stringify({ slot: item.slot, quantity }));
+  e.dataTransfer.effectAllowed = 'move';
+}
+
+/** The { slot, quantity } being dragged, or null if it isn't a backpack slot */
+export function readSlotDrag(e) {
+  try {
+    const data = JSON.parse(e.dataTransfer.getData('text/plain'));
+    return Number.isInteger(data?.slot) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Where a right-click sends a stack: from the action bar to the first free
+ * backpack slot, from the backpack to the first free action bar slot.
+ * Null when there's no room.
+ */
+export function quickMoveTarget(items, slot, backpackSize) {
+  const used = new Set(items.map(i => i.slot));
+  const [start, end] = slot < ACTION_BAR_SLOTS ? [ACTION_BAR_SLOTS, backpackSize] : [0, ACTION_BAR_SLOTS];
+  for (let s = start; s < end; s++) {
+    if (!used.has(s)) return s;
+  }
+  return null;
+}
+
 export class InventoryUI {
   constructor(container) {
     this.container = container;
     this.items = [];
+    this.backpackSize = BACKPACK_BASE_SIZE;
+    this.professions = {};
+    this.gear = { bait: null, tackle: null, tackleWear: {} };
     this.visible = false;
     this.onItemSelect = null;
-    this.onQuickAdd = null; // callback for right-click → action bar
+    this.onMoveItem = null; // (from, to, quantity) — drag, split or right-click
+    this.onTrashItem = null; // (slot, quantity)
+    this.onUpgrade = null;
     this._overlayEl = null;
   }
 
@@ -38,8 +78,11 @@ export class InventoryUI {
     this._removeOverlay();
   }
 
-  update(inventory) {
+  update(inventory, professions, gear, backpackSize) {
     this.items = inventory;
+    if (professions) this.professions = professions;
+    if (gear) this.gear = gear;
+    if (backpackSize) this.backpackSize = backpackSize;
     if (this.visible) this.render();
   }
 
@@ -59,7 +102,7 @@ export class InventoryUI {
     // Header
     const header = document.createElement('div');
     header.className = 'backpack-header';
-    header.innerHTML = '<h3>Backpack</h3>';
+    header.innerHTML = `<h3>Backpack (${this.items.length}/${this.backpackSize})</h3>`;
     const closeBtn = document.createElement('button');
     closeBtn.className = 'backpack-close';
     closeBtn.textContent = 'X';
@@ -67,65 +110,144 @@ export class InventoryUI {
     header.appendChild(closeBtn);
     panel.appendChild(header);
 
-    // Grid
+    // Grid; stacks left over from a bigger backpack show past the end until moved
     const grid = document.createElement('div');
     grid.className = 'backpack-grid';
+    const bySlot = new Map(this.items.map(item => [item.slot, item]));
+    const lastSlot = Math.max(this.backpackSize - 1, ...this.items.map(i => i.slot));
+    const totalSlots = Math.ceil((lastSlot + 1) / COLS) * COLS;
 
-    for (let i = 0; i < TOTAL_SLOTS; i++) {
-      const item = this.items[i] || null;
-      const slot = document.createElement('div');
-      let className = 'backpack-slot';
-      if (item) {
-        if (item.quality === 1) className += ' quality-silver';
-        else if (item.quality === 2) className += ' quality-gold';
-        else if (item.quality === 3) className += ' quality-iridium';
-      }
-      slot.className = className;
-
-      if (item) {
-        const icon = getItemIcon(item.itemId);
-        slot.innerHTML = `<span>${icon.emoji}</span>`;
-
-        if (item.quantity > 1) {
-          slot.innerHTML += `<span class="slot-qty">${item.quantity}</span>`;
-        }
-        if (item.quality > 0 && QUALITY_STARS[item.quality]) {
-          slot.innerHTML += `<span class="quality-star" style="color:${QUALITY_COLORS[item.quality]}">${QUALITY_STARS[item.quality]}</span>`;
-        }
-
-        // Make draggable for action bar DnD
-        slot.draggable = true;
-        slot.addEventListener('dragstart', (e) => {
-          e.dataTransfer.setData('text/plain', item.itemId);
-          slot.classList.add('dragging');
-        });
-        slot.addEventListener('dragend', () => {
-          slot.classList.remove('dragging');
-        });
-
-        // Left-click selects
-        slot.addEventListener('click', () => {
-          if (this.onItemSelect) this.onItemSelect(item);
-        });
-
-        // Right-click quick-adds to action bar
-        slot.addEventListener('contextmenu', (e) => {
-          e.preventDefault();
-          if (this.onQuickAdd) this.onQuickAdd(item.itemId);
-        });
-
-        // Tooltip
-        slot.title = `${icon.name}${item.quantity > 1 ? ' x' + item.quantity : ''}`;
-      }
-
-      grid.appendChild(slot);
+    for (let i = 0; i < totalSlots; i++) {
+      grid.appendChild(this._renderSlot(i, bySlot.get(i) || null));
     }
-
     panel.appendChild(grid);
+
+    panel.appendChild(this._renderFooter());
     this._overlayEl.appendChild(panel);
     document.getElementById('ui-overlay').appendChild(this._overlayEl);
   }
 
+  _renderSlot(index, item) {
+    const slot = document.createElement('div');
+    let className = 'backpack-slot';
+    if (index < ACTION_BAR_SLOTS) className += ' actionbar-row';
+    if (index >= this.backpackSize) className += ' overflow';
+    if (item) {
+      if (item.quality === 1) className += ' quality-silver';
+      else if (item.quality === 2) className += ' quality-gold';
+      else if (item.quality === 3) className += ' quality-iridium';
+      if (item.itemId === this.gear.bait || item.itemId === this.gear.tackle) className += ' equipped';
+    }
+    slot.className = className;
+
+    // Drops land here unless the slot is past the end of the backpack
+    if (index < this.backpackSize) {
+      slot.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        slot.classList.add('drag-over');
+      });
+      slot.addEventListener('dragleave', () => slot.classList.remove('drag-over'));
+      slot.addEventListener('drop', (e) => {
+        e.preventDefault();
+        slot.classList.remove('drag-over');
+        const drag = readSlotDrag(e);
+        if (drag && drag.slot !== index && this.onMoveItem) this.onMoveItem(drag.slot, index, drag.quantity);
+      });
+    }
+
+    if (!item) return slot;
+
+    const icon = getItemIcon(item.itemId);
+    slot.innerHTML = `<span>${icon.emoji}</span>`;
+
+    if (item.quantity > 1) {
+      slot.innerHTML += `<span class="slot-qty">${item.quantity}</span>`;
+    }
+    if (item.quality > 0 && QUALITY_STARS[item.quality]) {
+      slot.innerHTML += `<span class="quality-star" style="color:${QUALITY_COLORS[item.quality]}">${QUALITY_STARS[item.quality]}</span>`;
+    }
+
+    slot.draggable = true;
+    slot.addEventListener('dragstart', (e) => {
+      startSlotDrag(e, item);
+      slot.classList.add('dragging');
+    });
+    slot.addEventListener('dragend', () => {
+      slot.classList.remove('dragging');
+    });
+
+    // Left-click selects
+    slot.addEventListener('click', () => {
+      if (this.onItemSelect) this.onItemSelect(item);
+    });
+
+    // Right-click swaps between the action bar and the rest of the backpack
+    slot.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      const to = quickMoveTarget(this.items, item.slot, this.backpackSize);
+      if (to !== null && this.onMoveItem) this.onMoveItem(item.slot, to);
+    });
+
+    // Tooltip
+    const price = getSellPrice(item.itemId, item.quality, this.professions, item.value);
+    slot.title = `${icon.name}${item.quantity > 1 ? ' x' + item.quantity : ''}` +
+      (price ? `\nSells: ${price}g each` : '') + this._gearTooltip(item.itemId) +
+      (item.quantity > 1 ? '\nShift-drag to split' : '');
+    return slot;
+  }
+
+  /** Trash drop zone and the next backpack upgrade */
+  _renderFooter() {
+    const footer = document.createElement('div');
+    footer.className = 'backpack-footer';
+
+    const trash = document.createElement('div');
+    trash.className = 'backpack-trash';
+    trash.textContent = '🗑️ Trash';
+    trash.title = 'Drop items here to throw them away';
+    trash.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      trash.classList.add('drag-over');
+    });
+    trash.addEventListener('dragleave', () => trash.classList.remove('drag-over'));
+    trash.addEventListener('drop', (e) => {
+      e.preventDefault();
+      trash.classList.remove('drag-over');
+      const drag = readSlotDrag(e);
+      const item = drag && this.items.find(i => i.slot === drag.slot);
+      if (!item || !isTrashable(item.itemId) || !this.onTrashItem) return;
+      const quantity = drag.quantity ?? item.quantity;
+      const name = getItemIcon(item.itemId).name;
+      if (quantity > 1 && !confirm(`Throw away ${quantity} ${name}?`)) return;
+      this.onTrashItem(drag.slot, quantity);
+    });
+    footer.appendChild(trash);
+
+    const upgrade = BACKPACK_UPGRADES.find(u => u.size > this.backpackSize);
+    if (upgrade) {
+      const btn = document.createElement('button');
+      btn.className = 'craft-btn backpack-upgrade';
+      btn.textContent = `Upgrade to ${upgrade.size} slots (${upgrade.cost}g)`;
+      btn.addEventListener('click', () => {
+        if (this.onUpgrade) this.onUpgrade();
+      });
+      footer.appendChild(btn);
+    }
+    return footer;
+  }
+
+  /** Equip hint and tackle wear for bait/tackle items, '' for anything else */
+  _gearTooltip(itemId) {
+    if (!BAIT_DATA[itemId] && !TACKLE_DATA[itemId]) return '';
+    const equipped = itemId === this.gear.bait || itemId === this.gear.tackle;
+    let text = equipped ? '\nOn your rod (click to remove)' : '\nClick to put on your rod';
+    if (TACKLE_DATA[itemId]) {
+      const left = TACKLE_DATA[itemId].durability - (this.gear.tackleWear?.[itemId] || 0);
+      text += `\nDurability: ${left}/${TACKLE_DATA[itemId].durability}`;
+    }
+    return text;
+  }
+
   _removeOverlay() {
     if (this._overlayEl) {
       this._overlayEl.remove();
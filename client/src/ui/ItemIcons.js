@@ -9,6 +9,25 @@ const ITEMS = {
   axe:          { emoji: '\u{1FA93}', color: '#8b6b4a', name: 'Axe' },
   fishing_rod:  { emoji: '\u{1F3A3}', color: '#4a7a2a', name: 'Fishing Rod' },
 
+  // Bait and tackle
+  bait:         { emoji: '\u{1FAB1}', color: '#aa7755', name: 'Bait' },
+  wild_bait:    { emoji: '\u{1FAB1}', color: '#668833', name: 'Wild Bait' },
+  magic_bait:   { emoji: '\u{1FAB1}', color: '#aa55ff', name: 'Magic Bait' },
+  spinner:      { emoji: '\u{1F300}', color: '#cccccc', name: 'Spinner' },
+  cork_bobber:  { emoji: '\u{1F534}', color: '#cc8844', name: 'Cork Bobber' },
+  barbed_hook:  { emoji: '\u{1FA9D}', color: '#888888', name: 'Barbed Hook' },
+
+  // Weapons
+  wooden_sword: { emoji: '\u{1F5E1}', color: '#8b6b4a', name: 'Wooden Sword' },
+  copper_sword: { emoji: '\u{1F5E1}', color: '#b87333', name: 'Copper Sword' },
+  iron_sword:   { emoji: '\u{1F5E1}', color: '#a8a8a8', name: 'Iron Sword' },
+  gold_sword:   { emoji: '\u{1F5E1}', color: '#ffd700', name: 'Gold Sword' },
+
+  // Monster loot
+  slime:        { emoji: '\u{1F7E2}', color: '#55cc55', name: 'Slime' },
+  bat_wing:     { emoji: '\u{1F987}', color: '#443355', name: 'Bat Wing' },
+  bone:         { emoji: '\u{1F9B4}', color: '#e8e4d8', name: 'Bone' },
+
   // Resources
   wood:         { emoji: '\u{1FAB5}', color: '#8b6b4a', name: 'Wood' },
   stone:        { emoji: '\u{1FAA8}', color: '#888899', name: 'Stone' },
@@ -53,10 +72,38 @@ const ITEMS = {
   carp:       { emoji: '\u{1F41F}', color: '#aa8844', name: 'Carp' },
   pike:       { emoji: '\u{1F41F}', color: '#556644', name: 'Pike' },
   sturgeon:   { emoji: '\u{1F41F}', color: '#445566', name: 'Sturgeon' },
+  legend_carp: { emoji: '\u{1F420}', color: '#ffcc33', name: 'Legend Carp' },
+  sardine:    { emoji: '\u{1F41F}', color: '#99aabb', name: 'Sardine' },
+  anchovy:    { emoji: '\u{1F41F}', color: '#8899aa', name: 'Anchovy' },
+  sea_bass:   { emoji: '\u{1F41F}', color: '#667788', name: 'Sea Bass' },
+  red_snapper: { emoji: '\u{1F420}', color: '#dd4433', name: 'Red Snapper' },
+  tuna:       { emoji: '\u{1F41F}', color: '#334477', name: 'Tuna' },
+  lobster:    { emoji: '\u{1F99E}', color: '#cc3322', name: 'Lobster' },
+  octopus:    { emoji: '\u{1F419}', color: '#cc6699', name: 'Octopus' },
+  swordfish:  { emoji: '\u{1F41F}', color: '#5577aa', name: 'Swordfish' },
+  anglerfish: { emoji: '\u{1F421}', color: '#554433', name: 'Anglerfish' },
+  moonfish:   { emoji: '\u{1F420}', color: '#ccccff', name: 'Moonfish' },
+  leviathan:  { emoji: '\u{1F40B}', color: '#224466', name: 'Leviathan' },
+
+  // Crab pot catches
+  crab:       { emoji: '\u{1F980}', color: '#dd4422', name: 'Crab' },
+  shrimp:     { emoji: '\u{1F990}', color: '#ff9977', name: 'Shrimp' },
+  oyster:     { emoji: '\u{1F9AA}', color: '#bbbbaa', name: 'Oyster' },
+  crayfish:   { emoji: '\u{1F99E}', color: '#aa4433', name: 'Crayfish' },
+  snail:      { emoji: '\u{1F40C}', color: '#997755', name: 'Snail' },
+  periwinkle: { emoji: '\u{1F41A}', color: '#7788aa', name: 'Periwinkle' },
+
+  // Junk
+  trash:           { emoji: '\u{1F5D1}', color: '#777777', name: 'Trash' },
+  driftwood:       { emoji: '\u{1FAB5}', color: '#9a8a70', name: 'Driftwood' },
+  soggy_newspaper: { emoji: '\u{1F4F0}', color: '#aaaa99', name: 'Soggy Newspaper' },
+  broken_glasses:  { emoji: '\u{1F453}', color: '#666677', name: 'Broken Glasses' },
 
   // Animal products
   egg:        { emoji: '\u{1F95A}', color: '#fff8ee', name: 'Egg' },
   milk:       { emoji: '\u{1F95B}', color: '#ffffff', name: 'Milk' },
+  large_egg:  { emoji: '\u{1F95A}', color: '#ffe8c8', name: 'Large Egg' },
+  large_milk: { emoji: '\u{1F95B}', color: '#fff4dd', name: 'Large Milk' },
   wool:       { emoji: '\u{1F9F6}', color: '#eeeeee', name: 'Wool' },
 
   // Processed / crafted items
@@ -68,11 +115,22 @@ const ITEMS = {
   copper_bar:   { emoji: '\u{1F7E7}', color: '#b87333', name: 'Copper Bar' },
   iron_bar:     { emoji: '\u{2B1C}',  color: '#a8a8a8', name: 'Iron Bar' },
   gold_bar:     { emoji: '\u{1F7E8}', color: '#ffd700', name: 'Gold Bar' },
+  iridium_bar:  { emoji: '\u{1F7EA}', color: '#9966cc', name: 'Iridium Bar' },
 
   // Ores (for crafting inputs)
   copper_ore:   { emoji: '\u{1FAA8}', color: '#b87333', name: 'Copper Ore' },
   iron_ore:     { emoji: '\u{1FAA8}', color: '#a0a0a0', name: 'Iron Ore' },
   gold_ore:     { emoji: '\u{1FAA8}', color: '#ffd700', name: 'Gold Ore' },
+  iridium_ore:  { emoji: '\u{1FAA8}', color: '#9966cc', name: 'Iridium Ore' },
+  coal:         { emoji: '\u{26AB}',  color: '#333333', name: 'Coal' },
+
+  // Gems
+  quartz:       { emoji: '\u{1F48E}', color: '#eeeeff', name: 'Quartz' },
+  amethyst:     { emoji: '\u{1F48E}', color: '#9966cc', name: 'Amethyst' },
+  topaz:        { emoji: '\u{1F48E}', color: '#ffc87c', name: 'Topaz' },
+  emerald:      { emoji: '\u{1F48E}', color: '#50c878', name: 'Emerald' },
+  ruby:         { emoji: '\u{1F48E}', color: '#e0115f', name: 'Ruby' },
+  diamond:      { emoji: '\u{1F48E}', color: '#b9f2ff', name: 'Diamond' },
 
   // Sprinklers
   sprinkler_basic:   { emoji: '\u{1F4A7}', color: '#888888', name: 'Sprinkler' },
@@ -90,6 +148,11 @@ const ITEMS = {
   preserves_jar:      { emoji: '\u{1FAD9}', color: '#AADDFF', name: 'Preserves Jar' },
   cheese_press:       { emoji: '\u{1F9C0}', color: '#DEB887', name: 'Cheese Press' },
   mayonnaise_machine: { emoji: '\u{1F95A}', color: '#EEEEDD', name: 'Mayonnaise Machine' },
+  incubator:          { emoji: '\u{1F423}', color: '#F4E3B0', name: 'Incubator' },
+  crab_pot:           { emoji: '\u{1F9FA}', color: '#8B6B4A', name: 'Crab Pot' },
+
+  // Storage
+  chest:              { emoji: '\u{1F4E6}', color: '#9B6B3D', name: 'Chest' },
 
   // Artisan goods
   wine:               { emoji: '\u{1F377}', color: '#722F37', name: 'Wine' },
@@ -121,6 +184,15 @@ const ITEMS = {
   crocus:             { emoji: '\u{1F337}', color: '#9370DB', name: 'Crocus' },
   snow_yam:           { emoji: '\u{1F954}', color: '#F5F5DC', name: 'Snow Yam' },
   winter_root:        { emoji: '\u{1F955}', color: '#8B4513', name: 'Winter Root' },
+
+  // Beach forage
+  clam:               { emoji: '\u{1F41A}', color: '#E8D8C0', name: 'Clam' },
+  cockle:             { emoji: '\u{1F41A}', color: '#F0C8A0', name: 'Cockle' },
+  mussel:             { emoji: '\u{1F41A}', color: '#333355', name: 'Mussel' },
+  coral:              { emoji: '\u{1FAB8}', color: '#FF7F50', name: 'Coral' },
+  sea_urchin:         { emoji: '\u{1F994}', color: '#4B0082', name: 'Sea Urchin' },
+  rainbow_shell:      { emoji: '\u{1F41A}', color: '#FFB6C1', name: 'Rainbow Shell' },
+  nautilus_shell:     { emoji: '\u{1F41A}', color: '#D2B48C', name: 'Nautilus Shell' },
 };
 
 const TOOLS = new Set(['hoe', 'watering_can', 'pickaxe', 'axe', 'fishing_rod']);
@@ -131,6 +203,10 @@ const TOOL_ACTIONS = {
   pickaxe: 'pickaxe',
   axe: 'axe',
   fishing_rod: 'fishing_rod',
+  wooden_sword: 'attack',
+  copper_sword: 'attack',
+  iron_sword: 'attack',
+  gold_sword: 'attack',
 };
 
 export function getItemIcon(itemId) {
@@ -143,7 +219,9 @@ export function getToolAction(itemId) {
   if (isSapling(itemId)) return 'sapling';
   if (itemId && itemId.startsWith('sprinkler_')) return 'sprinkler';
   if (itemId && (itemId.startsWith('fertilizer_') || itemId.includes('speed_gro'))) return 'fertilizer';
-  if (['keg', 'preserves_jar', 'cheese_press', 'mayonnaise_machine'].includes(itemId)) return 'machine';
+  if (['keg', 'preserves_jar', 'cheese_press', 'mayonnaise_machine', 'incubator'].includes(itemId)) return 'machine';
+  if (itemId === 'crab_pot') return 'crab_pot';
+  if (itemId === 'chest') return 'chest';
   return null;
 }
 
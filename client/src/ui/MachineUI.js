@@ -1,6 +1,9 @@
 // client/src/ui/MachineUI.js
 // Lightweight item picker shown when inserting items into a processing machine.
 
+import { getItemIcon } from './ItemIcons.js';
+import { getSellPrice, getOutputValue } from '@shared/Pricing.js';
+
 export class MachineUI {
   constructor() {
     this._el = document.createElement('div');
@@ -28,8 +31,9 @@ export class MachineUI {
    * @param {Array} inventory - player inventory [{itemId, quantity, quality}]
    * @param {object} cropsData - crops.json data (for category matching)
    * @param {{x: number, y: number}} screenPos - position to show near
+   * @param {object} [professions] - player's professions, for the output's sell price
    */
-  show(machineId, machineType, machinesData, inventory, cropsData, screenPos) {
+  show(machineId, machineType, machinesData, inventory, cropsData, screenPos, professions = {}) {
     this._currentMachineId = machineId;
     const machineInfo = machinesData[machineType];
     if (!machineInfo) { this.hide(); return; }
@@ -42,13 +46,9 @@ export class MachineUI {
       if (seen.has(slot.itemId)) continue;
       // Check each recipe for this machine
       for (const recipe of Object.values(machineInfo.recipes)) {
-        if (recipe.input && recipe.input === slot.itemId) {
-          validItems.push(slot);
-          seen.add(slot.itemId);
-          break;
-        }
-        if (recipe.inputCategory === 'crop' && cropsData[slot.itemId]) {
-          validItems.push(slot);
+        if ((recipe.input && recipe.input === slot.itemId) ||
+            (recipe.inputCategory === 'crop' && cropsData[slot.itemId])) {
+          validItems.push({ ...slot, output: recipe.output, outputValue: getOutputValue(recipe, slot.itemId) });
           seen.add(slot.itemId);
           break;
         }
@@ -64,7 +64,10 @@ export class MachineUI {
       const itemBtns = validItems.map(item => {
         const name = (item.itemId || '').replace(/_/g, ' ');
         const capName = name.charAt(0).toUpperCase() + name.slice(1);
-        return `<button class="machine-ui-item" data-item="${item.itemId}">${capName} x${item.quantity}</button>`;
+        const output = getItemIcon(item.output).name;
+        const price = getSellPrice(item.output, 0, professions, item.outputValue);
+        return `<button class="machine-ui-item" data-item="${item.itemId}">${capName} x${item.quantity}` +
+          ` \u2192 ${output}${price ? ` (${price}g)` : ''}</button>`;
       }).join('');
 
       this._el.innerHTML = `
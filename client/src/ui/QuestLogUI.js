@@ -0,0 +1,74 @@
+// client/src/ui/QuestLogUI.js
+// Quest journal: active quests with progress bars, then completed ones. Toggle with Q.
+
+import { getItemIcon } from './ItemIcons.js';
+
+export class QuestLogUI {
+  constructor(container) {
+    this.container = container;
+    this.quests = [];
+    this.visible = false;
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+
+  show() {
+    this.visible = true;
+    this.container.className = 'panel';
+    this.render();
+  }
+
+  hide() {
+    this.visible = false;
+    this.container.className = 'panel hidden';
+  }
+
+  update(quests) {
+    this.quests = quests || [];
+    if (this.visible) this.render();
+  }
+
+  render() {
+    const active = this.quests.filter(q => q.status === 'active');
+    const completed = this.quests.filter(q => q.status === 'completed');
+
+    const activeHTML = active.length
+      ? active.map(q => this._renderQuest(q)).join('')
+      : '<div class="quest-empty">No active quests. Talk to the townsfolk!</div>';
+    const completedHTML = completed.length
+      ? `<div class="quest-section">Completed</div>` +
+        completed.map(q => `<div class="quest-done">✔ ${q.description}</div>`).join('')
+      : '';
+
+    this.container.innerHTML = `
+      <div class="quest-header">
+        <span>📜 Quests</span>
+        <span class="quest-close">✕</span>
+      </div>
+      ${activeHTML}
+      ${completedHTML}
+    `;
+    this.container.querySelector('.quest-close').addEventListener('click', () => this.hide());
+  }
+
+  _renderQuest(q) {
+    const icon = getItemIcon(q.targetItem);
+    const pct = Math.round((q.progress / q.targetCount) * 100);
+    const rewards = [`${q.rewardCoins}g`];
+    if (q.rewardItem) rewards.push(getItemIcon(q.rewardItem).name);
+    return `
+      <div class="quest-entry">
+        <div class="quest-npc">${q.npcName}</div>
+        <div class="quest-desc">${q.description}</div>
+        <div class="quest-progress">
+          <span>${icon.emoji} ${icon.name} ${q.progress}/${q.targetCount}</span>
+          <div class="quest-bar"><div class="quest-bar-fill" style="width:${pct}%"></div></div>
+        </div>
+        <div class="quest-reward">Reward: ${rewards.join(' + ')}</div>
+      </div>
+    `;
+  }
+}
@@ -3,9 +3,10 @@
 
 import * as THREE from 'three';
 import { SEASON_NAMES, STAGE_NAMES } from '@shared/constants.js';
+import { getBasePrice } from '@shared/Pricing.js';
 
 const ENTITY_ACTIONS = {
-  animal:  ['Feed', 'Collect', 'Pet'],
+  animal:  ['Feed', 'Collect', 'Pet', 'Sell'],
   pet:     ['Pet', 'Groom'],
   npc:     ['Talk', 'Gift'],
   machine: ['Insert Item', 'Collect Output'],
@@ -15,12 +16,23 @@ const ENTITY_ACTIONS = {
   fruit_tree: ['Shake', 'Chop'],
 };
 
+// What each pet bonus from pets.json does, for the pet's context menu
+const PET_BONUS_LABELS = {
+  harvestSpeed: 'chance of an extra crop',
+  pestProtection: 'fewer night pests',
+  foragingLuck: 'chance of better forage',
+  npcRelation: 'gift friendship',
+  animalProduct: 'chance of better animal products',
+  nightBonus: 'damage at night',
+};
+
 export class SelectionManager {
   constructor(scene, renderers, network, options = {}) {
     this.scene = scene;
     this.renderers = renderers; // { npcs, animals, pets, machines, crops, forage }
     this.network = network;
     this._cropsData = options.cropsData || {};
+    this._petBonuses = options.petBonuses || {};
     this._getTime = options.getTime || (() => null);
 
     // Hover ring
@@ -35,6 +47,8 @@ export class SelectionManager {
 
     this.onGroom = null;
     this.onOpenCrafting = null;
+    this.onOpenShop = null;
+    this.onOpenBuild = null;
     this.onMachineInsert = null;
     this._contextEntity = null;
 
@@ -93,7 +107,7 @@ export class SelectionManager {
       const data = entry?.mesh?.userData || {};
       const name = data.name || 'Villager';
       const role = data.role || 'Villager';
-      return { type: 'npc', id: npcId, name, detail: role };
+      return { type: 'npc', id: npcId, name, detail: role, shopId: data.shopId || null };
     }
 
     // Animals
@@ -104,7 +118,12 @@ export class SelectionManager {
       const name = data.name || data.type || 'Animal';
       const detail = [];
       if (data.type) detail.push(data.type.charAt(0).toUpperCase() + data.type.slice(1));
-      if (data.happiness !== undefined) detail.push(`Happiness: ${data.happiness}/10`);
+      if (data.age !== undefined) detail.push(`${data.baby ? 'Baby, ' : ''}${data.age} day${data.age === 1 ? '' : 's'} old`);
+      if (data.pregnantDays > 0) detail.push(`Expecting in ${data.pregnantDays} day${data.pregnantDays === 1 ? '' : 's'}`);
+      const home = data.homeId && this.renderers.buildings?.buildingMeshes.get(data.homeId)?.data;
+      detail.push(home ? `Lives in the ${home.type}` : 'No home');
+      if (data.mood) detail.push(`Feeling ${data.mood}`);
+      if (data.friendship !== undefined) detail.push(`\u2764\uFE0F ${Math.floor(data.friendship / 200)}/5`);
       if (data.productReady) detail.push('Product ready!');
       return { type: 'animal', id: animalId, name, detail: detail.join(' \u00B7 ') };
     }
@@ -117,7 +136,7 @@ export class SelectionManager {
       const name = data.name || 'Pet';
       const type = data.type ? data.type.charAt(0).toUpperCase() + data.type.slice(1) : 'Pet';
       const affection = data.affection !== undefined ? ` \u00B7 \u2764\uFE0F ${data.affection}/10` : '';
-      return { type: 'pet', id: petId, name, detail: type + affection };
+      return { type: 'pet', id: petId, name, detail: type + affection, petData: data };
     }
 
     // Machines
@@ -128,6 +147,11 @@ export class SelectionManager {
       let detail;
       if (data.processing?.ready) {
         detail = '\u2705 Ready to collect';
+      } else if (data.processing?.daysLeft > 0) {
+        const days = data.processing.daysLeft;
+        detail = `\u{1F95A} Hatching in ${days} day${days === 1 ? '' : 's'}`;
+      } else if (data.processing?.daysLeft === 0) {
+        detail = '\u{1F423} Waiting for room in a coop';
       } else if (data.processing) {
         detail = '\u2699\uFE0F Processing...';
       } else {
@@ -137,11 +161,31 @@ export class SelectionManager {
       return { type: 'machine', id: machineId, name: typeName, detail, machineProcessing: data.processing || null };
     }
 
-    // Buildings (craftable: mill, forge)
+    // Buildings (crafting stations, farmhouse, construction sites, town shops)
     if (this.renderers.buildings) {
       const building = this.renderers.buildings.getBuildingAtPosition(x, z);
+      if (building?.shopId) {
+        const name = building.id.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+        return { type: 'building', id: building.id, name, detail: 'Shop', buildingData: building };
+      }
       if (building) {
         const typeName = building.type.charAt(0).toUpperCase() + building.type.slice(1);
+        if (building.construction) {
+          const days = building.construction.daysLeft;
+          const detail = `Under construction \u2014 ${days} day${days === 1 ? '' : 's'} left`;
+          return { type: 'building', id: building.id, name: typeName, detail, buildingData: building };
+        }
+        if (building.id === 'house_main') {
+          return { type: 'building', id: building.id, name: 'Farmhouse', detail: 'Order new buildings', buildingData: building };
+        }
+        if (building.type === 'barn' || building.type === 'coop') {
+          let inside = 0;
+          for (const { data } of this.renderers.animals.animalMeshes.values()) {
+            if (data.homeId === building.id && data.outside === false) inside++;
+          }
+          const door = building.doorOpen === false ? 'Door closed' : 'Door open';
+          return { type: 'building', id: building.id, name: typeName, detail: `${inside} inside \u00B7 ${door}`, buildingData: building };
+        }
         let detail = 'Idle';
         if (building.processing) {
           const remaining = Math.max(0, building.processing.endTime - Date.now());
@@ -234,9 +278,23 @@ export class SelectionManager {
       }
     }
 
+    // Shopkeepers and shop buildings open their shop
+    if (entity.type === 'npc' && entity.shopId) {
+      actions = [...actions, 'Shop'];
+    } else if (entity.type === 'building' && entity.buildingData?.shopId) {
+      actions = ['Shop'];
+    } else if (entity.type === 'building' && entity.buildingData?.construction) {
+      actions = [];
+    } else if (entity.type === 'building' && entity.id === 'house_main') {
+      actions = ['Build'];
+    } else if (entity.type === 'building' && ['barn', 'coop'].includes(entity.buildingData?.type)) {
+      const door = entity.buildingData.doorOpen === false ? 'Open Door' : 'Close Door';
+      actions = ['Feed Animals', 'Collect Products', door];
+    }
+
     if (actions.length === 0) return;
 
-    this._contextMenu.innerHTML = actions.map(action =>
+    this._contextMenu.innerHTML = this._petBonusHTML(entity) + actions.map(action =>
       `<button class="context-menu-btn" data-action="${action}" data-type="${entity.type}" data-id="${entity.id}">${action}</button>`
     ).join('');
 
@@ -269,6 +327,15 @@ export class SelectionManager {
     });
   }
 
+  /** The pet's bonus at its current loyalty and skill, as a line above its actions */
+  _petBonusHTML(entity) {
+    if (entity.type !== 'pet') return '';
+    const base = this._petBonuses[entity.petData?.type];
+    if (!base?.bonus) return '';
+    const percent = Math.round(base.bonusValue * (entity.petData.bonusStrength ?? 0) * 100);
+    return `<div class="context-menu-info">\u{1F43E} +${percent}% ${PET_BONUS_LABELS[base.bonus] || base.bonus}</div>`;
+  }
+
   hideContextMenu() {
     if (this._contextMenu) {
       this._contextMenu.classList.add('hidden');
@@ -283,11 +350,13 @@ export class SelectionManager {
       case 'npc':
         if (action === 'Talk') net.sendNPCTalk(entityId);
         if (action === 'Gift') net._giftTarget = entityId; // handled by UI flow
+        if (action === 'Shop' && this.onOpenShop) this.onOpenShop(this._contextEntity.shopId);
         break;
       case 'animal':
         if (action === 'Feed') net.sendAnimalFeed(entityId);
         if (action === 'Collect') net.sendAnimalCollect(entityId);
-        if (action === 'Pet') net.sendAnimalFeed(entityId); // pet uses same action
+        if (action === 'Pet') net.sendAnimalPet(entityId);
+        if (action === 'Sell') net.sendAnimalSell(entityId);
         break;
       case 'pet':
         if (action === 'Pet') net.sendPetInteract(entityId, 'pet');
@@ -304,6 +373,13 @@ export class SelectionManager {
         }
         break;
       case 'building':
+        if (action === 'Shop' && this.onOpenShop) {
+          this.onOpenShop(this._contextEntity.buildingData.shopId);
+        }
+        if (action === 'Build' && this.onOpenBuild) this.onOpenBuild();
+        if (action === 'Feed Animals') net.sendHomeFeed(entityId);
+        if (action === 'Collect Products') net.sendHomeCollect(entityId);
+        if (action === 'Open Door' || action === 'Close Door') net.sendAnimalDoor(entityId);
         if (action === 'Open Crafting') {
           if (this.onOpenCrafting) {
             this.onOpenCrafting(this._contextEntity.buildingData);
@@ -370,7 +446,8 @@ export class SelectionManager {
     const seasons = (staticData.season || []).map(s => SEASON_NAMES[s]).join(', ');
 
     // Sell price and regrow info
-    const sellLine = staticData.sellPrice ? `Sells: ${staticData.sellPrice}g` : '';
+    const sellPrice = getBasePrice(cropData.cropType);
+    const sellLine = sellPrice ? `Sells: ${sellPrice}g` : '';
     const regrowLine = staticData.regrows ? ' \u00B7 Regrows' : '';
 
     return `
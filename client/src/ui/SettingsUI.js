@@ -0,0 +1,169 @@
+// client/src/ui/SettingsUI.js
+// Settings panel: key bindings, camera speeds, graphics quality, audio
+// volumes and whether the settings are saved with the farmer. Every change
+// goes straight into Settings; whoever listens there applies it.
+
+import { KEY_ACTIONS, GRAPHICS_QUALITIES, keyLabel } from '../engine/Settings.js';
+
+const SLIDERS = {
+  camera: [
+    { key: 'panSpeed', label: 'Pan speed', min: 0.02, max: 0.12, step: 0.01, format: v => `${Math.round(v * 100)}` },
+    { key: 'zoomSpeed', label: 'Zoom speed', min: 0.05, max: 0.3, step: 0.05, format: v => `${Math.round(v * 100)}` },
+    { key: 'holdToExpandMs', label: 'Hold to work a row', min: 150, max: 800, step: 50, format: v => `${v} ms` },
+  ],
+  audio: [
+    { key: 'masterVolume', label: 'Master', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+    { key: 'musicVolume', label: 'Music', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+    { key: 'sfxVolume', label: 'Sound effects', min: 0, max: 1, step: 0.05, format: v => `${Math.round(v * 100)}%` },
+  ],
+};
+
+export class SettingsUI {
+  /** @param {import('../engine/Settings.js').Settings} settings */
+  constructor(settings) {
+    this.settings = settings;
+    this.container = document.createElement('div');
+    this.container.id = 'settings-panel';
+    this.container.className = 'panel hidden';
+    document.getElementById('ui-overlay').appendChild(this.container);
+    this.visible = false;
+    this._capture = null; // keydown listener while waiting for a new binding
+
+    settings.onChange((key, values, { fromServer }) => {
+      if (fromServer && this.visible) this._render();
+    });
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+
+  show() {
+    this.visible = true;
+    this.container.classList.remove('hidden');
+    this._render();
+  }
+
+  hide() {
+    this._stopCapture();
+    this.visible = false;
+    this.container.classList.add('hidden');
+  }
+
+  _render() {
+    this._stopCapture();
+    this.container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'craft-header';
+    const title = document.createElement('span');
+    title.className = 'craft-title';
+    title.textContent = '⚙️ Settings';
+    header.appendChild(title);
+    const closeBtn = document.createElement('span');
+    closeBtn.className = 'craft-close';
+    closeBtn.textContent = '✕';
+    closeBtn.onclick = () => this.hide();
+    header.appendChild(closeBtn);
+    this.container.appendChild(header);
+
+    this._section('Controls');
+    for (const [action, label] of Object.entries(KEY_ACTIONS)) {
+      const btn = document.createElement('button');
+      btn.className = 'settings-key';
+      btn.textContent = keyLabel(this.settings.keyFor(action));
+      btn.onclick = () => this._captureKey(action, btn);
+      this._row(label, btn);
+    }
+
+    this._section('Camera');
+    for (const slider of SLIDERS.camera) this._slider(slider);
+
+    this._section('Graphics');
+    const quality = document.createElement('select');
+    quality.className = 'settings-select';
+    for (const q of GRAPHICS_QUALITIES) {
+      const opt = document.createElement('option');
+      opt.value = q;
+      opt.textContent = q[0].toUpperCase() + q.slice(1);
+      opt.selected = this.settings.get('graphicsQuality') === q;
+      quality.appendChild(opt);
+    }
+    quality.onchange = () => this.settings.set('graphicsQuality', quality.value);
+    this._row('Quality', quality);
+
+    this._section('Audio');
+    for (const slider of SLIDERS.audio) this._slider(slider);
+
+    this._section('Saving');
+    const sync = document.createElement('input');
+    sync.type = 'checkbox';
+    sync.checked = this.settings.get('syncToServer');
+    sync.onchange = () => this.settings.set('syncToServer', sync.checked);
+    this._row('Save with my farmer', sync);
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'craft-btn settings-reset';
+    resetBtn.textContent = 'Reset to defaults';
+    resetBtn.onclick = () => {
+      this.settings.reset();
+      this._render();
+    };
+    this.container.appendChild(resetBtn);
+  }
+
+  _section(text) {
+    const heading = document.createElement('div');
+    heading.className = 'settings-section';
+    heading.textContent = text;
+    this.container.appendChild(heading);
+  }
+
+  _row(label, control, valueEl = null) {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    row.appendChild(name);
+    if (valueEl) row.appendChild(valueEl);
+    row.appendChild(control);
+    this.container.appendChild(row);
+  }
+
+  _slider({ key, label, min, max, step, format }) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = this.settings.get(key);
+    const value = document.createElement('span');
+    value.className = 'settings-value';
+    value.textContent = format(this.settings.get(key));
+    input.oninput = () => { value.textContent = format(Number(input.value)); };
+    input.onchange = () => this.settings.set(key, Number(input.value));
+    this._row(label, input, value);
+  }
+
+  /** Wait for the next key press and bind it; Escape cancels, reserved keys are ignored */
+  _captureKey(action, btn) {
+    this._stopCapture();
+    btn.textContent = 'Press a key…';
+    btn.classList.add('listening');
+    this._capture = (e) => {
+      // Ahead of the game's own key handling, which must not see this press
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code !== 'Escape' && !this.settings.bindKey(action, e.code)) return;
+      this._render();
+    };
+    window.addEventListener('keydown', this._capture, true);
+  }
+
+  _stopCapture() {
+    if (!this._capture) return;
+    window.removeEventListener('keydown', this._capture, true);
+    this._capture = null;
+  }
+}
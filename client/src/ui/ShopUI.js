@@ -0,0 +1,179 @@
+// client/src/ui/ShopUI.js
+// Shop window for town shops — today's stock with prices and limits.
+// The server sends the catalogue; purchases are validated there.
+
+import { getItemIcon } from './ItemIcons.js';
+
+const KIND_ICONS = {
+  animal: '\u{1F404}',
+  pet: '\u{1F43E}',
+  cosmetic: '\u{1F380}',
+};
+
+function formatHour(h) {
+  return `${h}:00`;
+}
+
+export class ShopUI {
+  constructor() {
+    this.container = document.createElement('div');
+    this.container.id = 'shop-panel';
+    this.container.className = 'panel hidden';
+    document.getElementById('ui-overlay').appendChild(this.container);
+    this.visible = false;
+    this.onBuy = null;
+    this._shop = null;
+    this._coins = 0;
+  }
+
+  show(shop, coins = 0) {
+    this._shop = shop;
+    this._coins = coins;
+    this.visible = true;
+    this.container.classList.remove('hidden');
+    this._render();
+  }
+
+  /** Re-check affordability after the player's coins change */
+  updateCoins(coins) {
+    this._coins = coins;
+    if (this.visible) this._render();
+  }
+
+  hide() {
+    this.visible = false;
+    this.container.classList.add('hidden');
+  }
+
+  _render() {
+    const shop = this._shop;
+    this.container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'craft-header';
+    const title = document.createElement('span');
+    title.className = 'craft-title';
+    title.textContent = shop.name;
+    header.appendChild(title);
+    const closeBtn = document.createElement('span');
+    closeBtn.className = 'craft-close';
+    closeBtn.textContent = '\u2715';
+    closeBtn.onclick = () => this.hide();
+    header.appendChild(closeBtn);
+    this.container.appendChild(header);
+
+    const info = document.createElement('div');
+    info.className = 'shop-info';
+    const hours = shop.hours ? `Open ${formatHour(shop.hours[0])} \u2013 ${formatHour(shop.hours[1])}` : '';
+    info.innerHTML = `<span>${hours}</span><span>\u{1FA99} ${this._coins}g</span>`;
+    this.container.appendChild(info);
+
+    if (!shop.open) {
+      const closed = document.createElement('div');
+      closed.className = 'craft-status';
+      closed.textContent = `${shop.keeperName || 'The keeper'} isn't here right now. Come back during opening hours.`;
+      this.container.appendChild(closed);
+      return;
+    }
+
+    if (shop.items.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'craft-empty';
+      empty.textContent = 'Nothing in stock this season.';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'craft-items';
+    for (const entry of shop.items) {
+      const item = document.createElement('div');
+      item.className = 'craft-item';
+
+      const details = document.createElement('div');
+      details.style.flex = '1';
+      const emoji = KIND_ICONS[entry.kind] || getItemIcon(entry.itemId).emoji;
+      const nameDiv = document.createElement('div');
+      nameDiv.textContent = `${emoji} ${entry.name}`;
+      details.appendChild(nameDiv);
+
+      const priceDiv = document.createElement('div');
+      priceDiv.className = 'shop-price';
+      priceDiv.textContent = `${entry.price}g`;
+      details.appendChild(priceDiv);
+
+      if (entry.remaining !== null) {
+        const stockDiv = document.createElement('div');
+        stockDiv.className = 'shop-stock';
+        stockDiv.textContent = entry.remaining > 0 ? `${entry.remaining} left today` : 'Sold out';
+        details.appendChild(stockDiv);
+      }
+      item.appendChild(details);
+
+      // Animals are named and given a barn or coop before they're bought
+      if (entry.kind === 'animal') {
+        this._renderAnimalPurchase(item, details, entry, shop);
+        list.appendChild(item);
+        continue;
+      }
+
+      // Stackable items can be bought five at a time
+      const amounts = entry.kind === 'item' ? [1, 5] : [1];
+      for (const qty of amounts) {
+        const buyBtn = document.createElement('button');
+        buyBtn.className = 'craft-btn';
+        buyBtn.textContent = qty === 1 ? 'Buy' : `x${qty}`;
+        const inStock = entry.remaining === null || entry.remaining >= qty;
+        buyBtn.disabled = !inStock || this._coins < entry.price * qty;
+        buyBtn.onclick = () => {
+          if (this.onBuy) this.onBuy(shop.id, entry.itemId, qty);
+        };
+        item.appendChild(buyBtn);
+      }
+      list.appendChild(item);
+    }
+    this.container.appendChild(list);
+  }
+
+  _renderAnimalPurchase(item, details, entry, shop) {
+    const homes = (shop.animalHomes || []).filter(h => h.type === entry.homeType);
+    const form = document.createElement('div');
+    form.className = 'shop-animal-form';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 16;
+    nameInput.placeholder = 'Name';
+    form.appendChild(nameInput);
+
+    const homeSelect = document.createElement('select');
+    for (const home of homes) {
+      const option = document.createElement('option');
+      option.value = home.id;
+      option.textContent = `${home.name} (${home.occupants}/${home.capacity})`;
+      option.disabled = home.occupants >= home.capacity;
+      homeSelect.appendChild(option);
+    }
+    const firstFree = homes.find(h => h.occupants < h.capacity);
+    if (firstFree) homeSelect.value = firstFree.id;
+    form.appendChild(homeSelect);
+    details.appendChild(form);
+
+    if (!firstFree) {
+      const note = document.createElement('div');
+      note.className = 'shop-stock';
+      note.textContent = homes.length === 0 ? `Needs a ${entry.homeType} on the farm` : `Every ${entry.homeType} is full`;
+      details.appendChild(note);
+    }
+
+    const buyBtn = document.createElement('button');
+    buyBtn.className = 'craft-btn';
+    buyBtn.textContent = 'Buy';
+    const inStock = entry.remaining === null || entry.remaining >= 1;
+    buyBtn.disabled = !inStock || !firstFree || this._coins < entry.price;
+    buyBtn.onclick = () => {
+      if (this.onBuy) this.onBuy(shop.id, entry.itemId, 1, { name: nameInput.value.trim(), homeId: homeSelect.value });
+    };
+    item.appendChild(buyBtn);
+  }
+}
@@ -16,7 +16,8 @@ const EYE_STYLES = ['dots', 'ovals', 'closed'];
 const MOUTH_STYLES = ['smile', 'neutral', 'open'];
 
 export class SplashScreen {
-  constructor() {
+  /** @param {{name: string, appearance: object}|null} savedProfile - returning farmer to prefill */
+  constructor(savedProfile = null) {
     // Use a separate AssetGenerator so cached materials don't
     // cross WebGL contexts (preview vs main game renderer).
     this.assetGen = new AssetGenerator();
@@ -30,6 +31,11 @@ export class SplashScreen {
       mouthStyle: 'smile',
     };
     this.name = 'Farmer';
+    this._returning = !!savedProfile;
+    if (savedProfile) {
+      this.name = savedProfile.name || this.name;
+      Object.assign(this.appearance, savedProfile.appearance);
+    }
     this._previewMesh = null;
   }
 
@@ -49,7 +55,7 @@ export class SplashScreen {
       <div class="splash-card">
         <div class="splash-header">
           <h1 class="splash-title">OurFarm</h1>
-          <p class="splash-subtitle">Create Your Farmer</p>
+          <p class="splash-subtitle">${this._returning ? 'Welcome Back' : 'Create Your Farmer'}</p>
         </div>
         <div class="splash-body">
           <div class="splash-preview">
@@ -58,7 +64,7 @@ export class SplashScreen {
           <div class="splash-options">
             <div class="splash-field">
               <label class="splash-label">Name</label>
-              <input type="text" class="splash-input" id="splash-name" value="Farmer" maxlength="16" spellcheck="false" />
+              <input type="text" class="splash-input" id="splash-name" value="${this._escape(this.name)}" maxlength="16" spellcheck="false" />
             </div>
             ${this._buildPalette('Skin', 'skin')}
             ${this._buildPalette('Shirt', 'shirt')}
@@ -69,7 +75,8 @@ export class SplashScreen {
             ${this._buildStylePicker('Mouth', 'mouth', MOUTH_STYLES)}
           </div>
         </div>
-        <button class="splash-start" id="splash-start">Start Farming!</button>
+        <button class="splash-start" id="splash-start">${this._returning ? 'Continue Farming!' : 'Start Farming!'}</button>
+        ${this._returning ? '<button class="splash-new" id="splash-new">Start a New Farmer</button>' : ''}
       </div>
     `;
 
@@ -120,6 +127,12 @@ export class SplashScreen {
       this._resolve({ name: this.name, appearance: { ...this.appearance } });
     });
 
+    // New farmer discards the saved identity
+    this.overlay.querySelector('#splash-new')?.addEventListener('click', () => {
+      this._cleanup();
+      this._resolve({ name: this.name, appearance: { ...this.appearance }, newFarmer: true });
+    });
+
     // Enter key starts game
     nameInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
@@ -130,9 +143,11 @@ export class SplashScreen {
   }
 
   _buildPalette(label, key) {
+    const current = this.appearance[`${key}Color`];
+    const activeIndex = Math.max(0, COLOR_PALETTES[key].indexOf(current));
     const swatches = COLOR_PALETTES[key].map((color, i) => {
       const hex = '#' + color.toString(16).padStart(6, '0');
-      return `<div class="swatch swatch-${key}${i === 0 ? ' active' : ''}" style="background:${hex}" data-index="${i}"></div>`;
+      return `<div class="swatch swatch-${key}${i === activeIndex ? ' active' : ''}" style="background:${hex}" data-index="${i}"></div>`;
     }).join('');
     return `
       <div class="splash-field">
@@ -143,8 +158,9 @@ export class SplashScreen {
   }
 
   _buildStylePicker(label, prefix, styles) {
+    const activeIndex = Math.max(0, styles.indexOf(this.appearance[`${prefix}Style`]));
     const btns = styles.map((s, i) =>
-      `<button class="style-btn style-${prefix}${i === 0 ? ' active' : ''}">${s}</button>`
+      `<button class="style-btn style-${prefix}${i === activeIndex ? ' active' : ''}">${s}</button>`
     ).join('');
     return `
       <div class="splash-field">
@@ -154,6 +170,10 @@ export class SplashScreen {
     `;
   }
 
+  _escape(text) {
+    return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
   _setupPreview() {
     const canvas = this.overlay.querySelector('#splash-preview-canvas');
     this._previewRenderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
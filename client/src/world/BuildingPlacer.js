@@ -0,0 +1,115 @@
+// client/src/world/BuildingPlacer.js
+// Placement preview for a new farm building: a see-through copy of the
+// building and its footprint follow the hovered tile, tinted green where it
+// fits and red where it doesn't. The server has the final say.
+
+import * as THREE from 'three';
+import { TILE_TYPES, BUILDING_FOOTPRINTS } from '@shared/constants.js';
+import { isValidTile, tileIndex, getFootprintTiles } from '@shared/TileMap.js';
+
+const VALID_COLOR = 0x44ff66;
+const INVALID_COLOR = 0xff4444;
+const BUILDABLE_TILES = new Set([TILE_TYPES.GRASS, TILE_TYPES.DIRT]);
+
+export class BuildingPlacer {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {import('../engine/AssetGenerator.js').AssetGenerator} assetGen
+   * @param {{ terrain, buildings, resources }} renderers - read for a quick local fit check
+   */
+  constructor(scene, assetGen, renderers) {
+    this.scene = scene;
+    this.assetGen = assetGen;
+    this.renderers = renderers;
+    this.type = null;
+    this.tile = null;
+    this.valid = false;
+    this._ghost = null;
+    this._footprint = null;
+    this._ghostMat = new THREE.MeshBasicMaterial({ color: VALID_COLOR, transparent: true, opacity: 0.45, depthWrite: false });
+    this._footprintMat = new THREE.MeshBasicMaterial({ color: VALID_COLOR, transparent: true, opacity: 0.3, depthWrite: false, side: THREE.DoubleSide });
+  }
+
+  get active() {
+    return this.type !== null;
+  }
+
+  start(type) {
+    this.cancel();
+    this.type = type;
+
+    this._ghost = this.assetGen.createBuilding(type);
+    this._ghost.traverse(child => {
+      if (child.isMesh) {
+        child.material = this._ghostMat;
+        child.castShadow = false;
+      }
+    });
+    this._ghost.visible = false;
+    this.scene.add(this._ghost);
+
+    const { w, d } = BUILDING_FOOTPRINTS[type] || { w: 2, d: 2 };
+    this._footprint = new THREE.Mesh(new THREE.PlaneGeometry(w, d), this._footprintMat);
+    this._footprint.rotation.x = -Math.PI / 2;
+    this._footprint.visible = false;
+    this.scene.add(this._footprint);
+  }
+
+  /** Move the preview to a tile and re-tint it */
+  setTile(tile) {
+    if (!this.active || !tile) return;
+    this.tile = { x: tile.x, z: tile.z };
+
+    const { w, d } = BUILDING_FOOTPRINTS[this.type] || { w: 2, d: 2 };
+    this._ghost.position.set(tile.x, 0, tile.z);
+    this._footprint.position.set(tile.x - Math.floor(w / 2) + w / 2, 0.03, tile.z - Math.floor(d / 2) + d / 2);
+    this._ghost.visible = true;
+    this._footprint.visible = true;
+
+    this.valid = this._fits(tile.x, tile.z);
+    const color = this.valid ? VALID_COLOR : INVALID_COLOR;
+    this._ghostMat.color.setHex(color);
+    this._footprintMat.color.setHex(color);
+  }
+
+  cancel() {
+    if (this._ghost) {
+      this.scene.remove(this._ghost);
+      this._ghost.traverse(child => {
+        if (child.isMesh) child.geometry.dispose();
+      });
+      this._ghost = null;
+    }
+    if (this._footprint) {
+      this.scene.remove(this._footprint);
+      this._footprint.geometry.dispose();
+      this._footprint = null;
+    }
+    this.type = null;
+    this.tile = null;
+    this.valid = false;
+  }
+
+  dispose() {
+    this.cancel();
+    this._ghostMat.dispose();
+    this._footprintMat.dispose();
+  }
+
+  _fits(tileX, tileZ) {
+    const { terrain, buildings, resources } = this.renderers;
+    const taken = new Set();
+    for (const { data: b } of buildings.buildingMeshes.values()) {
+      for (const t of getFootprintTiles(b.type, b.tileX, b.tileZ)) taken.add(`${t.x},${t.z}`);
+    }
+
+    for (const t of getFootprintTiles(this.type, tileX, tileZ)) {
+      if (!isValidTile(t.x, t.z)) return false;
+      const tile = terrain.tiles?.[tileIndex(t.x, t.z)];
+      if (!tile || !BUILDABLE_TILES.has(tile.type)) return false;
+      if (taken.has(`${t.x},${t.z}`)) return false;
+      if (resources.getResourceAtTile(t.x, t.z)) return false;
+    }
+    return true;
+  }
+}
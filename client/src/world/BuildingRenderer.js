@@ -12,6 +12,12 @@ const GLOW_EMISSIVE_DAY = new THREE.Color(0x334455);
 const GLOW_COLOR_NIGHT = new THREE.Color(0xffcc55);
 const GLOW_EMISSIVE_NIGHT = new THREE.Color(0xffaa33);
 
+// Farm buildings that open the crafting panel
+const CRAFTING_TYPES = new Set(['mill', 'forge', 'kitchen', 'loom']);
+
+// Farm buildings animals live in
+const ANIMAL_HOME_TYPES = new Set(['barn', 'coop']);
+
 export class BuildingRenderer {
   constructor(scene, assetGen) {
     this.scene = scene;
@@ -33,27 +39,70 @@ export class BuildingRenderer {
   }
 
   build(buildings) {
-    for (const b of buildings) {
-      const mesh = this.assetGen.createBuilding(b.type);
-      mesh.position.set(b.tile_x || b.tileX, 0, b.tile_z || b.tileZ);
-      this.scene.add(mesh);
-      this.buildingMeshes.set(b.id, { mesh, data: b });
-
-      // Find and store window material reference + add glow overlays
-      this._processWindows(mesh, b);
-
-      // Add interior light to the main house
-      if (b.id === 'house_main' || b.type === 'house') {
-        this._addInteriorLight(mesh, b);
-      }
+    for (const b of buildings) this.addBuilding(b);
+  }
+
+  addBuilding(b) {
+    // Construction sites show scaffolding until the building is finished
+    if (b.construction) {
+      const site = this.assetGen.createConstructionSite(b.type);
+      site.position.set(b.tileX, 0, b.tileZ);
+      this.scene.add(site);
+      this.buildingMeshes.set(b.id, { mesh: site, data: b });
+      return;
+    }
+
+    const mesh = this.assetGen.createBuilding(b.type);
+    mesh.position.set(b.tile_x || b.tileX, 0, b.tile_z || b.tileZ);
+    this.scene.add(mesh);
+    this.buildingMeshes.set(b.id, { mesh, data: b });
+
+    // Find and store window material reference + add glow overlays
+    this._processWindows(mesh, b);
+    this._applyGlow(this._glowIntensity);
+
+    // Add interior light to the main house
+    if (b.id === 'house_main' || b.type === 'house') {
+      this._addInteriorLight(mesh, b);
     }
   }
 
-  /** Find a craftable building (mill, forge) near the given world position. */
+  /** Swap in a building's new state, e.g. a construction site that has been finished */
+  updateBuilding(b) {
+    const entry = this.buildingMeshes.get(b.id);
+    if (!entry) return this.addBuilding(b);
+    if (!!entry.data.construction === !!b.construction) {
+      entry.data = b;
+      return;
+    }
+    this.removeBuilding(b.id);
+    this.addBuilding(b);
+  }
+
+  removeBuilding(id) {
+    const entry = this.buildingMeshes.get(id);
+    if (!entry) return;
+    entry.mesh.traverse(child => {
+      const i = this._glowPlanes.indexOf(child);
+      if (i === -1) return;
+      this._glowPlanes.splice(i, 1);
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    this.scene.remove(entry.mesh);
+    this.buildingMeshes.delete(id);
+  }
+
+  /**
+   * Find a building with a menu near the given world position: a crafting
+   * station, the farmhouse (construction), a barn or coop, a construction
+   * site or a town shop.
+   */
   getBuildingAtPosition(worldX, worldZ) {
     for (const [id, entry] of this.buildingMeshes) {
       const b = entry.data;
-      if (b.type !== 'mill' && b.type !== 'forge') continue;
+      if (!CRAFTING_TYPES.has(b.type) && !ANIMAL_HOME_TYPES.has(b.type) && b.id !== 'house_main'
+        && !b.construction && !b.shopId) continue;
       const bx = (b.tile_x || b.tileX) + 0.5;
       const bz = (b.tile_z || b.tileZ) + 0.5;
       const dx = worldX - bx;
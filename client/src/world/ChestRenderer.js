@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { TILE_SIZE, CHEST_COLORS } from '@shared/constants.js';
+
+export class ChestRenderer {
+  constructor(scene) {
+    this.scene = scene;
+    this.chestMeshes = new Map();
+  }
+
+  build(chests) {
+    for (const c of chests) {
+      this.addChest(c);
+    }
+  }
+
+  addChest(data) {
+    const group = new THREE.Group();
+
+    // Painted box and lid, in the chest's label colour
+    const paint = new THREE.MeshPhongMaterial({ color: CHEST_COLORS.wood });
+    const boxGeo = new THREE.BoxGeometry(0.3, 0.16, 0.22);
+    const box = new THREE.Mesh(boxGeo, paint);
+    box.position.y = 0.08;
+    group.add(box);
+
+    const lidGeo = new THREE.BoxGeometry(0.32, 0.06, 0.24);
+    const lid = new THREE.Mesh(lidGeo, paint);
+    lid.position.y = 0.19;
+    group.add(lid);
+
+    // Iron bands and clasp
+    const ironMat = new THREE.MeshPhongMaterial({ color: 0x555555 });
+    for (const x of [-0.1, 0.1]) {
+      const bandGeo = new THREE.BoxGeometry(0.025, 0.225, 0.245);
+      const band = new THREE.Mesh(bandGeo, ironMat);
+      band.position.set(x, 0.11, 0);
+      group.add(band);
+    }
+    const claspGeo = new THREE.BoxGeometry(0.05, 0.05, 0.02);
+    const clasp = new THREE.Mesh(claspGeo, new THREE.MeshPhongMaterial({ color: 0xDDAA33 }));
+    clasp.position.set(0, 0.16, 0.12);
+    group.add(clasp);
+
+    const wx = data.tileX * TILE_SIZE + TILE_SIZE / 2;
+    const wz = data.tileZ * TILE_SIZE + TILE_SIZE / 2;
+    group.position.set(wx, 0, wz);
+
+    this.scene.add(group);
+    const entry = { mesh: group, paint, data };
+    this.chestMeshes.set(data.id, entry);
+    this._applyState(entry);
+  }
+
+  getChestAtPosition(worldX, worldZ) {
+    const threshold = 0.5;
+    for (const [id, entry] of this.chestMeshes) {
+      const dx = entry.mesh.position.x - worldX;
+      const dz = entry.mesh.position.z - worldZ;
+      if (Math.sqrt(dx * dx + dz * dz) < threshold) return id;
+    }
+    return null;
+  }
+
+  updateChest(chestData) {
+    const entry = this.chestMeshes.get(chestData.id);
+    if (!entry) return;
+    entry.data = chestData;
+    this._applyState(entry);
+  }
+
+  _applyState(entry) {
+    entry.paint.color.setHex(CHEST_COLORS[entry.data.color] ?? CHEST_COLORS.wood);
+  }
+
+  removeChest(id) {
+    const entry = this.chestMeshes.get(id);
+    if (entry) {
+      this.scene.remove(entry.mesh);
+      entry.mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.chestMeshes.delete(id);
+    }
+  }
+
+  dispose() {
+    for (const [id] of this.chestMeshes) {
+      this.removeChest(id);
+    }
+  }
+}
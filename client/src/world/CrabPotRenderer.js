@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { TILE_SIZE } from '@shared/constants.js';
+
+const BOB_SPEED = 2.2;
+const BOB_HEIGHT = 0.015;
+
+export class CrabPotRenderer {
+  constructor(scene) {
+    this.scene = scene;
+    this.potMeshes = new Map();
+    this._time = 0;
+  }
+
+  build(pots) {
+    for (const p of pots) {
+      this.addCrabPot(p);
+    }
+  }
+
+  addCrabPot(data) {
+    const group = new THREE.Group();
+
+    // Wicker trap sitting just under the surface
+    const trapGeo = new THREE.CylinderGeometry(0.14, 0.16, 0.1, 8);
+    const trap = new THREE.Mesh(trapGeo, new THREE.MeshPhongMaterial({ color: 0x8B6B4A, transparent: true, opacity: 0.8 }));
+    trap.position.y = -0.02;
+    group.add(trap);
+
+    // Float on a short rope
+    const ropeGeo = new THREE.CylinderGeometry(0.005, 0.005, 0.12, 4);
+    const rope = new THREE.Mesh(ropeGeo, new THREE.MeshPhongMaterial({ color: 0xCCBB88 }));
+    rope.position.set(0.08, 0.06, 0);
+    group.add(rope);
+
+    const floatGeo = new THREE.SphereGeometry(0.04, 8, 6);
+    const float = new THREE.Mesh(floatGeo, new THREE.MeshPhongMaterial({ color: 0xFF5533 }));
+    float.position.set(0.08, 0.12, 0);
+    group.add(float);
+
+    // Shown while a catch is waiting
+    const flagGeo = new THREE.ConeGeometry(0.035, 0.08, 6);
+    const flag = new THREE.Mesh(flagGeo, new THREE.MeshPhongMaterial({ color: 0xFFDD33, emissive: 0x664400 }));
+    flag.position.set(0.08, 0.22, 0);
+    flag.rotation.x = Math.PI;
+    group.add(flag);
+
+    const wx = data.tileX * TILE_SIZE + TILE_SIZE / 2;
+    const wz = data.tileZ * TILE_SIZE + TILE_SIZE / 2;
+    group.position.set(wx, 0, wz);
+
+    this.scene.add(group);
+    const entry = { mesh: group, flag, data, phase: Math.random() * Math.PI * 2 };
+    this.potMeshes.set(data.id, entry);
+    this._applyState(entry);
+  }
+
+  getCrabPotAtPosition(worldX, worldZ) {
+    const threshold = 0.5;
+    for (const [id, entry] of this.potMeshes) {
+      const dx = entry.mesh.position.x - worldX;
+      const dz = entry.mesh.position.z - worldZ;
+      if (Math.sqrt(dx * dx + dz * dz) < threshold) return id;
+    }
+    return null;
+  }
+
+  updateCrabPot(potData) {
+    const entry = this.potMeshes.get(potData.id);
+    if (!entry) return;
+    entry.data = potData;
+    this._applyState(entry);
+  }
+
+  _applyState(entry) {
+    entry.flag.visible = !!entry.data.catchItem;
+  }
+
+  update(delta) {
+    this._time += delta;
+    for (const entry of this.potMeshes.values()) {
+      entry.mesh.position.y = Math.sin(this._time * BOB_SPEED + entry.phase) * BOB_HEIGHT;
+    }
+  }
+
+  removeCrabPot(id) {
+    const entry = this.potMeshes.get(id);
+    if (entry) {
+      this.scene.remove(entry.mesh);
+      entry.mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.potMeshes.delete(id);
+    }
+  }
+
+  dispose() {
+    for (const [id] of this.potMeshes) {
+      this.removeCrabPot(id);
+    }
+  }
+}
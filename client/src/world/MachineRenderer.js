@@ -75,6 +75,18 @@ export class MachineRenderer {
         group.add(cone);
         break;
       }
+      case 'incubator': {
+        // Wooden base with a glass dome over the eggs
+        const baseGeo = new THREE.BoxGeometry(0.2, 0.06, 0.16);
+        const base = new THREE.Mesh(baseGeo, new THREE.MeshPhongMaterial({ color: 0xA0522D }));
+        base.position.y = 0.03;
+        group.add(base);
+        const domeGeo = new THREE.SphereGeometry(0.08, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
+        const dome = new THREE.Mesh(domeGeo, new THREE.MeshPhongMaterial({ color: 0xFFE4A0, transparent: true, opacity: 0.6, emissive: 0x553300 }));
+        dome.position.y = 0.06;
+        group.add(dome);
+        break;
+      }
       default: {
         // Generic box
         const defGeo = new THREE.BoxGeometry(0.15, 0.15, 0.15);
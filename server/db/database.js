@@ -1,13 +1,18 @@
 // server/db/database.js
 // SQLite database connection and initialization.
+// Schema changes live in numbered files under migrations/ (NNN_name.sql or NNN_name.js
+// exporting up(db)); each runs once, in its own transaction, tracked in schema_version.
 
 import Database from 'better-sqlite3';
-import { readFileSync } from 'fs';
+import { readFileSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { logger } from '../utils/Logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+const migrations = await loadMigrations();
 
 let db;
 
@@ -20,18 +25,13 @@ export function getDB() {
       db.pragma('journal_mode = WAL');
       db.pragma('foreign_keys = ON');
 
-      // Run schema
-      const schema = readFileSync(join(__dirname, 'schema.sql'), 'utf-8');
-      db.exec(schema);
-
-      // Migrations: add columns that may not exist in older databases
-      try {
-        db.exec('ALTER TABLE players ADD COLUMN professions TEXT DEFAULT \'{}\'');
-      } catch (_) { /* column already exists */ }
+      runMigrations(db);
 
       logger.info('DB', 'Schema initialized successfully');
     } catch (err) {
       logger.error('DB', 'Failed to initialize database', { error: err.message, stack: err.stack });
+      db?.close();
+      db = null;
       throw err;
     }
   }
@@ -45,3 +45,53 @@ export function closeDB() {
     db = null;
   }
 }
+
+/** Read migration files in version order. SQL files are wrapped in an up(db). */
+async function loadMigrations() {
+  const list = [];
+  for (const file of readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = file.match(/^(\d+)_(.+)\.(sql|js)$/);
+    if (!match) continue;
+    const [, num, name, ext] = match;
+    const path = join(MIGRATIONS_DIR, file);
+    const up = ext === 'sql'
+      ? (conn) => conn.exec(readFileSync(path, 'utf-8'))
+      : (await import(pathToFileURL(path).href)).up;
+    if (typeof up !== 'function') throw new Error(`Migration ${file} does not export up(db)`);
+    list.push({ version: parseInt(num, 10), name, file, up });
+  }
+
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) {
+      throw new Error(`Duplicate migration version ${list[i].version}: ${list[i - 1].file}, ${list[i].file}`);
+    }
+  }
+  return list;
+}
+
+/** Apply pending migrations. Refuses a database written by a newer server. */
+function runMigrations(conn) {
+  conn.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  const current = conn.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${latest}). Update the server before opening this save.`);
+  }
+
+  const record = conn.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  for (const m of migrations) {
+    if (m.version <= current) continue;
+    conn.transaction(() => {
+      m.up(conn);
+      record.run(m.version, m.name);
+    })();
+    logger.info('DB', `Applied migration ${m.file}`, { version: m.version });
+  }
+}
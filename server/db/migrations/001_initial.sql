@@ -1,4 +1,5 @@
--- server/db/schema.sql
+-- server/db/migrations/001_initial.sql
+-- Original schema. Later changes go in new numbered migrations, never here.
 
 CREATE TABLE IF NOT EXISTS worlds (
   id TEXT PRIMARY KEY,
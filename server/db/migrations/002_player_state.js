@@ -0,0 +1,13 @@
+// server/db/migrations/002_player_state.js
+// Full player persistence (map, tool tiers, appearance) and the reconnect token.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'players', 'professions', 'TEXT DEFAULT \'{}\'');
+  addColumnIfMissing(db, 'players', 'current_map', 'TEXT DEFAULT \'farm\'');
+  addColumnIfMissing(db, 'players', 'tool_tiers', 'TEXT DEFAULT \'{}\'');
+  addColumnIfMissing(db, 'players', 'appearance', 'TEXT DEFAULT \'{}\'');
+  addColumnIfMissing(db, 'players', 'token', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_players_token ON players(token)');
+}
@@ -0,0 +1,109 @@
+// server/db/migrations/003_map_state.js
+// Per-map world persistence: tiles, crops, animals, pets, sprinklers, resources, forage.
+
+import { hasColumn } from '../schemaHelpers.js';
+
+export function up(db) {
+  // Databases saved by a build from before versioning already have these tables
+  if (hasColumn(db, 'crops', 'map_id')) return;
+
+  // 001 declared tiles/crops/animals/pets without a map_id and nothing ever wrote to them
+  db.exec('DROP TABLE IF EXISTS tiles; DROP TABLE IF EXISTS crops; DROP TABLE IF EXISTS animals; DROP TABLE IF EXISTS pets;');
+
+  db.exec(`
+    CREATE TABLE tiles (
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      x INTEGER NOT NULL,
+      z INTEGER NOT NULL,
+      type INTEGER NOT NULL,
+      PRIMARY KEY (world_id, map_id, x, z),
+      FOREIGN KEY (world_id) REFERENCES worlds(id)
+    );
+
+    CREATE TABLE crops (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      tile_x INTEGER NOT NULL,
+      tile_z INTEGER NOT NULL,
+      crop_type TEXT NOT NULL,
+      stage INTEGER DEFAULT 0,
+      growth REAL DEFAULT 0,
+      watered INTEGER DEFAULT 0,
+      fertilizer TEXT,
+      FOREIGN KEY (world_id) REFERENCES worlds(id)
+    );
+
+    CREATE TABLE animals (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      x REAL, z REAL,
+      happiness REAL DEFAULT 50,
+      fed_today INTEGER DEFAULT 0,
+      product_ready INTEGER DEFAULT 0,
+      hours_since_product REAL DEFAULT 0,
+      FOREIGN KEY (world_id) REFERENCES worlds(id)
+    );
+
+    CREATE TABLE pets (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      owner_id TEXT,
+      type TEXT NOT NULL,
+      name TEXT,
+      energy REAL DEFAULT 100,
+      happiness REAL DEFAULT 50,
+      loyalty REAL DEFAULT 0,
+      skill REAL DEFAULT 0,
+      body_size REAL DEFAULT 0.25,
+      ear_size REAL DEFAULT 0.1,
+      tail_length REAL DEFAULT 0.2,
+      color INTEGER DEFAULT 0,
+      x REAL, z REAL,
+      cosmetics TEXT DEFAULT '{}',
+      last_groomed INTEGER DEFAULT -1,
+      FOREIGN KEY (world_id) REFERENCES worlds(id),
+      FOREIGN KEY (owner_id) REFERENCES players(id)
+    );
+
+    CREATE TABLE sprinklers (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      tile_x INTEGER NOT NULL,
+      tile_z INTEGER NOT NULL,
+      FOREIGN KEY (world_id) REFERENCES worlds(id)
+    );
+
+    CREATE TABLE resources (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      tile_x INTEGER NOT NULL,
+      tile_z INTEGER NOT NULL,
+      variant INTEGER DEFAULT 0,
+      health INTEGER,
+      is_stump INTEGER DEFAULT 0,
+      fruit_type TEXT,
+      fruit_ready INTEGER DEFAULT 0,
+      fruit_timer REAL DEFAULT 0,
+      FOREIGN KEY (world_id) REFERENCES worlds(id)
+    );
+
+    CREATE TABLE forage (
+      id TEXT PRIMARY KEY,
+      world_id TEXT NOT NULL,
+      map_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      tile_x INTEGER NOT NULL,
+      tile_z INTEGER NOT NULL,
+      FOREIGN KEY (world_id) REFERENCES worlds(id)
+    );
+  `);
+}
@@ -0,0 +1,14 @@
+-- server/db/migrations/004_player_quests.sql
+-- Quest definitions live in server/data/quests.json; only per-player progress is stored.
+-- 001's quests table copied the quest text into every row and was never written to.
+
+DROP TABLE IF EXISTS quests;
+
+CREATE TABLE player_quests (
+  player_id TEXT NOT NULL,
+  quest_id TEXT NOT NULL,
+  progress INTEGER DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active','completed')),
+  PRIMARY KEY (player_id, quest_id),
+  FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+);
@@ -0,0 +1,17 @@
+// server/db/migrations/005_player_hp.js
+// Player health for combat. NULL means full health (max HP depends on professions).
+// Existing farmers also get the starter sword new players spawn with.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'players', 'hp', 'REAL');
+
+  db.prepare(`
+    INSERT INTO inventory (player_id, item_id, quantity, quality, slot)
+    SELECT p.id, 'wooden_sword', 1, 0,
+      (SELECT COALESCE(MAX(slot), -1) + 1 FROM inventory WHERE player_id = p.id)
+    FROM players p
+    WHERE NOT EXISTS (SELECT 1 FROM inventory i WHERE i.player_id = p.id AND i.item_id = 'wooden_sword')
+  `).run();
+}
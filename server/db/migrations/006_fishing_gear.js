@@ -0,0 +1,11 @@
+// server/db/migrations/006_fishing_gear.js
+// Equipped bait and tackle. The items stay in the inventory; these columns say
+// which ones are on the rod, and how worn each kind of tackle is.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'players', 'bait', 'TEXT');
+  addColumnIfMissing(db, 'players', 'tackle', 'TEXT');
+  addColumnIfMissing(db, 'players', 'tackle_wear', "TEXT DEFAULT '{}'");
+}
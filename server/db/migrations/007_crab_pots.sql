@@ -0,0 +1,16 @@
+-- server/db/migrations/007_crab_pots.sql
+-- Crab pots left in the water on the farm, town and beach maps.
+-- catch_item holds the overnight catch until someone empties the pot.
+
+CREATE TABLE crab_pots (
+  id TEXT PRIMARY KEY,
+  world_id TEXT NOT NULL,
+  map_id TEXT NOT NULL,
+  owner_id TEXT,
+  tile_x INTEGER NOT NULL,
+  tile_z INTEGER NOT NULL,
+  bait TEXT,
+  catch_item TEXT,
+  FOREIGN KEY (world_id) REFERENCES worlds(id),
+  FOREIGN KEY (owner_id) REFERENCES players(id) ON DELETE SET NULL
+);
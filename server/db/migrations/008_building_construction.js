@@ -0,0 +1,9 @@
+// server/db/migrations/008_building_construction.js
+// Farm buildings commissioned from a blueprint stay a construction site
+// until build_days_left reaches zero.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'buildings', 'build_days_left', 'INTEGER DEFAULT 0');
+}
@@ -0,0 +1,10 @@
+// server/db/migrations/009_animal_homes.js
+// Farm animals have a name, an age in days and a home barn or coop.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'animals', 'name', 'TEXT');
+  addColumnIfMissing(db, 'animals', 'home_id', 'TEXT');
+  addColumnIfMissing(db, 'animals', 'age', 'INTEGER DEFAULT 0');
+}
@@ -0,0 +1,12 @@
+// server/db/migrations/010_animal_moods.js
+// Farm animals keep friendship points, whether they were petted today and
+// whether they are out of doors; barns and coops have an animal door.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'animals', 'friendship', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'animals', 'petted_today', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'animals', 'outside', 'INTEGER DEFAULT 1');
+  addColumnIfMissing(db, 'buildings', 'door_open', 'INTEGER DEFAULT 1');
+}
@@ -0,0 +1,11 @@
+// server/db/migrations/011_animal_breeding.js
+// Young animals and pregnancies, and incubators counting down in days
+// rather than on the clock.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'animals', 'baby', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'animals', 'pregnant_days', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'machines', 'processing_days_left', 'INTEGER');
+}
@@ -0,0 +1,9 @@
+// server/db/migrations/012_player_settings.js
+// A player's client settings (key bindings, camera, graphics, audio) as JSON,
+// for players who choose to keep them with their farmer.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'players', 'settings', 'TEXT');
+}
@@ -0,0 +1,9 @@
+// server/db/migrations/013_backpack.js
+// Backpacks can be upgraded past the starting 30 slots. Inventory rows already
+// carry the slot each stack sits in.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+export function up(db) {
+  addColumnIfMissing(db, 'players', 'backpack_size', 'INTEGER DEFAULT 30');
+}
@@ -0,0 +1,22 @@
+-- server/db/migrations/014_chests.sql
+-- Storage chests placed on a map, and the stacks inside them by slot.
+
+CREATE TABLE chests (
+  id TEXT PRIMARY KEY,
+  world_id TEXT NOT NULL,
+  map_id TEXT NOT NULL,
+  tile_x INTEGER NOT NULL,
+  tile_z INTEGER NOT NULL,
+  color TEXT NOT NULL DEFAULT 'wood',
+  FOREIGN KEY (world_id) REFERENCES worlds(id)
+);
+
+CREATE TABLE chest_items (
+  chest_id TEXT NOT NULL,
+  slot INTEGER NOT NULL,
+  item_id TEXT NOT NULL,
+  quantity INTEGER NOT NULL,
+  quality INTEGER DEFAULT 0,
+  PRIMARY KEY (chest_id, slot),
+  FOREIGN KEY (chest_id) REFERENCES chests(id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+// server/db/migrations/015_item_values.js
+// Machine-made goods remember what they sell for, set by the input they were
+// made from, so a stack carries a value alongside its quality. Stacks made
+// before that keep the flat price they used to sell for.
+
+import { addColumnIfMissing } from '../schemaHelpers.js';
+
+const FLAT_PRICES = { wine: 400, juice: 150, preserves: 160, mayonnaise: 190 };
+
+export function up(db) {
+  addColumnIfMissing(db, 'inventory', 'value', 'INTEGER');
+  addColumnIfMissing(db, 'chest_items', 'value', 'INTEGER');
+
+  for (const table of ['inventory', 'chest_items']) {
+    const update = db.prepare(`UPDATE ${table} SET value = ? WHERE item_id = ? AND value IS NULL`);
+    for (const [itemId, price] of Object.entries(FLAT_PRICES)) update.run(price, itemId);
+  }
+}
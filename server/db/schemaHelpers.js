@@ -0,0 +1,15 @@
+// server/db/schemaHelpers.js
+// Small idempotent helpers for JS migrations. Databases created before versioning
+// existed may already have some of the changes a migration makes.
+
+/** Whether a table has a column */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/** ALTER TABLE ... ADD COLUMN, skipped when the column is already there */
+export function addColumnIfMissing(db, table, column, definition) {
+  if (hasColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
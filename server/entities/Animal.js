@@ -1,43 +1,130 @@
 // server/entities/Animal.js
 import { v4 as uuid } from 'uuid';
+import { QUALITY } from '../../shared/constants.js';
+
+export const FRIENDSHIP_MAX = 1000;
+
+const PET_FRIENDSHIP = 15;
+const FEED_FRIENDSHIP = 8;
 
 export class Animal {
   constructor(data = {}) {
     this.id = data.id || uuid();
     this.type = data.type;
+    this.name = data.name || null;
+    this.homeId = data.homeId || null; // the barn or coop it lives in
+    this.age = data.age ?? 0;          // days on the farm
+    this.baby = data.baby ?? false;    // born or hatched here and not grown yet
+    this.pregnantDays = data.pregnantDays ?? 0; // days until it gives birth, 0 if not expecting
     this.x = data.x ?? 30;
     this.z = data.z ?? 30;
-    this.happiness = data.happiness ?? 50;
+    this.happiness = data.happiness ?? 50; // mood, 0-100
+    this.friendship = data.friendship ?? 0; // 0-FRIENDSHIP_MAX, five hearts
     this.fedToday = data.fedToday ?? false;
+    this.pettedToday = data.pettedToday ?? false;
+    this.outside = data.outside ?? true;
     this.productReady = data.productReady ?? false;
-    this._hoursSinceProduct = 0;
+    this._hoursSinceProduct = data.hoursSinceProduct ?? 0;
   }
 
-  feed() { this.fedToday = true; this.happiness = Math.min(100, this.happiness + 20); }
+  /**
+   * Feed it, once a day. Hand-feeding builds friendship; grazing passes a
+   * multiplier of 0. Returns false if it has already eaten.
+   */
+  feed(friendshipMult = 1) {
+    if (this.fedToday) return false;
+    this.fedToday = true;
+    this.adjustMood(10);
+    this._addFriendship(FEED_FRIENDSHIP * friendshipMult);
+    return true;
+  }
+
+  /** Pet it, once a day. Returns false if it has already been petted. */
+  pet(friendshipMult = 1) {
+    if (this.pettedToday) return false;
+    this.pettedToday = true;
+    this.adjustMood(10);
+    this._addFriendship(PET_FRIENDSHIP * friendshipMult);
+    return true;
+  }
+
+  adjustMood(amount) {
+    this.happiness = Math.max(0, Math.min(100, this.happiness + amount));
+  }
+
+  getMood() {
+    if (this.happiness >= 80) return 'happy';
+    if (this.happiness >= 50) return 'content';
+    if (this.happiness >= 25) return 'grumpy';
+    return 'sad';
+  }
 
   tickHour(animalData, hoursElapsed = 1) {
-    if (!this.fedToday) return;
+    if (!this.fedToday || this.baby) return;
     this._hoursSinceProduct += hoursElapsed;
     if (this._hoursSinceProduct >= animalData.productInterval) {
       this.productReady = true;
     }
   }
 
+  /** Overnight: going hungry, unpetted or shut out for the night all cost friendship and mood */
   tickDaily() {
-    if (!this.fedToday) this.happiness = Math.max(0, this.happiness - 15);
+    if (!this.fedToday) {
+      this.adjustMood(-20);
+      this._addFriendship(-20);
+    }
+    if (!this.pettedToday) this._addFriendship(-10);
+    if (this.outside) {
+      this.adjustMood(-30);
+      this._addFriendship(-20);
+    }
     this.fedToday = false;
+    this.pettedToday = false;
+    this.age++;
   }
 
+  /**
+   * Take the product. Quality follows friendship (mostly) and mood; a close,
+   * happy animal sometimes gives the large variant.
+   * Returns { quality, large } or null if nothing is ready.
+   */
   collectProduct() {
     if (!this.productReady) return null;
     this.productReady = false;
-    return { qualityBonus: this.happiness > 80 ? 1.5 : 1.0 };
+    this._hoursSinceProduct = 0;
+    return { quality: this._rollQuality(), large: this._rollLarge() };
+  }
+
+  /** What it fetches when sold: 30% of the buy price, up to the full price for a happy animal */
+  getSellPrice(buyPrice) {
+    return Math.floor(buyPrice * (0.3 + 0.7 * this.happiness / 100));
+  }
+
+  _addFriendship(amount) {
+    this.friendship = Math.max(0, Math.min(FRIENDSHIP_MAX, Math.round(this.friendship + amount)));
+  }
+
+  _rollQuality() {
+    const score = 0.7 * this.friendship / FRIENDSHIP_MAX + 0.3 * this.happiness / 100;
+    const roll = Math.random();
+    if (score >= 0.9 && roll < 0.08) return QUALITY.IRIDIUM;
+    if (roll < score * score * 0.5) return QUALITY.GOLD;
+    if (roll < score * 0.8) return QUALITY.SILVER;
+    return QUALITY.NORMAL;
+  }
+
+  _rollLarge() {
+    if (this.friendship < 200 || this.happiness < 60) return false;
+    return Math.random() < this.friendship / 1500;
   }
 
   getState() {
     return {
-      id: this.id, type: this.type, x: this.x, z: this.z,
-      happiness: this.happiness, fedToday: this.fedToday, productReady: this.productReady,
+      id: this.id, type: this.type, name: this.name, homeId: this.homeId, age: this.age,
+      baby: this.baby, pregnantDays: this.pregnantDays,
+      x: this.x, z: this.z, outside: this.outside,
+      happiness: this.happiness, mood: this.getMood(), friendship: this.friendship,
+      fedToday: this.fedToday, pettedToday: this.pettedToday, productReady: this.productReady,
     };
   }
 }
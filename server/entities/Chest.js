@@ -0,0 +1,72 @@
+import { v4 as uuid } from 'uuid';
+import { CHEST_SLOTS } from '../../shared/constants.js';
+import { getMaxStack } from '../../shared/ItemRegistry.js';
+
+// A storage chest standing on the farm. Anyone working the farm can put
+// items in and take them out; the colour is only a label.
+export class Chest {
+  constructor({ id, tileX, tileZ, color, items }) {
+    this.id = id || uuid();
+    this.tileX = tileX;
+    this.tileZ = tileZ;
+    this.color = color || 'wood';
+    this.items = items || []; // { itemId, quantity, quality, value, slot }, kept in slot order
+  }
+
+  isEmpty() {
+    return this.items.length === 0;
+  }
+
+  /**
+   * Put items in, topping up matching stacks first, then into free slots.
+   * Returns how many went in.
+   */
+  store(itemId, quantity, quality = 0, value = null) {
+    const max = getMaxStack(itemId);
+    let left = quantity;
+    for (const stack of this.items) {
+      if (left <= 0) break;
+      if (stack.itemId !== itemId || stack.quality !== quality || stack.value !== value || stack.quantity >= max) continue;
+      const take = Math.min(max - stack.quantity, left);
+      stack.quantity += take;
+      left -= take;
+    }
+    while (left > 0) {
+      const slot = this._freeSlot();
+      if (slot === null) break;
+      const take = Math.min(max, left);
+      this.items.push({ itemId, quantity: take, quality, value, slot });
+      left -= take;
+    }
+    this.items.sort((a, b) => a.slot - b.slot);
+    return quantity - left;
+  }
+
+  /** Take a stack, or `quantity` of it, out of a slot. Returns { itemId, quantity, quality, value } or null. */
+  take(slot, quantity = undefined) {
+    const stack = this.items.find(i => i.slot === slot);
+    if (!stack) return null;
+    const amount = Math.min(stack.quantity, quantity === undefined ? stack.quantity : Math.max(1, Math.floor(quantity)));
+    stack.quantity -= amount;
+    this.items = this.items.filter(i => i.quantity > 0);
+    return { itemId: stack.itemId, quantity: amount, quality: stack.quality, value: stack.value };
+  }
+
+  _freeSlot() {
+    const used = new Set(this.items.map(i => i.slot));
+    for (let slot = 0; slot < CHEST_SLOTS; slot++) {
+      if (!used.has(slot)) return slot;
+    }
+    return null;
+  }
+
+  getState() {
+    return {
+      id: this.id,
+      tileX: this.tileX,
+      tileZ: this.tileZ,
+      color: this.color,
+      items: this.items,
+    };
+  }
+}
@@ -0,0 +1,32 @@
+import { v4 as uuid } from 'uuid';
+
+// A trap left in the water. It needs bait each day (unless its owner is a
+// Trapper) and holds at most one catch until someone empties it.
+export class CrabPot {
+  constructor({ id, ownerId, tileX, tileZ, bait, catchItem }) {
+    this.id = id || uuid();
+    this.ownerId = ownerId || null;
+    this.tileX = tileX;
+    this.tileZ = tileZ;
+    this.bait = bait || null;
+    this.catchItem = catchItem || null;
+  }
+
+  /** Take the catch out. Returns the item id, or null if the pot is empty. */
+  collect() {
+    const itemId = this.catchItem;
+    this.catchItem = null;
+    return itemId;
+  }
+
+  getState() {
+    return {
+      id: this.id,
+      ownerId: this.ownerId,
+      tileX: this.tileX,
+      tileZ: this.tileZ,
+      baited: !!this.bait,
+      catchItem: this.catchItem,
+    };
+  }
+}
@@ -0,0 +1,29 @@
+// server/entities/Enemy.js
+import { v4 as uuid } from 'uuid';
+import { ENEMY_DATA } from '../../shared/constants.js';
+
+export class Enemy {
+  constructor(data) {
+    this.id = data.id || uuid();
+    this.type = data.type;
+    this.x = data.x;
+    this.z = data.z;
+    const stats = ENEMY_DATA[this.type];
+    this.maxHp = stats.hp;
+    this.hp = data.hp ?? stats.hp;
+    this.targetId = null;        // player id being chased
+    this._lastAttack = 0;        // ms timestamp
+  }
+
+  get stats() { return ENEMY_DATA[this.type]; }
+
+  /** Apply damage. Returns true if this killed the enemy. */
+  hit(damage) {
+    this.hp = Math.max(0, this.hp - damage);
+    return this.hp === 0;
+  }
+
+  getState() {
+    return { id: this.id, type: this.type, x: this.x, z: this.z, hp: this.hp, maxHp: this.maxHp };
+  }
+}
@@ -9,6 +9,7 @@ export class Machine {
     this.processing = processing || null;
   }
 
+  /** `outputValue` is what the output will sell for, fixed by the input (see getOutputValue) */
   startProcessing(inputItem, outputItem, outputValue, durationMs) {
     const now = Date.now();
     this.processing = {
@@ -20,13 +21,28 @@ export class Machine {
     };
   }
 
+  /** Set an egg to hatch after a number of in-game days; it hatches by itself, so there is nothing to collect */
+  startIncubating(inputItem, animalType, days) {
+    this.processing = {
+      inputItem,
+      outputItem: animalType,
+      startTime: Date.now(),
+      endTime: null,
+      daysLeft: days,
+    };
+  }
+
+  get incubating() {
+    return this.processing?.daysLeft != null;
+  }
+
   isReady() {
-    return this.processing && Date.now() >= this.processing.endTime;
+    return !!this.processing && !this.incubating && Date.now() >= this.processing.endTime;
   }
 
   collect() {
     if (!this.isReady()) return null;
-    const result = { itemId: this.processing.outputItem, value: this.processing.outputValue };
+    const result = { itemId: this.processing.outputItem, value: this.processing.outputValue || null };
     this.processing = null;
     return result;
   }
@@ -40,6 +56,7 @@ export class Machine {
       processing: this.processing ? {
         outputItem: this.processing.outputItem,
         endTime: this.processing.endTime,
+        daysLeft: this.processing.daysLeft ?? null,
         ready: this.isReady(),
       } : null,
     };
@@ -1,13 +1,23 @@
 // server/entities/NPC.js
+const DEFAULT_WORK_HOURS = [8, 18];
+
 export class NPC {
   constructor(data) {
     Object.assign(this, data);
+    this.workHours = data.workHours || DEFAULT_WORK_HOURS;
+    this.shopId = null; // set when this NPC keeps a town shop
     this.currentX = data.homeX;
     this.currentZ = data.homeZ;
   }
 
+  /** At the shop during work hours, at home otherwise */
+  isWorking(hour) {
+    const [start, end] = this.workHours;
+    return hour >= start && hour < end;
+  }
+
   updateSchedule(hour) {
-    if (hour >= 8 && hour < 18) {
+    if (this.isWorking(hour)) {
       this.currentX = this.shopX;
       this.currentZ = this.shopZ;
     } else {
@@ -31,6 +41,7 @@ export class NPC {
       skinColor: this.skinColor, shirtColor: this.shirtColor, hairColor: this.hairColor,
       hairStyle: this.hairStyle || 'round',
       accessory: this.accessory || null,
+      shopId: this.shopId,
     };
   }
 }
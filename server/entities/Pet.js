@@ -19,6 +19,13 @@ export class Pet {
     this.z = data.z ?? 33;
     this.cosmetics = data.cosmetics || { unlocked: ['straw_hat', 'red_bandana', 'cape'], equipped: { hat: null, neck: null, back: null } };
     this.lastGroomed = data.lastGroomed || -1;
+
+    // Behaviour, driven by PetBehaviorSystem; not saved
+    this.state = 'idle';    // idle | follow | wander | fetch | sleep
+    this.target = null;     // { x, z } it is heading for
+    this.nextDecision = 0;
+    this.fetching = null;   // forage spawn id it is running to
+    this.carrying = null;   // forage spawn it is bringing back
   }
 
   feed() { this.energy = Math.min(100, this.energy + 30); this.happiness = Math.min(100, this.happiness + 10); }
@@ -49,6 +56,11 @@ export class Pet {
     return true;
   }
 
+  /** How much of its type's bonus the pet gives: 30% when new, all of it at full loyalty and skill */
+  bonusStrength() {
+    return 0.3 + 0.7 * (this.loyalty + this.skill) / 200;
+  }
+
   tickDaily() { this.energy = Math.max(0, this.energy - 10); this.happiness = Math.max(0, this.happiness - 5); }
 
   getState() {
@@ -56,7 +68,7 @@ export class Pet {
       id: this.id, ownerId: this.ownerId, type: this.type, name: this.name,
       energy: this.energy, happiness: this.happiness, loyalty: this.loyalty, skill: this.skill,
       bodySize: this.bodySize, earSize: this.earSize, tailLength: this.tailLength, color: this.color,
-      x: this.x, z: this.z, cosmetics: this.cosmetics,
+      x: this.x, z: this.z, state: this.state, cosmetics: this.cosmetics, bonusStrength: this.bonusStrength(),
     };
   }
 }
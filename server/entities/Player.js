@@ -1,9 +1,15 @@
 // server/entities/Player.js
-import { SKILLS, SKILL_MAX_LEVEL, xpForSkillLevel, PROFESSIONS } from '../../shared/constants.js';
+import { SKILLS, SKILL_MAX_LEVEL, xpForSkillLevel, PLAYER_BASE_HP, professionBonus, BAIT_DATA, TACKLE_DATA, BACKPACK_BASE_SIZE } from '../../shared/constants.js';
 import { tileToWorld } from '../../shared/TileMap.js';
+import { getMaxStack } from '../../shared/ItemRegistry.js';
 
 const DEFAULT_SPAWN = tileToWorld(32, 32); // center of tile 32,32
 
+/** Stacks only merge with the same item, quality and recorded value */
+function sameKind(stack, itemId, quality, value) {
+  return stack.itemId === itemId && (stack.quality || 0) === quality && (stack.value ?? null) === value;
+}
+
 export class Player {
   constructor(data) {
     this.id = data.id;
@@ -13,15 +19,32 @@ export class Player {
     this.coins = data.coins ?? 500;
     this.energy = data.energy ?? 100;
     this.maxEnergy = data.maxEnergy ?? 100;
-    this.inventory = data.inventory || this._defaultInventory();
+    // Backpack: item stacks { itemId, quantity, quality, value, slot }, kept in slot order;
+    // value is the sell price a machine recorded for its output, null for everything else
+    this.backpackSize = data.backpackSize ?? BACKPACK_BASE_SIZE;
+    this.inventory = this._placeInSlots(data.inventory || this._defaultInventory());
     this.currentMap = data.currentMap || 'farm';
+    this.path = [];             // waypoints still to walk, set by the server's pathfinding
+    this.pendingPickup = null;  // { x, z } forage to pick up on arrival
+    this.lastDirectMoveAt = 0;  // when the client last streamed a steered position
+    this.directMoveBudget = 0;  // tiles of steered travel earned and not yet used
     this.activeToolSlot = 0;
     this.socketId = data.socketId;
+    this.sessionId = data.sessionId || null; // per-tab id, distinguishes a reconnect from a second window
+    this.onItemAdded = null; // (itemId, quantity) hook, set by GameWorld for quest tracking
+    this.onInventoryFull = null; // (itemId, quantity) hook for items that didn't fit, set by GameWorld
     this.appearance = data.appearance || {};
+    this.settings = data.settings || null; // client settings, kept only if the player syncs them
     this.toolTiers = data.toolTiers || {
       hoe: 0, watering_can: 0, pickaxe: 0, axe: 0, fishing_rod: 0,
     };
 
+    // Fishing gear — item IDs of the equipped bait/tackle (kept in the inventory)
+    // and bites used so far per tackle type
+    this.bait = data.bait || null;
+    this.tackle = data.tackle || null;
+    this.tackleWear = data.tackleWear || {};
+
     // Professions — maps skill name to array of chosen profession IDs
     this.professions = data.professions || {};
 
@@ -37,6 +60,9 @@ export class Player {
       }
     }
 
+    // Health — max HP grows with the Defender profession, so clamp after professions load
+    this.hp = Math.min(data.hp ?? this.maxHP, this.maxHP);
+
     // Derived: overall player level = sum of all skill levels
     this.level = this._calcLevel();
   }
@@ -48,6 +74,7 @@ export class Player {
       { itemId: 'pickaxe', quantity: 1 },
       { itemId: 'axe', quantity: 1 },
       { itemId: 'fishing_rod', quantity: 1 },
+      { itemId: 'wooden_sword', quantity: 1 },
       { itemId: 'parsnip_seed', quantity: 15 },
       { itemId: 'carrot_seed', quantity: 10 },
     ];
@@ -59,27 +86,204 @@ export class Player {
     return total;
   }
 
-  addItem(itemId, quantity = 1, quality = 0) {
-    const existing = this.inventory.find(i => i.itemId === itemId && (i.quality || 0) === quality);
-    if (existing) existing.quantity += quantity;
-    else this.inventory.push({ itemId, quantity, quality });
+  /**
+   * Put items in the backpack: topping up matching stacks first, then into
+   * free slots. Whatever doesn't fit is reported through onInventoryFull and
+   * lost, so callers that can leave the items where they are should check
+   * canFit first. Returns true if everything fit.
+   */
+  addItem(itemId, quantity = 1, quality = 0, value = null) {
+    const max = getMaxStack(itemId);
+    let left = quantity;
+    for (const stack of this.inventory) {
+      if (left <= 0) break;
+      if (!sameKind(stack, itemId, quality, value) || stack.quantity >= max) continue;
+      const take = Math.min(max - stack.quantity, left);
+      stack.quantity += take;
+      left -= take;
+    }
+    while (left > 0) {
+      const slot = this._freeSlot();
+      if (slot === null) break;
+      const take = Math.min(max, left);
+      this.inventory.push({ itemId, quantity: take, quality, value, slot });
+      left -= take;
+    }
+    this._sortSlots();
+
+    if (left < quantity && this.onItemAdded) this.onItemAdded(itemId, quantity - left);
+    if (left > 0 && this.onInventoryFull) this.onInventoryFull(itemId, left);
+    return left === 0;
+  }
+
+  /** Whether addItem would take all of these */
+  canFit(itemId, quantity = 1, quality = 0, value = null) {
+    return this.canFitAll([{ itemId, quantity, quality, value }]);
+  }
+
+  /**
+   * Whether several drops fit at once: each tops up its matching stacks,
+   * and what's left over shares the free slots.
+   * @param {Array<{ itemId: string, quantity: number, quality?: number, value?: number|null }>} items
+   */
+  canFitAll(items) {
+    let freeSlots = this.backpackSize - this._usedSlots().size;
+    const kinds = new Map();
+    for (const { itemId, quantity, quality = 0, value = null } of items) {
+      const key = `${itemId}|${quality}|${value}`;
+      const kind = kinds.get(key) || { itemId, quality, value, quantity: 0 };
+      kind.quantity += quantity;
+      kinds.set(key, kind);
+    }
+    for (const { itemId, quality, value, quantity } of kinds.values()) {
+      const max = getMaxStack(itemId);
+      let left = quantity;
+      for (const stack of this.inventory) {
+        if (sameKind(stack, itemId, quality, value)) left -= Math.max(0, max - stack.quantity);
+      }
+      if (left > 0) freeSlots -= Math.ceil(left / max);
+    }
+    return freeSlots >= 0;
   }
 
-  removeItem(itemId, quantity = 1, quality = undefined) {
-    const slot = this.inventory.find(i =>
-      i.itemId === itemId &&
-      i.quantity >= quantity &&
-      (quality === undefined || (i.quality || 0) === quality)
+  /**
+   * Take items out, across stacks if needed (of one quality and value if given).
+   * Returns false and takes nothing if there aren't enough.
+   */
+  removeItem(itemId, quantity = 1, quality = undefined, value = undefined) {
+    const stacks = this.inventory.filter(i =>
+      i.itemId === itemId && (quality === undefined || (i.quality || 0) === quality) &&
+      (value === undefined || (i.value ?? null) === value)
     );
-    if (!slot) return false;
-    slot.quantity -= quantity;
-    if (slot.quantity <= 0) this.inventory = this.inventory.filter(i => i.quantity > 0);
+    if (stacks.reduce((sum, i) => sum + i.quantity, 0) < quantity) return false;
+
+    let left = quantity;
+    for (const stack of stacks) {
+      const take = Math.min(stack.quantity, left);
+      stack.quantity -= take;
+      left -= take;
+      if (left <= 0) break;
+    }
+    this.inventory = this.inventory.filter(i => i.quantity > 0);
     return true;
   }
 
   hasItem(itemId, quantity = 1) {
-    const slot = this.inventory.find(i => i.itemId === itemId);
-    return slot && slot.quantity >= quantity;
+    return this.countItem(itemId) >= quantity;
+  }
+
+  /** How many of an item the player holds, all qualities together */
+  countItem(itemId) {
+    return this.inventory.filter(i => i.itemId === itemId).reduce((sum, i) => sum + i.quantity, 0);
+  }
+
+  itemAt(slot) {
+    return this.inventory.find(i => i.slot === slot) || null;
+  }
+
+  /**
+   * Drag a stack (or `quantity` of it) from one slot to another: into an
+   * empty slot, onto a matching stack up to its limit, or swapping places
+   * with a different item. Returns an error message or null.
+   */
+  moveItem(from, to, quantity = undefined) {
+    const stack = this.itemAt(from);
+    if (!stack) return 'Nothing there.';
+    if (!this._isSlot(to) || from === to) return 'Can\'t put that there.';
+    const amount = quantity === undefined ? stack.quantity : Math.floor(quantity);
+    if (!(amount >= 1 && amount <= stack.quantity)) return 'Not that many.';
+
+    const target = this.itemAt(to);
+    if (!target) {
+      if (amount === stack.quantity) {
+        stack.slot = to;
+      } else {
+        stack.quantity -= amount;
+        this.inventory.push({
+          itemId: stack.itemId, quantity: amount, quality: stack.quality || 0, value: stack.value ?? null, slot: to,
+        });
+      }
+    } else if (sameKind(target, stack.itemId, stack.quality || 0, stack.value ?? null)) {
+      const take = Math.min(getMaxStack(stack.itemId) - target.quantity, amount);
+      if (take <= 0) return 'That stack is full.';
+      target.quantity += take;
+      stack.quantity -= take;
+      this.inventory = this.inventory.filter(i => i.quantity > 0);
+    } else {
+      if (amount !== stack.quantity) return 'That slot is taken.';
+      target.slot = from;
+      stack.slot = to;
+    }
+    this._sortSlots();
+    return null;
+  }
+
+  /**
+   * Take a stack, or `quantity` of it, out of a slot — to throw away or put
+   * in a chest. Returns the removed { itemId, quantity, quality, value }, or
+   * null if the slot is empty or `quantity` isn't a positive whole number.
+   */
+  takeFromSlot(slot, quantity = undefined) {
+    const stack = this.itemAt(slot);
+    if (!stack) return null;
+    if (quantity !== undefined && !(Number.isInteger(quantity) && quantity >= 1)) return null;
+    const amount = Math.min(stack.quantity, quantity === undefined ? stack.quantity : quantity);
+    stack.quantity -= amount;
+    this.inventory = this.inventory.filter(i => i.quantity > 0);
+    if (this.bait && !this.hasItem(this.bait)) this.bait = null;
+    if (this.tackle && !this.hasItem(this.tackle)) this.tackle = null;
+    return { itemId: stack.itemId, quantity: amount, quality: stack.quality || 0, value: stack.value ?? null };
+  }
+
+  _isSlot(slot) {
+    return Number.isInteger(slot) && slot >= 0 && slot < this.backpackSize;
+  }
+
+  _usedSlots() {
+    return new Set(this.inventory.map(i => i.slot));
+  }
+
+  /** First empty slot, or null when the backpack is full */
+  _freeSlot() {
+    const used = this._usedSlots();
+    for (let slot = 0; slot < this.backpackSize; slot++) {
+      if (!used.has(slot)) return slot;
+    }
+    return null;
+  }
+
+  _sortSlots() {
+    this.inventory.sort((a, b) => a.slot - b.slot);
+  }
+
+  /**
+   * Give every stack a slot of its own. Saves from before slots (or with two
+   * stacks claiming one slot) are laid out in order; stacks that don't fit
+   * go past the end of the backpack, where they can only be moved or thrown away.
+   */
+  _placeInSlots(items) {
+    const placed = [];
+    const used = new Set();
+    const unplaced = [];
+    for (const item of items) {
+      const stack = {
+        itemId: item.itemId, quantity: item.quantity, quality: item.quality || 0, value: item.value ?? null, slot: item.slot,
+      };
+      if (Number.isInteger(stack.slot) && stack.slot >= 0 && stack.slot < this.backpackSize && !used.has(stack.slot)) {
+        used.add(stack.slot);
+        placed.push(stack);
+      } else {
+        unplaced.push(stack);
+      }
+    }
+    let next = 0;
+    for (const stack of unplaced) {
+      while (used.has(next)) next++;
+      stack.slot = next;
+      used.add(next);
+      placed.push(stack);
+    }
+    return placed.sort((a, b) => a.slot - b.slot);
   }
 
   /** Add XP to a specific skill. Returns true if leveled up. */
@@ -115,6 +319,20 @@ export class Player {
     return this.addSkillXP(SKILLS.FARMING, amount);
   }
 
+  get maxHP() {
+    return PLAYER_BASE_HP + this.getProfessionBonus('maxHP');
+  }
+
+  /** Apply damage. Returns true if this knocked the player out. */
+  takeDamage(amount) {
+    this.hp = Math.max(0, this.hp - amount);
+    return this.hp === 0;
+  }
+
+  heal(amount) {
+    this.hp = Math.min(this.maxHP, this.hp + amount);
+  }
+
   useEnergy(amount) {
     if (this.energy < amount) return false;
     this.energy -= amount;
@@ -129,28 +347,67 @@ export class Player {
   }
 
   getProfessionBonus(bonusKey) {
-    let total = 0;
-    for (const profs of Object.values(this.professions)) {
-      for (const profId of profs) {
-        for (const skillData of Object.values(PROFESSIONS)) {
-          // Check level 5 options
-          for (const opt of skillData[5] || []) {
-            if (opt.id === profId && opt.bonus[bonusKey] !== undefined) {
-              total += typeof opt.bonus[bonusKey] === 'number' ? opt.bonus[bonusKey] : 0;
-            }
-          }
-          // Check level 10 options
-          for (const branch of Object.values(skillData[10] || {})) {
-            for (const opt of branch) {
-              if (opt.id === profId && opt.bonus[bonusKey] !== undefined) {
-                total += typeof opt.bonus[bonusKey] === 'number' ? opt.bonus[bonusKey] : 0;
-              }
-            }
-          }
-        }
-      }
+    return professionBonus(this.professions, bonusKey);
+  }
+
+  /** Equip a bait or tackle item, or take it off if it is already on. Returns false if not gear. */
+  toggleFishingGear(itemId) {
+    if (BAIT_DATA[itemId]) {
+      this.bait = this.bait === itemId ? null : itemId;
+    } else if (TACKLE_DATA[itemId]) {
+      this.tackle = this.tackle === itemId ? null : itemId;
+    } else {
+      return false;
     }
-    return total;
+    return true;
+  }
+
+  /**
+   * Combined effects of the equipped bait and tackle for the next cast.
+   * Luremasters fish as if basic bait were on when they have none equipped.
+   */
+  getFishingGear() {
+    const gear = { bait: null, tackle: null, ignoreRestrictions: false, rarityBoost: 0, netBonus: 0, biteSpeed: 0 };
+    let baitData = null;
+    if (this.bait && this.hasItem(this.bait)) {
+      gear.bait = this.bait;
+      baitData = BAIT_DATA[this.bait];
+    } else if (this.hasProfession('luremaster')) {
+      baitData = BAIT_DATA.bait;
+    }
+    const tackleData = this.tackle && this.hasItem(this.tackle) ? TACKLE_DATA[this.tackle] : null;
+    if (tackleData) gear.tackle = this.tackle;
+
+    for (const data of [baitData, tackleData]) {
+      if (!data) continue;
+      gear.ignoreRestrictions ||= !!data.ignoreRestrictions;
+      gear.rarityBoost += data.rarityBoost || 0;
+      gear.netBonus += data.netBonus || 0;
+      gear.biteSpeed += data.biteSpeed || 0;
+    }
+    return gear;
+  }
+
+  /**
+   * A fish bit: eat one bait and wear the tackle by one bite.
+   * Returns the tackle ID if it broke (one is removed from the inventory), else null.
+   */
+  useFishingGear(gear) {
+    if (gear.bait) {
+      this.removeItem(gear.bait, 1);
+      if (!this.hasItem(gear.bait)) this.bait = null;
+    }
+    if (!gear.tackle) return null;
+
+    const wear = (this.tackleWear[gear.tackle] || 0) + 1;
+    if (wear < TACKLE_DATA[gear.tackle].durability) {
+      this.tackleWear[gear.tackle] = wear;
+      return null;
+    }
+    delete this.tackleWear[gear.tackle];
+    this.removeItem(gear.tackle, 1);
+    if (!this.hasItem(gear.tackle)) this.tackle = null;
+    return gear.tackle;
   }
 
   getState() {
@@ -161,11 +418,17 @@ export class Player {
       level: this.level,
       energy: Math.floor(this.energy),
       maxEnergy: this.maxEnergy,
+      hp: Math.ceil(this.hp),
+      maxHP: this.maxHP,
       skills: this.skills,
       professions: this.professions,
       inventory: this.inventory,
+      backpackSize: this.backpackSize,
       toolTiers: this.toolTiers,
       appearance: this.appearance,
+      bait: this.bait,
+      tackle: this.tackle,
+      tackleWear: this.tackleWear,
     };
   }
 }
@@ -0,0 +1,211 @@
+// server/game/AnimalSystem.js
+// The farm animals' day. Through an open animal door they head out to graze
+// in the morning and back in at dusk; an animal that can't get home spends
+// the night outside. Weather works on the mood of animals out in the open.
+// Shepherd befriends barn animals faster, Coopmaster coop animals.
+// Overnight the young grow up, well-loved barn animals may fall pregnant and
+// give birth, and eggs in incubators hatch into chicks.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { TILE_TYPES, WEATHER, SEASONS, BUILDING_FOOTPRINTS } from '../../shared/constants.js';
+import { isValidTile, tileIndex, getFootprintTiles } from '../../shared/TileMap.js';
+import { Animal } from '../entities/Animal.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const animalsData = JSON.parse(readFileSync(join(__dirname, '../data/animals.json'), 'utf-8'));
+
+const LET_OUT_HOUR = 7;
+const BRING_IN_HOUR = 19;
+const GRAZE_RADIUS = 4;
+const BREED_FRIENDSHIP = 600; // three hearts
+const BREED_MOOD = 50;
+const BREED_CHANCE = 0.05;    // per night
+
+// Hourly mood change for an animal outside, by weather
+const WEATHER_MOOD = {
+  [WEATHER.SUNNY]: 2,
+  [WEATHER.CLOUDY]: 0,
+  [WEATHER.RAINY]: -4,
+  [WEATHER.STORMY]: -6,
+  [WEATHER.SNOWY]: -6,
+};
+
+export class AnimalSystem {
+  constructor() {
+    this._grazed = new Set(); // "x,z" grass tiles eaten today
+  }
+
+  /** Friendship multiplier for a player caring for this animal */
+  friendshipMultiplier(player) {
+    return 1 + player.getProfessionBonus('animalFriendship');
+  }
+
+  /** The item a collected product turns into */
+  productItem(animal, { large }) {
+    const data = animalsData[animal.type];
+    return (large && data.largeProduct) || data.product;
+  }
+
+  /**
+   * The hour's routine for every animal on the farm. Returns the animals
+   * whose position, whereabouts or mood changed.
+   * @param {import('./MapInstance.js').MapInstance} map
+   */
+  onHour(map, hour, weather, season) {
+    const changed = new Set();
+    const stayIn = weather === WEATHER.RAINY || weather === WEATHER.STORMY || weather === WEATHER.SNOWY
+      || season === SEASONS.WINTER;
+
+    const blocked = this._blockedTiles(map);
+
+    for (const animal of map.animals.values()) {
+      const home = animal.homeId ? map.buildings.get(animal.homeId) : null;
+      const doorOpen = home && home.doorOpen !== false;
+
+      if (hour === LET_OUT_HOUR && !animal.outside && doorOpen && !stayIn) {
+        animal.outside = true;
+        this._placeAtDoor(animal, home);
+        changed.add(animal);
+      } else if (hour === BRING_IN_HOUR && animal.outside && doorOpen) {
+        this._bringIn(animal, home);
+        changed.add(animal);
+      } else if (!home && !animal.outside) {
+        // Its home is gone; it can only be outside now
+        animal.outside = true;
+        changed.add(animal);
+      }
+
+      if (!animal.outside) continue;
+
+      const mood = WEATHER_MOOD[weather] || 0;
+      const night = hour >= 20 || hour < 6;
+      if (mood < 0 || (mood > 0 && !night)) {
+        animal.adjustMood(mood);
+        changed.add(animal);
+      }
+
+      if (!animal.fedToday && season !== SEASONS.WINTER && !night && this._graze(map, animal, blocked)) {
+        changed.add(animal);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Overnight upkeep, growing up, births, new pregnancies and hatching.
+   * `homes` is the barn and coop list with occupancy ([{ id, type, occupants, capacity }],
+   * expected births counted in); a pregnancy or a hatch needs a free place in one. New animals are added to the map.
+   * @param {import('./MapInstance.js').MapInstance} map
+   * @returns {{ changed: Set, born: Array<{ animal, mother }>, hatched: Array<{ animal, machine }> }}
+   */
+  onNewDay(map, homes) {
+    this._grazed.clear();
+    const changed = new Set();
+    const born = [];
+    const hatched = [];
+
+    const room = new Map(homes.map(h => [h.id, h.capacity - h.occupants]));
+
+    for (const animal of [...map.animals.values()]) {
+      const data = animalsData[animal.type] || {};
+      // Sleeping through dusk skips the bring-in hour; an open door still lets them in for the night
+      const home = animal.homeId ? map.buildings.get(animal.homeId) : null;
+      if (animal.outside && home && home.doorOpen !== false) this._bringIn(animal, home);
+      animal.tickDaily();
+      changed.add(animal);
+
+      if (animal.baby && animal.age >= (data.maturityDays || 0)) animal.baby = false;
+
+      if (animal.pregnantDays > 0) {
+        animal.pregnantDays--;
+        if (animal.pregnantDays === 0) {
+          const baby = this._spawnBaby(map, animal.type, animal.homeId);
+          baby.x = animal.x;
+          baby.z = animal.z;
+          baby.outside = animal.outside;
+          born.push({ animal: baby, mother: animal });
+        }
+      } else if (this._canConceive(animal, data) && room.get(animal.homeId) > 0 && Math.random() < BREED_CHANCE) {
+        animal.pregnantDays = data.gestationDays;
+        room.set(animal.homeId, room.get(animal.homeId) - 1);
+      }
+    }
+
+    for (const machine of map.machines.values()) {
+      if (!machine.incubating) continue;
+      machine.processing.daysLeft = Math.max(0, machine.processing.daysLeft - 1);
+      if (machine.processing.daysLeft > 0) continue;
+
+      const type = machine.processing.outputItem;
+      const home = homes.find(h => h.type === animalsData[type]?.building && room.get(h.id) > 0);
+      if (!home) continue; // waits in the incubator until a coop has room
+      room.set(home.id, room.get(home.id) - 1);
+      machine.processing = null;
+      hatched.push({ animal: this._spawnBaby(map, type, home.id), machine });
+    }
+
+    return { changed, born, hatched };
+  }
+
+  _canConceive(animal, data) {
+    return data.building === 'barn' && data.gestationDays && !animal.baby && animal.homeId
+      && animal.friendship >= BREED_FRIENDSHIP && animal.happiness >= BREED_MOOD;
+  }
+
+  /** A newborn inside its home, added to the map */
+  _spawnBaby(map, type, homeId) {
+    const home = map.buildings.get(homeId);
+    const baby = new Animal({
+      type, homeId, baby: true, outside: false,
+      x: home?.tileX, z: home?.tileZ,
+    });
+    map.animals.set(baby.id, baby);
+    return baby;
+  }
+
+  /** Walk to an uneaten patch of grass nearby and eat it. Returns true if it found one. */
+  _graze(map, animal, blocked) {
+    const ax = Math.floor(animal.x);
+    const az = Math.floor(animal.z);
+    const patches = [];
+    for (let dx = -GRAZE_RADIUS; dx <= GRAZE_RADIUS; dx++) {
+      for (let dz = -GRAZE_RADIUS; dz <= GRAZE_RADIUS; dz++) {
+        const x = ax + dx, z = az + dz;
+        if (!isValidTile(x, z) || this._grazed.has(`${x},${z}`) || blocked.has(`${x},${z}`)) continue;
+        if (map.tiles[tileIndex(x, z)].type === TILE_TYPES.GRASS) patches.push({ x, z });
+      }
+    }
+    if (patches.length === 0) return false;
+
+    const patch = patches[Math.floor(Math.random() * patches.length)];
+    this._grazed.add(`${patch.x},${patch.z}`);
+    animal.x = patch.x + 0.5;
+    animal.z = patch.z + 0.5;
+    animal.feed(0);
+    return true;
+  }
+
+  /** Grass an animal can't stand on: under buildings, trees and rocks */
+  _blockedTiles(map) {
+    const blocked = new Set();
+    for (const b of map.buildings.values()) {
+      for (const t of getFootprintTiles(b.type, b.tileX, b.tileZ)) blocked.add(`${t.x},${t.z}`);
+    }
+    for (const r of map.resources.values()) blocked.add(`${r.tileX},${r.tileZ}`);
+    return blocked;
+  }
+
+  _bringIn(animal, home) {
+    animal.outside = false;
+    animal.x = home.tileX;
+    animal.z = home.tileZ;
+  }
+
+  _placeAtDoor(animal, home) {
+    const { d } = BUILDING_FOOTPRINTS[home.type] || { d: 2 };
+    animal.x = home.tileX + Math.random() * 2 - 1;
+    animal.z = home.tileZ + d / 2 + 0.5 + Math.random();
+  }
+}
@@ -0,0 +1,105 @@
+// server/game/ChatSystem.js
+// Validates and routes chat messages. Decides who a message goes to;
+// GameWorld does the actual emitting (map broadcast, whisper, system notices).
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CHAT_MAX_LENGTH, CHAT_RATE_LIMIT } from '../../shared/constants.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const filterData = JSON.parse(readFileSync(join(__dirname, '../data/chat_filter.json'), 'utf-8'));
+
+/** Default filter: mask blocked words with asterisks, keeping the first letter */
+function maskBlockedWords(text) {
+  if (filterData.blockedWords.length === 0) return text;
+  const pattern = new RegExp(`\\b(${filterData.blockedWords.join('|')})\\b`, 'gi');
+  return text.replace(pattern, (word) => word[0] + '*'.repeat(word.length - 1));
+}
+
+/** The longest name that `text` starts with as whole words, ignoring case and extra spaces */
+function matchName(text, names) {
+  const lower = text.toLowerCase();
+  let best = null;
+  for (const name of names) {
+    const wanted = name.replace(/\s+/g, ' ').trim();
+    if (!wanted || (best && wanted.length <= best.length)) continue;
+    const prefix = lower.slice(0, wanted.length);
+    const next = lower[wanted.length];
+    if (prefix === wanted.toLowerCase() && (next === undefined || next === ' ')) best = text.slice(0, wanted.length);
+  }
+  return best;
+}
+
+export class ChatSystem {
+  constructor() {
+    this.filter = maskBlockedWords;
+    this._recent = new Map(); // playerId -> timestamps of recent messages
+  }
+
+  /** Replace the profanity filter. fn(text, player) returns the text to send. */
+  setFilter(fn) {
+    this.filter = fn;
+  }
+
+  /**
+   * Parse and validate a message from a player. Names can contain spaces, so
+   * a whisper goes to the longest of `onlineNames` its text starts with.
+   * Returns null (nothing to send), { error } or { channel: 'map'|'whisper', targetName?, message }.
+   */
+  route(player, rawText, onlineNames = []) {
+    if (typeof rawText !== 'string') return { error: 'Invalid message.' };
+    let text = rawText.replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    if (this._isRateLimited(player.id)) {
+      return { error: 'You are sending messages too quickly.' };
+    }
+
+    let channel = 'map';
+    let targetName = null;
+    if (text.startsWith('/')) {
+      const [command, ...rest] = text.split(' ');
+      if (command === '/w' || command === '/whisper') {
+        const args = rest.join(' ');
+        targetName = matchName(args, onlineNames) || rest[0];
+        text = targetName ? args.slice(targetName.length).trim() : '';
+        if (!targetName || !text) return { error: 'Usage: /w <name> <message>' };
+        channel = 'whisper';
+      } else {
+        return { error: `Unknown command ${command}. Try /w <name> <message>.` };
+      }
+    }
+
+    if (text.length > CHAT_MAX_LENGTH) text = text.slice(0, CHAT_MAX_LENGTH);
+    text = this.filter(text, player);
+
+    return {
+      channel,
+      targetName,
+      message: { channel, fromId: player.id, from: player.name, text, time: Date.now() },
+    };
+  }
+
+  /** Build a system notice */
+  system(text) {
+    return { channel: 'system', from: null, text, time: Date.now() };
+  }
+
+  /** Drop rate-limit state for a player who left */
+  forget(playerId) {
+    this._recent.delete(playerId);
+  }
+
+  _isRateLimited(playerId) {
+    const now = Date.now();
+    const recent = (this._recent.get(playerId) || []).filter(t => now - t < CHAT_RATE_LIMIT.windowMs);
+    if (recent.length >= CHAT_RATE_LIMIT.messages) {
+      this._recent.set(playerId, recent);
+      return true;
+    }
+    recent.push(now);
+    this._recent.set(playerId, recent);
+    return false;
+  }
+}
@@ -0,0 +1,109 @@
+// server/game/CombatSystem.js
+// Server-authoritative combat: enemy spawning, chase/attack AI and
+// player attack resolution with combat profession bonuses.
+// Returns outcomes; GameWorld applies them to players and broadcasts.
+
+import {
+  TILE_TYPES, WEAPON_DATA, ENEMY_DATA, BASE_CRIT_CHANCE, CRIT_MULTIPLIER,
+} from '../../shared/constants.js';
+import { tileToWorld } from '../../shared/TileMap.js';
+import { Enemy } from '../entities/Enemy.js';
+
+const SAFE_RADIUS = 8;          // tiles around the spawn point kept clear of spawns
+const MIN_PLAYER_DISTANCE = 6;  // don't spawn right on top of a player
+const ATTACK_REACH = 1.0;       // tiles an enemy must be within to hit
+
+export class CombatSystem {
+  /**
+   * Spawn up to `count` enemies of the given types on open ground (grass by
+   * default), away from the safe center and from players. Returns the spawned enemies.
+   */
+  spawnEnemies(map, types, count, players, { tileType = TILE_TYPES.GRASS, safeCenter = { x: 32, z: 32 } } = {}) {
+    const candidates = map.tiles.filter(t =>
+      t.type === tileType &&
+      Math.hypot(t.x - safeCenter.x, t.z - safeCenter.z) > SAFE_RADIUS &&
+      players.every(p => Math.hypot(t.x - p.x, t.z - p.z) > MIN_PLAYER_DISTANCE)
+    );
+    const spawned = [];
+    for (let i = 0; i < count && candidates.length > 0; i++) {
+      const tile = candidates.splice(Math.floor(Math.random() * candidates.length), 1)[0];
+      const pos = tileToWorld(tile.x, tile.z);
+      const enemy = new Enemy({ type: types[Math.floor(Math.random() * types.length)], x: pos.x, z: pos.z });
+      map.enemies.set(enemy.id, enemy);
+      spawned.push(enemy);
+    }
+    return spawned;
+  }
+
+  /**
+   * Move enemies toward the nearest player in aggro range and attack when close.
+   * Returns { moved, hits: [{ enemy, player, damage }] }.
+   */
+  updateEnemies(map, players, deltaSec, now = Date.now()) {
+    let moved = false;
+    const hits = [];
+
+    for (const enemy of map.enemies.values()) {
+      const stats = enemy.stats;
+      let target = null;
+      let best = stats.aggroRange;
+      for (const p of players) {
+        if (p.hp <= 0) continue;
+        const d = Math.hypot(p.x - enemy.x, p.z - enemy.z);
+        if (d <= best) { best = d; target = p; }
+      }
+      enemy.targetId = target ? target.id : null;
+      if (!target) continue;
+
+      if (best > ATTACK_REACH) {
+        const step = Math.min(stats.speed * deltaSec, best - ATTACK_REACH * 0.8);
+        enemy.x += ((target.x - enemy.x) / best) * step;
+        enemy.z += ((target.z - enemy.z) / best) * step;
+        moved = true;
+      } else if (now - enemy._lastAttack >= stats.attackCooldownMs) {
+        enemy._lastAttack = now;
+        hits.push({ enemy, player: target, damage: stats.damage });
+      }
+    }
+    return { moved, hits };
+  }
+
+  /**
+   * Resolve a player's swing at an enemy. `damageBonus` adds to the damage
+   * multiplier on top of professions, e.g. an owl's help at night.
+   * Returns { error } or { damage, crit, killed, xp, drops }.
+   */
+  attack(player, weaponId, enemy, damageBonus = 0, now = Date.now()) {
+    const weapon = WEAPON_DATA[weaponId];
+    if (!weapon) return { error: 'Not a weapon.' };
+
+    const cooldown = weapon.cooldownMs * (1 - player.getProfessionBonus('cooldownReduction'));
+    if (now - (player._lastAttack || 0) < cooldown) return { error: 'cooldown' };
+
+    const dist = Math.hypot(enemy.x - player.x, enemy.z - player.z);
+    if (dist > weapon.range + 0.5) return { error: 'Too far away!' };
+
+    player._lastAttack = now;
+
+    const [min, max] = weapon.damage;
+    let damage = min + Math.random() * (max - min);
+    damage *= 1 + player.getProfessionBonus('attackDamage') + damageBonus;
+
+    const critChance = (BASE_CRIT_CHANCE + weapon.critChance) * (1 + player.getProfessionBonus('critChance'));
+    const crit = Math.random() < critChance;
+    if (crit) damage *= CRIT_MULTIPLIER * (player.getProfessionBonus('critDamage') || 1);
+
+    damage = Math.max(1, Math.round(damage));
+    const killed = enemy.hit(damage);
+
+    const result = { damage, crit, killed, xp: 0, drops: [] };
+    if (killed) {
+      const stats = ENEMY_DATA[enemy.type];
+      result.xp = stats.xp;
+      for (const drop of stats.drops) {
+        if (Math.random() < drop.chance) result.drops.push({ itemId: drop.itemId, quantity: drop.quantity });
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,98 @@
+// server/game/ConstructionSystem.js
+// Farm buildings the player can commission, from server/data/blueprints.json.
+// A blueprint costs coins plus materials and takes a number of days to build;
+// the building sits on the farm as a construction site until it is done.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuid } from 'uuid';
+import { TILE_TYPES } from '../../shared/constants.js';
+import { isValidTile, tileIndex, getFootprintTiles } from '../../shared/TileMap.js';
+import { getItem } from '../../shared/ItemRegistry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const blueprintsData = JSON.parse(readFileSync(join(__dirname, '../data/blueprints.json'), 'utf-8'));
+
+const BUILDABLE_TILES = new Set([TILE_TYPES.GRASS, TILE_TYPES.DIRT]);
+
+export class ConstructionSystem {
+  get blueprints() {
+    return blueprintsData;
+  }
+
+  get(type) {
+    return blueprintsData[type] || null;
+  }
+
+  /**
+   * Whether a building of this type fits at tileX/tileZ on the farm: every
+   * tile under it is open grass or dirt, clear of buildings, crops, resources,
+   * sprinklers, machines and the map exits. Returns null, or the reason it doesn't.
+   * @param {import('./MapInstance.js').MapInstance} map
+   */
+  checkPlacement(map, type, tileX, tileZ) {
+    const footprint = getFootprintTiles(type, tileX, tileZ);
+    const taken = this._occupiedTiles(map);
+
+    for (const t of footprint) {
+      if (!isValidTile(t.x, t.z)) return 'Out of bounds.';
+      if (!BUILDABLE_TILES.has(map.tiles[tileIndex(t.x, t.z)].type)) return 'The ground here isn\'t clear.';
+      if (map.isInPortalZone(t.x + 0.5, t.z + 0.5)) return 'That would block the road.';
+      if (taken.has(`${t.x},${t.z}`)) return 'Something is in the way.';
+    }
+    return null;
+  }
+
+  /** The materials the player is short of for a blueprint, as [{ itemId, name, quantity }] */
+  missingMaterials(player, blueprint) {
+    const missing = [];
+    for (const [itemId, qty] of Object.entries(blueprint.materials)) {
+      if (!player.hasItem(itemId, qty)) missing.push({ itemId, name: getItem(itemId)?.name || itemId, quantity: qty });
+    }
+    return missing;
+  }
+
+  /** Take the coins and materials; the caller has already checked both */
+  charge(player, blueprint) {
+    player.coins -= blueprint.cost;
+    for (const [itemId, qty] of Object.entries(blueprint.materials)) {
+      player.removeItem(itemId, qty);
+    }
+  }
+
+  /** A new construction site, in the plain-object shape farm buildings use */
+  createSite(type, tileX, tileZ) {
+    return {
+      id: `${type}_${uuid().slice(0, 8)}`,
+      type, tileX, tileZ,
+      processing: null,
+      construction: { daysLeft: blueprintsData[type].buildDays },
+    };
+  }
+
+  /** A day's work on every construction site. Returns the buildings finished today. */
+  advanceDay(map) {
+    const finished = [];
+    for (const building of map.buildings.values()) {
+      if (!building.construction) continue;
+      building.construction.daysLeft--;
+      if (building.construction.daysLeft <= 0) {
+        building.construction = null;
+        finished.push(building);
+      }
+    }
+    return finished;
+  }
+
+  _occupiedTiles(map) {
+    const taken = new Set();
+    for (const b of map.buildings.values()) {
+      for (const t of getFootprintTiles(b.type, b.tileX, b.tileZ)) taken.add(`${t.x},${t.z}`);
+    }
+    for (const group of [map.crops, map.resources, map.sprinklers, map.machines, map.chests]) {
+      for (const e of group.values()) taken.add(`${e.tileX},${e.tileZ}`);
+    }
+    return taken;
+  }
+}
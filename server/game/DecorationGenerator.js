@@ -186,4 +186,32 @@ export class DecorationGenerator {
 
     return decorations;
   }
+
+  /** Generate beach decorations: dune grass, scattered rocks, pier lamps */
+  generateBeach(tiles) {
+    const decorations = [];
+
+    decorations.push({ type: 'signpost', x: 29, z: 3, variant: 0, rotation: 0 });
+
+    for (const tile of tiles) {
+      const { x, z, type } = tile;
+      const r = this._rand(x, z, 400);
+
+      if (type === TILE_TYPES.GRASS && r < 0.15) {
+        decorations.push({ type: 'reeds', x, z, variant: 0, rotation: r * Math.PI * 2 });
+      } else if (type === TILE_TYPES.SAND && r < 0.015) {
+        decorations.push({ type: 'rock', x, z, variant: 0, rotation: r * Math.PI * 2 });
+      }
+    }
+
+    // Lamps at the foot and the end of the pier
+    const pierStart = tiles.find(t => t.x === 44 && t.type === TILE_TYPES.PATH && t.z > 20);
+    if (pierStart) {
+      decorations.push({ type: 'lamppost', x: 43, z: pierStart.z, variant: 0, rotation: 0 });
+      decorations.push({ type: 'lamppost', x: 46, z: pierStart.z, variant: 0, rotation: 0 });
+    }
+    decorations.push({ type: 'lamppost', x: 45, z: 57, variant: 0, rotation: 0 });
+
+    return decorations;
+  }
 }
@@ -0,0 +1,59 @@
+// server/game/FishingLoot.js
+// Loot tables from server/data/fishing_loot.json: what crab pots pull up
+// overnight and what is inside a treasure chest hooked during the catch bar.
+// Pirate doubles the treasure chance; Mariner keeps junk out of crab pots.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { TREASURE_CHANCE, CRAB_POT_JUNK_CHANCE } from '../../shared/constants.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const lootData = JSON.parse(readFileSync(join(__dirname, '../data/fishing_loot.json'), 'utf-8'));
+
+export class FishingLoot {
+  /** Whether a chest surfaces on this bite */
+  rollTreasureChance(player) {
+    const chance = TREASURE_CHANCE * (player.getProfessionBonus('treasureChance') || 1);
+    return Math.random() < chance;
+  }
+
+  /**
+   * Open a treasure chest. One or two stacks, rarer ones unlocking with fishing level.
+   * Returns [{ itemId, quantity }].
+   */
+  rollTreasure(fishingLevel) {
+    const table = lootData.treasure.filter(e => !e.minLevel || e.minLevel <= fishingLevel);
+    const count = Math.random() < 0.4 ? 2 : 1;
+    const drops = [];
+    for (let i = 0; i < count; i++) {
+      const entry = this._pick(table);
+      const [min, max] = entry.quantity;
+      const quantity = min + Math.floor(Math.random() * (max - min + 1));
+      const existing = drops.find(d => d.itemId === entry.itemId);
+      if (existing) existing.quantity += quantity;
+      else drops.push({ itemId: entry.itemId, quantity });
+    }
+    return drops;
+  }
+
+  /**
+   * A night's catch for a crab pot. Ocean pots find sea shellfish, anything
+   * else finds freshwater ones. Returns an item id.
+   */
+  rollCrabPot(location, { noJunk = false } = {}) {
+    if (!noJunk && Math.random() < CRAB_POT_JUNK_CHANCE) return this._pick(lootData.junk).itemId;
+    const table = location === 'ocean' ? lootData.crabPot.ocean : lootData.crabPot.freshwater;
+    return this._pick(table).itemId;
+  }
+
+  _pick(table) {
+    const total = table.reduce((sum, e) => sum + e.weight, 0);
+    let roll = Math.random() * total;
+    for (const entry of table) {
+      roll -= entry.weight;
+      if (roll < 0) return entry;
+    }
+    return table[0];
+  }
+}
@@ -0,0 +1,71 @@
+// server/game/FishingTimeline.js
+// The server's view of a catch in progress. From the bite roll it works out
+// when the catch bar can first appear, the earliest an honest player could
+// fill it and when the fish gives up; client progress reports and the final
+// reel are checked against that.
+
+import { FISHING_MINIGAME, FISH_BEHAVIOR_DURATION } from '../../shared/constants.js';
+
+const TIMING_TOLERANCE = 0.9;   // accept catches slightly faster than the ideal
+const PROGRESS_SLACK = 0.1;     // network jitter between reports (~0.6s of filling)
+const TIMEOUT_GRACE_MS = 5000;  // latency allowance before the server gives up
+
+export class FishingTimeline {
+  /**
+   * Timeline fields for a new bite, merged into player._fishingState.
+   * @param {{ rarity: number, behavior: string }} fish
+   * @param {number} waitTime - seconds until the bite, after tackle bonuses
+   */
+  start(fish, waitTime, now = Date.now()) {
+    const { startingProgress, fillRate, biteDelayMs, baseMaxSec } = FISHING_MINIGAME;
+    const barStart = now + waitTime * 1000 + biteDelayMs;
+    const minBarMs = ((1 - startingProgress) / fillRate) * 1000 * TIMING_TOLERANCE;
+    const maxBarMs = baseMaxSec * 1000 * (FISH_BEHAVIOR_DURATION[fish.behavior] || 1) * (1 + fish.rarity * 0.25);
+
+    return {
+      barStart,
+      earliestCatch: barStart + minBarMs,
+      deadline: barStart + maxBarMs + TIMEOUT_GRACE_MS,
+      progress: startingProgress,
+      reportedAt: barStart,
+      reports: 0,
+    };
+  }
+
+  /**
+   * Check and record a progress report. Progress can't outrun the fill rate
+   * since the previous report. Returns null, or the reason it was rejected.
+   */
+  report(state, progress, now = Date.now()) {
+    if (typeof progress !== 'number' || !(progress >= 0 && progress <= 1)) return 'invalid progress';
+    if (now < state.barStart) return 'progress before the bite';
+    if (progress > this._reachable(state, now)) return 'progress too fast';
+
+    state.progress = progress;
+    state.reportedAt = now;
+    state.reports++;
+    return null;
+  }
+
+  /** Check a successful reel. Returns null, or the reason it was rejected. */
+  validateCatch(state, now = Date.now()) {
+    if (now < state.earliestCatch) return 'reeled in too early';
+    if (now > state.deadline) return 'reeled in after the fish got away';
+
+    // An honest client reports every interval for the whole bar
+    const minReports = Math.floor((state.earliestCatch - state.barStart) / FISHING_MINIGAME.reportIntervalMs / 2);
+    if (state.reports < minReports) return 'too few progress reports';
+    if (this._reachable(state, now) < 1) return 'bar could not be full yet';
+    return null;
+  }
+
+  isExpired(state, now = Date.now()) {
+    return now > state.deadline;
+  }
+
+  /** Most progress possible by `now`, starting from the last accepted report */
+  _reachable(state, now) {
+    const elapsed = Math.max(0, now - state.reportedAt) / 1000;
+    return state.progress + FISHING_MINIGAME.fillRate * elapsed + PROGRESS_SLACK;
+  }
+}
@@ -1,29 +1,60 @@
 // server/game/ForagingSystem.js
-// Manages daily spawning of seasonal wild forage items on grass tiles.
-// Players collect by walking over them.
+// Manages daily spawning of seasonal wild forage items on one kind of tile
+// (grass by default, sand on the beach). Players collect by walking over them.
 
 import { FORAGE_ITEMS, TILE_TYPES } from '../../shared/constants.js';
 import { v4 as uuid } from 'uuid';
 
 export class ForagingSystem {
-  constructor() {
+  constructor({ itemsBySeason = FORAGE_ITEMS, tileType = TILE_TYPES.GRASS } = {}) {
     this.spawns = new Map();
+    this.itemsBySeason = itemsBySeason;
+    this.tileType = tileType;
   }
 
   spawnDaily(tiles, season, count = 6) {
     this.spawns.clear();
-    const grassTiles = tiles.filter(t => t.type === TILE_TYPES.GRASS);
-    const items = FORAGE_ITEMS[season] || [];
-    if (items.length === 0 || grassTiles.length === 0) return;
+    const openTiles = tiles.filter(t => t.type === this.tileType);
+    const items = this.itemsBySeason[season] || [];
+    if (items.length === 0 || openTiles.length === 0) return;
 
     for (let i = 0; i < count; i++) {
-      const tile = grassTiles[Math.floor(Math.random() * grassTiles.length)];
+      const tile = openTiles[Math.floor(Math.random() * openTiles.length)];
       const itemId = items[Math.floor(Math.random() * items.length)];
       const id = uuid();
       this.spawns.set(id, { id, itemId, tileX: tile.x, tileZ: tile.z });
     }
   }
 
+  /** Put one item of the season on a tile, e.g. dug up by a pet. Returns the spawn, or null if the tile is taken. */
+  spawnAt(tileX, tileZ, season) {
+    const items = this.itemsBySeason[season] || [];
+    if (items.length === 0) return null;
+    for (const spawn of this.spawns.values()) {
+      if (spawn.tileX === tileX && spawn.tileZ === tileZ) return null;
+    }
+    const id = uuid();
+    const spawn = { id, itemId: items[Math.floor(Math.random() * items.length)], tileX, tileZ };
+    this.spawns.set(id, spawn);
+    return spawn;
+  }
+
+  /** Replace current spawns with previously saved ones */
+  restore(spawns) {
+    this.spawns.clear();
+    for (const spawn of spawns) {
+      this.spawns.set(spawn.id, { ...spawn });
+    }
+  }
+
+  /** The spawn on a tile, left in place, or null */
+  itemAt(tileX, tileZ) {
+    for (const spawn of this.spawns.values()) {
+      if (spawn.tileX === tileX && spawn.tileZ === tileZ) return spawn;
+    }
+    return null;
+  }
+
   collectAt(tileX, tileZ) {
     for (const [id, spawn] of this.spawns) {
       if (spawn.tileX === tileX && spawn.tileZ === tileZ) {
@@ -4,8 +4,8 @@
 // Supports multiple maps (farm, town) with portal transitions.
 
 import { v4 as uuid } from 'uuid';
-import { TICK_RATE, TILE_TYPES, ACTIONS, TIME_SCALE, SKILLS, QUALITY_MULTIPLIER, CROP_STAGES, MAP_IDS, GIFT_POINTS, TOOL_TIERS, TOOL_UPGRADE_COST, TOOL_ENERGY_COST, SPRINKLER_DATA, FERTILIZER_DATA, FORAGE_ITEMS, PROFESSIONS, RESOURCE_DATA, HOLD_EXPAND_ENERGY_MULT, DAYS_PER_SEASON, FRUIT_TYPES, FRUIT_REGROW_HOURS, SAPLING_DATA } from '../../shared/constants.js';
-import { isValidTile, tileIndex, tileToWorld } from '../../shared/TileMap.js';
+import { TICK_RATE, TILE_TYPES, ACTIONS, TIME_SCALE, PLAYER_SPEED, BACKPACK_UPGRADES, CHEST_COLORS, SKILLS, CROP_STAGES, MAP_IDS, GIFT_POINTS, TOOL_TIERS, TOOL_UPGRADE_COST, TOOL_ENERGY_COST, SPRINKLER_DATA, FERTILIZER_DATA, FORAGE_ITEMS, PROFESSIONS, RESOURCE_DATA, HOLD_EXPAND_ENERGY_MULT, DAYS_PER_SEASON, FRUIT_TYPES, FRUIT_REGROW_HOURS, SAPLING_DATA, SEASON_NAMES, BEACH_FORAGE_ITEMS, WEAPON_DATA, BAIT_DATA, ENEMY_DATA, NIGHT_ENEMY_TYPES, NIGHT_ENEMY_CAP, QUALITY, mineFloorOf } from '../../shared/constants.js';
+import { isValidTile, tileIndex, tileToWorld, findPath, isSegmentWalkable, isWalkable } from '../../shared/TileMap.js';
 import { TerrainGenerator } from './TerrainGenerator.js';
 import { DecorationGenerator } from './DecorationGenerator.js';
 import { MapInstance } from './MapInstance.js';
@@ -18,9 +18,25 @@ import { Pet } from '../entities/Pet.js';
 import { Animal } from '../entities/Animal.js';
 import { Sprinkler } from '../entities/Sprinkler.js';
 import { Machine } from '../entities/Machine.js';
+import { CrabPot } from '../entities/CrabPot.js';
+import { Chest } from '../entities/Chest.js';
 import { Resource } from '../entities/Resource.js';
 import { FishCalculator } from '../entities/Fish.js';
 import { ForagingSystem } from './ForagingSystem.js';
+import { FishingLoot } from './FishingLoot.js';
+import { FishingTimeline } from './FishingTimeline.js';
+import { WorldPersistence } from './WorldPersistence.js';
+import { ChatSystem } from './ChatSystem.js';
+import { QuestSystem } from './QuestSystem.js';
+import { CombatSystem } from './CombatSystem.js';
+import { MineSystem } from './MineSystem.js';
+import { ShopSystem } from './ShopSystem.js';
+import { ConstructionSystem } from './ConstructionSystem.js';
+import { AnimalSystem } from './AnimalSystem.js';
+import { PetBonusSystem } from './PetBonusSystem.js';
+import { PetBehaviorSystem } from './PetBehaviorSystem.js';
+import { getSellPrice, isSellable, getOutputValue } from '../../shared/Pricing.js';
+import { isTrashable } from '../../shared/ItemRegistry.js';
 import { getDB } from '../db/database.js';
 import { logger } from '../utils/Logger.js';
 
@@ -40,6 +56,17 @@ const recipesData = JSON.parse(readFileSync(join(dataDir, 'recipes.json'), 'utf-
 const machinesData = JSON.parse(readFileSync(join(dataDir, 'machines.json'), 'utf-8'));
 const cosmeticsData = JSON.parse(readFileSync(join(dataDir, 'cosmetics.json'), 'utf-8'));
 
+const AUTOSAVE_INTERVAL_MS = 60 * 1000;
+const ENEMY_SPAWN_INTERVAL_MS = 5000;     // one night spawn attempt per interval
+const ENEMY_BROADCAST_INTERVAL_MS = 250;  // enemy position updates to clients
+const PET_BROADCAST_INTERVAL_MS = 250;    // pet position updates to clients
+const DIRECT_MOVE_TOLERANCE = 1.25;       // steered movement may run this much over PLAYER_SPEED
+const DIRECT_MOVE_MAX_BANK_SEC = 1;       // a pause doesn't bank more than this much travel
+const SHOP_RANGE = 6;                     // tiles from a shop building or its keeper
+const ANIMAL_NAME_MAX = 16;
+const SETTINGS_MAX_LENGTH = 4000;         // characters of JSON kept per player
+const FORAGE_PER_DAY = { [MAP_IDS.FARM]: 6, [MAP_IDS.TOWN]: 4, [MAP_IDS.BEACH]: 5 };
+
 export class GameWorld {
   constructor(io) {
     this.io = io;
@@ -49,26 +76,48 @@ export class GameWorld {
     const seed = this._getOrCreateSeed();
     this.terrainGen = new TerrainGenerator(seed);
     this.decorationGen = new DecorationGenerator(seed);
-    this.time = new TimeManager();
+    this.time ??= new TimeManager(); // _getOrCreateSeed restores saved time
     this.weather = new WeatherManager(seed);
     this.fishCalc = new FishCalculator(fishData);
+    this.fishingLoot = new FishingLoot();
+    this.fishingTimeline = new FishingTimeline();
 
     // Entity collections
     this.players = new Map();    // socketId -> Player
-    this.shippingBins = new Map(); // playerId -> [{itemId, quantity, quality}]
+    this.shippingBins = new Map(); // playerId -> [{itemId, quantity, quality, value}]
 
     // Multi-map setup
+    this.persistence = new WorldPersistence(this.worldId);
+    this.combat = new CombatSystem();
+    this.mine = new MineSystem(this.terrainGen, this.combat);
+    this.shops = new ShopSystem();
+    this.construction = new ConstructionSystem();
+    this.animalCare = new AnimalSystem();
+    this.petBonuses = new PetBonusSystem();
+    this.petBehavior = new PetBehaviorSystem();
     this.maps = new Map();
     this._initMaps();
     this._initStarterFarm();
 
-    // Foraging systems (one per map)
-    this.farmForaging = new ForagingSystem();
-    this.townForaging = new ForagingSystem();
+    // Foraging systems (one per map that grows anything)
+    this.foraging = new Map([
+      [MAP_IDS.FARM, new ForagingSystem()],
+      [MAP_IDS.TOWN, new ForagingSystem()],
+      [MAP_IDS.BEACH, new ForagingSystem({ itemsBySeason: BEACH_FORAGE_ITEMS, tileType: TILE_TYPES.SAND })],
+    ]);
+
+    this.chat = new ChatSystem();
+    this.quests = new QuestSystem((npcId) => npcsData.find(n => n.id === npcId)?.name || npcId);
+    this._lastEnemySpawn = 0;
+    this._lastEnemyBroadcast = 0;
+    this._lastPetBroadcast = 0;
+    this._movedPets = new Set();
 
     // Start tick loop
     this._tickInterval = null;
     this._lastTick = Date.now();
+    this._lastAutosave = Date.now();
+    this._lastHour = null;
   }
 
   _initMaps() {
@@ -124,26 +173,50 @@ export class GameWorld {
       portals: [
         // North edge portal → farm (near portal path)
         { x: 30, z: 0, width: 4, height: 2, targetMap: MAP_IDS.FARM, spawnX: 31, spawnZ: 58 },
+        // End of the north road → mine entrance
+        this.mine.getTownPortal(),
+        // South edge → beach
+        { x: 30, z: 61, width: 4, height: 3, targetMap: MAP_IDS.BEACH, spawnX: 31, spawnZ: 3 },
       ],
     });
 
     // NPCs live on the town map
     townMap.npcs = npcsData.map(d => new NPC(d));
+    for (const npc of townMap.npcs) {
+      npc.shopId = this.shops.getShopForKeeper(npc.id)?.id || null;
+    }
 
     // Town buildings: spread across the layout
     const townBuildings = [
-      { id: 'bakery', type: 'shop', tileX: 10, tileZ: 12 },
-      { id: 'smithy', type: 'shop', tileX: 45, tileZ: 30 },
+      { id: 'bakery', type: 'shop', tileX: 10, tileZ: 12, shopId: 'bakery' },
+      { id: 'smithy', type: 'shop', tileX: 45, tileZ: 30, shopId: 'smithy' },
       { id: 'library', type: 'house', tileX: 27, tileZ: 14 },
-      { id: 'fish_shop', type: 'shop', tileX: 53, tileZ: 22 },
+      { id: 'fish_shop', type: 'shop', tileX: 53, tileZ: 22, shopId: 'fish_shop' },
       { id: 'town_hall', type: 'house', tileX: 31, tileZ: 32 },
-      { id: 'vet_clinic', type: 'house', tileX: 11, tileZ: 22 },
+      { id: 'vet_clinic', type: 'house', tileX: 11, tileZ: 22, shopId: 'vet_clinic' },
     ];
     for (const b of townBuildings) {
       townMap.buildings.set(b.id, b);
     }
 
     this.maps.set(MAP_IDS.TOWN, townMap);
+
+    // Beach map, south of town
+    const beachTiles = this.terrainGen.generateBeach();
+    const beachMap = new MapInstance(MAP_IDS.BEACH, {
+      tiles: beachTiles,
+      decorations: this.decorationGen.generateBeach(beachTiles),
+      portals: [
+        // North edge → town (bottom of the south path)
+        { x: 30, z: 0, width: 4, height: 2, targetMap: MAP_IDS.TOWN, spawnX: 31, spawnZ: 59 },
+      ],
+    });
+    this.maps.set(MAP_IDS.BEACH, beachMap);
+
+    // Mine floors are rebuilt from the seed and restocked daily, never saved
+    for (const floorMap of this.mine.createFloors()) {
+      this.maps.set(floorMap.id, floorMap);
+    }
   }
 
   _initStarterFarm() {
@@ -167,6 +240,7 @@ export class GameWorld {
       const defaults = [
         { id: 'house_main', type: 'house', tileX: cx - 3, tileZ: cz - 1 },
         { id: 'barn_main', type: 'barn', tileX: cx - 4, tileZ: cz + 3 },
+        { id: 'coop_main', type: 'coop', tileX: cx - 8, tileZ: cz + 3 },
         { id: 'farm_mill', type: 'mill', tileX: 38, tileZ: 31, processing: null },
         { id: 'farm_forge', type: 'forge', tileX: 38, tileZ: 34, processing: null },
       ];
@@ -176,6 +250,15 @@ export class GameWorld {
       this._saveBuildings();
     }
 
+    // A saved world keeps its own tiles, crops, animals and pets; the starter layout is for new worlds only
+    if (this.persistence.hasSavedMap(MAP_IDS.FARM)) {
+      for (const map of this.maps.values()) {
+        if (this.persistence.hasSavedMap(map.id)) this.persistence.loadMap(map);
+      }
+      this._rehomeAnimals();
+      return;
+    }
+
     const cx = 32, cz = 32;
 
     // Pre-till a crop plot
@@ -183,7 +266,7 @@ export class GameWorld {
       for (let pz = cz - 2; pz <= cz + 2; pz++) {
         const idx = tileIndex(px, pz);
         if (idx >= 0 && idx < farmMap.tiles.length) {
-          farmMap.tiles[idx].type = TILE_TYPES.TILLED;
+          farmMap.setTileType(idx, TILE_TYPES.TILLED);
         }
       }
     }
@@ -199,9 +282,9 @@ export class GameWorld {
 
     // Spawn starter animals
     const starterAnimals = [
-      { type: 'chicken', x: 27, z: 35 },
-      { type: 'chicken', x: 28, z: 36 },
-      { type: 'cow', x: 26, z: 38 },
+      { type: 'chicken', name: 'Clementine', homeId: 'coop_main', x: 24, z: 37 },
+      { type: 'chicken', name: 'Pip', homeId: 'coop_main', x: 25, z: 38 },
+      { type: 'cow', name: 'Bessie', homeId: 'barn_main', x: 27, z: 38 },
     ];
     for (const a of starterAnimals) {
       const animal = new Animal(a);
@@ -242,12 +325,25 @@ export class GameWorld {
     return this.maps.get(player.currentMap) || this.maps.get(MAP_IDS.FARM);
   }
 
+  /** Forage spawns for a map, or null where nothing grows (the mine) */
+  _getForaging(mapId) {
+    return this.foraging.get(mapId) || null;
+  }
+
+  /** All online players currently on a map */
+  _getPlayersOnMap(mapId) {
+    return Array.from(this.players.values()).filter(p => p.currentMap === mapId);
+  }
+
   start() {
-    // Spawn initial forage items
-    const farmMap = this.maps.get(MAP_IDS.FARM);
-    const townMap = this.maps.get(MAP_IDS.TOWN);
-    this.farmForaging.spawnDaily(farmMap.tiles, this.time.season, 6);
-    this.townForaging.spawnDaily(townMap.tiles, this.time.season, 4);
+    // Spawn initial forage items (maps added since the last save start fresh)
+    for (const [mapId, foraging] of this.foraging) {
+      if (this.persistence.hasSavedMap(mapId)) {
+        foraging.restore(this.persistence.loadForage(mapId));
+      } else {
+        foraging.spawnDaily(this.maps.get(mapId).tiles, this.time.season, FORAGE_PER_DAY[mapId]);
+      }
+    }
 
     logger.info('WORLD', `GameWorld started. Tick rate: ${TICK_RATE}`);
     this._tickInterval = setInterval(() => this._tick(), 1000 / TICK_RATE);
@@ -255,6 +351,8 @@ export class GameWorld {
 
   stop() {
     clearInterval(this._tickInterval);
+    this._saveAllPlayers();
+    this._saveMaps();
     this._saveWorldState();
     logger.info('WORLD', 'GameWorld stopped and state saved');
   }
@@ -268,6 +366,18 @@ export class GameWorld {
 
     const timeEvents = this.time.tick(deltaSec);
     this._checkCollapse();
+    this._expireFishing(now);
+    this._tickMovement(deltaSec);
+    this._tickCombat(now, deltaSec);
+    this._tickPets(now, deltaSec);
+
+    // Periodic autosave so a crash loses at most one interval of progress
+    if (now - this._lastAutosave >= AUTOSAVE_INTERVAL_MS) {
+      this._lastAutosave = now;
+      this._saveAllPlayers();
+      this._saveMaps();
+      this._saveWorldState();
+    }
 
     const gameHoursElapsed = (deltaSec * TIME_SCALE) / 3600;
 
@@ -276,6 +386,10 @@ export class GameWorld {
       if (event.type === 'newSeason') this._onNewSeason(event.season);
     }
 
+    const hour = Math.floor(this.time.hour);
+    if (this._lastHour !== null && hour !== this._lastHour) this._onNewHour(hour);
+    this._lastHour = hour;
+
     // Update crops on farm map
     const farmMap = this.maps.get(MAP_IDS.FARM);
     const saplingsToConvert = [];
@@ -299,7 +413,7 @@ export class GameWorld {
       // Revert tile from tilled to grass (trees stand on grass)
       const idx = tileIndex(crop.tileX, crop.tileZ);
       if (idx >= 0 && idx < farmMap.tiles.length) {
-        farmMap.tiles[idx].type = TILE_TYPES.GRASS;
+        farmMap.setTileType(idx, TILE_TYPES.GRASS);
       }
       this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
         type: 'cropHarvested', cropId: id, x: crop.tileX, z: crop.tileZ,
@@ -364,6 +478,159 @@ export class GameWorld {
     }
   }
 
+  // --- Combat ---
+
+  /** Night spawns on the farm, enemy AI, and player knockouts */
+  _tickCombat(now, deltaSec) {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+
+    if (this.time.isNight()) {
+      if (farmMap.enemies.size < NIGHT_ENEMY_CAP && now - this._lastEnemySpawn >= ENEMY_SPAWN_INTERVAL_MS) {
+        this._lastEnemySpawn = now;
+        const farmPlayers = this._getPlayersOnMap(MAP_IDS.FARM);
+        // A cat on the farm keeps some of the night pests away
+        const protection = Math.max(0, ...farmPlayers.map(p => this._petBonus(p, 'pestProtection')));
+        if (farmPlayers.length > 0 && Math.random() >= protection) {
+          this.combat.spawnEnemies(farmMap, NIGHT_ENEMY_TYPES, 1, farmPlayers);
+        }
+      }
+    } else if (farmMap.enemies.size > 0) {
+      // Night creatures vanish at dawn
+      farmMap.enemies.clear();
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'enemyUpdate', enemies: [] });
+    }
+
+    const broadcast = now - this._lastEnemyBroadcast >= ENEMY_BROADCAST_INTERVAL_MS;
+    if (broadcast) this._lastEnemyBroadcast = now;
+
+    for (const map of this.maps.values()) {
+      if (map.enemies.size === 0) continue;
+      const players = this._getPlayersOnMap(map.id);
+      const { hits } = this.combat.updateEnemies(map, players, deltaSec, now);
+
+      for (const { player, damage } of hits) {
+        const knockedOut = player.takeDamage(damage);
+        this.io.to(player.socketId).emit(ACTIONS.WORLD_UPDATE, {
+          type: 'playerDamaged', damage, hp: player.hp, maxHP: player.maxHP,
+        });
+        if (knockedOut) this._knockOut(player);
+      }
+
+      if (broadcast) {
+        this._broadcastToMap(map.id, ACTIONS.WORLD_UPDATE, {
+          type: 'enemyUpdate', enemies: Array.from(map.enemies.values()).map(e => e.getState()),
+        });
+      }
+    }
+  }
+
+  // --- Pets ---
+
+  /** Pets follow, wander, sleep and fetch; moved pets go out together every broadcast interval */
+  _tickPets(now, deltaSec) {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const owners = new Map(this._getPlayersOnMap(MAP_IDS.FARM).map(p => [p.id, p]));
+    const { moved, dug, pickedUp, dropped, fetched } = this.petBehavior.update(farmMap, {
+      owners,
+      night: this.time.isNight(),
+      house: farmMap.buildings.get('house_main') || null,
+      foraging: this._getForaging(MAP_IDS.FARM),
+      season: this.time.season,
+      deltaSec, now,
+    });
+
+    for (const pet of moved) this._movedPets.add(pet);
+    if (this._movedPets.size > 0 && now - this._lastPetBroadcast >= PET_BROADCAST_INTERVAL_MS) {
+      this._lastPetBroadcast = now;
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+        type: 'petUpdate', pets: [...this._movedPets].map(p => ({
+          id: p.id, x: Math.round(p.x * 100) / 100, z: Math.round(p.z * 100) / 100, state: p.state,
+        })),
+      });
+      this._movedPets.clear();
+    }
+
+    for (const { spawn } of [...dug, ...dropped]) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'forageSpawned', spawn });
+    }
+    for (const { pet, spawn } of dug) {
+      const owner = owners.get(pet.ownerId);
+      if (owner) this.io.to(owner.socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'petFound', petName: pet.name, itemId: spawn.itemId, dug: true });
+    }
+    for (const { spawn } of pickedUp) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'forageCollected', spawnId: spawn.id });
+    }
+    for (const { pet, spawn, owner } of fetched) {
+      const quality = this._rollForageQuality(owner.getSkillLevel(SKILLS.FORAGING), owner);
+      if (!owner.canFit(spawn.itemId, 1, quality)) {
+        // The backpack filled up on the way back: the pet leaves it at its owner's feet
+        const dropped = { ...spawn, tileX: Math.floor(owner.x), tileZ: Math.floor(owner.z) };
+        this._getForaging(MAP_IDS.FARM).spawns.set(dropped.id, dropped);
+        this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'forageSpawned', spawn: dropped });
+        this._notifyInventoryFull(owner.socketId);
+        continue;
+      }
+      owner.addItem(spawn.itemId, 1, quality);
+      this.io.to(owner.socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'petFound', petName: pet.name, itemId: spawn.itemId, dug: false });
+      this.io.to(owner.socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'lootDrop', drops: [{ itemId: spawn.itemId, quantity: 1 }] });
+      this._sendInventoryUpdate(owner.socketId, owner);
+    }
+  }
+
+  /** 0 HP: lose some coins and wake up at home, like passing out late at night */
+  _knockOut(player) {
+    const penalty = Math.min(Math.floor(player.coins * 0.1), 1000);
+    player.coins -= penalty;
+    player.heal(Math.floor(player.maxHP * 0.5));
+    this._handleMapTransition(player.socketId, { targetMap: MAP_IDS.FARM, spawnX: 32, spawnZ: 32 });
+    this._sendInventoryUpdate(player.socketId, player);
+    this.io.to(player.socketId).emit(ACTIONS.WORLD_UPDATE, {
+      type: 'playerKnockedOut', penalty, hp: player.hp, maxHP: player.maxHP,
+    });
+    logger.info('COMBAT', `${player.name} was knocked out`, { penalty });
+  }
+
+  handleCombatAttack(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+    if (!WEAPON_DATA[data.weaponId] || !player.hasItem(data.weaponId)) return;
+
+    const map = this._getPlayerMap(player);
+    const enemy = map.enemies.get(data.enemyId);
+    if (!enemy) return;
+
+    // Any blow might be the last, so there has to be room for everything it could drop
+    if (!player.canFitAll(ENEMY_DATA[enemy.type].drops)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
+
+    const nightBonus = this.time.isNight() ? this._petBonus(player, 'nightBonus') : 0;
+    const result = this.combat.attack(player, data.weaponId, enemy, nightBonus);
+    if (result.error) return;
+
+    if (!result.killed) {
+      this._broadcastToMap(map.id, ACTIONS.WORLD_UPDATE, {
+        type: 'enemyHit', enemyId: enemy.id, hp: enemy.hp, damage: result.damage, crit: result.crit,
+      });
+      return;
+    }
+
+    map.enemies.delete(enemy.id);
+    player.addSkillXP(SKILLS.COMBAT, result.xp);
+    this._checkPendingProfession(socketId, player);
+    for (const drop of result.drops) {
+      player.addItem(drop.itemId, drop.quantity);
+    }
+    this._broadcastToMap(map.id, ACTIONS.WORLD_UPDATE, {
+      type: 'enemyKilled', enemyId: enemy.id, damage: result.damage, crit: result.crit,
+    });
+    if (result.drops.length > 0) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'lootDrop', drops: result.drops });
+    }
+    this._sendInventoryUpdate(socketId, player);
+  }
+
   _onNewDay() {
     for (const player of this.players.values()) {
       player._collapsed = false;
@@ -374,6 +641,8 @@ export class GameWorld {
     db.prepare('UPDATE npc_relationships SET talked_today = 0, gifted_today = 0').run();
 
     this._processShippingBins();
+    this.shops.restockAll();
+    this._announce(`Good morning! It's day ${this.time.day} of ${SEASON_NAMES[this.time.season]}.`);
 
     logger.info('WORLD', `New day: Season ${this.time.season}, Day ${this.time.day}`, {
       crops: this.maps.get(MAP_IDS.FARM).crops.size,
@@ -385,9 +654,14 @@ export class GameWorld {
 
     // Spawn daily forage items
     const farmMap = this.maps.get(MAP_IDS.FARM);
-    const townMap = this.maps.get(MAP_IDS.TOWN);
-    this.farmForaging.spawnDaily(farmMap.tiles, this.time.season, 6);
-    this.townForaging.spawnDaily(townMap.tiles, this.time.season, 4);
+    for (const [mapId, foraging] of this.foraging) {
+      foraging.spawnDaily(this.maps.get(mapId).tiles, this.time.season, FORAGE_PER_DAY[mapId]);
+    }
+
+    // Fresh ore and monsters on every mine floor
+    for (const map of this.maps.values()) {
+      if (mineFloorOf(map.id)) this.mine.restock(map);
+    }
 
     // Sprinklers auto-water crops at dawn
     for (const sprinkler of farmMap.sprinklers.values()) {
@@ -408,22 +682,23 @@ export class GameWorld {
       }
     }
 
+    this._fillCrabPots();
+    this._advanceConstruction();
+
     // Animal/pet daily ticks (on farm map)
-    for (const animal of farmMap.animals.values()) animal.tickDaily();
+    this._animalsNewDay(farmMap);
     for (const pet of farmMap.pets.values()) pet.tickDaily();
 
-    // Restore player energy
+    // Restore player energy and health
     for (const player of this.players.values()) {
       player.energy = player.maxEnergy;
+      player.hp = player.maxHP;
     }
 
-    // Save skills
-    for (const player of this.players.values()) {
-      this._savePlayerSkills(player);
-    }
-
+    this._saveAllPlayers();
     this._saveMachines();
     this._saveBuildings();
+    this._saveMaps();
     this._saveWorldState();
     this._broadcastWorldUpdate();
   }
@@ -442,10 +717,13 @@ export class GameWorld {
       const crop = farmMap.crops.get(id);
       const idx = tileIndex(crop.tileX, crop.tileZ);
       if (idx >= 0 && idx < farmMap.tiles.length) {
-        farmMap.tiles[idx].type = TILE_TYPES.TILLED;
+        farmMap.setTileType(idx, TILE_TYPES.TILLED);
       }
       farmMap.crops.delete(id);
     }
+    this._announce(toRemove.length > 0
+      ? `${SEASON_NAMES[season]} has arrived. ${toRemove.length} out-of-season crops withered.`
+      : `${SEASON_NAMES[season]} has arrived.`);
     if (toRemove.length > 0) {
       logger.info('WORLD', `Season change: ${toRemove.length} crops died`);
       this._broadcastWorldUpdate();
@@ -455,20 +733,51 @@ export class GameWorld {
   // --- Player Actions ---
 
   handlePlayerJoin(socket, data) {
+    if (this.players.has(socket.id)) return;
     const db = getDB();
-    const playerId = data.playerId || uuid();
-    let row = db.prepare('SELECT * FROM players WHERE id = ?').get(playerId);
-    if (!row) {
-      db.prepare('INSERT INTO players (id, world_id, name) VALUES (?, ?, ?)')
-        .run(playerId, this.worldId, data.name || 'Farmer');
-      row = { id: playerId, name: data.name || 'Farmer' };
+
+    // Resolve the client's saved token to an existing farmer, if any
+    const row = typeof data.token === 'string'
+      ? db.prepare('SELECT id, token FROM players WHERE token = ? AND world_id = ?').get(data.token, this.worldId)
+      : null;
+
+    if (row) {
+      const online = this._getOnlinePlayer(row.id);
+      if (online) {
+        // A reconnect from the same browser session takes over; anything else is a second copy
+        const oldSocket = this.io.sockets.sockets.get(online.socketId);
+        if (oldSocket?.connected && online.sessionId !== data.sessionId) {
+          socket.emit(ACTIONS.JOIN_REJECTED, { reason: `${online.name} is already playing in another window.` });
+          logger.warn('GAME', 'Rejected duplicate session', { socketId: socket.id, playerId: online.id });
+          return;
+        }
+        this._reattachPlayer(socket, online, row.token, data.sessionId);
+        return;
+      }
+    }
+
+    const playerId = row ? row.id : uuid();
+    const token = row ? row.token : uuid();
+    let saved = row ? this._loadPlayer(playerId) : null;
+    if (!saved) {
+      db.prepare('INSERT INTO players (id, world_id, name, token) VALUES (?, ?, ?, ?)')
+        .run(playerId, this.worldId, data.name || 'Farmer', token);
+      saved = { id: playerId, skills: {}, professions: {} };
     }
 
-    const skills = this._loadPlayerSkills(playerId);
-    const professions = row.professions ? JSON.parse(row.professions) : {};
-    const player = new Player({ id: playerId, name: data.name || row.name, skills, professions, appearance: data.appearance });
+    const player = new Player({
+      ...saved,
+      name: data.name || saved.name,
+      appearance: data.appearance || saved.appearance,
+    });
     player.socketId = socket.id;
+    player.sessionId = data.sessionId || null;
     this.players.set(socket.id, player);
+    this.quests.loadPlayer(player.id);
+    player.onItemAdded = (itemId, quantity) => {
+      if (this.quests.onItemAdded(player, itemId, quantity)) this._sendQuestLog(player.socketId, player);
+    };
+    player.onInventoryFull = (itemId, quantity) => this._notifyInventoryFull(player.socketId, { itemId, quantity });
 
     // Assign unowned pet to this player
     const farmMap = this.maps.get(MAP_IDS.FARM);
@@ -479,7 +788,7 @@ export class GameWorld {
     }
 
     const fullState = this._getFullState(player);
-    socket.emit(ACTIONS.WORLD_STATE, fullState);
+    socket.emit(ACTIONS.WORLD_STATE, { ...fullState, playerToken: token });
 
     // Notify other players on same map
     this._broadcastToMap(player.currentMap, ACTIONS.PLAYER_JOIN, { player: player.getState() }, socket.id);
@@ -489,27 +798,101 @@ export class GameWorld {
     });
   }
 
+  /** Find an online player by persistent id */
+  _getOnlinePlayer(playerId) {
+    for (const p of this.players.values()) {
+      if (p.id === playerId) return p;
+    }
+    return null;
+  }
+
+  /** Move an online player onto a new socket (reconnect) without creating a second entry */
+  _reattachPlayer(socket, player, token, sessionId) {
+    const oldSocketId = player.socketId;
+    this.players.delete(oldSocketId);
+    player.socketId = socket.id;
+    player.sessionId = sessionId || null;
+    this.players.set(socket.id, player);
+
+    // Drop the stale socket; its disconnect no longer maps to a player
+    this.io.sockets.sockets.get(oldSocketId)?.disconnect(true);
+
+    const fullState = this._getFullState(player);
+    socket.emit(ACTIONS.WORLD_STATE, { ...fullState, playerToken: token });
+
+    logger.info('GAME', `${player.name} reconnected`, {
+      socketId: socket.id, oldSocketId, playerId: player.id,
+    });
+  }
+
   handlePlayerLeave(socketId) {
     const player = this.players.get(socketId);
     if (!player) return;
 
-    this._savePlayerSkills(player);
+    this._savePlayer(player);
+    this.chat.forget(player.id);
+    this.quests.forget(player.id);
     logger.info('GAME', `${player.name} left`, { playerId: player.id, online: this.players.size - 1 });
     this.players.delete(socketId);
     this.io.emit(ACTIONS.PLAYER_LEAVE, { playerId: player.id });
   }
 
+  /**
+   * Walk to a clicked spot. The server plans the route around water and
+   * anything standing on the ground and walks the player along it at
+   * PLAYER_SPEED in _tickMovement; clients animate the same path.
+   * With `direct` set the client is steering by keyboard or gamepad and
+   * streams where it has got to instead; see _handleDirectMove.
+   */
   handlePlayerMove(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
+    if (!Number.isFinite(data?.x) || !Number.isFinite(data?.z)) return;
+    if (data.direct) {
+      this._handleDirectMove(socketId, player, data);
+      return;
+    }
+
+    const map = this._getPlayerMap(player);
+    const path = findPath(map.getWalkGrid(), player.x, player.z, data.x, data.z);
+    if (!path) return;
+    player.path = path;
+    player.pendingPickup = null;
+
+    this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
+      type: 'playerMove', playerId: player.id, x: player.x, z: player.z, path,
+    });
+  }
+
+  /**
+   * Accept a position streamed by a steering client if it could have got
+   * there: each move is paid for out of a travel budget that refills at
+   * PLAYER_SPEED (times a tolerance for network jitter) and holds at most
+   * DIRECT_MOVE_MAX_BANK_SEC of travel, so bunching messages up buys no
+   * extra distance. A move that's too far or crosses anything unwalkable
+   * puts the client back where the server has it.
+   */
+  _handleDirectMove(socketId, player, data) {
+    const now = Date.now();
+    const rate = PLAYER_SPEED * DIRECT_MOVE_TOLERANCE;
+    const earned = rate * (now - player.lastDirectMoveAt) / 1000;
+    player.directMoveBudget = Math.min(player.directMoveBudget + earned, rate * DIRECT_MOVE_MAX_BANK_SEC);
+    player.lastDirectMoveAt = now;
+
+    const map = this._getPlayerMap(player);
+    const dist = Math.hypot(data.x - player.x, data.z - player.z);
+    if (dist > player.directMoveBudget || !isSegmentWalkable(map.getWalkGrid(), player.x, player.z, data.x, data.z)) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'playerCorrection', x: player.x, z: player.z });
+      return;
+    }
+
+    player.directMoveBudget -= dist;
+    player.path = [];
+    player.pendingPickup = null;
     player.x = data.x;
     player.z = data.z;
 
-    // Check for portal zone
-    const map = this._getPlayerMap(player);
-    const tileX = Math.floor(data.x);
-    const tileZ = Math.floor(data.z);
-    const portal = map.isInPortalZone(tileX, tileZ);
+    const portal = map.isInPortalZone(Math.floor(player.x), Math.floor(player.z));
     if (portal) {
       this._handleMapTransition(socketId, portal);
       return;
@@ -517,7 +900,44 @@ export class GameWorld {
 
     this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
       type: 'playerMove', playerId: player.id, x: player.x, z: player.z,
-    });
+    }, socketId);
+  }
+
+  /** Advance every walking player along their path, taking any map exit they step into */
+  _tickMovement(deltaSec) {
+    for (const [socketId, player] of this.players) {
+      if (player.path.length === 0) continue;
+
+      let budget = PLAYER_SPEED * deltaSec;
+      while (budget > 0 && player.path.length > 0) {
+        const next = player.path[0];
+        const dx = next.x - player.x;
+        const dz = next.z - player.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist <= budget) {
+          player.x = next.x;
+          player.z = next.z;
+          player.path.shift();
+          budget -= dist;
+        } else {
+          player.x += (dx / dist) * budget;
+          player.z += (dz / dist) * budget;
+          budget = 0;
+        }
+      }
+
+      const portal = this._getPlayerMap(player).isInPortalZone(Math.floor(player.x), Math.floor(player.z));
+      if (portal) {
+        this._handleMapTransition(socketId, portal);
+        continue;
+      }
+
+      if (player.path.length === 0 && player.pendingPickup) {
+        const pickup = player.pendingPickup;
+        player.pendingPickup = null;
+        this.handleForageCollect(socketId, pickup);
+      }
+    }
   }
 
   _handleMapTransition(socketId, portal) {
@@ -530,6 +950,8 @@ export class GameWorld {
     // Convert tile-based spawn to world coords (consistent with movement coords)
     const spawnWorld = tileToWorld(portal.spawnX, portal.spawnZ);
     player.currentMap = newMap;
+    player.path = [];
+    player.pendingPickup = null;
     player.x = spawnWorld.x;
     player.z = spawnWorld.z;
 
@@ -540,9 +962,7 @@ export class GameWorld {
     const targetMap = this.maps.get(newMap);
     const mapState = targetMap.getFullState();
 
-    const forageItems = newMap === MAP_IDS.FARM
-      ? this.farmForaging.getState()
-      : this.townForaging.getState();
+    const forageItems = this._getForaging(newMap)?.getState() || [];
 
     this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
       type: 'mapTransition',
@@ -579,8 +999,9 @@ export class GameWorld {
     const idx = tileIndex(data.x, data.z);
     const tile = farmMap.tiles[idx];
     if (tile.type !== TILE_TYPES.DIRT && tile.type !== TILE_TYPES.GRASS) return;
+    if (this._hasChestAt(farmMap, data.x, data.z)) return;
 
-    tile.type = TILE_TYPES.TILLED;
+    farmMap.setTileType(idx, TILE_TYPES.TILLED);
     this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
       type: 'tileChange', x: data.x, z: data.z, tileType: TILE_TYPES.TILLED,
     });
@@ -600,6 +1021,7 @@ export class GameWorld {
     const farmMap = this.maps.get(MAP_IDS.FARM);
     const idx = tileIndex(data.x, data.z);
     if (farmMap.tiles[idx].type !== TILE_TYPES.TILLED) return;
+    if (this._hasChestAt(farmMap, data.x, data.z)) return;
 
     for (const crop of farmMap.crops.values()) {
       if (crop.tileX === data.x && crop.tileZ === data.z) return;
@@ -644,8 +1066,13 @@ export class GameWorld {
         if (!cropData) continue;
         if (cropData.isSapling) continue; // Saplings auto-convert in tick
 
-        const yield_ = 1 + Math.floor(Math.random() * 2);
+        let yield_ = 1 + Math.floor(Math.random() * 2);
+        if (Math.random() < this._petBonus(player, 'harvestSpeed')) yield_++;
         const quality = this._rollCropQuality(player.getSkillLevel(SKILLS.FARMING), crop.fertilizer);
+        if (!player.canFit(crop.cropType, yield_, quality)) {
+          this._notifyInventoryFull(socketId);
+          return;
+        }
         player.addItem(crop.cropType, yield_, quality);
         player.addSkillXP(SKILLS.FARMING, cropData.xp);
         this._checkPendingProfession(socketId, player);
@@ -663,7 +1090,7 @@ export class GameWorld {
         } else {
           farmMap.crops.delete(id);
           const idx = tileIndex(data.x, data.z);
-          farmMap.tiles[idx].type = TILE_TYPES.TILLED;
+          farmMap.setTileType(idx, TILE_TYPES.TILLED);
           this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
             type: 'cropHarvested', cropId: id, x: data.x, z: data.z,
           });
@@ -696,14 +1123,14 @@ export class GameWorld {
     // Get fishing parameters
     const fishingLevel = player.getSkillLevel(SKILLS.FISHING);
     const rodTier = player.toolTiers?.fishing_rod || 0;
-    const baitInfo = null; // Future: read from equipped bait slot
+    const gear = player.getFishingGear();
     const season = this.time.season;
     const hour = this.time.hour;
     const isRaining = this.weather.isRaining();
 
     // Roll which fish bites
     const fish = this.fishCalc.rollCatch(
-      location, player.level, fishingLevel, rodTier, baitInfo, season, hour, isRaining
+      location, player.level, fishingLevel, rodTier, gear, season, hour, isRaining
     );
 
     logger.info('FISH', 'Cast processed', { location, fishingLevel, season, hour, isRaining, fishFound: !!fish, fishName: fish?.name });
@@ -717,15 +1144,30 @@ export class GameWorld {
       return;
     }
 
-    // Roll bite timing
-    const { waitTime, nibbles } = this.fishCalc.rollBiteParams(fish.rarity);
+    // Roll bite timing; a spinner gets fish biting sooner
+    const bite = this.fishCalc.rollBiteParams(fish.rarity);
+    const waitTime = bite.waitTime * (1 - Math.min(gear.biteSpeed, 0.75));
+    const { nibbles } = bite;
+
+    // The fish takes the bait and works the tackle
+    const brokenTackle = player.useFishingGear(gear);
+    if (gear.bait || gear.tackle) this._sendInventoryUpdate(socketId, player);
+    if (brokenTackle) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'tackleBroke', itemId: brokenTackle });
+    }
+
+    // Sometimes a treasure chest surfaces during the catch bar
+    const treasure = this.fishingLoot.rollTreasureChance(player);
 
-    // Store fishing state on player (server tracks what fish was rolled)
+    // Store fishing state on player (server tracks what fish was rolled and
+    // when the catch bar can plausibly be finished)
     player._fishingState = {
       fishId: fish.id,
       fish,
       location,
+      treasure,
       castTime: Date.now(),
+      ...this.fishingTimeline.start(fish, waitTime),
     };
 
     // Send bite data to client — client plays wait/nibble/bite sequence, then mini-game
@@ -741,7 +1183,8 @@ export class GameWorld {
       // Net size modifiers for the catch bar
       rodTier,
       fishingLevel,
-      baitNetBonus: 0, // Future: from bait
+      baitNetBonus: gear.netBonus,
+      treasure,
     });
 
     // Broadcast cast animation to other players
@@ -750,6 +1193,25 @@ export class GameWorld {
     }, socketId);
   }
 
+  /** Put a bait or tackle item on the rod, or take it off again */
+  handleFishEquip(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+    if (!player.hasItem(data.itemId)) return;
+    if (!player.toggleFishingGear(data.itemId)) return;
+    this._sendInventoryUpdate(socketId, player);
+  }
+
+  /** Periodic catch bar progress from the client, checked against the timeline */
+  handleFishProgress(socketId, data) {
+    const player = this.players.get(socketId);
+    const state = player?._fishingState;
+    if (!state) return;
+
+    const reason = this.fishingTimeline.report(state, data.progress);
+    if (reason) this._rejectFishing(socketId, player, ACTIONS.FISH_PROGRESS, data, reason);
+  }
+
   handleFishReel(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
@@ -757,6 +1219,28 @@ export class GameWorld {
     const state = player._fishingState;
     if (!state) return;
 
+    if (data.success) {
+      const reason = this.fishingTimeline.validateCatch(state);
+      if (reason) {
+        this._rejectFishing(socketId, player, ACTIONS.FISH_REEL, data, reason);
+        return;
+      }
+    }
+
+    // The chest only counts if it was offered and the fish was landed too
+    const treasure = data.success && state.treasure && data.treasure
+      ? this.fishingLoot.rollTreasure(player.getSkillLevel(SKILLS.FISHING))
+      : null;
+    if (data.success && !player.canFitAll([{ itemId: state.fishId, quantity: 1 }, ...(treasure || [])])) {
+      // No room for the catch: it gets away, with nothing paid for it
+      player._fishingState = null;
+      this._notifyInventoryFull(socketId);
+      this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
+        type: 'fishMiss', playerId: player.id,
+      });
+      return;
+    }
+
     // Clear fishing state
     player._fishingState = null;
 
@@ -767,6 +1251,11 @@ export class GameWorld {
       // XP scales with rarity
       const xp = 5 + state.fish.rarity * 10;
       player.addSkillXP(SKILLS.FISHING, xp);
+
+      if (treasure) {
+        for (const drop of treasure) player.addItem(drop.itemId, drop.quantity);
+        this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'treasureFound', drops: treasure });
+      }
       this._checkPendingProfession(socketId, player);
 
       this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
@@ -780,10 +1269,34 @@ export class GameWorld {
     }
   }
 
+  /** Drop a catch whose timeline doesn't add up; the fish counts as lost */
+  _rejectFishing(socketId, player, action, data, reason) {
+    player._fishingState = null;
+    logger.action(socketId, action, data, `rejected: ${reason}`);
+    logger.warn('FISH', `Rejected ${action} from ${player.name}: ${reason}`);
+    this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
+      type: 'fishMiss', playerId: player.id,
+    });
+  }
+
+  /** Fish that were never reeled in swim off once their timeline runs out */
+  _expireFishing(now) {
+    for (const [socketId, player] of this.players) {
+      const state = player._fishingState;
+      if (!state || !this.fishingTimeline.isExpired(state, now)) continue;
+      player._fishingState = null;
+      logger.action(socketId, ACTIONS.FISH_REEL, null, 'timeout');
+      this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
+        type: 'fishMiss', playerId: player.id,
+      });
+    }
+  }
+
   /** Determine water location type based on map */
   _getWaterLocation(mapId, tileX, tileZ) {
     if (mapId === MAP_IDS.FARM) return 'pond';
     if (mapId === MAP_IDS.TOWN) return 'river';
+    if (mapId === MAP_IDS.BEACH) return 'ocean'; // tide pools included
     return 'pond'; // default
   }
 
@@ -831,9 +1344,71 @@ export class GameWorld {
       emitData.upgradeOptions = upgradeOptions;
     }
 
+    // Quests: one new offer at a time, plus any finished ones ready to hand in
+    const offer = this.quests.getOffer(player.id, npc.id, rel.hearts);
+    if (offer) {
+      emitData.questOffer = {
+        id: offer.id, description: offer.description, targetItem: offer.targetItem,
+        targetCount: offer.targetCount, rewardCoins: offer.rewardCoins || 0,
+      };
+    }
+    emitData.questTurnIns = this.quests.getReadyToTurnIn(player, npc.id)
+      .map(({ quest }) => ({ id: quest.id, description: quest.description }));
+
     this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, emitData);
   }
 
+  // --- Quests ---
+
+  handleQuestAccept(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.TOWN) return;
+    const quest = this.quests.quests.get(data.questId);
+    if (!quest) return;
+
+    const hearts = this._getHearts(player.id, quest.npcId);
+    const result = this.quests.accept(player, quest.id, hearts);
+    if (result.error) {
+      this._sendQuestLog(socketId, player, result.error);
+      return;
+    }
+    logger.info('QUEST', `${player.name} accepted ${quest.id}`);
+    this._sendQuestLog(socketId, player, `Quest accepted: ${quest.description}`);
+  }
+
+  handleQuestTurnIn(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.TOWN) return;
+
+    const result = this.quests.turnIn(player, data.questId);
+    if (result.error) {
+      this._sendQuestLog(socketId, player, result.error);
+      return;
+    }
+
+    const { quest, rewards } = result;
+    this._checkPendingProfession(socketId, player);
+    this._sendInventoryUpdate(socketId, player);
+    logger.info('QUEST', `${player.name} completed ${quest.id}`, rewards);
+
+    const parts = [`+${rewards.coins} coins`];
+    if (rewards.xp) parts.push(`+${rewards.xp} ${rewards.skill} XP`);
+    if (rewards.item) parts.push(`+1 ${rewards.item.replace(/_/g, ' ')}`);
+    this._sendQuestLog(socketId, player, `Quest complete! ${parts.join(', ')}`);
+  }
+
+  _sendQuestLog(socketId, player, message = null) {
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
+      type: 'questLog', quests: this.quests.getLog(player.id), message,
+    });
+  }
+
+  _getHearts(playerId, npcId) {
+    const row = getDB().prepare('SELECT hearts FROM npc_relationships WHERE player_id = ? AND npc_id = ?')
+      .get(playerId, npcId);
+    return row ? row.hearts : 0;
+  }
+
   handleNPCGift(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
@@ -882,6 +1457,8 @@ export class GameWorld {
       points = GIFT_POINTS.HATED;
       tier = 'HATED';
     }
+    // A parrot puts in a good word: welcome gifts count for more
+    if (points > 0) points = Math.round(points * (1 + this._petBonus(player, 'npcRelation')));
 
     // Convert points to hearts (250 points = 1 heart, max 10)
     const heartGain = points / 250;
@@ -917,72 +1494,225 @@ export class GameWorld {
     this._sendInventoryUpdate(socketId, player);
   }
 
+  /**
+   * Feed one animal ({ animalId }), or every animal inside a barn or coop
+   * ({ homeId }). Hand-feeding builds friendship.
+   */
   handleAnimalFeed(socketId, data) {
     const player = this.players.get(socketId);
     if (!player || player.currentMap !== MAP_IDS.FARM) return;
 
+    let fed = 0;
+    for (const animal of this._animalsToTend(player, data)) {
+      if (!animal.feed(this.animalCare.friendshipMultiplier(player))) continue;
+      fed++;
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+        type: 'animalUpdate', animal: animal.getState(),
+      });
+    }
+    if (data.homeId) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'animalsTended', action: 'fed', count: fed });
+    }
+  }
+
+  handleAnimalPet(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.FARM) return;
+
     const farmMap = this.maps.get(MAP_IDS.FARM);
     const animal = farmMap.animals.get(data.animalId);
-    if (!animal) return;
+    if (!animal || !animal.outside) return;
+    if (!this._isPlayerInRange(player, Math.floor(animal.x), Math.floor(animal.z))) return;
 
-    animal.feed();
+    if (!animal.pet(this.animalCare.friendshipMultiplier(player))) return;
     this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
       type: 'animalUpdate', animal: animal.getState(),
     });
   }
 
+  /**
+   * Collect from one animal ({ animalId }), or from every animal inside a
+   * barn or coop ({ homeId }). Quality follows the animal's friendship and mood.
+   */
   handleAnimalCollect(socketId, data) {
     const player = this.players.get(socketId);
     if (!player || player.currentMap !== MAP_IDS.FARM) return;
 
-    const farmMap = this.maps.get(MAP_IDS.FARM);
-    const animal = farmMap.animals.get(data.animalId);
-    if (!animal || !animal.productReady) return;
+    const drops = [];
+    for (const animal of this._animalsToTend(player, data)) {
+      const result = animal.collectProduct();
+      if (!result) continue;
 
-    const animalData = animalsData[animal.type];
-    if (!animalData) return;
+      const itemId = this.animalCare.productItem(animal, result);
+      const quality = this._petQualityBump(player, 'animalProduct', result.quality, QUALITY.IRIDIUM);
+      if (!player.canFit(itemId, 1, quality)) {
+        animal.productReady = true; // still there for next time
+        this._notifyInventoryFull(socketId);
+        break;
+      }
+      player.addItem(itemId, 1, quality);
+      player.addSkillXP(SKILLS.FARMING, 5);
+      const drop = drops.find(d => d.itemId === itemId);
+      if (drop) drop.quantity++;
+      else drops.push({ itemId, quantity: 1 });
 
-    const result = animal.collectProduct();
-    if (!result) return;
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+        type: 'animalUpdate', animal: animal.getState(),
+      });
+    }
 
-    const quality = result.qualityBonus > 1 ? 1 : 0;
-    player.addItem(animalData.product, 1, quality);
-    player.addSkillXP(SKILLS.FARMING, 5);
+    if (drops.length === 0) {
+      if (data.homeId) this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'animalsTended', action: 'collected', count: 0 });
+      return;
+    }
     this._checkPendingProfession(socketId, player);
 
     // Notify client of loot
-    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
-      type: 'lootDrop', drops: [{ itemId: animalData.product, quantity: 1 }],
-    });
-
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'lootDrop', drops });
     this._sendInventoryUpdate(socketId, player);
-    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
-      type: 'animalUpdate', animal: animal.getState(),
-    });
   }
 
-  handlePetInteract(socketId, data) {
+  /** Open or shut a barn or coop's animal door */
+  handleAnimalDoor(socketId, data) {
     const player = this.players.get(socketId);
     if (!player || player.currentMap !== MAP_IDS.FARM) return;
 
     const farmMap = this.maps.get(MAP_IDS.FARM);
-    const pet = farmMap.pets.get(data.petId);
-    if (!pet || pet.ownerId !== player.id) return;
+    const home = farmMap.buildings.get(data.buildingId);
+    if (!home || home.construction || !this.construction.get(home.type)?.capacity) return;
+    if (!this._isPlayerInRange(player, home.tileX, home.tileZ, 4)) return;
 
-    let message = '';
-    switch (data.action) {
-      case 'pet':
-        pet.pet();
-        message = `${pet.name || 'Pet'} wags happily!`;
-        break;
-      case 'feed':
-        pet.feed();
-        message = `${pet.name || 'Pet'} eats eagerly!`;
-        break;
-      case 'train':
-        if (pet.energy < 20) {
-          message = `${pet.name || 'Pet'} is too tired to train.`;
-          break;
+    home.doorOpen = home.doorOpen === false;
+    this._saveBuildings();
+    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+      type: 'buildingUpdate', building: home,
+    });
+  }
+
+  /**
+   * The animals a feed or collect request covers: the one named by animalId,
+   * or those inside the home named by homeId. The player must be close by.
+   */
+  _animalsToTend(player, { animalId, homeId } = {}) {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    if (homeId) {
+      const home = farmMap.buildings.get(homeId);
+      if (!home || !this._isPlayerInRange(player, home.tileX, home.tileZ, 4)) return [];
+      return [...farmMap.animals.values()].filter(a => a.homeId === homeId && !a.outside);
+    }
+    const animal = farmMap.animals.get(animalId);
+    if (!animal || !animal.outside) return [];
+    if (!this._isPlayerInRange(player, Math.floor(animal.x), Math.floor(animal.z))) return [];
+    return [animal];
+  }
+
+  /** Overnight for the farm animals: growing up, births and hatching */
+  _animalsNewDay(farmMap) {
+    const { changed, born, hatched } = this.animalCare.onNewDay(farmMap, this._animalHomes());
+    for (const animal of changed) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'animalUpdate', animal: animal.getState() });
+    }
+    for (const { animal, mother } of born) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'animalAdded', animal: animal.getState() });
+      this._announce(`${mother.name || animalsData[mother.type].name} gave birth to a baby ${animal.type}!`);
+    }
+    for (const { animal } of hatched) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'animalAdded', animal: animal.getState() });
+      this._announce(`A ${animal.type} hatched in the incubator!`);
+    }
+    if (born.length > 0 || hatched.length > 0) {
+      logger.info('ANIMAL', `${born.length} born, ${hatched.length} hatched`);
+    }
+  }
+
+  /** Hourly animal routine: out to graze, back in at dusk, weather on their mood */
+  _onNewHour(hour) {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const changed = this.animalCare.onHour(farmMap, hour, this.weather.currentWeather, this.time.season);
+    for (const animal of changed) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+        type: 'animalUpdate', animal: animal.getState(),
+      });
+    }
+  }
+
+  /** Sell a farm animal back for a share of its price; happier animals fetch more */
+  handleAnimalSell(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.FARM) return;
+
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const animal = farmMap.animals.get(data.animalId);
+    if (!animal) return;
+    if (!this._isPlayerInRange(player, Math.floor(animal.x), Math.floor(animal.z))) return;
+
+    const price = animal.getSellPrice(animalsData[animal.type]?.buyPrice || 0);
+    player.coins += price;
+    farmMap.animals.delete(animal.id);
+    logger.info('ANIMAL', `${player.name} sold ${animal.type} ${animal.name || animal.id} for ${price}`);
+
+    this._sendInventoryUpdate(socketId, player);
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
+      type: 'animalSold', name: animal.name || animalsData[animal.type]?.name, price,
+    });
+    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'animalRemoved', animalId: animal.id });
+  }
+
+  /**
+   * Barns and coops with their occupancy, for the animal shop and breeding.
+   * An animal expecting a baby takes up two places.
+   * Returns [{ id, type, name, occupants, capacity }].
+   */
+  _animalHomes() {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const homes = [];
+    for (const b of farmMap.buildings.values()) {
+      const capacity = this.construction.get(b.type)?.capacity;
+      if (!capacity || b.construction) continue;
+      let occupants = 0;
+      for (const a of farmMap.animals.values()) {
+        if (a.homeId === b.id) occupants += a.pregnantDays > 0 ? 2 : 1;
+      }
+      const sameType = homes.filter(h => h.type === b.type).length;
+      const name = this.construction.get(b.type).name + (sameType > 0 ? ` ${sameType + 1}` : '');
+      homes.push({ id: b.id, type: b.type, name, occupants, capacity });
+    }
+    return homes;
+  }
+
+  /** Move animals saved before they had homes into any barn or coop of the right kind with room */
+  _rehomeAnimals() {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    for (const animal of farmMap.animals.values()) {
+      if (animal.homeId && farmMap.buildings.has(animal.homeId)) continue;
+      const wanted = animalsData[animal.type]?.building;
+      const home = this._animalHomes().find(h => h.type === wanted && h.occupants < h.capacity);
+      animal.homeId = home?.id || null;
+    }
+  }
+
+  handlePetInteract(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.FARM) return;
+
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const pet = farmMap.pets.get(data.petId);
+    if (!pet || pet.ownerId !== player.id) return;
+
+    let message = '';
+    switch (data.action) {
+      case 'pet':
+        pet.pet();
+        message = `${pet.name || 'Pet'} wags happily!`;
+        break;
+      case 'feed':
+        pet.feed();
+        message = `${pet.name || 'Pet'} eats eagerly!`;
+        break;
+      case 'train':
+        if (pet.energy < 20) {
+          message = `${pet.name || 'Pet'} is too tired to train.`;
+          break;
         }
         pet.train();
         message = `${pet.name || 'Pet'} learned something new!`;
@@ -1066,6 +1796,13 @@ export class GameWorld {
       return;
     }
 
+    if (building.construction) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
+        type: 'craftError', message: 'This building is still under construction.',
+      });
+      return;
+    }
+
     const recipe = recipesData[data.recipeId];
     if (!recipe || recipe.building !== building.type) return;
 
@@ -1118,6 +1855,10 @@ export class GameWorld {
 
     const recipe = recipesData[building.processing.recipeId];
     if (!recipe) return;
+    if (!player.canFit(recipe.output, recipe.count || 1)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
 
     player.addItem(recipe.output, recipe.count || 1);
     player.addSkillXP(SKILLS.FARMING, recipe.xp || 5);
@@ -1132,50 +1873,198 @@ export class GameWorld {
     });
   }
 
-  handleShopBuy(socketId, data) {
+  // --- Construction ---
+
+  /** Commission a farm building from a blueprint; it goes up as a construction site */
+  handleBuildingPlace(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
 
-    const cropType = data.itemId.replace('_seed', '');
-    const cropData = cropsData[cropType];
-    if (cropData) {
-      const cost = cropData.buyPrice * (data.quantity || 1);
-      if (player.coins < cost) return;
-      player.coins -= cost;
-      player.addItem(data.itemId, data.quantity || 1);
-      this._sendInventoryUpdate(socketId, player);
+    const fail = (message) => this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'buildError', message });
+
+    if (player.currentMap !== MAP_IDS.FARM) return fail('Buildings go on the farm.');
+    const blueprint = this.construction.get(data.type);
+    if (!blueprint) return fail('No such blueprint.');
+
+    const tileX = Math.floor(data.x);
+    const tileZ = Math.floor(data.z);
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const blocked = this.construction.checkPlacement(farmMap, data.type, tileX, tileZ);
+    if (blocked) return fail(blocked);
+
+    if (player.coins < blueprint.cost) return fail('Not enough coins.');
+    const missing = this.construction.missingMaterials(player, blueprint);
+    if (missing.length > 0) return fail(`Need ${missing.map(m => `${m.quantity} ${m.name}`).join(', ')}.`);
+
+    this.construction.charge(player, blueprint);
+    const building = this.construction.createSite(data.type, tileX, tileZ);
+    farmMap.buildings.set(building.id, building);
+    this._saveBuildings();
+    logger.info('BUILD', `${player.name} commissioned ${data.type} at (${tileX}, ${tileZ})`);
+
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'buildingPlaced', building });
+  }
+
+  /** Overnight work on construction sites; finished buildings open in the morning */
+  _advanceConstruction() {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const sites = Array.from(farmMap.buildings.values()).filter(b => b.construction);
+    if (sites.length === 0) return;
+
+    const finished = this.construction.advanceDay(farmMap);
+    for (const building of sites) {
+      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'buildingUpdate', building });
+    }
+    for (const building of finished) {
+      this._announce(`The new ${this.construction.get(building.type)?.name || building.type} is finished!`);
     }
+    this._saveBuildings();
   }
 
-  handleShopSell(socketId, data) {
+  handleShopOpen(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
 
-    const quantity = data.quantity || 1;
-    if (!player.hasItem(data.itemId, quantity)) return;
+    const located = this._locateShop(player, data.shopId);
+    if (located.error) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'shopError', message: located.error });
+      return;
+    }
+    this._sendShopState(socketId, data.shopId, located.keeper);
+  }
 
-    const cropData = cropsData[data.itemId];
-    const fishItem = fishData[data.itemId];
-    let basePrice = cropData?.sellPrice || fishItem?.value || 10;
+  handleShopBuy(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    const fail = (message) => this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'shopError', message });
+
+    const located = this._locateShop(player, data.shopId);
+    if (located.error) return fail(located.error);
+    if (!located.keeper?.isWorking(this.time.hour)) return fail('The shop is closed.');
+
+    const quantity = data.quantity ?? 1;
+    const quote = this.shops.quote(data.shopId, data.itemId, quantity, this.time.season);
+    if (quote.error) return fail(quote.error);
+    if (player.coins < quote.total) return fail('Not enough coins.');
 
-    const slot = player.inventory.find(i => i.itemId === data.itemId);
-    const quality = slot?.quality || 0;
-    let price = Math.floor(basePrice * QUALITY_MULTIPLIER[quality]) * quantity;
+    const { entry } = quote;
+    const granted = this._grantPurchase(player, entry, quantity, data);
+    if (granted.error) return fail(granted.error);
 
-    // Tiller profession: +10% crop sell value
-    if (cropData && player.hasProfession('tiller')) {
-      price = Math.floor(price * 1.1);
+    player.coins -= quote.total;
+    this.shops.recordSale(data.shopId, entry.itemId, quantity);
+    logger.info('SHOP', `${player.name} bought ${entry.itemId} x${quantity} for ${quote.total}`);
+
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
+      type: 'shopPurchase', itemId: entry.itemId, name: entry.name, quantity, cost: quote.total,
+    });
+    this._sendInventoryUpdate(socketId, player);
+    this._sendShopState(socketId, data.shopId, located.keeper);
+  }
+
+  /** A shop the player can reach: on the town map, near its building or its keeper */
+  _locateShop(player, shopId) {
+    const shop = this.shops.get(shopId);
+    if (!shop) return { error: 'No such shop.' };
+    if (player.currentMap !== MAP_IDS.TOWN) return { error: 'Shops are in town.' };
+
+    const townMap = this.maps.get(MAP_IDS.TOWN);
+    const building = townMap.buildings.get(shopId);
+    const keeper = townMap.npcs.find(n => n.id === shop.keeper) || null;
+    const nearBuilding = building && this._isPlayerInRange(player, building.tileX, building.tileZ, SHOP_RANGE);
+    const nearKeeper = keeper && this._isPlayerInRange(player, keeper.currentX, keeper.currentZ, SHOP_RANGE);
+    if (!nearBuilding && !nearKeeper) return { error: 'Too far away!' };
+    return { shop, keeper };
+  }
+
+  _sendShopState(socketId, shopId, keeper) {
+    const shop = this.shops.getState(shopId, this.time.season, keeper, this.time.hour);
+    // Animals need a barn or coop of the right kind to go to
+    if (shop.items.some(i => i.kind === 'animal')) {
+      shop.animalHomes = this._animalHomes();
+      for (const item of shop.items) {
+        if (item.kind === 'animal') item.homeType = animalsData[item.itemId]?.building || null;
+      }
     }
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'shopOpen', shop });
+  }
 
-    // Fisher/Angler profession: fish sell value bonus
-    if (fishItem) {
-      const fishBonus = player.getProfessionBonus('fishSellValue');
-      if (fishBonus > 0) {
-        price = Math.floor(price * (1 + fishBonus));
+  /**
+   * Hand over a purchase. Items go to the inventory, animals and pets
+   * arrive on the farm, cosmetics unlock on every pet the player owns.
+   * Animals also take the name and home (barn or coop id) the buyer chose.
+   * Returns {} or { error } (nothing has changed on error).
+   */
+  _grantPurchase(player, entry, quantity, { name, homeId } = {}) {
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+
+    switch (entry.kind) {
+      case 'item':
+        if (!player.canFit(entry.itemId, quantity)) return { error: 'Your backpack is full.' };
+        player.addItem(entry.itemId, quantity);
+        return {};
+
+      case 'animal': {
+        if (quantity !== 1) return { error: 'Animals are bought one at a time.' };
+        const wanted = animalsData[entry.itemId]?.building;
+        const home = this._animalHomes().find(h => h.id === homeId);
+        if (!home || home.type !== wanted) return { error: `Choose a ${wanted} for the ${entry.name}.` };
+        if (home.occupants >= home.capacity) return { error: `The ${home.name} is full.` };
+
+        const building = farmMap.buildings.get(home.id);
+        const animal = new Animal({
+          type: entry.itemId,
+          name: String(name || '').trim().slice(0, ANIMAL_NAME_MAX) || entry.name,
+          homeId: home.id,
+          x: building.tileX + Math.random() * 2 - 1,
+          z: building.tileZ + 2 + Math.random() * 2,
+        });
+        farmMap.animals.set(animal.id, animal);
+        this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'animalAdded', animal: animal.getState() });
+        return {};
+      }
+
+      case 'pet': {
+        const pet = new Pet({
+          ownerId: player.id, type: entry.itemId, name: entry.name,
+          x: 30 + Math.random() * 3, z: 33 + Math.random() * 2,
+        });
+        farmMap.pets.set(pet.id, pet);
+        this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'petAdded', pet: pet.getState() });
+        return {};
+      }
+
+      case 'cosmetic': {
+        const owned = Array.from(farmMap.pets.values()).filter(p => p.ownerId === player.id);
+        if (owned.length === 0) return { error: 'You need a pet to wear this.' };
+        const lacking = owned.filter(p => !p.cosmetics.unlocked.includes(entry.itemId));
+        if (lacking.length === 0) return { error: 'Your pets already have this.' };
+        for (const pet of lacking) pet.cosmetics.unlocked.push(entry.itemId);
+        this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+          type: 'petCosmeticsUnlocked', pets: lacking.map(p => p.getState()),
+        });
+        return {};
       }
     }
+    return { error: 'Not for sale.' };
+  }
+
+  handleShopSell(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    const quantity = data.quantity || 1;
+    const slot = player.inventory.find(i => i.itemId === data.itemId && i.quantity >= quantity);
+    if (!slot) return;
+
+    const quality = slot.quality || 0;
+    const value = slot.value ?? null;
+    const price = getSellPrice(data.itemId, quality, player.professions, value) * quantity;
+    if (price <= 0) return;
 
-    player.removeItem(data.itemId, quantity, quality);
+    player.removeItem(data.itemId, quantity, quality, value);
     player.coins += price;
     player.addSkillXP(SKILLS.FARMING, 2 * quantity);
     this._checkPendingProfession(socketId, player);
@@ -1186,13 +2075,14 @@ export class GameWorld {
 
   handleShipItem(player, itemId, quantity) {
     const slot = player.inventory.find(i => i.itemId === itemId && i.quantity >= quantity);
-    if (!slot) return null;
+    if (!slot || !isSellable(itemId, slot.value)) return null;
 
     const quality = slot.quality || 0;
-    player.removeItem(itemId, quantity, quality);
+    const value = slot.value ?? null;
+    player.removeItem(itemId, quantity, quality, value);
 
     if (!this.shippingBins.has(player.id)) this.shippingBins.set(player.id, []);
-    this.shippingBins.get(player.id).push({ itemId, quantity, quality });
+    this.shippingBins.get(player.id).push({ itemId, quantity, quality, value });
 
     this._sendInventoryUpdate(player.socketId, player);
     return { itemId, quantity };
@@ -1208,31 +2098,13 @@ export class GameWorld {
 
       let totalCoins = 0;
       for (const item of items) {
-        const cropData = cropsData[item.itemId];
-        const fishItem = fishData[item.itemId];
-        const basePrice = cropData?.sellPrice || fishItem?.value || 10;
-        const multiplier = QUALITY_MULTIPLIER[item.quality] || 1;
-        let price = Math.floor(basePrice * multiplier) * item.quantity;
-
-        // Tiller profession: +10% crop sell value
-        if (cropData && player.hasProfession('tiller')) {
-          price = Math.floor(price * 1.1);
-        }
-
-        // Fisher/Angler profession: fish sell value bonus
-        if (fishItem) {
-          const fishBonus = player.getProfessionBonus('fishSellValue');
-          if (fishBonus > 0) {
-            price = Math.floor(price * (1 + fishBonus));
-          }
-        }
-
-        totalCoins += price;
+        totalCoins += getSellPrice(item.itemId, item.quality, player.professions, item.value) * item.quantity;
       }
 
       if (totalCoins > 0) {
         player.coins += totalCoins;
         this._sendInventoryUpdate(player.socketId, player);
+        this._announce(`Your shipment sold for ${totalCoins} coins.`, player.socketId);
         logger.info('SHIPPING', `Player ${player.name} earned ${totalCoins} coins from shipping bin`);
       }
     }
@@ -1346,36 +2218,18 @@ export class GameWorld {
     const machineInfo = machinesData[machine.type];
     if (!machineInfo) return;
 
-    let outputItem, outputValue, timeHours;
-
-    for (const recipe of Object.values(machineInfo.recipes)) {
-      if (recipe.input && recipe.input === data.itemId) {
-        outputItem = recipe.output;
-        outputValue = recipe.outputValue;
-        timeHours = recipe.timeHours;
-        break;
-      }
-      if (recipe.inputCategory === 'crop') {
-        // Check if the item is a known crop
-        const cropInfo = cropsData[data.itemId];
-        if (cropInfo) {
-          outputItem = recipe.output;
-          if (recipe.valueMultiplier) {
-            outputValue = Math.floor(cropInfo.sellPrice * recipe.valueMultiplier);
-          }
-          if (recipe.valueBonus) {
-            outputValue = (outputValue || Math.floor(cropInfo.sellPrice * 2)) + recipe.valueBonus;
-          }
-          timeHours = recipe.timeHours;
-          break;
-        }
-      }
-    }
-
-    if (!outputItem || !timeHours) return;
+    const recipe = Object.values(machineInfo.recipes).find(r =>
+      (r.input && r.input === data.itemId) || (r.inputCategory === 'crop' && cropsData[data.itemId]));
+    if (!recipe?.output || !(recipe.timeHours || recipe.hatchDays)) return;
 
     player.removeItem(data.itemId, 1);
-    machine.startProcessing(data.itemId, outputItem, outputValue || 0, timeHours * 3600 * 1000);
+    if (recipe.hatchDays) {
+      // Coopmaster halves incubation
+      const days = Math.max(1, Math.ceil(recipe.hatchDays * (1 - player.getProfessionBonus('incubationSpeed'))));
+      machine.startIncubating(data.itemId, recipe.output, days);
+    } else {
+      machine.startProcessing(data.itemId, recipe.output, getOutputValue(recipe, data.itemId), recipe.timeHours * 3600 * 1000);
+    }
 
     this._sendInventoryUpdate(socketId, player);
     this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
@@ -1391,11 +2245,15 @@ export class GameWorld {
     const farmMap = this.maps.get(MAP_IDS.FARM);
     const machine = farmMap.machines.get(data.machineId);
     if (!machine) return;
+    if (machine.isReady() && !player.canFit(machine.processing.outputItem, 1, 0, machine.processing.outputValue || null)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
 
     const result = machine.collect();
     if (!result) return;
 
-    player.addItem(result.itemId, 1);
+    player.addItem(result.itemId, 1, 0, result.value);
     player.addSkillXP(SKILLS.FARMING, 10);
     this._checkPendingProfession(socketId, player);
 
@@ -1406,24 +2264,255 @@ export class GameWorld {
     this._saveMachines();
   }
 
+  // --- Crab Pots ---
+
+  handlePlaceCrabPot(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || mineFloorOf(player.currentMap)) return;
+    if (!player.hasItem('crab_pot', 1)) return;
+    if (!this._isPlayerInRange(player, data.x, data.z)) return;
+
+    const map = this._getPlayerMap(player);
+    const idx = tileIndex(data.x, data.z);
+    if (idx < 0 || idx >= map.tiles.length || map.tiles[idx].type !== TILE_TYPES.WATER) return;
+
+    // One pot per tile
+    for (const p of map.crabPots.values()) {
+      if (p.tileX === data.x && p.tileZ === data.z) return;
+    }
+
+    player.removeItem('crab_pot', 1);
+    const pot = new CrabPot({ ownerId: player.id, tileX: data.x, tileZ: data.z });
+    map.crabPots.set(pot.id, pot);
+
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
+      type: 'crabPotPlaced', crabPot: pot.getState(),
+    });
+  }
+
+  /** Empty a pot with a catch in it, or bait an empty one with the held bait */
+  handleCrabPotInteract(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    const map = this._getPlayerMap(player);
+    const pot = map.crabPots.get(data.potId);
+    if (!pot || !this._isPlayerInRange(player, pot.tileX, pot.tileZ)) return;
+
+    if (pot.catchItem) {
+      if (!player.canFit(pot.catchItem, 1)) {
+        this._notifyInventoryFull(socketId);
+        return;
+      }
+      const itemId = pot.collect();
+      player.addItem(itemId, 1);
+      player.addSkillXP(SKILLS.FISHING, 5);
+      this._checkPendingProfession(socketId, player);
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
+        type: 'lootDrop', drops: [{ itemId, quantity: 1 }],
+      });
+    } else if (!pot.bait && BAIT_DATA[data.itemId] && player.hasItem(data.itemId, 1)) {
+      player.removeItem(data.itemId, 1);
+      pot.bait = data.itemId;
+    } else {
+      return;
+    }
+
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastToMap(player.currentMap, ACTIONS.WORLD_UPDATE, {
+      type: 'crabPotUpdate', crabPot: pot.getState(),
+    });
+  }
+
+  /** Dawn: every baited pot (or any pot a Trapper owns) that is empty catches something */
+  _fillCrabPots() {
+    for (const map of this.maps.values()) {
+      for (const pot of map.crabPots.values()) {
+        if (pot.catchItem) continue;
+        if (!pot.bait && !this._ownerHasProfession(pot.ownerId, 'trapper')) continue;
+
+        const location = this._getWaterLocation(map.id, pot.tileX, pot.tileZ);
+        pot.catchItem = this.fishingLoot.rollCrabPot(location, {
+          noJunk: this._ownerHasProfession(pot.ownerId, 'mariner'),
+        });
+        pot.bait = null;
+      }
+    }
+  }
+
+  /** Profession check that also works for owners who are offline */
+  _ownerHasProfession(playerId, profId) {
+    if (!playerId) return false;
+    const online = this._getOnlinePlayer(playerId);
+    if (online) return online.hasProfession(profId);
+
+    const row = getDB().prepare('SELECT professions FROM players WHERE id = ?').get(playerId);
+    const professions = JSON.parse(row?.professions || '{}');
+    return Object.values(professions).some(profs => profs.includes(profId));
+  }
+
+  // --- Storage Chests ---
+
+  /** Set a chest down on open ground on the farm */
+  handlePlaceChest(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.FARM) return;
+    if (!player.hasItem('chest', 1)) return;
+    if (!this._isPlayerInRange(player, data.x, data.z)) return;
+
+    // Not in water, nor on anything else standing, growing or placed there
+    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const taken = [...farmMap.crops.values(), ...farmMap.sprinklers.values()]
+      .some(e => e.tileX === data.x && e.tileZ === data.z);
+    if (taken || !isWalkable(farmMap.getWalkGrid(), data.x, data.z)) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'chestError', message: 'Can\'t put a chest there.' });
+      return;
+    }
+
+    player.removeItem('chest', 1);
+    const chest = new Chest({ tileX: data.x, tileZ: data.z });
+    farmMap.chests.set(chest.id, chest);
+
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+      type: 'chestPlaced', chest: chest.getState(),
+    });
+  }
+
+  handleChestOpen(socketId, data) {
+    const chest = this._reachChest(socketId, data?.chestId);
+    if (!chest) return;
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'chestOpen', chest: chest.getState() });
+  }
+
+  /** Put a backpack stack (or `quantity` of it) in a chest; as much as fits goes in */
+  handleChestDeposit(socketId, data) {
+    const chest = this._reachChest(socketId, data?.chestId);
+    if (!chest) return;
+    const player = this.players.get(socketId);
+    const stack = player.itemAt(data.slot);
+    if (!stack) return;
+
+    const amount = data.quantity === undefined ? stack.quantity : Math.min(stack.quantity, Math.floor(data.quantity));
+    if (!(amount >= 1)) return;
+    const stored = chest.store(stack.itemId, amount, stack.quality || 0, stack.value ?? null);
+    if (stored === 0) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'chestError', message: 'The chest is full.' });
+      return;
+    }
+    player.takeFromSlot(data.slot, stored);
+
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastChest(chest);
+  }
+
+  /** Take a chest stack (or `quantity` of it) into the backpack */
+  handleChestWithdraw(socketId, data) {
+    const chest = this._reachChest(socketId, data?.chestId);
+    if (!chest) return;
+    const player = this.players.get(socketId);
+    const stack = chest.items.find(i => i.slot === data.slot);
+    if (!stack) return;
+
+    const amount = data.quantity === undefined ? stack.quantity : Math.min(stack.quantity, Math.floor(data.quantity));
+    if (!(amount >= 1)) return;
+    if (!player.canFit(stack.itemId, amount, stack.quality, stack.value)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
+    const taken = chest.take(data.slot, amount);
+    player.addItem(taken.itemId, taken.quantity, taken.quality, taken.value);
+
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastChest(chest);
+  }
+
+  handleChestColor(socketId, data) {
+    const chest = this._reachChest(socketId, data?.chestId);
+    if (!chest || !(data.color in CHEST_COLORS)) return;
+    chest.color = data.color;
+    this._broadcastChest(chest);
+  }
+
+  /** Pick an empty chest back up */
+  handleChestPickup(socketId, data) {
+    const chest = this._reachChest(socketId, data?.chestId);
+    if (!chest) return;
+    const player = this.players.get(socketId);
+    if (!chest.isEmpty()) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'chestError', message: 'Empty the chest first.' });
+      return;
+    }
+    if (!player.canFit('chest', 1)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
+
+    this.maps.get(MAP_IDS.FARM).chests.delete(chest.id);
+    player.addItem('chest', 1);
+    this._sendInventoryUpdate(socketId, player);
+    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, { type: 'chestRemoved', chestId: chest.id });
+  }
+
+  /** The chest if the player is on the farm and close enough to use it, else null */
+  _reachChest(socketId, chestId) {
+    const player = this.players.get(socketId);
+    if (!player || player.currentMap !== MAP_IDS.FARM) return null;
+    const chest = this.maps.get(MAP_IDS.FARM).chests.get(chestId);
+    if (!chest) return null;
+    if (!this._isPlayerInRange(player, chest.tileX, chest.tileZ)) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'chestError', message: 'Too far away.' });
+      return null;
+    }
+    return chest;
+  }
+
+  /** Whether a chest stands on a tile; nothing is tilled or planted under one */
+  _hasChestAt(map, x, z) {
+    for (const chest of map.chests.values()) {
+      if (chest.tileX === x && chest.tileZ === z) return true;
+    }
+    return false;
+  }
+
+  /** Everyone on the farm sees a chest's new contents and colour, including anyone with it open */
+  _broadcastChest(chest) {
+    this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+      type: 'chestUpdate', chest: chest.getState(),
+    });
+  }
+
   // --- Foraging ---
 
   handleForageCollect(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
-    if (!this._isPlayerInRange(player, data.x, data.z)) return;
+    if (!this._isPlayerInRange(player, data.x, data.z)) {
+      // Still on the way: pick it up on arrival if the walk ends close enough
+      const end = player.path[player.path.length - 1];
+      if (end && this._isPlayerInRange(end, data.x, data.z)) player.pendingPickup = { x: data.x, z: data.z };
+      return;
+    }
 
-    const foraging = player.currentMap === MAP_IDS.FARM ? this.farmForaging : this.townForaging;
-    const spawn = foraging.collectAt(data.x, data.z);
+    const foraging = this._getForaging(player.currentMap);
+    if (!foraging) return;
+    const spawn = foraging.itemAt(data.x, data.z);
     if (!spawn) return;
 
-    const quality = this._rollForageQuality(player.getSkillLevel(SKILLS.FORAGING), player);
+    const quality = this._petQualityBump(player, 'foragingLuck',
+      this._rollForageQuality(player.getSkillLevel(SKILLS.FORAGING), player), QUALITY.GOLD);
 
     // Gatherer profession: 20% chance double forage
     let qty = 1;
     if (player.hasProfession('gatherer') && Math.random() < 0.2) {
       qty = 2;
     }
+    if (!player.canFit(spawn.itemId, qty, quality)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
+    foraging.collectAt(data.x, data.z);
 
     player.addItem(spawn.itemId, qty, quality);
     player.addSkillXP(SKILLS.FORAGING, 7);
@@ -1454,14 +2543,15 @@ export class GameWorld {
 
   handleResourceHit(socketId, data) {
     const player = this.players.get(socketId);
-    if (!player || player.currentMap !== MAP_IDS.FARM) return;
+    if (!player) return;
+    if (player.currentMap !== MAP_IDS.FARM && !mineFloorOf(player.currentMap)) return;
     if (!this._isPlayerInRange(player, data.x, data.z)) return;
 
-    const farmMap = this.maps.get(MAP_IDS.FARM);
+    const map = this._getPlayerMap(player);
 
     // Find resource at the given tile
     let resource = null;
-    for (const r of farmMap.resources.values()) {
+    for (const r of map.resources.values()) {
       if (r.tileX === data.x && r.tileZ === data.z) {
         resource = r;
         break;
@@ -1472,6 +2562,17 @@ export class GameWorld {
     const resData = RESOURCE_DATA[resource.type];
     if (!resData) return;
 
+    // The hit that fells or breaks it pays out; with no room for that, it stays standing
+    let drops = null;
+    if (resource.health <= 1) {
+      if (resource.type === 'tree' && !resource.isStump) drops = resData.drops;
+      else drops = resource.isStump ? resData.stumpDrops : this.mine.rollDrops(player, resource.type);
+      if (drops && !player.canFitAll(drops)) {
+        this._notifyInventoryFull(socketId);
+        return;
+      }
+    }
+
     // Check energy for the required tool
     const tool = resData.tool;
     const tierIndex = player.toolTiers?.[tool] || 0;
@@ -1479,7 +2580,7 @@ export class GameWorld {
     if (!player.useEnergy(energyCost)) return;
 
     // Determine skill for XP
-    const skill = resource.type === 'tree' ? SKILLS.FORAGING : SKILLS.MINING;
+    const skill = tool === 'axe' ? SKILLS.FORAGING : SKILLS.MINING;
     player.addSkillXP(skill, resData.xpPerHit || 2);
     this._checkPendingProfession(socketId, player);
 
@@ -1489,21 +2590,20 @@ export class GameWorld {
     if (destroyed) {
       if (resource.type === 'tree' && !resource.isStump) {
         // Tree destroyed -> drop items, convert to stump
-        for (const drop of resData.drops) {
+        for (const drop of drops) {
           player.addItem(drop.itemId, drop.quantity);
         }
         // Notify client of loot
         this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, {
-          type: 'lootDrop', drops: resData.drops.map(d => ({ itemId: d.itemId, quantity: d.quantity })),
+          type: 'lootDrop', drops: drops.map(d => ({ itemId: d.itemId, quantity: d.quantity })),
         });
         resource.isStump = true;
         resource.health = resData.stumpHealth;
-        this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+        this._broadcastToMap(map.id, ACTIONS.WORLD_UPDATE, {
           type: 'resourceUpdate', resource: resource.getState(),
         });
       } else {
         // Stump or rock destroyed -> drop items, remove from map
-        const drops = resource.isStump ? resData.stumpDrops : resData.drops;
         if (drops) {
           for (const drop of drops) {
             player.addItem(drop.itemId, drop.quantity);
@@ -1515,22 +2615,22 @@ export class GameWorld {
         }
 
         // If rock was on STONE tile, revert to GRASS
-        if (resource.type === 'rock') {
+        if (resource.type === 'rock' && map.id === MAP_IDS.FARM) {
           const idx = tileIndex(resource.tileX, resource.tileZ);
-          if (idx >= 0 && idx < farmMap.tiles.length && farmMap.tiles[idx].type === TILE_TYPES.STONE) {
-            farmMap.tiles[idx].type = TILE_TYPES.GRASS;
+          if (idx >= 0 && idx < map.tiles.length && map.tiles[idx].type === TILE_TYPES.STONE) {
+            map.setTileType(idx, TILE_TYPES.GRASS);
           }
         }
 
-        farmMap.resources.delete(resource.id);
-        this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+        map.resources.delete(resource.id);
+        this._broadcastToMap(map.id, ACTIONS.WORLD_UPDATE, {
           type: 'resourceRemoved', resourceId: resource.id, x: resource.tileX, z: resource.tileZ,
         });
       }
       this._sendInventoryUpdate(socketId, player);
     } else {
       // Not destroyed — broadcast shake
-      this._broadcastToMap(MAP_IDS.FARM, ACTIONS.WORLD_UPDATE, {
+      this._broadcastToMap(map.id, ACTIONS.WORLD_UPDATE, {
         type: 'resourceHit', resourceId: resource.id, health: resource.health,
       });
       this._sendInventoryUpdate(socketId, player);
@@ -1553,6 +2653,10 @@ export class GameWorld {
 
     // Award fruit (1-3)
     const qty = 1 + Math.floor(Math.random() * 3);
+    if (!player.canFit(resource.fruitType, qty)) {
+      this._notifyInventoryFull(socketId);
+      return;
+    }
     player.addItem(resource.fruitType, qty);
     player.addSkillXP(SKILLS.FORAGING, 5);
     this._checkPendingProfession(socketId, player);
@@ -1596,7 +2700,8 @@ export class GameWorld {
       const idx = tileIndex(t.x, t.z);
       const tile = farmMap.tiles[idx];
       if (tile.type !== TILE_TYPES.DIRT && tile.type !== TILE_TYPES.GRASS) continue;
-      tile.type = TILE_TYPES.TILLED;
+      if (this._hasChestAt(farmMap, t.x, t.z)) continue;
+      farmMap.setTileType(idx, TILE_TYPES.TILLED);
       changedTiles.push({ x: t.x, z: t.z, tileType: TILE_TYPES.TILLED });
     }
 
@@ -1652,6 +2757,7 @@ export class GameWorld {
 
       const idx = tileIndex(t.x, t.z);
       if (farmMap.tiles[idx].type !== TILE_TYPES.TILLED) continue;
+      if (this._hasChestAt(farmMap, t.x, t.z)) continue;
 
       // Check no existing crop at this tile
       let occupied = false;
@@ -1674,6 +2780,110 @@ export class GameWorld {
     }
   }
 
+  // --- Chat ---
+
+  handleChat(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    const onlineNames = Array.from(this.players.values(), p => p.name);
+    const routed = this.chat.route(player, data?.message, onlineNames);
+    if (!routed) return;
+    if (routed.error) {
+      this._announce(routed.error, socketId);
+      return;
+    }
+
+    if (routed.channel === 'whisper') {
+      const wanted = routed.targetName.toLowerCase();
+      const target = Array.from(this.players.values())
+        .find(p => p.name.replace(/\s+/g, ' ').trim().toLowerCase() === wanted);
+      if (!target) {
+        this._announce(`No farmer named ${routed.targetName} is online.`, socketId);
+        return;
+      }
+      const message = { ...routed.message, to: target.name };
+      this.io.to(target.socketId).emit(ACTIONS.CHAT_MESSAGE, message);
+      if (target.socketId !== socketId) this.io.to(socketId).emit(ACTIONS.CHAT_MESSAGE, message);
+      return;
+    }
+
+    this._broadcastToMap(player.currentMap, ACTIONS.CHAT_MESSAGE, routed.message);
+  }
+
+  /** Send a system notice to one socket, or to everyone when socketId is omitted */
+  _announce(text, socketId = null) {
+    const message = this.chat.system(text);
+    if (socketId) this.io.to(socketId).emit(ACTIONS.CHAT_MESSAGE, message);
+    else this.io.emit(ACTIONS.CHAT_MESSAGE, message);
+  }
+
+  // --- Backpack ---
+
+  /** Drag between slots: move, split ({ quantity }), merge or swap */
+  handleInventoryMove(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+    const error = player.moveItem(data?.from, data?.to, data?.quantity);
+    if (error) this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'inventoryError', message: error });
+    this._sendInventoryUpdate(socketId, player);
+  }
+
+  handleInventoryTrash(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+    const stack = player.itemAt(data?.slot);
+    if (!stack) return;
+    if (!isTrashable(stack.itemId)) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'inventoryError', message: 'You might need that.' });
+      return;
+    }
+    const trashed = player.takeFromSlot(data.slot, data.quantity);
+    if (!trashed) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'inventoryError', message: 'Invalid quantity.' });
+      return;
+    }
+    logger.info('INVENTORY', `${player.name} threw away ${trashed.itemId} x${trashed.quantity}`);
+    this._sendInventoryUpdate(socketId, player);
+  }
+
+  /** Buy the next size of backpack */
+  handleInventoryUpgrade(socketId) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+    const upgrade = BACKPACK_UPGRADES.find(u => u.size > player.backpackSize);
+    if (!upgrade) return;
+    if (player.coins < upgrade.cost) {
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'inventoryError', message: 'Not enough coins.' });
+      return;
+    }
+    player.coins -= upgrade.cost;
+    player.backpackSize = upgrade.size;
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'backpackUpgraded', size: upgrade.size });
+    this._sendInventoryUpdate(socketId, player);
+  }
+
+  /** Tell a player their backpack is full, and what was lost if anything */
+  _notifyInventoryFull(socketId, lost = null) {
+    this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'inventoryFull', lost });
+  }
+
+  // --- Settings ---
+
+  /**
+   * Keep the client's settings with the player. The server doesn't read
+   * them; it only hands them back on the next join, so any plain object
+   * of reasonable size is accepted.
+   */
+  handlePlayerSettings(socketId, data) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+    const json = JSON.stringify(data);
+    if (json.length > SETTINGS_MAX_LENGTH) return;
+    player.settings = JSON.parse(json);
+  }
+
   // --- Rest at House ---
 
   handleRestAtHouse(socketId) {
@@ -1773,6 +2983,17 @@ export class GameWorld {
 
   // --- Helpers ---
 
+  /** The player's pet bonus of one kind, scaled by their pet's loyalty and skill */
+  _petBonus(player, key) {
+    return this.petBonuses.forPlayer(this.maps.get(MAP_IDS.FARM), player, key);
+  }
+
+  /** A pet bonus as a chance to raise an item's quality by one tier, up to `max` */
+  _petQualityBump(player, key, quality, max) {
+    if (quality >= max || Math.random() >= this._petBonus(player, key)) return quality;
+    return quality + 1;
+  }
+
   _rollCropQuality(farmingLevel, fertilizer = null) {
     const roll = Math.random();
     let goldChance = farmingLevel * 0.015;
@@ -1794,12 +3015,18 @@ export class GameWorld {
   _sendInventoryUpdate(socketId, player) {
     this.io.to(socketId).emit(ACTIONS.INVENTORY_UPDATE, {
       inventory: player.inventory,
+      backpackSize: player.backpackSize,
       coins: player.coins,
       level: player.level,
       energy: player.energy,
       maxEnergy: player.maxEnergy,
+      hp: player.hp,
+      maxHP: player.maxHP,
       skills: player.skills,
       professions: player.professions,
+      bait: player.bait,
+      tackle: player.tackle,
+      tackleWear: player.tackleWear,
       toolTiers: player.toolTiers,
     });
   }
@@ -1822,11 +3049,11 @@ export class GameWorld {
       const pets = Array.from(map.pets.values()).map(p => p.getState());
       const sprinklers = Array.from(map.sprinklers.values()).map(s => s.getState());
       const machines = Array.from(map.machines.values()).map(m => m.getState());
+      const crabPots = Array.from(map.crabPots.values()).map(p => p.getState());
+      const chests = Array.from(map.chests.values()).map(c => c.getState());
       const resources = Array.from(map.resources.values()).map(r => r.getState());
-      const forageItems = player.currentMap === MAP_IDS.FARM
-        ? this.farmForaging.getState()
-        : this.townForaging.getState();
-      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'fullSync', crops, animals, pets, sprinklers, machines, resources, forageItems });
+      const forageItems = this._getForaging(player.currentMap)?.getState() || [];
+      this.io.to(socketId).emit(ACTIONS.WORLD_UPDATE, { type: 'fullSync', crops, animals, pets, sprinklers, machines, crabPots, chests, resources, forageItems });
     }
   }
 
@@ -1854,19 +3081,99 @@ export class GameWorld {
       npcs: mapState.npcs,
       sprinklers: mapState.sprinklers,
       machines: mapState.machines,
+      crabPots: mapState.crabPots,
+      chests: mapState.chests,
       resources: mapState.resources,
+      enemies: mapState.enemies,
       players: samePlayers,
       buildings: mapState.buildings,
       time: this.time.getState(),
       weather: this.weather.getState(),
       recipes: recipesData,
+      blueprints: this.construction.blueprints,
+      quests: this.quests.getLog(player.id),
       machinesData,
-      forageItems: player.currentMap === MAP_IDS.FARM
-        ? this.farmForaging.getState()
-        : this.townForaging.getState(),
+      petBonuses: this.petBonuses.bonusTable,
+      forageItems: this._getForaging(player.currentMap)?.getState() || [],
+      settings: player.settings,
+    };
+  }
+
+  // --- Player Persistence ---
+
+  /** Load a saved player (stats, position, inventory, skills). Returns constructor data or null. */
+  _loadPlayer(playerId) {
+    const db = getDB();
+    const row = db.prepare('SELECT * FROM players WHERE id = ?').get(playerId);
+    if (!row) return null;
+
+    const inventory = db.prepare('SELECT item_id, quantity, quality, value, slot FROM inventory WHERE player_id = ? ORDER BY slot')
+      .all(playerId)
+      .map(r => ({ itemId: r.item_id, quantity: r.quantity, quality: r.quality || 0, value: r.value ?? null, slot: r.slot }));
+    const toolTiers = JSON.parse(row.tool_tiers || '{}');
+    const currentMap = this.maps.has(row.current_map) ? row.current_map : MAP_IDS.FARM;
+
+    return {
+      id: row.id,
+      name: row.name,
+      x: row.x,
+      z: row.z,
+      coins: row.coins,
+      energy: row.energy,
+      maxEnergy: row.max_energy,
+      hp: row.hp ?? undefined,
+      bait: row.bait,
+      tackle: row.tackle,
+      tackleWear: JSON.parse(row.tackle_wear || '{}'),
+      currentMap,
+      inventory,
+      backpackSize: row.backpack_size ?? undefined,
+      // Older rows predate tool tiers; let Player fill in its defaults
+      toolTiers: Object.keys(toolTiers).length > 0 ? toolTiers : undefined,
+      appearance: JSON.parse(row.appearance || '{}'),
+      settings: row.settings ? JSON.parse(row.settings) : null,
+      professions: JSON.parse(row.professions || '{}'),
+      skills: this._loadPlayerSkills(playerId),
     };
   }
 
+  /** Persist everything about a player in one transaction */
+  _savePlayer(player) {
+    const db = getDB();
+    const updatePlayer = db.prepare(`
+      UPDATE players SET name = ?, x = ?, z = ?, coins = ?, level = ?, energy = ?, max_energy = ?,
+        hp = ?, current_map = ?, tool_tiers = ?, appearance = ?, bait = ?, tackle = ?, tackle_wear = ?,
+        settings = ?, backpack_size = ?
+      WHERE id = ?
+    `);
+    const clearInventory = db.prepare('DELETE FROM inventory WHERE player_id = ?');
+    const insertItem = db.prepare(
+      'INSERT INTO inventory (player_id, item_id, quantity, quality, value, slot) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+
+    const save = db.transaction(() => {
+      updatePlayer.run(
+        player.name, player.x, player.z, player.coins, player.level, player.energy, player.maxEnergy,
+        player.hp, player.currentMap, JSON.stringify(player.toolTiers), JSON.stringify(player.appearance || {}),
+        player.bait, player.tackle, JSON.stringify(player.tackleWear),
+        player.settings ? JSON.stringify(player.settings) : null, player.backpackSize,
+        player.id
+      );
+      clearInventory.run(player.id);
+      for (const item of player.inventory) {
+        insertItem.run(player.id, item.itemId, item.quantity, item.quality || 0, item.value ?? null, item.slot);
+      }
+      this._savePlayerSkills(player);
+    });
+    save();
+  }
+
+  _saveAllPlayers() {
+    for (const player of this.players.values()) {
+      this._savePlayer(player);
+    }
+  }
+
   // --- Skill Persistence ---
 
   _loadPlayerSkills(playerId) {
@@ -1907,6 +3214,7 @@ export class GameWorld {
         outputValue: row.processing_value || 0,
         startTime: row.processing_start,
         endTime: row.processing_end,
+        daysLeft: row.processing_days_left,
       } : null;
       machines.push(new Machine({
         id: row.id,
@@ -1926,8 +3234,8 @@ export class GameWorld {
 
     const upsert = db.prepare(`
       INSERT OR REPLACE INTO machines (id, world_id, type, tile_x, tile_z,
-        processing_input, processing_output, processing_value, processing_start, processing_end)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        processing_input, processing_output, processing_value, processing_start, processing_end, processing_days_left)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const deleteStale = db.prepare('DELETE FROM machines WHERE world_id = ? AND id NOT IN (SELECT value FROM json_each(?))');
 
@@ -1941,7 +3249,8 @@ export class GameWorld {
           m.processing?.outputItem || null,
           m.processing?.outputValue || 0,
           m.processing?.startTime || null,
-          m.processing?.endTime || null
+          m.processing?.endTime || null,
+          m.processing?.daysLeft ?? null
         );
       }
       deleteStale.run(this.worldId, JSON.stringify(ids));
@@ -1962,7 +3271,11 @@ export class GameWorld {
         const endTime = row.processing_done ? startTime : startTime + durationMs;
         processing = { recipeId: row.processing_recipe, startTime, endTime };
       }
-      return { id: row.id, type: row.type, tileX: row.tile_x, tileZ: row.tile_z, processing };
+      const construction = row.build_days_left > 0 ? { daysLeft: row.build_days_left } : null;
+      return {
+        id: row.id, type: row.type, tileX: row.tile_x, tileZ: row.tile_z, processing, construction,
+        doorOpen: row.door_open !== 0,
+      };
     });
   }
 
@@ -1973,8 +3286,8 @@ export class GameWorld {
 
     const upsert = db.prepare(`
       INSERT OR REPLACE INTO buildings (id, world_id, type, tile_x, tile_z,
-        processing_recipe, processing_start, processing_done)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        processing_recipe, processing_start, processing_done, build_days_left, door_open)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const deleteStale = db.prepare('DELETE FROM buildings WHERE world_id = ? AND id NOT IN (SELECT value FROM json_each(?))');
 
@@ -1986,7 +3299,9 @@ export class GameWorld {
           b.id, this.worldId, b.type, b.tileX, b.tileZ,
           b.processing?.recipeId || null,
           b.processing?.startTime ? String(b.processing.startTime) : null,
-          b.processing ? (Date.now() >= (b.processing.endTime || 0) ? 1 : 0) : 0
+          b.processing ? (Date.now() >= (b.processing.endTime || 0) ? 1 : 0) : 0,
+          b.construction?.daysLeft || 0,
+          b.doorOpen === false ? 0 : 1
         );
       }
       deleteStale.run(this.worldId, JSON.stringify(ids));
@@ -1994,6 +3309,15 @@ export class GameWorld {
     save();
   }
 
+  /** Persist the mutable contents of every map (tiles, crops, animals, pets, sprinklers, chests, resources, forage) */
+  _saveMaps() {
+    for (const map of this.maps.values()) {
+      const foraging = this._getForaging(map.id);
+      if (!foraging) continue; // mine floors regenerate daily
+      this.persistence.saveMap(map, foraging.getState());
+    }
+  }
+
   _saveWorldState() {
     const db = getDB();
     const state = this.time.getState();
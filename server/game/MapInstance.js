@@ -1,6 +1,8 @@
 // server/game/MapInstance.js
 // Lightweight container for per-map state: tiles, decorations, buildings, entities, portals.
 
+import { buildWalkGrid } from '../../shared/TileMap.js';
+
 export class MapInstance {
   constructor(id, { tiles, decorations, buildings = [], portals = [] }) {
     this.id = id;
@@ -20,7 +22,19 @@ export class MapInstance {
     this.npcs = [];
     this.sprinklers = new Map();
     this.machines = new Map();
+    this.crabPots = new Map();
+    this.chests = new Map();
     this.resources = new Map();
+    this.enemies = new Map();
+
+    // Tile indices tilled or reverted since the last save
+    this.changedTiles = new Set();
+  }
+
+  /** Change a tile's type, remembering it for the next save */
+  setTileType(idx, type) {
+    this.tiles[idx].type = type;
+    this.changedTiles.add(idx);
   }
 
   /** Serialize full map state for client consumption */
@@ -35,10 +49,23 @@ export class MapInstance {
       npcs: this.npcs.map(n => n.getState()),
       sprinklers: Array.from(this.sprinklers.values()).map(s => s.getState()),
       machines: Array.from(this.machines.values()).map(m => m.getState()),
+      crabPots: Array.from(this.crabPots.values()).map(p => p.getState()),
+      chests: Array.from(this.chests.values()).map(c => c.getState()),
       resources: Array.from(this.resources.values()).map(r => r.getState()),
+      enemies: Array.from(this.enemies.values()).map(e => e.getState()),
     };
   }
 
+  /** Where players can walk right now, for pathfinding */
+  getWalkGrid() {
+    return buildWalkGrid(this.tiles, {
+      buildings: this.buildings.values(),
+      resources: this.resources.values(),
+      machines: this.machines.values(),
+      chests: this.chests.values(),
+    });
+  }
+
   /** Check if position (tile coords) is inside a portal zone. Returns portal info or null. */
   isInPortalZone(x, z) {
     for (const portal of this.portals) {
@@ -0,0 +1,148 @@
+// server/game/MineSystem.js
+// The mine: builds one MapInstance per floor, restocks ore nodes and
+// monsters each day, and rolls node drops with the mining profession bonuses.
+
+import {
+  TILE_TYPES, MAP_IDS, RESOURCE_DATA, MINE_FLOORS, MINE_NODE_DENSITY, MINE_GEM_CHANCE,
+  MINE_FLOOR_BANDS, GEM_TABLE, mineMapId, mineFloorOf,
+} from '../../shared/constants.js';
+import { MapInstance } from './MapInstance.js';
+import { Resource } from '../entities/Resource.js';
+
+const ENTRANCE = { x: 32, z: 59 };  // arrival tile when coming down a level
+const LADDER = { x: 32, z: 4 };     // arrival tile when climbing back up
+const TOWN_ENTRANCE = { x: 40, z: 3 };
+const CLEAR_RADIUS = 4;             // keep nodes off the arrival points
+
+export class MineSystem {
+  /**
+   * @param {import('./TerrainGenerator.js').TerrainGenerator} terrainGen
+   * @param {import('./CombatSystem.js').CombatSystem} combat
+   */
+  constructor(terrainGen, combat) {
+    this.terrainGen = terrainGen;
+    this.combat = combat;
+  }
+
+  /** Build every floor, stocked and ready. Returns the MapInstances. */
+  createFloors() {
+    const floors = [];
+    for (let floor = 1; floor <= MINE_FLOORS; floor++) {
+      const portals = [
+        // South edge: back up a floor, or out to town from the first
+        floor === 1
+          ? { x: 30, z: 61, width: 4, height: 3, targetMap: MAP_IDS.TOWN, spawnX: TOWN_ENTRANCE.x, spawnZ: TOWN_ENTRANCE.z }
+          : { x: 30, z: 61, width: 4, height: 3, targetMap: mineMapId(floor - 1), spawnX: LADDER.x, spawnZ: LADDER.z },
+      ];
+      if (floor < MINE_FLOORS) {
+        // North edge: ladder down
+        portals.push({ x: 30, z: 0, width: 4, height: 2, targetMap: mineMapId(floor + 1), spawnX: ENTRANCE.x, spawnZ: ENTRANCE.z });
+      }
+
+      const map = new MapInstance(mineMapId(floor), {
+        tiles: this.terrainGen.generateMineFloor(floor),
+        decorations: [],
+        portals,
+      });
+      this.restock(map);
+      floors.push(map);
+    }
+    return floors;
+  }
+
+  /** Portal from town into the first floor */
+  getTownPortal() {
+    return { x: 40, z: 0, width: 2, height: 2, targetMap: mineMapId(1), spawnX: ENTRANCE.x, spawnZ: ENTRANCE.z };
+  }
+
+  /** Replace a floor's nodes and monsters (new day, or first build) */
+  restock(map) {
+    const floor = mineFloorOf(map.id);
+    const band = this._bandFor(floor);
+    map.resources.clear();
+    map.enemies.clear();
+
+    for (const tile of map.tiles) {
+      if (tile.type !== TILE_TYPES.DIRT) continue;
+      if (this._nearArrival(tile)) continue;
+      if (Math.random() >= MINE_NODE_DENSITY) continue;
+
+      const type = this._pickNodeType(band.ore);
+      const resource = new Resource({
+        tileX: tile.x, tileZ: tile.z, type,
+        variant: Math.floor(Math.random() * 3),
+        health: RESOURCE_DATA[type].health,
+      });
+      map.resources.set(resource.id, resource);
+    }
+
+    const enemyCount = 2 + Math.floor(floor / 2);
+    this.combat.spawnEnemies(map, band.enemies, enemyCount, [], {
+      tileType: TILE_TYPES.DIRT, safeCenter: ENTRANCE,
+    });
+  }
+
+  /**
+   * What a destroyed pickaxe node yields for this player.
+   * Miner adds ore, Prospector doubles coal, Geologist raises gem odds,
+   * Excavator doubles geode gems.
+   */
+  rollDrops(player, type) {
+    const data = RESOURCE_DATA[type];
+    const drops = data.drops.map(d => ({ itemId: d.itemId, quantity: d.quantity }));
+
+    if (data.ore) {
+      const bonus = player.getProfessionBonus('oreBonus');
+      for (const d of drops) d.quantity += bonus;
+    }
+    if (data.coal && player.hasProfession('prospector')) {
+      for (const d of drops) d.quantity *= 2;
+    }
+    if (data.geode) {
+      const gems = player.hasProfession('excavator') ? 2 : 1;
+      for (let i = 0; i < gems; i++) this._addDrop(drops, this._rollGem());
+    } else if (data.ore || data.coal) {
+      const chance = MINE_GEM_CHANCE * (1 + player.getProfessionBonus('gemChance'));
+      if (Math.random() < chance) this._addDrop(drops, this._rollGem());
+    }
+    return drops;
+  }
+
+  _bandFor(floor) {
+    let band = MINE_FLOOR_BANDS[0];
+    for (const b of MINE_FLOOR_BANDS) {
+      if (floor >= b.minFloor) band = b;
+    }
+    return band;
+  }
+
+  /** Mostly plain rock, then the floor's ore, coal and the odd geode */
+  _pickNodeType(ore) {
+    const r = Math.random();
+    if (r < 0.5) return 'rock';
+    if (r < 0.8) return ore;
+    if (r < 0.93) return 'coal_node';
+    return 'geode_node';
+  }
+
+  _nearArrival(tile) {
+    return Math.hypot(tile.x - ENTRANCE.x, tile.z - ENTRANCE.z) < CLEAR_RADIUS ||
+      Math.hypot(tile.x - LADDER.x, tile.z - LADDER.z) < CLEAR_RADIUS;
+  }
+
+  _rollGem() {
+    const total = GEM_TABLE.reduce((sum, g) => sum + g.weight, 0);
+    let roll = Math.random() * total;
+    for (const gem of GEM_TABLE) {
+      roll -= gem.weight;
+      if (roll < 0) return gem.itemId;
+    }
+    return GEM_TABLE[0].itemId;
+  }
+
+  _addDrop(drops, itemId) {
+    const existing = drops.find(d => d.itemId === itemId);
+    if (existing) existing.quantity += 1;
+    else drops.push({ itemId, quantity: 1 });
+  }
+}
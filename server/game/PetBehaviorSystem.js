@@ -0,0 +1,183 @@
+// server/game/PetBehaviorSystem.js
+// What the farm pets get up to. A pet trots after its owner while they are
+// on the farm and wanders about when left alone; at night it curls up in
+// front of the farmhouse. Trained pets now and then dig up something to
+// forage or fetch a forage item lying near their owner. They only head for,
+// dig on or drop things on tiles a player could walk on.
+
+import { isWalkable } from '../../shared/TileMap.js';
+
+const FOLLOW_DISTANCE = 3;     // starts after its owner when they are further than this
+const HEEL_DISTANCE = 1.2;     // and stops this close
+const RUN_SPEED = 3.5;         // tiles per second
+const WALK_SPEED = 1.2;
+const WANDER_RADIUS = 3;
+const DECIDE_INTERVAL_MS = 5000;
+const DIG_CHANCE = 0.05;       // per decision, at full skill
+const FETCH_CHANCE = 0.15;
+const FETCH_RADIUS = 8;
+
+export class PetBehaviorSystem {
+  /**
+   * Move every pet on the farm along by one tick.
+   * @param {import('./MapInstance.js').MapInstance} farmMap
+   * @param {object} ctx
+   * @param {Map<string, object>} ctx.owners - players on the farm, by player id
+   * @param {boolean} ctx.night
+   * @param {{ tileX: number, tileZ: number }|null} ctx.house - where the pets sleep
+   * @param {import('./ForagingSystem.js').ForagingSystem} ctx.foraging
+   * @returns {{ moved: Set, dug: Array<{ pet, spawn }>, pickedUp: Array<{ pet, spawn }>,
+   *   dropped: Array<{ pet, spawn }>, fetched: Array<{ pet, spawn, owner }> }}
+   */
+  update(farmMap, { owners, night, house, foraging, season, deltaSec, now }) {
+    const result = { moved: new Set(), dug: [], pickedUp: [], dropped: [], fetched: [] };
+    const grid = farmMap.getWalkGrid();
+    let bed = 0;
+
+    for (const pet of farmMap.pets.values()) {
+      const owner = pet.ownerId ? owners.get(pet.ownerId) : null;
+      const before = pet.state;
+
+      if (night && house) {
+        pet.state = 'sleep';
+        pet.target = { x: house.tileX - 0.5 + (bed++ % 3) * 0.8, z: house.tileZ + 1.5 };
+      } else if (pet.state === 'sleep') {
+        pet.state = 'idle';
+        pet.target = null;
+      }
+
+      if (pet.state === 'fetch') {
+        this._fetch(pet, owner, foraging, result);
+      } else if (pet.state !== 'sleep' && owner && this._distance(pet, owner) > FOLLOW_DISTANCE &&
+          isWalkable(grid, Math.floor(owner.x), Math.floor(owner.z))) {
+        pet.state = 'follow';
+        pet.target = { x: owner.x, z: owner.z };
+      } else if (pet.state !== 'sleep' && now >= pet.nextDecision) {
+        pet.nextDecision = now + DECIDE_INTERVAL_MS * (0.5 + Math.random());
+        this._decide(pet, owner, grid, foraging, season, result);
+      }
+      // Anything a pet is no longer fetching goes down once it stands somewhere it can
+      if (pet.carrying && pet.state !== 'fetch') this._dropCarried(pet, grid, foraging, result);
+
+      const speed = pet.state === 'follow' || pet.state === 'fetch' ? RUN_SPEED : WALK_SPEED;
+      const arrived = this._step(pet, speed * deltaSec, pet.state === 'follow' ? HEEL_DISTANCE : 0.05);
+      if (arrived && (pet.state === 'follow' || pet.state === 'wander')) {
+        pet.state = 'idle';
+        pet.target = null;
+      }
+      if (arrived === false || pet.state !== before) result.moved.add(pet);
+    }
+    return result;
+  }
+
+  /** An idle pet's next move: dig, go for a forage item, or amble about */
+  _decide(pet, owner, grid, foraging, season, result) {
+    const trained = pet.skill / 100;
+    const tileX = Math.floor(pet.x);
+    const tileZ = Math.floor(pet.z);
+    if (Math.random() < trained * DIG_CHANCE && isWalkable(grid, tileX, tileZ)) {
+      const spawn = foraging.spawnAt(tileX, tileZ, season);
+      if (spawn) {
+        result.dug.push({ pet, spawn });
+        return;
+      }
+    }
+
+    if (owner && Math.random() < trained * FETCH_CHANCE) {
+      const spawn = this._nearestSpawn(foraging, owner);
+      // Nothing is fetched for an owner with no room for it; it stays on the ground
+      if (spawn && owner.canFit(spawn.itemId, 1)) {
+        pet.state = 'fetch';
+        pet.fetching = spawn.id;
+        pet.target = { x: spawn.tileX + 0.5, z: spawn.tileZ + 0.5 };
+        return;
+      }
+    }
+
+    const centre = owner || pet;
+    const x = centre.x + (Math.random() * 2 - 1) * WANDER_RADIUS;
+    const z = centre.z + (Math.random() * 2 - 1) * WANDER_RADIUS;
+    if (!isWalkable(grid, Math.floor(x), Math.floor(z))) return;
+    pet.state = 'wander';
+    pet.target = { x, z };
+  }
+
+  /** Run to the item, pick it up, bring it back to the owner; without an owner it gives up and drops it */
+  _fetch(pet, owner, foraging, result) {
+    if (!owner) {
+      pet.state = 'idle';
+      pet.target = null;
+      return;
+    }
+
+    if (pet.carrying) {
+      pet.target = { x: owner.x, z: owner.z };
+      if (this._distance(pet, owner) <= HEEL_DISTANCE) {
+        result.fetched.push({ pet, spawn: pet.carrying, owner });
+        pet.carrying = null;
+        pet.state = 'idle';
+        pet.target = null;
+      }
+      return;
+    }
+
+    const spawn = foraging.spawns.get(pet.fetching);
+    if (!spawn) {
+      // Someone else got there first
+      pet.state = 'idle';
+      pet.target = null;
+      return;
+    }
+    if (this._distance(pet, pet.target) <= 0.3) {
+      foraging.spawns.delete(spawn.id);
+      pet.carrying = spawn;
+      pet.fetching = null;
+      result.pickedUp.push({ pet, spawn });
+    }
+  }
+
+  /** Put back whatever the pet was carrying where it stands, unless nobody could walk there to get it */
+  _dropCarried(pet, grid, foraging, result) {
+    if (!pet.carrying) return;
+    const tileX = Math.floor(pet.x);
+    const tileZ = Math.floor(pet.z);
+    if (!isWalkable(grid, tileX, tileZ)) return;
+    const spawn = { ...pet.carrying, tileX, tileZ };
+    foraging.spawns.set(spawn.id, spawn);
+    result.dropped.push({ pet, spawn });
+    pet.carrying = null;
+  }
+
+  _nearestSpawn(foraging, owner) {
+    let best = null;
+    let bestDist = FETCH_RADIUS;
+    for (const spawn of foraging.spawns.values()) {
+      const d = Math.hypot(spawn.tileX + 0.5 - owner.x, spawn.tileZ + 0.5 - owner.z);
+      if (d < bestDist) {
+        best = spawn;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Move toward the target. Returns true on arriving within `stopAt`,
+   * false if it moved, null if it has nowhere to go.
+   */
+  _step(pet, maxStep, stopAt) {
+    if (!pet.target) return null;
+    const dx = pet.target.x - pet.x;
+    const dz = pet.target.z - pet.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist <= stopAt) return true;
+    const step = Math.min(maxStep, dist - stopAt);
+    pet.x += (dx / dist) * step;
+    pet.z += (dz / dist) * step;
+    return false;
+  }
+
+  _distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+  }
+}
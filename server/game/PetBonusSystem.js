@@ -0,0 +1,43 @@
+// server/game/PetBonusSystem.js
+// Every pet type in server/data/pets.json has a bonus. A pet gives part of
+// it from the start and grows into the rest as its loyalty and skill rise.
+// Bonuses of the same kind don't stack; the player's strongest pet counts.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const petsData = JSON.parse(readFileSync(join(__dirname, '../data/pets.json'), 'utf-8'));
+
+export class PetBonusSystem {
+  /** Bonus kind and base value per pet type, for the client: { [type]: { bonus, bonusValue } } */
+  get bonusTable() {
+    const table = {};
+    for (const [type, data] of Object.entries(petsData)) {
+      table[type] = { bonus: data.bonus, bonusValue: data.bonusValue };
+    }
+    return table;
+  }
+
+  /** What a pet gives right now: { key, value }, or null for a type without a bonus */
+  bonusOf(pet) {
+    const data = petsData[pet.type];
+    if (!data?.bonus) return null;
+    return { key: data.bonus, value: data.bonusValue * pet.bonusStrength() };
+  }
+
+  /**
+   * The player's bonus of one kind from the pets they own, 0 if none gives it.
+   * @param {import('./MapInstance.js').MapInstance} farmMap - pets live on the farm
+   */
+  forPlayer(farmMap, player, key) {
+    let best = 0;
+    for (const pet of farmMap.pets.values()) {
+      if (pet.ownerId !== player.id) continue;
+      const bonus = this.bonusOf(pet);
+      if (bonus?.key === key && bonus.value > best) best = bonus.value;
+    }
+    return best;
+  }
+}
@@ -0,0 +1,181 @@
+// server/game/QuestSystem.js
+// NPC quests from server/data/quests.json. Tracks per-player progress
+// (items gathered since accepting) and writes it through to player_quests.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { SKILLS } from '../../shared/constants.js';
+import { getDB } from '../db/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const questsData = JSON.parse(readFileSync(join(__dirname, '../data/quests.json'), 'utf-8'));
+
+export class QuestSystem {
+  /** @param {(npcId: string) => string} getNPCName - display names for the quest log */
+  constructor(getNPCName = (npcId) => npcId) {
+    this.getNPCName = getNPCName;
+    this.quests = new Map(questsData.map(q => [q.id, q]));
+    this._progress = new Map(); // playerId -> Map(questId -> { progress, status })
+  }
+
+  /** Load a player's quest progress from the DB */
+  loadPlayer(playerId) {
+    const db = getDB();
+    const rows = db.prepare('SELECT quest_id, progress, status FROM player_quests WHERE player_id = ?').all(playerId);
+    const entries = new Map();
+    for (const row of rows) {
+      if (this.quests.has(row.quest_id)) {
+        entries.set(row.quest_id, { progress: row.progress, status: row.status });
+      }
+    }
+    this._progress.set(playerId, entries);
+  }
+
+  /** Drop in-memory progress for a player who left (it is already persisted) */
+  forget(playerId) {
+    this._progress.delete(playerId);
+  }
+
+  /** First quest this NPC will offer at the given heart level, or null */
+  getOffer(playerId, npcId, hearts) {
+    const entries = this._entries(playerId);
+    for (const quest of this.quests.values()) {
+      if (quest.npcId === npcId && hearts >= quest.minHearts && !entries.has(quest.id)) {
+        return quest;
+      }
+    }
+    return null;
+  }
+
+  /** Active quests for this NPC that the player has gathered enough for */
+  getReadyToTurnIn(player, npcId) {
+    return this._active(player.id)
+      .filter(({ quest }) => quest.npcId === npcId && this._isReady(player, quest));
+  }
+
+  /**
+   * Accept a quest. Items already in the inventory count toward it.
+   * Returns { error } or { quest }.
+   */
+  accept(player, questId, hearts) {
+    const quest = this.quests.get(questId);
+    if (!quest) return { error: 'Unknown quest.' };
+    const entries = this._entries(player.id);
+    if (entries.has(questId)) return { error: 'You already took that quest.' };
+    if (hearts < quest.minHearts) return { error: 'They don\'t trust you with that yet.' };
+
+    const held = this._countHeld(player, quest.targetItem);
+    const entry = { progress: Math.min(held, quest.targetCount), status: 'active' };
+    entries.set(questId, entry);
+    this._write(player.id, questId, entry);
+    return { quest };
+  }
+
+  /** Inventory hook: advance any active quest that wants this item. Returns true if anything changed. */
+  onItemAdded(player, itemId, quantity) {
+    let changed = false;
+    for (const { quest, entry } of this._active(player.id)) {
+      if (quest.targetItem !== itemId || entry.progress >= quest.targetCount) continue;
+      entry.progress = Math.min(quest.targetCount, entry.progress + quantity);
+      this._write(player.id, quest.id, entry);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Hand in the quest items and pay out rewards.
+   * Returns { error } or { quest, rewards: { coins, xp, skill, item } }.
+   */
+  turnIn(player, questId) {
+    const quest = this.quests.get(questId);
+    const entry = this._entries(player.id).get(questId);
+    if (!quest || !entry || entry.status !== 'active') return { error: 'You don\'t have that quest.' };
+    if (!this._isReady(player, quest)) {
+      return { error: `Bring ${quest.targetCount} ${quest.targetItem.replace(/_/g, ' ')} first.` };
+    }
+
+    // Handing the items in may free the slot the reward goes into, so check after; put them back if it won't fit
+    const held = player.inventory.map(i => ({ ...i }));
+    this._removeAnyQuality(player, quest.targetItem, quest.targetCount);
+    if (quest.rewardItem && !player.canFit(quest.rewardItem, 1)) {
+      player.inventory = held;
+      return { error: 'Make room in your backpack for the reward first.' };
+    }
+
+    const skill = quest.rewardSkill || SKILLS.FARMING;
+    player.coins += quest.rewardCoins || 0;
+    if (quest.rewardXp) player.addSkillXP(skill, quest.rewardXp);
+    if (quest.rewardItem) player.addItem(quest.rewardItem, 1);
+
+    entry.status = 'completed';
+    this._write(player.id, questId, entry);
+    return {
+      quest,
+      rewards: { coins: quest.rewardCoins || 0, xp: quest.rewardXp || 0, skill, item: quest.rewardItem || null },
+    };
+  }
+
+  /** Quest log for the client: active and completed quests with their definitions */
+  getLog(playerId) {
+    const log = [];
+    for (const [questId, entry] of this._entries(playerId)) {
+      const quest = this.quests.get(questId);
+      log.push({
+        id: quest.id, npcId: quest.npcId, npcName: this.getNPCName(quest.npcId),
+        type: quest.type, description: quest.description,
+        targetItem: quest.targetItem, targetCount: quest.targetCount,
+        rewardCoins: quest.rewardCoins || 0, rewardXp: quest.rewardXp || 0, rewardItem: quest.rewardItem || null,
+        progress: entry.progress, status: entry.status,
+      });
+    }
+    return log;
+  }
+
+  _entries(playerId) {
+    if (!this._progress.has(playerId)) this._progress.set(playerId, new Map());
+    return this._progress.get(playerId);
+  }
+
+  _active(playerId) {
+    const list = [];
+    for (const [questId, entry] of this._entries(playerId)) {
+      if (entry.status === 'active') list.push({ quest: this.quests.get(questId), entry });
+    }
+    return list;
+  }
+
+  /** Gathered enough since accepting, and still holding them */
+  _isReady(player, quest) {
+    const entry = this._entries(player.id).get(quest.id);
+    return entry.progress >= quest.targetCount &&
+      this._countHeld(player, quest.targetItem) >= quest.targetCount;
+  }
+
+  _countHeld(player, itemId) {
+    return player.inventory
+      .filter(i => i.itemId === itemId)
+      .reduce((sum, i) => sum + i.quantity, 0);
+  }
+
+  /** Remove items across quality stacks, lowest quality first */
+  _removeAnyQuality(player, itemId, quantity) {
+    const stacks = player.inventory
+      .filter(i => i.itemId === itemId)
+      .sort((a, b) => (a.quality || 0) - (b.quality || 0));
+    let remaining = quantity;
+    for (const stack of stacks) {
+      const take = Math.min(stack.quantity, remaining);
+      player.removeItem(itemId, take, stack.quality || 0);
+      remaining -= take;
+      if (remaining <= 0) break;
+    }
+  }
+
+  _write(playerId, questId, entry) {
+    getDB().prepare(`
+      INSERT OR REPLACE INTO player_quests (player_id, quest_id, progress, status) VALUES (?, ?, ?, ?)
+    `).run(playerId, questId, entry.progress, entry.status);
+  }
+}
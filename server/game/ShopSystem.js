@@ -0,0 +1,153 @@
+// server/game/ShopSystem.js
+// Town shops from server/data/shops/*.json. Each catalogue names its keeper
+// NPC (the shop is open while they are at work), what is stocked in which
+// seasons and how many of each can be sold per day.
+// Prices come from the data file that owns the thing being sold; GameWorld
+// validates the buyer and hands over the goods.
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ITEMS } from '../../shared/ItemRegistry.js';
+import { logger } from '../utils/Logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const dataDir = join(__dirname, '../data');
+const readJSON = (file) => JSON.parse(readFileSync(join(dataDir, file), 'utf-8'));
+
+const cropsData = readJSON('crops.json');
+const animalsData = readJSON('animals.json');
+const petsData = readJSON('pets.json');
+const cosmeticsData = readJSON('cosmetics.json');
+
+const MAX_QUANTITY = 99;
+
+export class ShopSystem {
+  constructor() {
+    this.shops = new Map(); // shopId -> { id, name, keeper, stock: [entry] }
+    this._soldToday = new Map(); // `${shopId}:${itemId}` -> quantity
+
+    for (const file of readdirSync(join(dataDir, 'shops'))) {
+      if (!file.endsWith('.json')) continue;
+      const id = file.replace('.json', '');
+      const data = readJSON(join('shops', file));
+      const stock = [];
+      for (const raw of data.stock) {
+        const entry = this._resolveEntry(raw);
+        if (entry) stock.push(entry);
+        else logger.warn('SHOP', `Skipping unknown or free stock entry in ${id}`, raw);
+      }
+      this.shops.set(id, { id, name: data.name, keeper: data.keeper, stock });
+    }
+  }
+
+  get(shopId) {
+    return this.shops.get(shopId) || null;
+  }
+
+  /** The shop a keeper NPC runs, or null */
+  getShopForKeeper(npcId) {
+    for (const shop of this.shops.values()) {
+      if (shop.keeper === npcId) return shop;
+    }
+    return null;
+  }
+
+  /**
+   * What the shop shows a customer this season.
+   * @param {string} shopId
+   * @param {number} season
+   * @param {import('../entities/NPC.js').NPC} keeper
+   * @param {number} hour
+   */
+  getState(shopId, season, keeper, hour) {
+    const shop = this.shops.get(shopId);
+    return {
+      id: shop.id, name: shop.name,
+      keeperName: keeper?.name || null,
+      open: !!keeper?.isWorking(hour),
+      hours: keeper?.workHours || null,
+      items: this._inSeason(shop, season).map(entry => ({
+        itemId: entry.itemId, kind: entry.kind, name: entry.name, price: entry.price,
+        remaining: this._remaining(shop.id, entry),
+      })),
+    };
+  }
+
+  /**
+   * Check a purchase against this season's stock and today's limits.
+   * Returns { error } or { entry, total }.
+   */
+  quote(shopId, itemId, quantity, season) {
+    const shop = this.shops.get(shopId);
+    if (!shop) return { error: 'No such shop.' };
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) return { error: 'Invalid quantity.' };
+
+    const entry = this._inSeason(shop, season).find(e => e.itemId === itemId);
+    if (!entry) return { error: 'Not sold here right now.' };
+    if (entry.kind !== 'item' && quantity !== 1) return { error: 'One at a time, please.' };
+
+    const remaining = this._remaining(shop.id, entry);
+    if (remaining !== null && quantity > remaining) {
+      return { error: remaining > 0 ? `Only ${remaining} left today.` : 'Sold out for today.' };
+    }
+    return { entry, total: entry.price * quantity };
+  }
+
+  /** Count a completed sale against the daily limit */
+  recordSale(shopId, itemId, quantity) {
+    const key = `${shopId}:${itemId}`;
+    this._soldToday.set(key, (this._soldToday.get(key) || 0) + quantity);
+  }
+
+  /** New day: limited stock is replenished */
+  restockAll() {
+    this._soldToday.clear();
+  }
+
+  _inSeason(shop, season) {
+    return shop.stock.filter(e => !e.seasons || e.seasons.includes(season));
+  }
+
+  _remaining(shopId, entry) {
+    if (!entry.dailyLimit) return null;
+    return Math.max(0, entry.dailyLimit - (this._soldToday.get(`${shopId}:${entry.itemId}`) || 0));
+  }
+
+  /**
+   * Fill in kind, name, price and seasons for a catalogue line. Seeds and
+   * saplings default to their crop's growing seasons. Returns null if the
+   * thing doesn't exist or has no price.
+   */
+  _resolveEntry(raw) {
+    const kind = raw.kind || 'item';
+    let name, price, seasons;
+
+    if (kind === 'item') {
+      const crop = cropsData[raw.itemId] || cropsData[raw.itemId.replace(/_seed$/, '')];
+      if (!ITEMS[raw.itemId] && !crop?.isSapling) return null;
+      name = ITEMS[raw.itemId]?.name || crop.name;
+      price = raw.price ?? crop?.buyPrice;
+      seasons = crop?.season;
+    } else if (kind === 'animal') {
+      const data = animalsData[raw.itemId];
+      name = data?.name;
+      price = raw.price ?? data?.buyPrice;
+    } else if (kind === 'pet') {
+      const data = petsData[raw.itemId];
+      name = data?.name;
+      price = raw.price ?? data?.buyPrice;
+    } else if (kind === 'cosmetic') {
+      const data = cosmeticsData[raw.itemId];
+      name = data?.name;
+      price = raw.price ?? data?.price;
+    }
+
+    if (!name || !(price > 0)) return null;
+    return {
+      itemId: raw.itemId, kind, name, price,
+      seasons: raw.seasons || seasons || null,
+      dailyLimit: raw.dailyLimit || 0,
+    };
+  }
+}
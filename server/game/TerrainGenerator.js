@@ -2,6 +2,8 @@
 // Generates world tile grids from a seed using simplex noise.
 // Farm: natural terrain zones with farm center, grassland, pond, stone edges.
 // Town: roads, plaza, streams, fishing pools.
+// Mine: noise-carved cave floors joined by a tunnel from the entrance to the ladder.
+// Beach: dunes, sand, tide pools and open ocean with a pier.
 
 import { createNoise2D } from 'simplex-noise';
 import { WORLD_SIZE, TILE_TYPES } from '../../shared/constants.js';
@@ -116,6 +118,9 @@ export class TerrainGenerator {
     // Arrival path from farm (north edge)
     const arrivalLeft = 30, arrivalRight = 33, arrivalTop = 0, arrivalBottom = 2;
 
+    // Path south from the last road to the beach
+    const beachPathLeft = 30, beachPathRight = 33, beachPathTop = 44;
+
     for (let z = 0; z < S; z++) {
       for (let x = 0; x < S; x++) {
         // Streams: west side (~x=7) and east side (~x=56), sine-perturbed N-S
@@ -142,6 +147,7 @@ export class TerrainGenerator {
 
         // Arrival path (north edge)
         const isArrival = x >= arrivalLeft && x <= arrivalRight && z >= arrivalTop && z <= arrivalBottom;
+        const isBeachPath = x >= beachPathLeft && x <= beachPathRight && z >= beachPathTop;
 
         let type;
         if (isWestStream || isEastStream || isWestPool || isEastPool) {
@@ -150,7 +156,7 @@ export class TerrainGenerator {
           type = TILE_TYPES.SAND;
         } else if (isPlaza) {
           type = TILE_TYPES.STONE;
-        } else if (isHRoad || isVRoad || isArrival) {
+        } else if (isHRoad || isVRoad || isArrival || isBeachPath) {
           type = TILE_TYPES.PATH;
         } else {
           type = TILE_TYPES.GRASS;
@@ -165,4 +171,123 @@ export class TerrainGenerator {
     }
     return tiles;
   }
+
+  /**
+   * Generate one 64x64 mine floor. Open cave is DIRT, walls are STONE.
+   * The entrance (south edge) and ladder down (north edge) are PATH,
+   * joined by a winding tunnel so every floor can be crossed.
+   */
+  generateMineFloor(floor) {
+    const tiles = [];
+    const S = WORLD_SIZE;
+    const cx = S / 2, cz = S / 2;
+    const offset = floor * 97; // each floor samples a different stretch of noise
+
+    const exitLeft = 30, exitRight = 33;
+
+    for (let z = 0; z < S; z++) {
+      for (let x = 0; x < S; x++) {
+        const nx = x / S, nz = z / S;
+
+        let cave = 0;
+        cave += 1.0 * this.noise(nx * 5 + offset, nz * 5);
+        cave += 0.5 * this.noise(nx * 11 + offset, nz * 11);
+        cave /= 1.5;
+
+        const dx = (x - cx) / cx;
+        const dz = (z - cz) / cz;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        const isEntrance = x >= exitLeft && x <= exitRight && z >= S - 3;
+        const isLadder = x >= exitLeft && x <= exitRight && z <= 2;
+
+        // Tunnel sways mid-floor but lines up with both exits at the edges
+        const tunnelX = cx + Math.sin(z * 0.12 + floor) * 6 * Math.sin(Math.PI * z / S);
+        const isTunnel = Math.abs(x - tunnelX) < 2;
+
+        let type;
+        if (isEntrance || isLadder) {
+          type = TILE_TYPES.PATH;
+        } else if (x === 0 || z === 0 || x === S - 1 || z === S - 1) {
+          type = TILE_TYPES.STONE;
+        } else if (isTunnel) {
+          type = TILE_TYPES.DIRT;
+        } else {
+          type = (dist < 0.9 && cave > -0.2) ? TILE_TYPES.DIRT : TILE_TYPES.STONE;
+        }
+
+        const tileHeight = type === TILE_TYPES.STONE ? 0.1 + Math.max(0, cave) * 0.1 : 0;
+        tiles.push({ x, z, type, height: tileHeight });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Generate the 64x64 beach. Grass dunes at the north edge give way to
+   * sand, then open ocean to the south. Tide pools ringed with rock sit on
+   * the sand and a pier runs out over the water for deep-sea casts.
+   */
+  generateBeach() {
+    const tiles = [];
+    const S = WORLD_SIZE;
+
+    // Arrival path from town (north edge) down through the dunes
+    const arrivalLeft = 30, arrivalRight = 33;
+
+    // Pier: a two-tile boardwalk from the sand out over the ocean
+    const pierLeft = 44, pierRight = 45, pierEnd = 57;
+
+    const tidePools = [
+      { x: 9, z: 33, r: 2.2 },
+      { x: 15, z: 37, r: 1.6 },
+      { x: 54, z: 32, r: 1.9 },
+    ];
+
+    for (let z = 0; z < S; z++) {
+      for (let x = 0; x < S; x++) {
+        const nx = x / S;
+        const duneEdge = 12 + this.noise(nx * 4, 0.5) * 3;
+        const shore = 41 + this.noise(nx * 3, 3.7) * 3 + this.noise(nx * 9, 7.1);
+
+        const isArrival = x >= arrivalLeft && x <= arrivalRight && z < duneEdge;
+        const isPier = x >= pierLeft && x <= pierRight && z >= shore - 1 && z <= pierEnd;
+
+        let poolDist = Infinity;
+        for (const pool of tidePools) {
+          const d = Math.hypot(x - pool.x, z - pool.z) / (pool.r + this.noise(x * 0.4, z * 0.4) * 0.4);
+          poolDist = Math.min(poolDist, d);
+        }
+
+        let type;
+        if (isArrival || isPier) {
+          type = TILE_TYPES.PATH;
+        } else if (z > shore || poolDist < 1) {
+          type = TILE_TYPES.WATER;
+        } else if (poolDist < 1.5) {
+          type = TILE_TYPES.STONE;
+        } else if (z < duneEdge) {
+          type = TILE_TYPES.GRASS;
+        } else {
+          type = TILE_TYPES.SAND;
+        }
+
+        let tileHeight;
+        if (type === TILE_TYPES.WATER) {
+          tileHeight = -0.15;
+        } else if (isPier) {
+          tileHeight = 0.12;
+        } else if (type === TILE_TYPES.STONE) {
+          tileHeight = 0.06;
+        } else if (type === TILE_TYPES.GRASS) {
+          tileHeight = 0.04 + Math.max(0, this.noise(x * 0.2, z * 0.2)) * 0.08;
+        } else {
+          tileHeight = 0.02;
+        }
+
+        tiles.push({ x, z, type, height: tileHeight });
+      }
+    }
+    return tiles;
+  }
 }
@@ -0,0 +1,247 @@
+// server/game/WorldPersistence.js
+// Saves and restores the mutable contents of a MapInstance: tile types, crops,
+// animals, pets, sprinklers, crab pots, chests, resources and forage spawns.
+// Terrain itself is regenerated from the world seed; saved tile types are laid over it.
+
+import { getDB } from '../db/database.js';
+import { tileIndex } from '../../shared/TileMap.js';
+import { Crop } from '../entities/Crop.js';
+import { Animal } from '../entities/Animal.js';
+import { Pet } from '../entities/Pet.js';
+import { Sprinkler } from '../entities/Sprinkler.js';
+import { CrabPot } from '../entities/CrabPot.js';
+import { Chest } from '../entities/Chest.js';
+import { Resource } from '../entities/Resource.js';
+import { logger } from '../utils/Logger.js';
+
+export class WorldPersistence {
+  constructor(worldId) {
+    this.worldId = worldId;
+  }
+
+  /** True once a map has been saved at least once (its first save writes every tile) */
+  hasSavedMap(mapId) {
+    const db = getDB();
+    return !!db.prepare('SELECT 1 FROM tiles WHERE world_id = ? AND map_id = ? LIMIT 1').get(this.worldId, mapId);
+  }
+
+  /** Restore saved state into a freshly generated map. Replaces its resources. */
+  loadMap(map) {
+    const db = getDB();
+    const args = [this.worldId, map.id];
+
+    for (const row of db.prepare('SELECT x, z, type FROM tiles WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const idx = tileIndex(row.x, row.z);
+      if (idx >= 0 && idx < map.tiles.length) map.tiles[idx].type = row.type;
+    }
+
+    for (const row of db.prepare('SELECT * FROM crops WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const crop = new Crop({
+        id: row.id, tileX: row.tile_x, tileZ: row.tile_z, cropType: row.crop_type,
+        stage: row.stage, growth: row.growth, watered: !!row.watered, fertilizer: row.fertilizer,
+      });
+      map.crops.set(crop.id, crop);
+    }
+
+    for (const row of db.prepare('SELECT * FROM animals WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const animal = new Animal({
+        id: row.id, type: row.type, name: row.name, homeId: row.home_id, age: row.age,
+        baby: !!row.baby, pregnantDays: row.pregnant_days,
+        x: row.x, z: row.z, happiness: row.happiness, friendship: row.friendship,
+        fedToday: !!row.fed_today, pettedToday: !!row.petted_today, outside: row.outside !== 0,
+        productReady: !!row.product_ready,
+        hoursSinceProduct: row.hours_since_product,
+      });
+      map.animals.set(animal.id, animal);
+    }
+
+    for (const row of db.prepare('SELECT * FROM pets WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const pet = new Pet({
+        id: row.id, ownerId: row.owner_id, type: row.type, name: row.name,
+        energy: row.energy, happiness: row.happiness, loyalty: row.loyalty, skill: row.skill,
+        bodySize: row.body_size, earSize: row.ear_size, tailLength: row.tail_length, color: row.color,
+        x: row.x, z: row.z, lastGroomed: row.last_groomed,
+        cosmetics: row.cosmetics && row.cosmetics !== '{}' ? JSON.parse(row.cosmetics) : undefined,
+      });
+      map.pets.set(pet.id, pet);
+    }
+
+    for (const row of db.prepare('SELECT * FROM sprinklers WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const sprinkler = new Sprinkler({ id: row.id, type: row.type, tileX: row.tile_x, tileZ: row.tile_z });
+      map.sprinklers.set(sprinkler.id, sprinkler);
+    }
+
+    for (const row of db.prepare('SELECT * FROM crab_pots WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const pot = new CrabPot({
+        id: row.id, ownerId: row.owner_id, tileX: row.tile_x, tileZ: row.tile_z,
+        bait: row.bait, catchItem: row.catch_item,
+      });
+      map.crabPots.set(pot.id, pot);
+    }
+
+    const chestItems = db.prepare(`
+      SELECT chest_items.* FROM chest_items JOIN chests ON chests.id = chest_items.chest_id
+      WHERE chests.world_id = ? AND chests.map_id = ? ORDER BY chest_items.slot
+    `).all(...args);
+    for (const row of db.prepare('SELECT * FROM chests WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const items = chestItems.filter(i => i.chest_id === row.id)
+        .map(i => ({ itemId: i.item_id, quantity: i.quantity, quality: i.quality || 0, value: i.value ?? null, slot: i.slot }));
+      const chest = new Chest({ id: row.id, tileX: row.tile_x, tileZ: row.tile_z, color: row.color, items });
+      map.chests.set(chest.id, chest);
+    }
+
+    map.resources.clear();
+    for (const row of db.prepare('SELECT * FROM resources WHERE world_id = ? AND map_id = ?').all(...args)) {
+      const resource = new Resource({
+        id: row.id, type: row.type, tileX: row.tile_x, tileZ: row.tile_z, variant: row.variant,
+        health: row.health, isStump: !!row.is_stump,
+        fruitType: row.fruit_type, fruitReady: !!row.fruit_ready, fruitTimer: row.fruit_timer,
+      });
+      map.resources.set(resource.id, resource);
+    }
+
+    logger.info('WORLD', `Loaded saved map ${map.id}`, {
+      crops: map.crops.size, animals: map.animals.size, pets: map.pets.size,
+      sprinklers: map.sprinklers.size, crabPots: map.crabPots.size, chests: map.chests.size,
+      resources: map.resources.size,
+    });
+  }
+
+  /** Saved forage spawns for a map, shaped like ForagingSystem entries */
+  loadForage(mapId) {
+    const db = getDB();
+    return db.prepare('SELECT * FROM forage WHERE world_id = ? AND map_id = ?')
+      .all(this.worldId, mapId)
+      .map(row => ({ id: row.id, itemId: row.item_id, tileX: row.tile_x, tileZ: row.tile_z }));
+  }
+
+  /** Write every mutable collection of a map in one transaction; tiles only where they changed */
+  saveMap(map, forageSpawns = []) {
+    const db = getDB();
+    const stmts = this._statements();
+    const tiles = this.hasSavedMap(map.id)
+      ? Array.from(map.changedTiles, idx => map.tiles[idx])
+      : map.tiles;
+
+    const save = db.transaction(() => {
+      const args = [this.worldId, map.id];
+
+      for (const t of tiles) {
+        stmts.tile.run(this.worldId, map.id, t.x, t.z, t.type);
+      }
+
+      const cropIds = [];
+      for (const c of map.crops.values()) {
+        cropIds.push(c.id);
+        stmts.crop.run(c.id, ...args, c.tileX, c.tileZ, c.cropType, c.stage, c.growth,
+          c.watered ? 1 : 0, c.fertilizer);
+      }
+      stmts.deleteCrops.run(...args, JSON.stringify(cropIds));
+
+      const animalIds = [];
+      for (const a of map.animals.values()) {
+        animalIds.push(a.id);
+        stmts.animal.run(a.id, ...args, a.type, a.x, a.z, a.happiness,
+          a.fedToday ? 1 : 0, a.productReady ? 1 : 0, a._hoursSinceProduct, a.name, a.homeId, a.age,
+          a.friendship, a.pettedToday ? 1 : 0, a.outside ? 1 : 0, a.baby ? 1 : 0, a.pregnantDays);
+      }
+      stmts.deleteAnimals.run(...args, JSON.stringify(animalIds));
+
+      const petIds = [];
+      for (const p of map.pets.values()) {
+        petIds.push(p.id);
+        stmts.pet.run(p.id, ...args, p.ownerId || null, p.type, p.name, p.energy, p.happiness,
+          p.loyalty, p.skill, p.bodySize, p.earSize, p.tailLength, p.color, p.x, p.z,
+          JSON.stringify(p.cosmetics), p.lastGroomed);
+      }
+      stmts.deletePets.run(...args, JSON.stringify(petIds));
+
+      const sprinklerIds = [];
+      for (const s of map.sprinklers.values()) {
+        sprinklerIds.push(s.id);
+        stmts.sprinkler.run(s.id, ...args, s.type, s.tileX, s.tileZ);
+      }
+      stmts.deleteSprinklers.run(...args, JSON.stringify(sprinklerIds));
+
+      const potIds = [];
+      for (const p of map.crabPots.values()) {
+        potIds.push(p.id);
+        stmts.crabPot.run(p.id, ...args, p.ownerId, p.tileX, p.tileZ, p.bait, p.catchItem);
+      }
+      stmts.deleteCrabPots.run(...args, JSON.stringify(potIds));
+
+      // Chest contents are rewritten whole; removing a chest takes its items with it
+      const chestIds = [];
+      stmts.deleteChestItems.run(...args);
+      for (const c of map.chests.values()) {
+        chestIds.push(c.id);
+        stmts.chest.run(c.id, ...args, c.tileX, c.tileZ, c.color);
+        for (const i of c.items) stmts.chestItem.run(c.id, i.slot, i.itemId, i.quantity, i.quality, i.value);
+      }
+      stmts.deleteChests.run(...args, JSON.stringify(chestIds));
+
+      const resourceIds = [];
+      for (const r of map.resources.values()) {
+        resourceIds.push(r.id);
+        stmts.resource.run(r.id, ...args, r.type, r.tileX, r.tileZ, r.variant, r.health,
+          r.isStump ? 1 : 0, r.fruitType, r.fruitReady ? 1 : 0, r.fruitTimer);
+      }
+      stmts.deleteResources.run(...args, JSON.stringify(resourceIds));
+
+      stmts.deleteForage.run(...args);
+      for (const f of forageSpawns) {
+        stmts.forage.run(f.id, ...args, f.itemId, f.tileX, f.tileZ);
+      }
+    });
+    save();
+    map.changedTiles.clear();
+  }
+
+  _statements() {
+    if (this._stmts) return this._stmts;
+    const db = getDB();
+    const stale = (table) =>
+      db.prepare(`DELETE FROM ${table} WHERE world_id = ? AND map_id = ? AND id NOT IN (SELECT value FROM json_each(?))`);
+
+    this._stmts = {
+      tile: db.prepare('INSERT OR REPLACE INTO tiles (world_id, map_id, x, z, type) VALUES (?, ?, ?, ?, ?)'),
+      crop: db.prepare(`
+        INSERT OR REPLACE INTO crops (id, world_id, map_id, tile_x, tile_z, crop_type, stage, growth, watered, fertilizer)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      animal: db.prepare(`
+        INSERT OR REPLACE INTO animals (id, world_id, map_id, type, x, z, happiness, fed_today, product_ready, hours_since_product,
+          name, home_id, age, friendship, petted_today, outside, baby, pregnant_days)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      pet: db.prepare(`
+        INSERT OR REPLACE INTO pets (id, world_id, map_id, owner_id, type, name, energy, happiness, loyalty, skill,
+          body_size, ear_size, tail_length, color, x, z, cosmetics, last_groomed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      sprinkler: db.prepare('INSERT OR REPLACE INTO sprinklers (id, world_id, map_id, type, tile_x, tile_z) VALUES (?, ?, ?, ?, ?, ?)'),
+      crabPot: db.prepare(`
+        INSERT OR REPLACE INTO crab_pots (id, world_id, map_id, owner_id, tile_x, tile_z, bait, catch_item)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      chest: db.prepare('INSERT OR REPLACE INTO chests (id, world_id, map_id, tile_x, tile_z, color) VALUES (?, ?, ?, ?, ?, ?)'),
+      chestItem: db.prepare('INSERT INTO chest_items (chest_id, slot, item_id, quantity, quality, value) VALUES (?, ?, ?, ?, ?, ?)'),
+      resource: db.prepare(`
+        INSERT OR REPLACE INTO resources (id, world_id, map_id, type, tile_x, tile_z, variant, health,
+          is_stump, fruit_type, fruit_ready, fruit_timer)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      forage: db.prepare('INSERT INTO forage (id, world_id, map_id, item_id, tile_x, tile_z) VALUES (?, ?, ?, ?, ?, ?)'),
+      deleteCrops: stale('crops'),
+      deleteAnimals: stale('animals'),
+      deletePets: stale('pets'),
+      deleteSprinklers: stale('sprinklers'),
+      deleteCrabPots: stale('crab_pots'),
+      deleteChests: stale('chests'),
+      deleteChestItems: db.prepare('DELETE FROM chest_items WHERE chest_id IN (SELECT id FROM chests WHERE world_id = ? AND map_id = ?)'),
+      deleteResources: stale('resources'),
+      deleteForage: db.prepare('DELETE FROM forage WHERE world_id = ? AND map_id = ?'),
+    };
+    return this._stmts;
+  }
+}
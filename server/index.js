@@ -126,6 +126,24 @@ io.on('connection', (socket) => {
   // Player join
   wrap(ACTIONS.PLAYER_JOIN, (data) => world.handlePlayerJoin(socket, data));
 
+  // Quests
+  wrap(ACTIONS.QUEST_ACCEPT, (data) => world.handleQuestAccept(socket.id, data));
+  wrap(ACTIONS.QUEST_TURN_IN, (data) => world.handleQuestTurnIn(socket.id, data));
+
+  // Combat
+  wrap(ACTIONS.COMBAT_ATTACK, (data) => world.handleCombatAttack(socket.id, data));
+
+  // Chat
+  wrap(ACTIONS.CHAT_MESSAGE, (data) => world.handleChat(socket.id, data));
+
+  // Backpack
+  wrap(ACTIONS.INVENTORY_MOVE, (data) => world.handleInventoryMove(socket.id, data));
+  wrap(ACTIONS.INVENTORY_TRASH, (data) => world.handleInventoryTrash(socket.id, data));
+  wrap(ACTIONS.INVENTORY_UPGRADE, () => world.handleInventoryUpgrade(socket.id));
+
+  // Settings kept with the farmer
+  wrap(ACTIONS.PLAYER_SETTINGS, (data) => world.handlePlayerSettings(socket.id, data));
+
   // Player movement (high frequency — only log in debug)
   socket.on(ACTIONS.PLAYER_MOVE, (data) => {
     try {
@@ -144,6 +162,8 @@ io.on('connection', (socket) => {
   // Fishing
   wrap(ACTIONS.FISH_CAST, (data) => world.handleFishCast(socket.id, data));
   wrap(ACTIONS.FISH_REEL, (data) => world.handleFishReel(socket.id, data));
+  wrap(ACTIONS.FISH_PROGRESS, (data) => world.handleFishProgress(socket.id, data));
+  wrap(ACTIONS.FISH_EQUIP, (data) => world.handleFishEquip(socket.id, data));
 
   // NPC interaction
   wrap(ACTIONS.NPC_TALK, (data) => world.handleNPCTalk(socket.id, data));
@@ -152,6 +172,9 @@ io.on('connection', (socket) => {
   // Animal interaction
   wrap(ACTIONS.ANIMAL_FEED, (data) => world.handleAnimalFeed(socket.id, data));
   wrap(ACTIONS.ANIMAL_COLLECT, (data) => world.handleAnimalCollect(socket.id, data));
+  wrap(ACTIONS.ANIMAL_SELL, (data) => world.handleAnimalSell(socket.id, data));
+  wrap(ACTIONS.ANIMAL_PET, (data) => world.handleAnimalPet(socket.id, data));
+  wrap(ACTIONS.ANIMAL_DOOR, (data) => world.handleAnimalDoor(socket.id, data));
 
   // Pet interaction
   wrap(ACTIONS.PET_INTERACT, (data) => world.handlePetInteract(socket.id, data));
@@ -160,8 +183,10 @@ io.on('connection', (socket) => {
   // Crafting
   wrap(ACTIONS.CRAFT_START, (data) => world.handleCraftStart(socket.id, data));
   wrap(ACTIONS.CRAFT_COLLECT, (data) => world.handleCraftCollect(socket.id, data));
+  wrap(ACTIONS.BUILDING_PLACE, (data) => world.handleBuildingPlace(socket.id, data));
 
   // Shop
+  wrap(ACTIONS.SHOP_OPEN, (data) => world.handleShopOpen(socket.id, data));
   wrap(ACTIONS.SHOP_BUY, (data) => world.handleShopBuy(socket.id, data));
   wrap(ACTIONS.SHOP_SELL, (data) => world.handleShopSell(socket.id, data));
 
@@ -179,6 +204,18 @@ io.on('connection', (socket) => {
   wrap(ACTIONS.MACHINE_INPUT, (data) => world.handleMachineInput(socket.id, data));
   wrap(ACTIONS.MACHINE_COLLECT, (data) => world.handleMachineCollect(socket.id, data));
 
+  // Crab pots
+  wrap(ACTIONS.PLACE_CRAB_POT, (data) => world.handlePlaceCrabPot(socket.id, data));
+  wrap(ACTIONS.CRAB_POT_INTERACT, (data) => world.handleCrabPotInteract(socket.id, data));
+
+  // Storage chests
+  wrap(ACTIONS.CHEST_PLACE, (data) => world.handlePlaceChest(socket.id, data));
+  wrap(ACTIONS.CHEST_OPEN, (data) => world.handleChestOpen(socket.id, data));
+  wrap(ACTIONS.CHEST_DEPOSIT, (data) => world.handleChestDeposit(socket.id, data));
+  wrap(ACTIONS.CHEST_WITHDRAW, (data) => world.handleChestWithdraw(socket.id, data));
+  wrap(ACTIONS.CHEST_COLOR, (data) => world.handleChestColor(socket.id, data));
+  wrap(ACTIONS.CHEST_PICKUP, (data) => world.handleChestPickup(socket.id, data));
+
   // Foraging
   wrap(ACTIONS.FORAGE_COLLECT, (data) => world.handleForageCollect(socket.id, data));
 
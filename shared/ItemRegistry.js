@@ -8,8 +8,18 @@ export const ITEM_CATEGORIES = {
   ORE: 'ore',
   BAR: 'bar',
   PROCESSED: 'processed',
+  ARTISAN: 'artisan',
+  FRUIT: 'fruit',
+  FORAGE: 'forage',
   RESOURCE: 'resource',
   TOOL: 'tool',
+  WEAPON: 'weapon',
+  MONSTER_LOOT: 'monster_loot',
+  GEM: 'gem',
+  BAIT: 'bait',
+  TACKLE: 'tackle',
+  CONTAINER: 'container',
+  JUNK: 'junk',
 };
 
 export const TOOLS = {
@@ -20,100 +30,232 @@ export const TOOLS = {
   FISHING_ROD: 'fishing_rod',
 };
 
-// Maps item IDs to display info
+// Maps item IDs to display info and base sell price (items without one can't be sold)
 export const ITEMS = {
   // Crops
-  parsnip: { name: 'Parsnip', category: 'crop' },
-  potato: { name: 'Potato', category: 'crop' },
-  cauliflower: { name: 'Cauliflower', category: 'crop' },
-  garlic: { name: 'Garlic', category: 'crop' },
-  kale: { name: 'Kale', category: 'crop' },
-  strawberry: { name: 'Strawberry', category: 'crop' },
-  melon: { name: 'Melon', category: 'crop' },
-  tomato: { name: 'Tomato', category: 'crop' },
-  blueberry: { name: 'Blueberry', category: 'crop' },
-  hot_pepper: { name: 'Hot Pepper', category: 'crop' },
-  corn: { name: 'Corn', category: 'crop' },
-  red_cabbage: { name: 'Red Cabbage', category: 'crop' },
-  pumpkin: { name: 'Pumpkin', category: 'crop' },
-  cranberry: { name: 'Cranberry', category: 'crop' },
-  grape: { name: 'Grape', category: 'crop' },
-  artichoke: { name: 'Artichoke', category: 'crop' },
-  beet: { name: 'Beet', category: 'crop' },
-  yam: { name: 'Yam', category: 'crop' },
-  wheat: { name: 'Wheat', category: 'crop' },
-  ancient_fruit: { name: 'Ancient Fruit', category: 'crop' },
-  starfruit: { name: 'Starfruit', category: 'crop' },
-  coffee_bean: { name: 'Coffee Bean', category: 'crop' },
-  sunflower: { name: 'Sunflower', category: 'crop' },
-  carrot: { name: 'Carrot', category: 'crop' },
+  parsnip: { name: 'Parsnip', category: 'crop', sellPrice: 25 },
+  potato: { name: 'Potato', category: 'crop', sellPrice: 30 },
+  cauliflower: { name: 'Cauliflower', category: 'crop', sellPrice: 85 },
+  garlic: { name: 'Garlic', category: 'crop', sellPrice: 30 },
+  kale: { name: 'Kale', category: 'crop', sellPrice: 40 },
+  strawberry: { name: 'Strawberry', category: 'crop', sellPrice: 60 },
+  melon: { name: 'Melon', category: 'crop', sellPrice: 125 },
+  tomato: { name: 'Tomato', category: 'crop', sellPrice: 40 },
+  blueberry: { name: 'Blueberry', category: 'crop', sellPrice: 50 },
+  hot_pepper: { name: 'Hot Pepper', category: 'crop', sellPrice: 35 },
+  corn: { name: 'Corn', category: 'crop', sellPrice: 35 },
+  red_cabbage: { name: 'Red Cabbage', category: 'crop', sellPrice: 120 },
+  pumpkin: { name: 'Pumpkin', category: 'crop', sellPrice: 100 },
+  cranberry: { name: 'Cranberry', category: 'crop', sellPrice: 55 },
+  grape: { name: 'Grape', category: 'crop', sellPrice: 45 },
+  artichoke: { name: 'Artichoke', category: 'crop', sellPrice: 40 },
+  beet: { name: 'Beet', category: 'crop', sellPrice: 30 },
+  yam: { name: 'Yam', category: 'crop', sellPrice: 65 },
+  wheat: { name: 'Wheat', category: 'crop', sellPrice: 15 },
+  ancient_fruit: { name: 'Ancient Fruit', category: 'crop', sellPrice: 550 },
+  starfruit: { name: 'Starfruit', category: 'crop', sellPrice: 750 },
+  coffee_bean: { name: 'Coffee Bean', category: 'crop', sellPrice: 15 },
+  sunflower: { name: 'Sunflower', category: 'crop', sellPrice: 40 },
+  carrot: { name: 'Carrot', category: 'crop', sellPrice: 20 },
+  // Fruits
+  apple: { name: 'Apple', category: 'fruit', sellPrice: 50 },
+  cherry: { name: 'Cherry', category: 'fruit', sellPrice: 40 },
+  orange: { name: 'Orange', category: 'fruit', sellPrice: 60 },
+  peach: { name: 'Peach', category: 'fruit', sellPrice: 70 },
+  // Forage (grape is listed with crops)
+  daffodil: { name: 'Daffodil', category: 'forage', sellPrice: 30 },
+  leek: { name: 'Leek', category: 'forage', sellPrice: 60 },
+  dandelion: { name: 'Dandelion', category: 'forage', sellPrice: 40 },
+  spring_onion: { name: 'Spring Onion', category: 'forage', sellPrice: 8 },
+  spice_berry: { name: 'Spice Berry', category: 'forage', sellPrice: 80 },
+  sweet_pea: { name: 'Sweet Pea', category: 'forage', sellPrice: 50 },
+  fiddlehead_fern: { name: 'Fiddlehead Fern', category: 'forage', sellPrice: 90 },
+  wild_plum: { name: 'Wild Plum', category: 'forage', sellPrice: 80 },
+  hazelnut: { name: 'Hazelnut', category: 'forage', sellPrice: 90 },
+  blackberry: { name: 'Blackberry', category: 'forage', sellPrice: 20 },
+  chanterelle: { name: 'Chanterelle', category: 'forage', sellPrice: 160 },
+  crystal_fruit: { name: 'Crystal Fruit', category: 'forage', sellPrice: 150 },
+  crocus: { name: 'Crocus', category: 'forage', sellPrice: 60 },
+  snow_yam: { name: 'Snow Yam', category: 'forage', sellPrice: 100 },
+  winter_root: { name: 'Winter Root', category: 'forage', sellPrice: 70 },
+  clam: { name: 'Clam', category: 'forage', sellPrice: 50 },
+  cockle: { name: 'Cockle', category: 'forage', sellPrice: 50 },
+  mussel: { name: 'Mussel', category: 'forage', sellPrice: 30 },
+  coral: { name: 'Coral', category: 'forage', sellPrice: 80 },
+  sea_urchin: { name: 'Sea Urchin', category: 'forage', sellPrice: 160 },
+  rainbow_shell: { name: 'Rainbow Shell', category: 'forage', sellPrice: 300 },
+  nautilus_shell: { name: 'Nautilus Shell', category: 'forage', sellPrice: 120 },
+  // Fish
+  carp: { name: 'Carp', category: 'fish', sellPrice: 18 },
+  perch: { name: 'Perch', category: 'fish', sellPrice: 22 },
+  bass: { name: 'Bass', category: 'fish', sellPrice: 20 },
+  bluegill: { name: 'Bluegill', category: 'fish', sellPrice: 15 },
+  catfish: { name: 'Catfish', category: 'fish', sellPrice: 30 },
+  sunfish: { name: 'Sunfish', category: 'fish', sellPrice: 24 },
+  bullhead: { name: 'Bullhead', category: 'fish', sellPrice: 45 },
+  koi: { name: 'Koi', category: 'fish', sellPrice: 65 },
+  goldfish: { name: 'Goldfish', category: 'fish', sellPrice: 200 },
+  ghost_fish: { name: 'Ghost Fish', category: 'fish', sellPrice: 180 },
+  axolotl: { name: 'Axolotl', category: 'fish', sellPrice: 800 },
+  legend_carp: { name: 'Legend Carp', category: 'fish', sellPrice: 1000 },
+  chub: { name: 'Chub', category: 'fish', sellPrice: 18 },
+  trout: { name: 'Trout', category: 'fish', sellPrice: 25 },
+  shiner: { name: 'Shiner', category: 'fish', sellPrice: 16 },
+  salmon: { name: 'Salmon', category: 'fish', sellPrice: 50 },
+  pike: { name: 'Pike', category: 'fish', sellPrice: 55 },
+  walleye: { name: 'Walleye', category: 'fish', sellPrice: 60 },
+  rainbow_trout: { name: 'Rainbow Trout', category: 'fish', sellPrice: 65 },
+  sturgeon: { name: 'Sturgeon', category: 'fish', sellPrice: 120 },
+  tiger_trout: { name: 'Tiger Trout', category: 'fish', sellPrice: 150 },
+  electric_eel: { name: 'Electric Eel', category: 'fish', sellPrice: 180 },
+  glacier_pike: { name: 'Glacier Pike', category: 'fish', sellPrice: 900 },
+  river_king: { name: 'River King', category: 'fish', sellPrice: 1200 },
+  sardine: { name: 'Sardine', category: 'fish', sellPrice: 12 },
+  anchovy: { name: 'Anchovy', category: 'fish', sellPrice: 14 },
+  sea_bass: { name: 'Sea Bass', category: 'fish', sellPrice: 28 },
+  red_snapper: { name: 'Red Snapper', category: 'fish', sellPrice: 55 },
+  tuna: { name: 'Tuna', category: 'fish', sellPrice: 70 },
+  lobster: { name: 'Lobster', category: 'fish', sellPrice: 80 },
+  octopus: { name: 'Octopus', category: 'fish', sellPrice: 140 },
+  swordfish: { name: 'Swordfish', category: 'fish', sellPrice: 150 },
+  anglerfish: { name: 'Anglerfish', category: 'fish', sellPrice: 500 },
+  moonfish: { name: 'Moonfish', category: 'fish', sellPrice: 1500 },
+  leviathan: { name: 'Leviathan', category: 'fish', sellPrice: 2000 },
+  // Crab pot catches (lobster and the beach shells are listed above)
+  crab: { name: 'Crab', category: 'fish', sellPrice: 100 },
+  shrimp: { name: 'Shrimp', category: 'fish', sellPrice: 60 },
+  oyster: { name: 'Oyster', category: 'fish', sellPrice: 40 },
+  crayfish: { name: 'Crayfish', category: 'fish', sellPrice: 75 },
+  snail: { name: 'Snail', category: 'fish', sellPrice: 65 },
+  periwinkle: { name: 'Periwinkle', category: 'fish', sellPrice: 20 },
+  // Junk (can't be sold)
+  trash: { name: 'Trash', category: 'junk' },
+  driftwood: { name: 'Driftwood', category: 'junk' },
+  soggy_newspaper: { name: 'Soggy Newspaper', category: 'junk' },
+  broken_glasses: { name: 'Broken Glasses', category: 'junk' },
   // Seeds
-  parsnip_seed: { name: 'Parsnip Seeds', category: 'seed' },
-  potato_seed: { name: 'Potato Seeds', category: 'seed' },
-  cauliflower_seed: { name: 'Cauliflower Seeds', category: 'seed' },
-  garlic_seed: { name: 'Garlic Seeds', category: 'seed' },
-  kale_seed: { name: 'Kale Seeds', category: 'seed' },
-  strawberry_seed: { name: 'Strawberry Seeds', category: 'seed' },
-  melon_seed: { name: 'Melon Seeds', category: 'seed' },
-  tomato_seed: { name: 'Tomato Seeds', category: 'seed' },
-  blueberry_seed: { name: 'Blueberry Seeds', category: 'seed' },
-  hot_pepper_seed: { name: 'Hot Pepper Seeds', category: 'seed' },
-  corn_seed: { name: 'Corn Seeds', category: 'seed' },
-  red_cabbage_seed: { name: 'Red Cabbage Seeds', category: 'seed' },
-  pumpkin_seed: { name: 'Pumpkin Seeds', category: 'seed' },
-  cranberry_seed: { name: 'Cranberry Seeds', category: 'seed' },
-  grape_seed: { name: 'Grape Seeds', category: 'seed' },
-  artichoke_seed: { name: 'Artichoke Seeds', category: 'seed' },
-  beet_seed: { name: 'Beet Seeds', category: 'seed' },
-  yam_seed: { name: 'Yam Seeds', category: 'seed' },
-  wheat_seed: { name: 'Wheat Seeds', category: 'seed' },
-  ancient_fruit_seed: { name: 'Ancient Fruit Seeds', category: 'seed' },
-  starfruit_seed: { name: 'Starfruit Seeds', category: 'seed' },
-  coffee_bean_seed: { name: 'Coffee Bean Seeds', category: 'seed' },
-  sunflower_seed: { name: 'Sunflower Seeds', category: 'seed' },
-  carrot_seed: { name: 'Carrot Seeds', category: 'seed' },
+  parsnip_seed: { name: 'Parsnip Seeds', category: 'seed', sellPrice: 5 },
+  potato_seed: { name: 'Potato Seeds', category: 'seed', sellPrice: 6 },
+  cauliflower_seed: { name: 'Cauliflower Seeds', category: 'seed', sellPrice: 17 },
+  garlic_seed: { name: 'Garlic Seeds', category: 'seed', sellPrice: 7 },
+  kale_seed: { name: 'Kale Seeds', category: 'seed', sellPrice: 9 },
+  strawberry_seed: { name: 'Strawberry Seeds', category: 'seed', sellPrice: 15 },
+  melon_seed: { name: 'Melon Seeds', category: 'seed', sellPrice: 20 },
+  tomato_seed: { name: 'Tomato Seeds', category: 'seed', sellPrice: 10 },
+  blueberry_seed: { name: 'Blueberry Seeds', category: 'seed', sellPrice: 12 },
+  hot_pepper_seed: { name: 'Hot Pepper Seeds', category: 'seed', sellPrice: 7 },
+  corn_seed: { name: 'Corn Seeds', category: 'seed', sellPrice: 7 },
+  red_cabbage_seed: { name: 'Red Cabbage Seeds', category: 'seed', sellPrice: 25 },
+  pumpkin_seed: { name: 'Pumpkin Seeds', category: 'seed', sellPrice: 20 },
+  cranberry_seed: { name: 'Cranberry Seeds', category: 'seed', sellPrice: 15 },
+  grape_seed: { name: 'Grape Seeds', category: 'seed', sellPrice: 12 },
+  artichoke_seed: { name: 'Artichoke Seeds', category: 'seed', sellPrice: 7 },
+  beet_seed: { name: 'Beet Seeds', category: 'seed', sellPrice: 5 },
+  yam_seed: { name: 'Yam Seeds', category: 'seed', sellPrice: 12 },
+  wheat_seed: { name: 'Wheat Seeds', category: 'seed', sellPrice: 2 },
+  ancient_fruit_seed: { name: 'Ancient Fruit Seeds', category: 'seed', sellPrice: 250 },
+  starfruit_seed: { name: 'Starfruit Seeds', category: 'seed', sellPrice: 100 },
+  coffee_bean_seed: { name: 'Coffee Bean Seeds', category: 'seed', sellPrice: 50 },
+  sunflower_seed: { name: 'Sunflower Seeds', category: 'seed', sellPrice: 10 },
+  carrot_seed: { name: 'Carrot Seeds', category: 'seed', sellPrice: 4 },
   // Animal products
-  egg: { name: 'Egg', category: 'animal_product' },
-  milk: { name: 'Milk', category: 'animal_product' },
-  wool: { name: 'Wool', category: 'animal_product' },
-  cheese: { name: 'Cheese', category: 'animal_product' },
-  honey: { name: 'Honey', category: 'animal_product' },
+  egg: { name: 'Egg', category: 'animal_product', sellPrice: 30 },
+  milk: { name: 'Milk', category: 'animal_product', sellPrice: 60 },
+  large_egg: { name: 'Large Egg', category: 'animal_product', sellPrice: 50 },
+  large_milk: { name: 'Large Milk', category: 'animal_product', sellPrice: 95 },
+  wool: { name: 'Wool', category: 'animal_product', sellPrice: 80 },
+  cheese: { name: 'Cheese', category: 'artisan', sellPrice: 200 },
+  honey: { name: 'Honey', category: 'animal_product', sellPrice: 50 },
   // Ores
-  copper_ore: { name: 'Copper Ore', category: 'ore' },
-  iron_ore: { name: 'Iron Ore', category: 'ore' },
-  gold_ore: { name: 'Gold Ore', category: 'ore' },
+  copper_ore: { name: 'Copper Ore', category: 'ore', sellPrice: 5 },
+  iron_ore: { name: 'Iron Ore', category: 'ore', sellPrice: 10 },
+  gold_ore: { name: 'Gold Ore', category: 'ore', sellPrice: 25 },
+  iridium_ore: { name: 'Iridium Ore', category: 'ore', sellPrice: 100 },
   // Bars
-  copper_bar: { name: 'Copper Bar', category: 'bar' },
-  iron_bar: { name: 'Iron Bar', category: 'bar' },
-  gold_bar: { name: 'Gold Bar', category: 'bar' },
+  copper_bar: { name: 'Copper Bar', category: 'bar', sellPrice: 60 },
+  iron_bar: { name: 'Iron Bar', category: 'bar', sellPrice: 100 },
+  gold_bar: { name: 'Gold Bar', category: 'bar', sellPrice: 200 },
+  iridium_bar: { name: 'Iridium Bar', category: 'bar', sellPrice: 1000 },
+  // Gems
+  quartz: { name: 'Quartz', category: 'gem', sellPrice: 25 },
+  amethyst: { name: 'Amethyst', category: 'gem', sellPrice: 100 },
+  topaz: { name: 'Topaz', category: 'gem', sellPrice: 80 },
+  emerald: { name: 'Emerald', category: 'gem', sellPrice: 250 },
+  ruby: { name: 'Ruby', category: 'gem', sellPrice: 250 },
+  diamond: { name: 'Diamond', category: 'gem', sellPrice: 750 },
   // Processed
-  flour: { name: 'Flour', category: 'processed' },
-  bread: { name: 'Bread', category: 'processed' },
-  cake: { name: 'Cake', category: 'processed' },
-  cheese_wheel: { name: 'Cheese Wheel', category: 'processed' },
-  cloth: { name: 'Cloth', category: 'processed' },
-  // Artisan goods
-  wine: { name: 'Wine', category: 'processed' },
-  juice: { name: 'Juice', category: 'processed' },
-  preserves: { name: 'Preserves', category: 'processed' },
-  mayonnaise: { name: 'Mayonnaise', category: 'processed' },
+  flour: { name: 'Flour', category: 'processed', sellPrice: 50 },
+  bread: { name: 'Bread', category: 'processed', sellPrice: 80 },
+  cake: { name: 'Cake', category: 'processed', sellPrice: 250 },
+  cheese_wheel: { name: 'Cheese Wheel', category: 'processed', sellPrice: 200 },
+  cloth: { name: 'Cloth', category: 'processed', sellPrice: 120 },
+  // Artisan goods: worth what the machine recorded when it made them (machines.json)
+  wine: { name: 'Wine', category: 'artisan' },
+  juice: { name: 'Juice', category: 'artisan' },
+  preserves: { name: 'Preserves', category: 'artisan' },
+  mayonnaise: { name: 'Mayonnaise', category: 'artisan' },
   // Resources
-  coal: { name: 'Coal', category: 'resource' },
-  stone: { name: 'Stone', category: 'resource' },
-  wood: { name: 'Wood', category: 'resource' },
+  coal: { name: 'Coal', category: 'resource', sellPrice: 15 },
+  stone: { name: 'Stone', category: 'resource', sellPrice: 2 },
+  wood: { name: 'Wood', category: 'resource', sellPrice: 2 },
   // Machines (placeable)
   keg: { name: 'Keg', category: 'processed' },
   preserves_jar: { name: 'Preserves Jar', category: 'processed' },
   cheese_press: { name: 'Cheese Press', category: 'processed' },
   mayonnaise_machine: { name: 'Mayonnaise Machine', category: 'processed' },
+  incubator: { name: 'Incubator', category: 'processed' },
+  crab_pot: { name: 'Crab Pot', category: 'processed' },
+  // Containers (placeable, hold items of their own)
+  chest: { name: 'Chest', category: 'container' },
   // Crafted items
   sprinkler_basic: { name: 'Basic Sprinkler', category: 'processed' },
   sprinkler_quality: { name: 'Quality Sprinkler', category: 'processed' },
   fertilizer_basic: { name: 'Basic Fertilizer', category: 'processed' },
+  fertilizer_quality: { name: 'Quality Fertilizer', category: 'processed' },
+  speed_gro: { name: 'Speed-Gro', category: 'processed' },
   // Tools
   hoe: { name: 'Hoe', category: 'tool' },
   watering_can: { name: 'Watering Can', category: 'tool' },
   pickaxe: { name: 'Pickaxe', category: 'tool' },
   axe: { name: 'Axe', category: 'tool' },
   fishing_rod: { name: 'Fishing Rod', category: 'tool' },
+  // Fishing bait and tackle
+  bait: { name: 'Bait', category: 'bait', sellPrice: 1 },
+  wild_bait: { name: 'Wild Bait', category: 'bait', sellPrice: 15 },
+  magic_bait: { name: 'Magic Bait', category: 'bait', sellPrice: 25 },
+  spinner: { name: 'Spinner', category: 'tackle', sellPrice: 250 },
+  cork_bobber: { name: 'Cork Bobber', category: 'tackle', sellPrice: 375 },
+  barbed_hook: { name: 'Barbed Hook', category: 'tackle', sellPrice: 500 },
+  // Weapons
+  wooden_sword: { name: 'Wooden Sword', category: 'weapon' },
+  copper_sword: { name: 'Copper Sword', category: 'weapon' },
+  iron_sword: { name: 'Iron Sword', category: 'weapon' },
+  gold_sword: { name: 'Gold Sword', category: 'weapon' },
+  // Monster loot
+  slime: { name: 'Slime', category: 'monster_loot', sellPrice: 5 },
+  bat_wing: { name: 'Bat Wing', category: 'monster_loot', sellPrice: 15 },
+  bone: { name: 'Bone', category: 'monster_loot', sellPrice: 12 },
 };
+
+export const MAX_STACK = 999;
+
+/** Registry entry for an item, or null if unknown */
+export function getItem(itemId) {
+  return ITEMS[itemId] || null;
+}
+
+/** How many fit in one backpack slot: tools and weapons don't stack */
+export function getMaxStack(itemId) {
+  const category = ITEMS[itemId]?.category;
+  return category === ITEM_CATEGORIES.TOOL || category === ITEM_CATEGORIES.WEAPON ? 1 : MAX_STACK;
+}
+
+/** Whether an item is placed as storage that holds other items */
+export function isContainer(itemId) {
+  return ITEMS[itemId]?.category === ITEM_CATEGORIES.CONTAINER;
+}
+
+/** Tools can't be thrown away */
+export function isTrashable(itemId) {
+  return ITEMS[itemId]?.category !== ITEM_CATEGORIES.TOOL;
+}
@@ -0,0 +1,55 @@
+// shared/Pricing.js — Sell prices for every item, backed by ItemRegistry.
+// Used by the server (shop, shipping bin) and the client (tooltips, machine UI)
+// so both always agree on what an item is worth.
+
+import { ITEMS } from './ItemRegistry.js';
+import { QUALITY_MULTIPLIER, professionBonus } from './constants.js';
+
+// Which profession bonus raises the price of each item category
+const CATEGORY_BONUS = {
+  crop: 'cropSellValue',
+  fruit: 'cropSellValue',
+  fish: 'fishSellValue',
+  animal_product: 'animalProductValue',
+  artisan: 'artisanValue',
+  bar: 'barSellValue',
+  gem: 'gemSellValue',
+};
+
+/** Base price of one normal-quality item, 0 if it can't be sold */
+export function getBasePrice(itemId) {
+  return ITEMS[itemId]?.sellPrice || 0;
+}
+
+/** `value` is what a machine recorded for its output; it stands in for the registry price */
+export function isSellable(itemId, value = null) {
+  return (value || getBasePrice(itemId)) > 0;
+}
+
+/**
+ * What a machine recipe's output is worth for a given input: a multiple of
+ * the input's price plus a bonus, a fixed outputValue, or else the output's own price.
+ * @param {{ output: string, valueMultiplier?: number, valueBonus?: number, outputValue?: number }} recipe
+ * @param {string} inputItemId
+ */
+export function getOutputValue(recipe, inputItemId) {
+  if (recipe.valueMultiplier) {
+    return Math.floor(getBasePrice(inputItemId) * recipe.valueMultiplier + (recipe.valueBonus || 0));
+  }
+  return recipe.outputValue || getBasePrice(recipe.output);
+}
+
+/**
+ * Price for one item after quality and the seller's profession bonuses.
+ * @param {string} itemId
+ * @param {number} [quality=0]
+ * @param {Object<string, string[]>} [professions] - skill -> chosen profession ids
+ * @param {number|null} [value] - recorded value of a machine-made stack, replacing the base price
+ */
+export function getSellPrice(itemId, quality = 0, professions = {}, value = null) {
+  const base = value || getBasePrice(itemId);
+  if (!base) return 0;
+  const bonusKey = CATEGORY_BONUS[ITEMS[itemId].category];
+  const bonus = bonusKey ? professionBonus(professions, bonusKey) : 0;
+  return Math.floor(base * (QUALITY_MULTIPLIER[quality] || 1) * (1 + bonus));
+}
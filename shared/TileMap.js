@@ -1,6 +1,6 @@
 // shared/TileMap.js — Grid math and coordinate utilities
 
-import { TILE_SIZE, WORLD_SIZE } from './constants.js';
+import { TILE_SIZE, WORLD_SIZE, BUILDING_FOOTPRINTS, TILE_TYPES } from './constants.js';
 
 /** Convert world position to tile coordinates */
 export function worldToTile(worldX, worldZ) {
@@ -50,3 +50,199 @@ export function getNeighbors(tileX, tileZ) {
     { x: tileX, z: tileZ + 1 },
   ].filter(t => isValidTile(t.x, t.z));
 }
+
+/** Tiles under a building of the given type placed at tileX/tileZ */
+export function getFootprintTiles(type, tileX, tileZ) {
+  const { w, d } = BUILDING_FOOTPRINTS[type] || { w: 2, d: 2 };
+  const x0 = tileX - Math.floor(w / 2);
+  const z0 = tileZ - Math.floor(d / 2);
+  const tiles = [];
+  for (let x = x0; x < x0 + w; x++) {
+    for (let z = z0; z < z0 + d; z++) tiles.push({ x, z });
+  }
+  return tiles;
+}
+
+// ─── Pathfinding ───
+
+const UNWALKABLE_TILES = new Set([TILE_TYPES.WATER]);
+
+// 8-directional steps: [dx, dz, cost]
+const STEPS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+/**
+ * Walkability of every tile on a map (1 = walkable). Water is impassable, and
+ * so is anything standing on the ground: building footprints, resources,
+ * machines and chests. Obstacles are { tileX, tileZ } objects, buildings also with their type.
+ * @returns {Uint8Array}
+ */
+export function buildWalkGrid(tiles, { buildings = [], resources = [], machines = [], chests = [] } = {}) {
+  const grid = new Uint8Array(WORLD_SIZE * WORLD_SIZE);
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = tiles[i] && !UNWALKABLE_TILES.has(tiles[i].type) ? 1 : 0;
+  }
+  const block = (x, z) => {
+    if (isValidTile(x, z)) grid[tileIndex(x, z)] = 0;
+  };
+  for (const b of buildings) {
+    for (const t of getFootprintTiles(b.type, b.tileX, b.tileZ)) block(t.x, t.z);
+  }
+  for (const r of resources) block(r.tileX, r.tileZ);
+  for (const m of machines) block(m.tileX, m.tileZ);
+  for (const c of chests) block(c.tileX, c.tileZ);
+  return grid;
+}
+
+export function isWalkable(grid, tileX, tileZ) {
+  return isValidTile(tileX, tileZ) && grid[tileIndex(tileX, tileZ)] === 1;
+}
+
+/**
+ * Whether a straight walk between two world positions stays on walkable
+ * tiles. The tile it starts on doesn't count, so nobody gets stuck on a spot
+ * that was built over under their feet.
+ */
+export function isSegmentWalkable(grid, fromX, fromZ, toX, toZ) {
+  const start = worldToTile(fromX, fromZ);
+  const dist = Math.hypot(toX - fromX, toZ - fromZ);
+  const samples = Math.max(1, Math.ceil(dist / 0.25));
+  for (let i = 1; i <= samples; i++) {
+    const t = worldToTile(fromX + (toX - fromX) * i / samples, fromZ + (toZ - fromZ) * i / samples);
+    if (t.x === start.x && t.z === start.z) continue;
+    if (!isWalkable(grid, t.x, t.z)) return false;
+  }
+  return true;
+}
+
+/**
+ * A* from one world position to another over a walk grid, in 8 directions
+ * without cutting corners. Returns the waypoints to follow in world
+ * coordinates, ending on the exact goal, or null if the start isn't on the map.
+ * A goal that can't be stood on (a rock, the pond) or can't be reached is
+ * swapped for the closest reachable tile, so a click there walks up to it;
+ * the path is then empty if the walker is already as close as it can get.
+ * @param {Uint8Array} grid - from buildWalkGrid
+ * @returns {Array<{ x: number, z: number }>|null}
+ */
+export function findPath(grid, fromX, fromZ, toX, toZ) {
+  const start = worldToTile(fromX, fromZ);
+  const goal = worldToTile(toX, toZ);
+  if (!isValidTile(start.x, start.z)) return null;
+
+  const startIdx = tileIndex(start.x, start.z);
+  const heuristic = (x, z) => {
+    const dx = Math.abs(x - goal.x);
+    const dz = Math.abs(z - goal.z);
+    return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+  };
+
+  const cost = new Float64Array(grid.length).fill(Infinity);
+  const cameFrom = new Int32Array(grid.length).fill(-1);
+  const closed = new Uint8Array(grid.length);
+  const open = new MinHeap();
+  cost[startIdx] = 0;
+  open.push(startIdx, heuristic(start.x, start.z));
+
+  let best = startIdx;
+  let bestH = heuristic(start.x, start.z);
+  let reached = false;
+
+  while (open.size > 0) {
+    const idx = open.pop();
+    if (closed[idx]) continue;
+    closed[idx] = 1;
+
+    const { x, z } = indexToTile(idx);
+    const h = heuristic(x, z);
+    if (h < bestH || (h === bestH && cost[idx] < cost[best])) {
+      best = idx;
+      bestH = h;
+    }
+    if (x === goal.x && z === goal.z) {
+      reached = true;
+      break;
+    }
+
+    for (const [dx, dz, stepCost] of STEPS) {
+      const nx = x + dx;
+      const nz = z + dz;
+      if (!isWalkable(grid, nx, nz)) continue;
+      if (dx !== 0 && dz !== 0 && (!isWalkable(grid, x + dx, z) || !isWalkable(grid, x, z + dz))) continue;
+      const nIdx = tileIndex(nx, nz);
+      const nCost = cost[idx] + stepCost;
+      if (closed[nIdx] || nCost >= cost[nIdx]) continue;
+      cost[nIdx] = nCost;
+      cameFrom[nIdx] = idx;
+      open.push(nIdx, nCost + heuristic(nx, nz));
+    }
+  }
+
+  const path = [];
+  for (let idx = best; idx !== startIdx; idx = cameFrom[idx]) {
+    const { x, z } = indexToTile(idx);
+    path.push(tileToWorld(x, z));
+  }
+  path.reverse();
+  if (reached) {
+    // Finish on the exact spot rather than the tile's center
+    if (path.length > 0) path.pop();
+    path.push({ x: toX, z: toZ });
+  }
+  return path;
+}
+
+/** Binary min-heap of indices keyed by priority, for the A* open set */
+class MinHeap {
+  constructor() {
+    this._items = [];
+    this._keys = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  push(item, key) {
+    const items = this._items;
+    const keys = this._keys;
+    let i = items.length;
+    items.push(item);
+    keys.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      items[i] = items[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    items[i] = item;
+    keys[i] = key;
+  }
+
+  pop() {
+    const items = this._items;
+    const keys = this._keys;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastKey = keys.pop();
+    if (items.length === 0) return top;
+
+    let i = 0;
+    const n = items.length;
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= n) break;
+      if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+      if (keys[child] >= lastKey) break;
+      items[i] = items[child];
+      keys[i] = keys[child];
+      i = child;
+    }
+    items[i] = lastItem;
+    keys[i] = lastKey;
+    return top;
+  }
+}
@@ -4,6 +4,7 @@ export const TILE_SIZE = 1;
 export const WORLD_SIZE = 64;
 export const TICK_RATE = 10; // server ticks per second
 export const TIME_SCALE = 60; // 1 real second = 1 game minute
+export const PLAYER_SPEED = 3; // tiles per second
 
 export const TILE_TYPES = {
   GRASS: 0,
@@ -52,6 +53,40 @@ export const FISH_RARITY = {
   LEGENDARY: 3,
 };
 
+// Bait is used up one per bite; it is what gets the rarer fish interested
+export const BAIT_DATA = {
+  bait:       { rarityBoost: 0.25 },
+  wild_bait:  { rarityBoost: 0.5, netBonus: 0.03 },
+  magic_bait: { rarityBoost: 0.25, ignoreRestrictions: true },
+};
+
+// Tackle stays on the rod and wears out after `durability` bites
+export const TACKLE_DATA = {
+  spinner:     { biteSpeed: 0.25, durability: 20 },
+  cork_bobber: { netBonus: 0.06, durability: 20 },
+  barbed_hook: { netBonus: 0.03, rarityBoost: 0.1, durability: 20 },
+};
+
+// Catch bar timing, shared so the server can tell how fast a fish can honestly
+// be landed. Rates are per second.
+export const FISHING_MINIGAME = {
+  startingProgress: 0.25,
+  fillRate: 0.16,          // progress gained with the fish in the net
+  biteDelayMs: 400,        // bite animation before the bar appears
+  reportIntervalMs: 500,   // how often the client reports its progress
+  baseMaxSec: 40,          // longest a common, sine-swimming fish can hold out
+};
+
+// How much longer than baseMaxSec each swimming pattern can keep a fish on the line
+export const FISH_BEHAVIOR_DURATION = {
+  sine: 1, dart: 1.25, wiggle: 1.25, lure: 1.5, stall: 1.5, erratic: 1.5,
+  dash: 1.75, sword: 1.75, phase: 2, king: 2, beast: 2.5,
+};
+
+// Treasure chests that surface during the catch bar, and crab pot junk
+export const TREASURE_CHANCE = 0.15;     // per bite, before the Pirate bonus
+export const CRAB_POT_JUNK_CHANCE = 0.2; // per daily catch, unless the owner is a Mariner
+
 export const RELATIONSHIP_MAX = 10;
 
 export const COLORS = {
@@ -70,12 +105,19 @@ export const COLORS = {
 export const MAP_IDS = {
   FARM: 'farm',
   TOWN: 'town',
+  MINE: 'mine', // floors are 'mine_1' .. 'mine_N', see mineMapId()
+  BEACH: 'beach',
 };
 
 export const ACTIONS = {
   PLAYER_MOVE: 'player:move',
   PLAYER_JOIN: 'player:join',
   PLAYER_LEAVE: 'player:leave',
+  JOIN_REJECTED: 'player:joinRejected',
+  PLAYER_SETTINGS: 'player:settings',
+  INVENTORY_MOVE: 'inventory:move',
+  INVENTORY_TRASH: 'inventory:trash',
+  INVENTORY_UPGRADE: 'inventory:upgrade',
   MAP_TRANSITION: 'map:transition',
   FARM_TILL: 'farm:till',
   FARM_PLANT: 'farm:plant',
@@ -83,16 +125,31 @@ export const ACTIONS = {
   FARM_HARVEST: 'farm:harvest',
   FISH_CAST: 'fish:cast',
   FISH_REEL: 'fish:reel',
+  FISH_EQUIP: 'fish:equip',
+  FISH_PROGRESS: 'fish:progress',
+  PLACE_CRAB_POT: 'crabpot:place',
+  CRAB_POT_INTERACT: 'crabpot:interact',
+  CHEST_PLACE: 'chest:place',
+  CHEST_OPEN: 'chest:open',
+  CHEST_DEPOSIT: 'chest:deposit',
+  CHEST_WITHDRAW: 'chest:withdraw',
+  CHEST_COLOR: 'chest:color',
+  CHEST_PICKUP: 'chest:pickup',
   NPC_TALK: 'npc:talk',
   NPC_GIFT: 'npc:gift',
   PET_INTERACT: 'pet:interact',
   PET_GROOM: 'pet:groom',
   CRAFT_START: 'craft:start',
   CRAFT_COLLECT: 'craft:collect',
+  BUILDING_PLACE: 'building:place',
+  SHOP_OPEN: 'shop:open',
   SHOP_BUY: 'shop:buy',
   SHOP_SELL: 'shop:sell',
   ANIMAL_FEED: 'animal:feed',
   ANIMAL_COLLECT: 'animal:collect',
+  ANIMAL_SELL: 'animal:sell',
+  ANIMAL_PET: 'animal:pet',
+  ANIMAL_DOOR: 'animal:door',
   SHIP_ITEM: 'ship:item',
   TOOL_UPGRADE: 'tool:upgrade',
   PLACE_SPRINKLER: 'farm:placeSprinkler',
@@ -114,8 +171,15 @@ export const ACTIONS = {
   MULTI_PLANT: 'farm:multiPlant',
   REST_AT_HOUSE: 'player:rest',
   TREE_SHAKE: 'farm:treeShake',
+  QUEST_ACCEPT: 'quest:accept',
+  QUEST_TURN_IN: 'quest:turnIn',
+  COMBAT_ATTACK: 'combat:attack',
 };
 
+// Chat
+export const CHAT_MAX_LENGTH = 200;
+export const CHAT_RATE_LIMIT = { messages: 5, windowMs: 5000 };
+
 // Skills
 export const SKILLS = {
   FARMING: 'farming',
@@ -187,6 +251,18 @@ for (let dx = -2; dx <= 2; dx++) {
   }
 }
 
+// Tiles a farm building covers, centred on its tileX/tileZ (see getFootprintTiles)
+export const BUILDING_FOOTPRINTS = {
+  house:   { w: 2, d: 2 },
+  barn:    { w: 4, d: 4 },
+  coop:    { w: 2, d: 2 },
+  mill:    { w: 2, d: 2 },
+  forge:   { w: 2, d: 2 },
+  kitchen: { w: 2, d: 2 },
+  loom:    { w: 2, d: 2 },
+  silo:    { w: 2, d: 2 },
+};
+
 export const FERTILIZER_DATA = {
   fertilizer_basic: { qualityBonus: 0.10, speedBonus: 0 },
   fertilizer_quality: { qualityBonus: 0.25, speedBonus: 0 },
@@ -201,6 +277,14 @@ export const FORAGE_ITEMS = {
   3: ['crystal_fruit', 'crocus', 'snow_yam', 'winter_root'],
 };
 
+// Washed up on the beach sand, by season
+export const BEACH_FORAGE_ITEMS = {
+  0: ['clam', 'cockle', 'mussel', 'coral', 'sea_urchin'],
+  1: ['clam', 'cockle', 'mussel', 'coral', 'rainbow_shell'],
+  2: ['clam', 'cockle', 'mussel', 'coral', 'sea_urchin'],
+  3: ['clam', 'cockle', 'mussel', 'coral', 'nautilus_shell'],
+};
+
 export const PROFESSIONS = {
   farming: {
     5: [
@@ -284,14 +368,32 @@ export const PROFESSIONS = {
   },
 };
 
+/**
+ * Sum a numeric profession bonus across a player's chosen professions.
+ * @param {Object<string, string[]>} professions - skill -> chosen profession ids
+ */
+export function professionBonus(professions, bonusKey) {
+  let total = 0;
+  for (const profs of Object.values(professions || {})) {
+    for (const profId of profs) {
+      for (const skillData of Object.values(PROFESSIONS)) {
+        const options = [...(skillData[5] || []), ...Object.values(skillData[10] || {}).flat()];
+        const opt = options.find(o => o.id === profId);
+        if (opt && typeof opt.bonus[bonusKey] === 'number') total += opt.bonus[bonusKey];
+      }
+    }
+  }
+  return total;
+}
+
 // Fruit tree types and data
 export const FRUIT_TYPES = ['apple', 'cherry', 'orange', 'peach'];
 
 export const FRUIT_DATA = {
-  apple:  { name: 'Apple',  sellPrice: 50,  color: 0xcc3333 },
-  cherry: { name: 'Cherry', sellPrice: 40,  color: 0xdd2255 },
-  orange: { name: 'Orange', sellPrice: 60,  color: 0xff8800 },
-  peach:  { name: 'Peach',  sellPrice: 70,  color: 0xffaa88 },
+  apple:  { name: 'Apple',  color: 0xcc3333 },
+  cherry: { name: 'Cherry', color: 0xdd2255 },
+  orange: { name: 'Orange', color: 0xff8800 },
+  peach:  { name: 'Peach',  color: 0xffaa88 },
 };
 
 export const FRUIT_REGROW_HOURS = 24; // in-game hours until fruit regrows
@@ -306,7 +408,92 @@ export const SAPLING_DATA = {
 export const RESOURCE_DATA = {
   tree: { health: 5, drops: [{ itemId: 'wood', quantity: 8 }], stumpHealth: 2, stumpDrops: [{ itemId: 'wood', quantity: 2 }], tool: 'axe', xpPerHit: 2 },
   rock: { health: 3, drops: [{ itemId: 'stone', quantity: 5 }], tool: 'pickaxe', xpPerHit: 2 },
+  // Mine nodes. ore: +oreBonus per drop, coal: doubled by Prospector, geode: cracks into gems
+  copper_node:  { health: 3, drops: [{ itemId: 'copper_ore', quantity: 2 }], tool: 'pickaxe', xpPerHit: 3, ore: true },
+  iron_node:    { health: 4, drops: [{ itemId: 'iron_ore', quantity: 2 }], tool: 'pickaxe', xpPerHit: 4, ore: true },
+  gold_node:    { health: 5, drops: [{ itemId: 'gold_ore', quantity: 2 }], tool: 'pickaxe', xpPerHit: 6, ore: true },
+  iridium_node: { health: 6, drops: [{ itemId: 'iridium_ore', quantity: 2 }], tool: 'pickaxe', xpPerHit: 10, ore: true },
+  coal_node:    { health: 3, drops: [{ itemId: 'coal', quantity: 2 }], tool: 'pickaxe', xpPerHit: 3, coal: true },
+  geode_node:   { health: 4, drops: [{ itemId: 'stone', quantity: 2 }], tool: 'pickaxe', xpPerHit: 5, geode: true },
+};
+
+// Mine
+export const MINE_FLOORS = 12;
+export const MINE_NODE_DENSITY = 0.04;   // chance an open cave tile holds a node
+export const MINE_GEM_CHANCE = 0.03;     // per ore/coal node, before the Geologist bonus
+// Deepest band whose minFloor is reached decides the floor's ore and enemies
+export const MINE_FLOOR_BANDS = [
+  { minFloor: 1,  ore: 'copper_node',  enemies: ['slime'] },
+  { minFloor: 4,  ore: 'iron_node',    enemies: ['slime', 'bat'] },
+  { minFloor: 7,  ore: 'gold_node',    enemies: ['bat', 'skeleton'] },
+  { minFloor: 10, ore: 'iridium_node', enemies: ['skeleton'] },
+];
+// Relative weights for what a geode cracks into
+export const GEM_TABLE = [
+  { itemId: 'quartz', weight: 40 },
+  { itemId: 'amethyst', weight: 25 },
+  { itemId: 'topaz', weight: 15 },
+  { itemId: 'emerald', weight: 10 },
+  { itemId: 'ruby', weight: 7 },
+  { itemId: 'diamond', weight: 3 },
+];
+
+export function mineMapId(floor) {
+  return `${MAP_IDS.MINE}_${floor}`;
+}
+
+/** Floor number for a mine map id, or 0 for any other map */
+export function mineFloorOf(mapId) {
+  const match = /^mine_(\d+)$/.exec(mapId || '');
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Backpack — the first ACTION_BAR_SLOTS slots are the action bar
+export const BACKPACK_BASE_SIZE = 30;
+export const BACKPACK_UPGRADES = [
+  { size: 40, cost: 2000 },
+  { size: 50, cost: 10000 },
+];
+export const ACTION_BAR_SLOTS = 10;
+
+// Storage chests on the farm, shared by everyone who works it
+export const CHEST_SLOTS = 36;
+export const CHEST_COLORS = {
+  wood: 0x9b6b3d,
+  red: 0xc0392b,
+  orange: 0xe67e22,
+  yellow: 0xf1c40f,
+  green: 0x27ae60,
+  blue: 0x2980b9,
+  purple: 0x8e44ad,
+  white: 0xecf0f1,
+};
+
+// Combat
+export const PLAYER_BASE_HP = 100;
+export const BASE_CRIT_CHANCE = 0.05;
+export const CRIT_MULTIPLIER = 1.5;
+
+// damage is a [min, max] roll; range in tiles from the player
+export const WEAPON_DATA = {
+  wooden_sword: { damage: [3, 5],   cooldownMs: 600, range: 1.5, critChance: 0.02 },
+  copper_sword: { damage: [6, 9],   cooldownMs: 550, range: 1.5, critChance: 0.03 },
+  iron_sword:   { damage: [10, 15], cooldownMs: 500, range: 1.6, critChance: 0.04 },
+  gold_sword:   { damage: [16, 22], cooldownMs: 450, range: 1.7, critChance: 0.06 },
 };
 
+// speed in tiles/sec; drops roll independently
+export const ENEMY_DATA = {
+  slime:    { name: 'Slime',    hp: 20, damage: 5,  speed: 1.2, aggroRange: 6, attackCooldownMs: 1500, xp: 5,
+    drops: [{ itemId: 'slime', chance: 0.8, quantity: 1 }] },
+  bat:      { name: 'Bat',      hp: 14, damage: 7,  speed: 2.2, aggroRange: 8, attackCooldownMs: 1200, xp: 8,
+    drops: [{ itemId: 'bat_wing', chance: 0.5, quantity: 1 }] },
+  skeleton: { name: 'Skeleton', hp: 45, damage: 12, speed: 1.5, aggroRange: 7, attackCooldownMs: 1800, xp: 15,
+    drops: [{ itemId: 'bone', chance: 0.6, quantity: 1 }, { itemId: 'coal', chance: 0.3, quantity: 2 }] },
+};
+
+export const NIGHT_ENEMY_TYPES = ['slime', 'bat'];
+export const NIGHT_ENEMY_CAP = 6; // per map
+
 export const HOLD_EXPAND_TILES = 3;  // 1x3 row
 export const HOLD_EXPAND_ENERGY_MULT = 2; // 2x energy for 3 tiles